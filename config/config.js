@@ -91,14 +91,33 @@ module.exports = {
           lowHolderCount: 0.8, // Decrease for tokens with few holders
           suspiciousTokenomics: 0.5, // Decrease for tokens with suspicious tokenomics
         },
+        // When each factor applies, from the pair data, on-chain analysis and last token score
+        thresholds: {
+          highVolumeUsd: 100000, // 24h volume at or above
+          strongPriceMovementPercent: 30, // 1h price change at or above
+          highSocialSentiment: 0.6, // Sentiment score (0 to 1) at or above
+          newTokenHours: 6, // Pair younger than
+          lowMarketCapUsd: 500000, // Market cap (or FDV) below
+          strongBuyPressureRatio: 1.5, // 1h buys per sell at or above
+          lowLiquidityUsd: 10000, // Pool liquidity below
+          highVolatilityPercent: 15, // Absolute 5m price change at or above
+          lowHolderCount: 100, // Real holders below
+          suspiciousTopHolderPercent: 20, // Largest non-pool holder at or above, or mint authority kept
+        },
+        // Score confidence scales the size linearly from minMultiplier at score 0 to maxMultiplier at score 1
+        confidence: {
+          minMultiplier: 0.75,
+          maxMultiplier: 1.25,
+        },
+        // Largest estimated price impact of the entry against the pool's SOL side
+        maxPriceImpactPercent: 2,
+        // SOL kept in the wallet for fees, not counted as available capital
+        reserveSol: 0.02,
       },
       // Dynamic take profit and stop loss based on token characteristics
       dynamicExitStrategy: {
         enabled: true,
-        // Base take profit percentage
-        baseTpPercentage: 150,
-        // Base stop loss percentage
-        baseSlPercentage: 20,
+        // Base levels are the entry strategy's exitPlan, which defaults to tpPercentage and slPercentage
         // Maximum take profit percentage
         maxTpPercentage: 300,
         // Maximum stop loss percentage
@@ -124,6 +143,48 @@ module.exports = {
           bullishMarket: 1.2, // Increase targets in bullish market
           bearishMarket: 0.8, // Decrease targets in bearish market
           sidewaysMarket: 1.0, // No change in sideways market
+          // database.determineMarketCondition calls out to CoinGecko, so its answer is reused for this long
+          cacheMinutes: 15,
+        },
+        // Floors for the planned levels, so stacked factors cannot leave a stop inside normal noise
+        minTpPercentage: 20,
+        minSlPercentage: 8,
+        // When each factor applies, from the pair data, on-chain analysis and last token score
+        thresholds: {
+          highVolatilityPercent: 15, // Absolute 5m price change at or above
+          strongMomentumPercent: 30, // 1h price change at or above
+          highSocialSentiment: 0.6, // Sentiment score (0 to 1) at or above
+          lowMarketCapUsd: 500000, // Market cap (or FDV) below
+          newListingHours: 6, // Pair younger than
+          lowLiquidityUsd: 10000, // Pool liquidity below
+          weakBuyPressureRatio: 0.8, // 1h buys per sell below
+          suspiciousVolumeToLiquidity: 20, // 24h volume at or above this multiple of liquidity (wash trading)
+          suspiciousTopHolderPercent: 20, // Largest non-pool holder at or above
+        },
+      },
+      // Exits for positions that go nowhere, checked alongside TP and SL.
+      // scanner.newPairDetection.maxMonitoringTime is the pre-entry watch window, not a hold limit
+      timeBasedExits: {
+        enabled: true,
+        // Sell whatever is left after this long (null for no limit)
+        maxHoldMinutes: 240,
+        // Sell if the position has not moved this much, up or down, after afterMinutes
+        stagnation: {
+          enabled: true,
+          afterMinutes: 45,
+          minMovePercent: 5,
+        },
+        // Sell when trading in the token dries up, from the pool's DexScreener pair data
+        momentumDecay: {
+          enabled: true,
+          // Positions younger than this are left alone
+          minAgeMinutes: 15,
+          // 1h buys per sell below
+          minBuySellRatio: 0.6,
+          // 1h volume below this percentage of the 1h volume at entry
+          minVolumePercentOfEntry: 25,
+          // Pair data is fetched at most this often per position
+          checkIntervalMinutes: 2,
         },
       },
       // Trailing stop loss strategy
@@ -192,7 +253,66 @@ module.exports = {
         },
       },
     },
-    
+
+    // Entry strategies run side by side by the strategy engine
+    // Each strategy picks its candidates from the scan results and has its own capital budget
+    entryStrategies: {
+      newPairs: {
+        type: 'newPairs',
+        enabled: true,
+        // Maximum SOL held in open positions opened by this strategy
+        capitalBudgetSol: 0.24,
+        // Per-trade size (defaults to trading.maxTradeSizeSol)
+        maxPositionSizeSol: null,
+        // Minimum token score (defaults to tokenScoring.minScore)
+        minScore: null,
+        // Maximum entry intents per scan (null for no limit)
+        maxCandidates: null,
+        // Fixed slippage percentage (null to use the executor's optimal slippage)
+        slippage: null,
+        exitPlan: {
+          takeProfitPercent: 150,
+          stopLossPercent: 20,
+        },
+      },
+      topGainers: {
+        type: 'topGainers',
+        enabled: true,
+        capitalBudgetSol: 0.16,
+        maxPositionSizeSol: null,
+        minScore: 0.8,
+        maxCandidates: 3,
+        slippage: null,
+        exitPlan: {
+          takeProfitPercent: 150,
+          stopLossPercent: 20,
+        },
+      },
+      volumeSpikes: {
+        type: 'volumeSpikes',
+        enabled: true,
+        capitalBudgetSol: 0.16,
+        maxPositionSizeSol: null,
+        minScore: 0.75,
+        maxCandidates: 2,
+        slippage: null,
+        exitPlan: {
+          takeProfitPercent: 150,
+          stopLossPercent: 20,
+        },
+      },
+    },
+    // Paper trading: swaps fill against a simulated venue with a virtual ledger
+    paperTrading: {
+      enabled: process.env.PAPER_TRADING === 'true',
+      initialBalanceSol: parseFloat(process.env.PAPER_INITIAL_BALANCE_SOL || '1'),
+      // Quotes the simulated fills are priced from, in order of preference
+      quoteSources: ['jupiter', 'raydium'],
+      slippagePercent: 0.5, // Applied on top of the quote
+      feePercent: 0.25, // DEX swap fee
+      networkFeeSol: 0.000105, // Base fee plus a typical priority fee
+    },
+
     // Pair filtering for trading decisions focused on trending tokens
     pairFiltering: {
       // Only consider pairs with these base tokens
@@ -645,8 +765,364 @@ module.exports = {
       correlateWithBroaderMarket: true,
     },
   },
+  // Price oracle used to mark open positions to market
+  priceOracle: {
+    // Sources in priority order; on-chain pool reads first, API prices as fallbacks
+    sourceOrder: ['raydium', 'pumpfun', 'jupiter', 'dexscreener'],
+    // Quotes older than this are discarded and the next source is tried
+    maxStalenessMs: parseInt(process.env.PRICE_MAX_STALENESS_MS || '60000'),
+    // How long the SOL/USD conversion price is cached
+    solPriceCacheMs: 60000,
+  },
+  // On-chain discovery of a token's Raydium (AMM v4, CPMM, CLMM) and Orca Whirlpool pools
+  poolDiscovery: {
+    // How long the pools and vault balances found for a mint are reused
+    cacheTtlMs: parseInt(process.env.POOL_DISCOVERY_CACHE_TTL_MS || '60000'),
+    // Pool types queried; drop one to skip its getProgramAccounts calls
+    poolTypes: ['raydium-amm-v4', 'raydium-cpmm', 'raydium-clmm', 'orca-whirlpool'],
+  },
+  // Buy-then-sell simulation used for honeypot detection; a token that cannot be simulated is rejected
+  swapSimulation: {
+    solAmount: 0.01,
+    // Slippage of the simulated buy; the simulated sell accepts any amount out, so sell taxes do not revert it
+    slippageBps: 500,
+    // Wallet the swaps are simulated from; it must hold solAmount. Defaults to the bot's wallet
+    walletAddress: process.env.SWAP_SIMULATION_WALLET || null,
+    // Tokens lost on the buy beyond the quote (transfer fees, buy taxes)
+    maxBuyTaxPercent: 5,
+    // SOL lost on the sell beyond the SOL spent, less both legs' DEX fees
+    maxSellTaxPercent: 10,
+    // Jupiter DEX labels a simulation is restricted to when it targets one DEX
+    dexLabels: {
+      Raydium: ['Raydium', 'Raydium CLMM', 'Raydium CP'],
+      Orca: ['Whirlpool'],
+    },
+    cacheTtlMs: 5 * 60 * 1000,
+  },
+  // Risk weights of mint authorities and Token-2022 extensions, summed into an extension risk score
+  tokenExtensions: {
+    weights: {
+      freezeAuthority: 0.6,
+      transferFee: 0.3,
+      transferHook: 0.7,
+      permanentDelegate: 1.0,
+      defaultFrozen: 1.0,
+      nonTransferable: 1.0,
+      pausable: 0.8,
+      mutableMetadata: 0.3,
+      mintCloseAuthority: 0.3,
+    },
+    // A token whose extension risk score reaches this is unsafe on its own
+    maxRiskScore: 1.0,
+  },
+  // Classification of a token's largest holders and the concentration of the rest
+  holderDistribution: {
+    // Count every holder through the RPC's token account index; off falls back to the largest accounts
+    countAllHolders: process.env.HOLDER_COUNT_ALL !== 'false',
+    // Wallets that hold tokens for many users, excluded from concentration
+    knownWallets: {
+      '5tzFkiKscXHK5ZXCGbXZxdw7gTjjD1mBwuoFbhUvuAi9': 'Binance',
+      'H8sMJSCQxfKiFTCfDR3DUMLPwcRbM61LGFJ8N4dK3WjS': 'Coinbase',
+      '5VCwKtCXgCJ6kit5FybXjvriW3xELsFDhYrPSqtJNmcD': 'OKX',
+      'AC5RDfQFmDS1deWZos921JfqscXdByf8BKHs5ACWjtW2': 'Bybit',
+      'FWznbcNXWQuHTawe9RxvQ2LdCENssh12dsznf4RiouN5': 'Kraken',
+    },
+    // Rug-pull risk thresholds
+    maxTopHolderPercent: 50,
+    maxCreatorPercent: 10,
+    maxGini: 0.9,
+    cacheTtlMs: 5 * 60 * 1000,
+  },
+  // Reputation of token creators, from how their recorded PumpFun launches ended
+  deployerReputation: {
+    enabled: process.env.DEPLOYER_REPUTATION_ENABLED !== 'false',
+    evaluationIntervalMinutes: 10,
+    // Pending launches checked per pass
+    evaluationBatchSize: 20,
+    // Launches are first checked this long after creation
+    minAgeMinutes: 30,
+    // A launch that gets this old without a bad outcome survived
+    survivalHours: 24,
+    // Pool liquidity this far below its peak is a pulled LP
+    lpPullDropPercent: 80,
+    minPeakLiquidityUsd: 1000,
+    // The creator selling this share of what they bought is a dev dump
+    devDumpPercent: 50,
+    // Trade price this far below its peak is a rug
+    rugPriceDropPercent: 90,
+    // Launches of other creators with the same funding source count this much
+    linkedWeight: 0.5,
+    // Pages of 1000 signatures read back to a creator's first transaction; longer histories are not linked
+    maxFundingSignaturePages: 10,
+    // Below this a creator counts as a failed risk check
+    minReputationScore: 0.3,
+    // Bad launches, own plus linked, after which a creator is blacklisted
+    blacklistAfterBadLaunches: 3,
+    // How far reputation moves a token's score either way (0.3 = up to ±30%)
+    scoreImpact: 0.3,
+  },
+  // LP burn and lock verification. Thresholds are trading.pairFiltering.advancedFiltering.minLpTokenBurnPercent
+  // and scanner.liquidityAnalysis.advancedLiquidityAnalysis.minLiquidityLockDays; locks count towards the
+  // burn threshold when scanner.newPairDetection.advancedDetection.checkLiquidityLocking is on
+  lpLock: {
+    // Programs whose accounts hold locked LP tokens. Permanent lockers never release them
+    lockerPrograms: {
+      'LockrWmn6K5twhz3y9w1dQERbmgSaRkfnTeTKbpofwE': { name: 'Raydium Burn & Earn', permanent: true },
+      'LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn': { name: 'Jupiter Lock', permanent: false },
+      'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m': { name: 'Streamflow', permanent: false },
+    },
+    cacheTtlMs: 10 * 60 * 1000,
+  },
+  // Default risk policy of riskFilter.isTokenSafe. Seeded into the risk_policy risk setting, which is what is applied
+  riskPolicy: {
+    version: 1,
+    // A token whose fired rule weights add up to this is rejected
+    rejectScore: 1.0,
+    // What happens when a check errors: fail-open (its rules do not fire), fail-closed (they all fire as vetoes,
+    // rejecting the token), or retry up to `retries` times and then fail closed
+    checks: {
+      blacklist: { onError: 'fail-closed' },
+      riskAnalysis: { onError: 'fail-closed' },
+      honeypot: { onError: 'retry', retries: 2, retryDelayMs: 2000 },
+      rugPull: { onError: 'fail-closed' },
+      tokenExtensions: { onError: 'retry', retries: 1, retryDelayMs: 1000 },
+      deployerReputation: { onError: 'fail-open' },
+      liquidityLock: { onError: 'retry', retries: 1, retryDelayMs: 1000 },
+    },
+    // Rules fire when `when` (a field of the check's result, ! to negate) is truthy. Vetoes reject on their own
+    rules: {
+      blacklisted: { check: 'blacklist', when: 'isBlacklisted', veto: true },
+      honeypot: { check: 'honeypot', when: 'isHoneypot', veto: true },
+      dangerousExtensions: { check: 'tokenExtensions', when: 'isRisky', veto: true },
+      blacklistedCreator: { check: 'deployerReputation', when: 'isBlacklisted', veto: true },
+      riskAnalysis: { check: 'riskAnalysis', when: 'isRisky', weight: 0.5 },
+      rugPull: { check: 'rugPull', when: 'isRugPullRisk', weight: 0.5 },
+      poorCreatorReputation: { check: 'deployerReputation', when: 'isRisky', weight: 0.5 },
+      liquidityNotLocked: { check: 'liquidityLock', when: '!passes', weight: 0.5 },
+    },
+    // Checks whitelisted tokens skip; every other check still runs
+    whitelist: {
+      skipChecks: ['riskAnalysis', 'rugPull', 'deployerReputation', 'liquidityLock'],
+    },
+    // How long the stored policy is used before it is read again
+    cacheTtlMs: 60 * 1000,
+  },
+  // Portfolio-level limits checked before every entry, and the loss circuit breaker
+  portfolioRisk: {
+    enabled: process.env.PORTFOLIO_RISK_ENABLED !== 'false',
+    // Total SOL in open positions, at entry size, including the new entry
+    maxOpenExposureSol: parseFloat(process.env.MAX_OPEN_EXPOSURE_SOL || '0.4'),
+    // Open SOL per venue (lowercase, without suffixes like -direct); default applies to unlisted venues
+    venueLimitsSol: {
+      default: 0.25,
+    },
+    // Open SOL per cohort (the entry strategy, or manual for trades without one)
+    cohortLimitsSol: {
+      default: 0.25,
+    },
+    // Realized plus unrealized loss since UTC midnight that halts entries until the next UTC midnight
+    maxDailyLossSol: parseFloat(process.env.MAX_DAILY_LOSS_SOL || '0.15'),
+    // Drop from the peak of cumulative P/L over the rolling window that halts entries until it recovers
+    rollingWindowHours: 72,
+    maxRollingDrawdownSol: parseFloat(process.env.MAX_ROLLING_DRAWDOWN_SOL || '0.25'),
+    // Sell every open position when a breaker trips
+    flattenOnBreach: process.env.FLATTEN_ON_BREACH === 'true',
+    // How often the breakers are evaluated
+    checkIntervalMinutes: 1,
+  },
+  // Websocket watch on open positions' pools and creators that sells at once on a liquidity pull or dev dump
+  emergencyExits: {
+    enabled: process.env.EMERGENCY_EXITS_ENABLED !== 'false',
+    // Websocket endpoint for the subscriptions; derived from the current RPC endpoint when unset
+    wsEndpoint: process.env.EMERGENCY_EXITS_WS_ENDPOINT || null,
+    // Pools watched per position, deepest first
+    maxPoolsPerToken: 2,
+    // A pool's quote vault this far below its highest balance since the watch began is a liquidity pull
+    lpPullDropPercent: 50,
+    // The creator moving out this share of their tokens since the watch began is a dev dump...
+    devSellPercent: 30,
+    // ...as long as it is at least this share of the supply
+    minDevSellSupplyPercent: 1,
+    // How often the watches are matched to the open positions and failed exits retried
+    syncIntervalSeconds: 15,
+  },
+  // Reconciles open trades in the database against the wallet's token balances
+  positionLedger: {
+    enabled: process.env.POSITION_LEDGER_ENABLED !== 'false',
+    // How often the ledger is reconciled after the startup pass
+    reconcileIntervalMinutes: 5,
+    // Holdings worth less than this are dust: open trades are closed out, orphans are not adopted
+    dustValueUsd: 1,
+    // Wallet balance may differ from the recorded size by this much before the trade is resized
+    balanceTolerancePercent: 1,
+    // Tokens in the wallet with no open trade are tracked as positions
+    adoptOrphans: true,
+    // Trades younger than this are skipped, the buy may not have settled yet
+    minTradeAgeMs: 2 * 60 * 1000,
+    // Unpriced or dust holdings are not re-priced for this long
+    ignoreRecheckMs: 60 * 60 * 1000,
+    // Mints that are never positions
+    ignoredMints: [
+      'So11111111111111111111111111111111111111112', // Wrapped SOL
+      'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+      'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+    ],
+  },
+  // Follows sent swap transactions until they are confirmed, finalized or expired
+  transactionTracker: {
+    pollIntervalMs: 2000,
+    // Blocks a blockhash stays valid for; used when a swap path does not report its lastValidBlockHeight
+    blockhashValidityBlocks: 150,
+    // Keep polling confirmed transactions until they are finalized
+    trackFinalized: true,
+    // Give up on a signature after this long if block height cannot be read
+    maxTrackingMs: 5 * 60 * 1000,
+  },
+  // Compute unit price for every swap, sampled from recent fees on the accounts it touches
+  priorityFees: {
+    enabled: process.env.PRIORITY_FEES_ENABLED !== 'false',
+    // Used when no fees can be sampled
+    defaultMicroLamports: 10000,
+    minMicroLamports: 1000,
+    maxMicroLamports: parseInt(process.env.MAX_PRIORITY_FEE_MICROLAMPORTS || '2000000'),
+    // Percentile of recent fees paid per urgency; exits outbid entries
+    percentiles: {
+      entry: 50,
+      takeProfit: 75,
+      stopLoss: 90,
+      emergency: 99,
+    },
+    // When most recent slots paid more than the default fee the network is congested
+    congestedSlotRatio: 0.5,
+    congestionMultiplier: 1.5,
+    // Each resubmission of the same order pays more, up to maxIncreaseFactor times the first fee
+    retryMultiplier: 1.5,
+    maxIncreaseFactor: 4.0,
+    // Compute units assumed when a fee has to be expressed as a total in lamports
+    defaultComputeUnits: 300000,
+    sampleCacheMs: 10000,
+  },
+  // Quotes every eligible venue for a swap and executes on the best net-of-fees output
+  venueRouter: {
+    enabled: process.env.VENUE_ROUTER_ENABLED !== 'false',
+    // Declared venue order; quotes are ranked by net output and ties go to the earlier venue
+    venues: [
+      { name: 'jupiter', enabled: true, computeUnits: 300000 },
+      { name: 'apeJupiter', enabled: true, computeUnits: 300000 },
+      { name: 'raydium', enabled: true, computeUnits: 200000, swapFeeBps: 25 },
+      { name: 'pumpSwap', enabled: true, computeUnits: 150000 },
+    ],
+    // Venues that have not quoted by then are left out of the ranking
+    quoteTimeoutMs: 5000,
+    // Simulate each transaction before sending; a failed simulation falls through to the next venue
+    simulate: true,
+  },
+  // Token blacklist and whitelist, stored in the token_lists table and editable from the dashboard and CLI
+  tokenLists: {
+    // Whitelisted on first run only; later edits live in the database
+    whitelistSeed: [
+      { tokenAddress: 'ER7qoXEsKfmmLehwmZaK1WVoDTxSBWsnqEKgcVYFpump', reason: '◎ token' },
+      { tokenAddress: 'fESbUKjuMY6jzDH9VP8cy4p3pu2q5W2rK2XghVfNseP', reason: 'SOLANA token' },
+      { tokenAddress: 'So11111111111111111111111111111111111111112', reason: 'Wrapped SOL' },
+      { tokenAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', reason: 'USDC' },
+      { tokenAddress: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', reason: 'USDT' },
+      { tokenAddress: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', reason: 'BONK' },
+      { tokenAddress: 'WENWENvqqNya429ubCdR81ZmD69brwQaaBYY6p3LCpk', reason: 'WEN' },
+      { tokenAddress: 'F3nefJBcejYbtdREjui1T9DPh5dBgpkKq7u2GAAMXs5B', reason: 'PYTH' },
+      { tokenAddress: 'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', reason: 'MSOL' },
+      { tokenAddress: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', reason: 'JUP' },
+      { tokenAddress: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', reason: 'PYTH' },
+      { tokenAddress: 'AFbX8oGjGpmVFywbVouvhQSRmiW2aR1mohfahi4Y2AdB', reason: 'GST' },
+      { tokenAddress: '7i5KKsX2weiTkry7jA4ZwSuXGhs5eJBEjY8vVxR4pfRx', reason: 'GMT' },
+      { tokenAddress: 'kinXdEcpDQeHPEuQnqmUgtYykqKGVFq6CeVX5iAHJq6', reason: 'KIN' },
+      { tokenAddress: 'HxRELUQfvvjToVbacjr9YECdfQMUqGgPYB68jVDYxkbr', reason: 'NANA' },
+      { tokenAddress: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', reason: 'WOOF' },
+      { tokenAddress: 'HCgybxq5Upy8Mccihrp7EsmwwFqYZtrHrsmsKwtGXLgW', reason: 'SAMO' },
+      { tokenAddress: 'MNDEFzGvMt87ueuHvVU9VcTqsAP5b3fTGPsHuuPA5ey', reason: 'MNDE' },
+      { tokenAddress: 'SHDWyBxihqiCj6YekG2GUr7wqKLeLAMK1gHZck9pL6y', reason: 'SHDW' },
+      { tokenAddress: 'zebeczgi5fSEtbpfQKVZKCJ3WgYXxjkMUkNNx7fLKAF', reason: 'ZBC' },
+      { tokenAddress: 'BLwTnYKqf7u4qjgZrrsKeNs2EzWkMLqVCu6j8iHyrNA3', reason: 'BLT' },
+      { tokenAddress: 'Saber2gLauYim4Mvftnrasomsv6NvAuncvMEZwcLpD1', reason: 'SBR' },
+      { tokenAddress: 'MangoCzJ36AjZyKwVj3VnYU4GTonjfVEnJmvvWaxLac', reason: 'MNGO' },
+      { tokenAddress: 'StepAscQoEioFxxWGnh2sLBDFp9d8rvKz2Yp39iDpyT', reason: 'STEP' },
+      { tokenAddress: 'CASHVDm2wsJXfhj6VWxb7GiMdoLc17Du7paH4bNr5woT', reason: 'CASH' },
+      { tokenAddress: 'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE', reason: 'ORCA' },
+      { tokenAddress: 'RLBxxFkseAZ4RgJH3Sqn8jXxhmGoz9jWxDNJMh8pL7a', reason: 'RLB' },
+      { tokenAddress: 'DFL1zNkaGPWm1BqAVqRjCZvHmwTFrEaJtbzJWgseoNJh', reason: 'DFL' },
+      { tokenAddress: 'HfYFjMKNZygfMC8LsQ8LtpPsPxEJoXJx4M6tqi75Hajo', reason: 'CWAR' },
+      { tokenAddress: 'BRENm9SgYAEVYmQrZJQwcjJAqmw7W3oRsJBesHiDR2m3', reason: 'BREN' },
+      { tokenAddress: 'WIFZBdYP3XfzJEfryJjEjKdY1mHQGQxXgELLcEL1ZuT', reason: 'WIF' },
+      { tokenAddress: 'AiEXZFNs4Af1L8oCQnQTrTJ1Fv8i3KKqPfPx2SDjRCQr', reason: 'AI' },
+      { tokenAddress: 'METAmTMXwdb8gYzyCPfXXFmZZw4rUsXX58PNsDg7zjL', reason: 'META' },
+    ],
+    // Tokens whose launch deployer reputation settles as a rug, pulled LP or dev dump are blacklisted (auto-rug)
+    blacklistRugs: true,
+    // Failed trades after which a token is blacklisted, and for how long (0 = for good)
+    failedTradesToBlacklist: 2,
+    failedTradeBlacklistHours: 24,
+    // How often the bot reloads the lists, picking up changes made through the CLI
+    reloadIntervalMinutes: 1,
+  },
+  // Per-token execution profiles, stored in the token_profiles table and editable from the dashboard
+  tokenProfiles: {
+    // Written to the table on first run only; later edits live in the database
+    seed: [
+      {
+        tokenAddress: 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN',
+        symbol: 'CAT',
+        forcedVenue: 'raydium',
+        defaultSlippagePercent: 2,
+        minSlippagePercent: 2,
+        maxSlippagePercent: 15,
+        status: 'allowed',
+        notes: 'Jupiter routes fail, trade on the Raydium pool',
+      },
+      {
+        tokenAddress: 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU',
+        symbol: 'DOG',
+        forcedVenue: 'raydium',
+        defaultSlippagePercent: 2,
+        minSlippagePercent: 2,
+        maxSlippagePercent: 15,
+        status: 'allowed',
+        notes: 'Jupiter routes fail, trade on the Raydium pool',
+      },
+      {
+        tokenAddress: 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',
+        symbol: 'LOL',
+        forcedVenue: 'raydium',
+        defaultSlippagePercent: 1,
+        minSlippagePercent: 1,
+        maxSlippagePercent: 10,
+        status: 'allowed',
+        notes: 'Raydium pool uses a non-standard AMM program',
+      },
+    ],
+  },
+  // Offline backtesting over recorded market data
+  backtest: {
+    // Write every raw DexScreener scan to disk so it can be replayed later
+    captureSnapshots: process.env.CAPTURE_DEXSCREENER_SNAPSHOTS === 'true',
+    snapshotDir: process.env.DEXSCREENER_SNAPSHOT_DIR || './data/dexscreener-snapshots',
+    initialCapitalSol: 1,
+    // Simulated clock tick, matches the live price update cadence
+    stepMs: 60000,
+    // A recorded price is treated as current for this long after it was observed
+    maxPriceAgeMs: 15 * 60 * 1000,
+    // Fixed SOL/USD rate used to convert recorded USD prices, the replay never goes online
+    solPriceUsd: 150,
+    maxConcurrentPositions: 5,
+    // Fill model applied to every simulated buy and sell
+    fills: {
+      slippagePercent: 1,
+      feePercent: 0.25, // DEX swap fee
+      networkFeeSol: 0.0001, // Base plus priority fee per transaction
+      priceImpact: true, // Constant-product price impact from recorded liquidity
+    },
+  },
   database: {
-    dbPath: process.env.DB_PATH || './data/trades.db',
+    // Paper trading keeps its trades and ledger in a separate database
+    dbPath: process.env.DB_PATH || (process.env.PAPER_TRADING === 'true' ? './data/paper-trades.db' : './data/trades.db'),
   },
   rpc: {
     endpoints: [
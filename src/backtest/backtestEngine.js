@@ -0,0 +1,307 @@
+/**
+ * Backtest Engine
+ *
+ * Replays recorded market data through the bot's own decision logic:
+ * tokenScorer for entries, riskFilter for safety and exitRules for take
+ * profit, stop loss and the time exits. Time comes from a simulated clock
+ * and every order goes through the fill model, so a run is deterministic and
+ * offline.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const tokenScorer = require('../modules/tokenScorer');
+const riskFilter = require('../modules/riskFilter');
+const exitRules = require('../modules/exitRules');
+const HistoricalData = require('./historicalData');
+const ReplayDataSource = require('./replayDataSource');
+const SimulatedClock = require('./simulatedClock');
+const FillModel = require('./fillModel');
+
+class BacktestEngine {
+  /**
+   * Create a backtest
+   * @param {Object} options - Overrides for config.backtest
+   */
+  constructor(options = {}) {
+    const overrides = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    const settings = { ...config.backtest, ...overrides };
+
+    this.from = settings.from || 0;
+    this.to = settings.to || Date.now();
+    this.snapshotDir = settings.snapshotDir;
+    this.initialCapitalSol = settings.initialCapitalSol;
+    this.stepMs = settings.stepMs;
+    this.maxPriceAgeMs = settings.maxPriceAgeMs;
+    this.solPriceUsd = settings.solPriceUsd;
+    this.maxConcurrentPositions = settings.maxConcurrentPositions;
+    this.positionSizeSol = settings.positionSizeSol || config.trading.maxTradeSizeSol;
+    this.minScore = settings.minScore !== undefined ? settings.minScore : tokenScorer.minScore;
+    this.takeProfitPercent = settings.takeProfitPercent || config.trading.tpPercentage;
+    this.stopLossPercent = settings.stopLossPercent || config.trading.slPercentage;
+
+    this.fillModel = new FillModel(settings.fills);
+    this.clock = new SimulatedClock(this.from);
+  }
+
+  /**
+   * Run the backtest
+   * @returns {Promise<Object>} - Summary, equity curve and trade log
+   */
+  async run() {
+    const data = await new HistoricalData().load({
+      from: this.from,
+      to: this.to,
+      snapshotDir: this.snapshotDir,
+    });
+
+    this.cashSol = this.initialCapitalSol;
+    this.positions = new Map();
+    this.tradeLog = [];
+    this.equityCurve = [];
+
+    if (data.startTime === null) {
+      logger.warn('No recorded data in the requested range, nothing to backtest');
+      return this.buildReport();
+    }
+
+    this.clock = new SimulatedClock(data.startTime);
+    riskFilter.setDataSource(new ReplayDataSource(data, this.clock));
+
+    try {
+      let candidateIndex = 0;
+
+      for (let time = data.startTime; time <= data.endTime + this.stepMs; time += this.stepMs) {
+        this.clock.advanceTo(time);
+
+        this.markPositions(data);
+        this.processExits(data);
+
+        // Everything discovered since the previous tick
+        const candidates = [];
+        while (candidateIndex < data.candidates.length && data.candidates[candidateIndex].timestamp <= time) {
+          candidates.push(data.candidates[candidateIndex]);
+          candidateIndex++;
+        }
+        await this.processEntries(data, candidates);
+
+        this.equityCurve.push({ timestamp: time, equitySol: this.getEquity() });
+      }
+
+      // Close whatever is still open at the last known price
+      for (const position of Array.from(this.positions.values())) {
+        this.closePosition(data, position, 'END');
+      }
+      this.equityCurve.push({ timestamp: this.clock.now(), equitySol: this.getEquity() });
+    } finally {
+      riskFilter.setDataSource(null);
+    }
+
+    return this.buildReport();
+  }
+
+  /**
+   * Update open positions with the latest recorded prices
+   * @param {HistoricalData} data - Historical data
+   */
+  markPositions(data) {
+    const now = this.clock.now();
+
+    for (const position of this.positions.values()) {
+      const point = data.getPriceAt(position.tokenAddress, now);
+      if (!point || now - point.timestamp > this.maxPriceAgeMs) {
+        continue;
+      }
+
+      // A recorded price counts as current until it is older than maxPriceAgeMs
+      position.currentPrice = point.priceUsd;
+      position.priceTimestamp = now;
+      position.profitLossPercent = ((point.priceUsd - position.buyPrice) / position.buyPrice) * 100;
+    }
+  }
+
+  /**
+   * Close positions that hit their take profit or stop loss
+   * @param {HistoricalData} data - Historical data
+   */
+  processExits(data) {
+    for (const position of Array.from(this.positions.values())) {
+      const exit = exitRules.evaluateExit(position, this.clock.now());
+      if (exit) {
+        this.closePosition(data, position, exit.reason);
+      }
+    }
+  }
+
+  /**
+   * Score, risk check and open positions for newly discovered candidates
+   * @param {HistoricalData} data - Historical data
+   * @param {Array} candidates - Candidates discovered since the last tick
+   */
+  async processEntries(data, candidates) {
+    const now = this.clock.now();
+    const scored = [];
+
+    for (const candidate of candidates) {
+      const tokenAddress = candidate.pair.baseToken.address;
+      if (this.positions.has(tokenAddress)) {
+        continue;
+      }
+
+      const sentimentScore = data.getSentimentAt(tokenAddress, now);
+      const scores = tokenScorer.calculateScores(candidate.pair, sentimentScore);
+      if (scores.score >= this.minScore) {
+        scored.push({ candidate, score: scores.score });
+      }
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+
+    for (const { candidate, score } of scored) {
+      if (this.positions.size >= this.maxConcurrentPositions) {
+        break;
+      }
+      if (this.cashSol < this.positionSizeSol + this.fillModel.networkFeeSol) {
+        break;
+      }
+
+      const tokenAddress = candidate.pair.baseToken.address;
+      if (this.positions.has(tokenAddress)) {
+        continue;
+      }
+
+      const point = data.getPriceAt(tokenAddress, now);
+      if (!point || now - point.timestamp > this.maxPriceAgeMs) {
+        continue;
+      }
+
+      const safetyCheck = await riskFilter.isTokenSafe(tokenAddress);
+      if (!safetyCheck.isSafe) {
+        continue;
+      }
+
+      this.openPosition(data, candidate, score, point);
+    }
+  }
+
+  openPosition(data, candidate, score, point) {
+    const now = this.clock.now();
+    const tokenAddress = candidate.pair.baseToken.address;
+    const fill = this.fillModel.buy({
+      priceUsd: point.priceUsd,
+      sizeSol: this.positionSizeSol,
+      solPriceUsd: this.solPriceUsd,
+      liquidityUsd: data.getLiquidityAt(tokenAddress, now),
+    });
+
+    this.cashSol -= fill.costSol;
+
+    // Same shape as pnlTracker's active trades so the exit rules apply unchanged
+    this.positions.set(tokenAddress, {
+      tokenAddress,
+      tokenSymbol: candidate.pair.baseToken.symbol,
+      source: candidate.source,
+      score,
+      buyPrice: fill.fillPrice,
+      buyTimestamp: now,
+      tokenAmount: fill.tokenAmount,
+      entrySizeSol: fill.costSol,
+      entryFeesSol: fill.feesSol,
+      entryPriceImpactPercent: fill.priceImpactPercent,
+      currentPrice: point.priceUsd,
+      priceTimestamp: now,
+      profitLossPercent: ((point.priceUsd - fill.fillPrice) / fill.fillPrice) * 100,
+      takeProfitPrice: fill.fillPrice * (1 + this.takeProfitPercent / 100),
+      stopLossPrice: fill.fillPrice * (1 - this.stopLossPercent / 100),
+    });
+  }
+
+  closePosition(data, position, reason) {
+    const now = this.clock.now();
+    const fill = this.fillModel.sell({
+      priceUsd: position.currentPrice,
+      tokenAmount: position.tokenAmount,
+      solPriceUsd: this.solPriceUsd,
+      liquidityUsd: data.getLiquidityAt(position.tokenAddress, now),
+    });
+
+    this.cashSol += fill.proceedsSol;
+    this.positions.delete(position.tokenAddress);
+
+    const profitLossSol = fill.proceedsSol - position.entrySizeSol;
+    this.tradeLog.push({
+      tokenAddress: position.tokenAddress,
+      tokenSymbol: position.tokenSymbol,
+      source: position.source,
+      score: position.score,
+      entryTime: position.buyTimestamp,
+      exitTime: now,
+      holdTimeMs: now - position.buyTimestamp,
+      entryPrice: position.buyPrice,
+      exitPrice: fill.fillPrice,
+      sizeSol: position.entrySizeSol,
+      proceedsSol: fill.proceedsSol,
+      feesSol: position.entryFeesSol + fill.feesSol,
+      profitLossSol,
+      profitLossPercent: (profitLossSol / position.entrySizeSol) * 100,
+      exitReason: reason,
+    });
+  }
+
+  /**
+   * Cash plus open positions marked at their last price, before exit costs
+   * @returns {number} - Equity in SOL
+   */
+  getEquity() {
+    let equity = this.cashSol;
+    for (const position of this.positions.values()) {
+      equity += (position.tokenAmount * position.currentPrice) / this.solPriceUsd;
+    }
+    return equity;
+  }
+
+  /**
+   * Summarize the run
+   * @returns {Object} - Summary, equity curve and trade log
+   */
+  buildReport() {
+    const wins = this.tradeLog.filter(trade => trade.profitLossSol > 0);
+    const finalEquitySol = this.equityCurve.length > 0
+      ? this.equityCurve[this.equityCurve.length - 1].equitySol
+      : this.initialCapitalSol;
+
+    // Largest peak-to-trough fall of the equity curve
+    let peak = this.initialCapitalSol;
+    let maxDrawdownPercent = 0;
+    for (const point of this.equityCurve) {
+      peak = Math.max(peak, point.equitySol);
+      if (peak > 0) {
+        maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - point.equitySol) / peak) * 100);
+      }
+    }
+
+    const totalTrades = this.tradeLog.length;
+    return {
+      summary: {
+        from: this.equityCurve.length > 0 ? this.equityCurve[0].timestamp : this.from,
+        to: this.equityCurve.length > 0 ? this.equityCurve[this.equityCurve.length - 1].timestamp : this.to,
+        initialCapitalSol: this.initialCapitalSol,
+        finalEquitySol,
+        totalReturnPercent: ((finalEquitySol - this.initialCapitalSol) / this.initialCapitalSol) * 100,
+        totalTrades,
+        winningTrades: wins.length,
+        losingTrades: totalTrades - wins.length,
+        winRate: totalTrades > 0 ? (wins.length / totalTrades) * 100 : 0,
+        maxDrawdownPercent,
+        averageProfitLossPercent: totalTrades > 0
+          ? this.tradeLog.reduce((sum, trade) => sum + trade.profitLossPercent, 0) / totalTrades
+          : 0,
+        totalFeesSol: this.tradeLog.reduce((sum, trade) => sum + trade.feesSol, 0),
+      },
+      equityCurve: this.equityCurve,
+      trades: this.tradeLog,
+    };
+  }
+}
+
+module.exports = BacktestEngine;
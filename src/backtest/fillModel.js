@@ -0,0 +1,85 @@
+/**
+ * Fill Model
+ *
+ * Turns a recorded market price into the price a simulated order would have
+ * filled at: fixed slippage, price impact against the pool's recorded
+ * liquidity, the DEX swap fee and the network fee for each transaction.
+ */
+
+class FillModel {
+  /**
+   * Create a fill model
+   * @param {Object} settings - config.backtest.fills
+   */
+  constructor(settings = {}) {
+    this.slippagePercent = settings.slippagePercent || 0;
+    this.feePercent = settings.feePercent || 0;
+    this.networkFeeSol = settings.networkFeeSol || 0;
+    this.priceImpact = settings.priceImpact !== false;
+  }
+
+  /**
+   * Price impact of an order against a constant-product pool
+   * @param {number} sizeUsd - Order size in USD
+   * @param {number} liquidityUsd - Total pool liquidity in USD (both sides)
+   * @returns {number} - Price impact in percent
+   */
+  calculatePriceImpact(sizeUsd, liquidityUsd) {
+    if (!this.priceImpact || !liquidityUsd || liquidityUsd <= 0) {
+      return 0;
+    }
+
+    // Half of the pool's liquidity sits on the side the order trades against
+    const reserveUsd = liquidityUsd / 2;
+    return (sizeUsd / (reserveUsd + sizeUsd)) * 100;
+  }
+
+  /**
+   * Simulate a buy
+   * @param {Object} order - Order details
+   * @param {number} order.priceUsd - Recorded token price in USD
+   * @param {number} order.sizeSol - SOL to spend
+   * @param {number} order.solPriceUsd - SOL price in USD
+   * @param {number} order.liquidityUsd - Recorded pool liquidity in USD
+   * @returns {Object} - Fill price, tokens received, total SOL cost and fees
+   */
+  buy({ priceUsd, sizeSol, solPriceUsd, liquidityUsd }) {
+    const priceImpactPercent = this.calculatePriceImpact(sizeSol * solPriceUsd, liquidityUsd);
+    const fillPrice = priceUsd * (1 + (this.slippagePercent + priceImpactPercent) / 100);
+    const swapFeeSol = sizeSol * (this.feePercent / 100);
+    const tokenAmount = ((sizeSol - swapFeeSol) * solPriceUsd) / fillPrice;
+
+    return {
+      fillPrice,
+      tokenAmount,
+      costSol: sizeSol + this.networkFeeSol,
+      feesSol: swapFeeSol + this.networkFeeSol,
+      priceImpactPercent,
+    };
+  }
+
+  /**
+   * Simulate a sell
+   * @param {Object} order - Order details
+   * @param {number} order.priceUsd - Recorded token price in USD
+   * @param {number} order.tokenAmount - Tokens to sell
+   * @param {number} order.solPriceUsd - SOL price in USD
+   * @param {number} order.liquidityUsd - Recorded pool liquidity in USD
+   * @returns {Object} - Fill price, SOL received and fees
+   */
+  sell({ priceUsd, tokenAmount, solPriceUsd, liquidityUsd }) {
+    const priceImpactPercent = this.calculatePriceImpact(tokenAmount * priceUsd, liquidityUsd);
+    const fillPrice = priceUsd * Math.max(0, 1 - (this.slippagePercent + priceImpactPercent) / 100);
+    const grossSol = (tokenAmount * fillPrice) / solPriceUsd;
+    const swapFeeSol = grossSol * (this.feePercent / 100);
+
+    return {
+      fillPrice,
+      proceedsSol: grossSol - swapFeeSol - this.networkFeeSol,
+      feesSol: swapFeeSol + this.networkFeeSol,
+      priceImpactPercent,
+    };
+  }
+}
+
+module.exports = FillModel;
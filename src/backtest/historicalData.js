@@ -0,0 +1,359 @@
+/**
+ * Historical Data
+ *
+ * Loads everything the bot recorded about the market over a time range and
+ * answers point-in-time questions about it: which pairs were discovered when,
+ * what a token's price and liquidity were at a given moment and what its last
+ * sentiment score was. Nothing here touches the network.
+ *
+ * Sources:
+ * - DexScreener snapshots written by marketScanner (config.backtest.snapshotDir)
+ * - NEW_PAIR_DETECTED events
+ * - pumpfun_new_tokens and pumpfun_token_trades
+ * - token_scores (sentiment) and tokens (static token attributes)
+ * - token_lists (blacklist and whitelist entries, by when they were added)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+
+class HistoricalData {
+  constructor() {
+    this.candidates = [];
+    this.priceSeries = new Map();
+    this.sentimentSeries = new Map();
+    this.tokens = new Map();
+    this.listEntries = new Map();
+    this.startTime = null;
+    this.endTime = null;
+  }
+
+  /**
+   * Load recorded data for a time range
+   * @param {Object} options - Load options
+   * @param {number} options.from - Start of the range (ms timestamp)
+   * @param {number} options.to - End of the range (ms timestamp)
+   * @param {string} options.snapshotDir - Directory of DexScreener snapshot files
+   * @returns {Promise<HistoricalData>} - This instance, for chaining
+   */
+  async load({ from = 0, to = Date.now(), snapshotDir = null } = {}) {
+    const [tokenRows, listRows, pairEvents, scoreRows, pumpFunTokens, pumpFunTrades] = await Promise.all([
+      database.getAllTokens(),
+      database.getTokenListEntries(),
+      database.getEventsInRange('NEW_PAIR_DETECTED', from, to),
+      database.getTokenScoresInRange(from, to),
+      database.getPumpFunNewTokensInRange(from, to),
+      database.getPumpFunTradesInRange(from, to),
+    ]);
+
+    for (const row of tokenRows) {
+      this.tokens.set(row.address, row);
+    }
+    for (const row of listRows) {
+      this.listEntries.set(row.token_address, {
+        tokenAddress: row.token_address,
+        list: row.list_type,
+        reason: row.reason || null,
+        source: row.source,
+        expiresTimestamp: row.expires_timestamp || null,
+        createdTimestamp: row.created_timestamp,
+      });
+    }
+
+    if (snapshotDir) {
+      this.loadSnapshots(snapshotDir, from, to);
+    }
+    this.loadPairEvents(pairEvents);
+    this.loadPumpFunData(pumpFunTokens, pumpFunTrades);
+
+    for (const row of scoreRows) {
+      if (row.sentiment_score !== null && row.sentiment_score !== undefined) {
+        this.addPoint(this.sentimentSeries, row.token_address, {
+          timestamp: row.timestamp,
+          score: row.sentiment_score,
+        });
+      }
+    }
+
+    // Static token prices only count if they were observed inside the range
+    for (const row of tokenRows) {
+      const timestamp = row.last_updated_timestamp;
+      if (row.price_usd > 0 && timestamp >= from && timestamp <= to) {
+        this.addPrice(row.address, timestamp, row.price_usd, row.liquidity);
+      }
+    }
+
+    this.finalize();
+
+    logger.info(`Loaded backtest data: ${this.candidates.length} candidates, ${this.priceSeries.size} priced tokens, ${this.tokens.size} token records`);
+    return this;
+  }
+
+  /**
+   * Load DexScreener snapshot files
+   * Files contain either { capturedAt, pairs } or a bare array of pairs, in
+   * which case the file's modification time is used as the capture time.
+   * @param {string} snapshotDir - Snapshot directory
+   * @param {number} from - Start of the range (ms timestamp)
+   * @param {number} to - End of the range (ms timestamp)
+   */
+  loadSnapshots(snapshotDir, from, to) {
+    if (!fs.existsSync(snapshotDir)) {
+      logger.warn(`Snapshot directory not found: ${snapshotDir}`);
+      return;
+    }
+
+    const files = fs.readdirSync(snapshotDir).filter(file => file.endsWith('.json'));
+    const seenPairs = new Set();
+    const snapshots = [];
+
+    for (const file of files) {
+      const filePath = path.join(snapshotDir, file);
+      try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const pairs = Array.isArray(content) ? content : content.pairs;
+        const capturedAt = Array.isArray(content) || !content.capturedAt
+          ? fs.statSync(filePath).mtimeMs
+          : Number(content.capturedAt);
+
+        if (Array.isArray(pairs) && capturedAt >= from && capturedAt <= to) {
+          snapshots.push({ capturedAt, pairs });
+        }
+      } catch (error) {
+        logger.warn(`Skipping unreadable snapshot ${file}: ${error.message}`);
+      }
+    }
+
+    snapshots.sort((a, b) => a.capturedAt - b.capturedAt);
+
+    for (const { capturedAt, pairs } of snapshots) {
+      for (const pair of pairs) {
+        const tokenAddress = pair?.baseToken?.address;
+        if (!tokenAddress) {
+          continue;
+        }
+
+        this.addPrice(tokenAddress, capturedAt, parseFloat(pair.priceUsd), pair.liquidity?.usd);
+
+        // Like the live scanner, a pair is only a candidate the first time it is seen
+        if (pair.pairAddress && !seenPairs.has(pair.pairAddress)) {
+          seenPairs.add(pair.pairAddress);
+          this.candidates.push({ timestamp: capturedAt, source: 'dexscreener', pair });
+        }
+      }
+    }
+  }
+
+  /**
+   * Load NEW_PAIR_DETECTED events as candidates
+   * @param {Array} events - Event rows
+   */
+  loadPairEvents(events) {
+    for (const event of events) {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        continue;
+      }
+
+      const tokenAddress = typeof data?.baseToken === 'string' ? data.baseToken : data?.baseToken?.address;
+      if (!tokenAddress) {
+        continue;
+      }
+
+      const priceUsd = parseFloat(data.priceUsd);
+      this.addPrice(tokenAddress, event.timestamp, priceUsd, data.liquidity);
+      this.candidates.push({
+        timestamp: event.timestamp,
+        source: 'events',
+        pair: this.buildPair(tokenAddress, {
+          pairAddress: data.pairAddress,
+          quoteToken: data.quoteToken,
+          priceUsd,
+          liquidityUsd: data.liquidity,
+          pairCreatedAt: event.timestamp,
+        }),
+      });
+    }
+  }
+
+  /**
+   * Load PumpFun launches as candidates and their trades as prices
+   * @param {Array} newTokens - pumpfun_new_tokens rows
+   * @param {Array} trades - pumpfun_token_trades rows
+   */
+  loadPumpFunData(newTokens, trades) {
+    for (const trade of trades) {
+      const priceUsd = trade.value_usd > 0 && trade.amount > 0 ? trade.value_usd / trade.amount : trade.price;
+      this.addPrice(trade.token_address, trade.timestamp, priceUsd, null);
+    }
+
+    for (const launch of newTokens) {
+      this.candidates.push({
+        timestamp: launch.timestamp,
+        source: 'pumpfun',
+        pair: this.buildPair(launch.token_address, {
+          symbol: launch.token_symbol,
+          name: launch.token_name,
+          pairCreatedAt: launch.timestamp,
+        }),
+      });
+    }
+  }
+
+  /**
+   * Build a DexScreener-shaped pair from recorded fields so it can be scored
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} fields - Recorded fields
+   * @returns {Object} - Pair data
+   */
+  buildPair(tokenAddress, fields) {
+    const token = this.tokens.get(tokenAddress) || {};
+
+    return {
+      pairAddress: fields.pairAddress || null,
+      dexId: null,
+      baseToken: {
+        address: tokenAddress,
+        symbol: fields.symbol || token.symbol || tokenAddress.substring(0, 6),
+        name: fields.name || token.name || null,
+      },
+      quoteToken: {
+        address: fields.quoteToken || 'So11111111111111111111111111111111111111112',
+      },
+      priceUsd: fields.priceUsd || null,
+      liquidity: { usd: fields.liquidityUsd || 0 },
+      volume: { h24: token.volume_24h || 0 },
+      priceChange: { h24: token.price_change_24h || 0 },
+      pairCreatedAt: fields.pairCreatedAt,
+    };
+  }
+
+  addPrice(tokenAddress, timestamp, priceUsd, liquidityUsd) {
+    if (!(priceUsd > 0) || !timestamp) {
+      return;
+    }
+
+    this.addPoint(this.priceSeries, tokenAddress, {
+      timestamp,
+      priceUsd,
+      liquidityUsd: liquidityUsd > 0 ? Number(liquidityUsd) : null,
+    });
+  }
+
+  addPoint(seriesMap, tokenAddress, point) {
+    if (!seriesMap.has(tokenAddress)) {
+      seriesMap.set(tokenAddress, []);
+    }
+    seriesMap.get(tokenAddress).push(point);
+  }
+
+  /**
+   * Sort everything by time and work out the replay's time range
+   */
+  finalize() {
+    this.candidates.sort((a, b) => a.timestamp - b.timestamp);
+
+    const timestamps = this.candidates.map(candidate => candidate.timestamp);
+    for (const series of this.priceSeries.values()) {
+      series.sort((a, b) => a.timestamp - b.timestamp);
+      timestamps.push(series[0].timestamp, series[series.length - 1].timestamp);
+    }
+    for (const series of this.sentimentSeries.values()) {
+      series.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    if (timestamps.length > 0) {
+      this.startTime = timestamps.reduce((min, time) => Math.min(min, time), Infinity);
+      this.endTime = timestamps.reduce((max, time) => Math.max(max, time), -Infinity);
+    }
+  }
+
+  /**
+   * Find the last point at or before a time in a sorted series
+   * @param {Array} series - Points sorted by timestamp
+   * @param {number} time - Time (ms timestamp)
+   * @returns {Object|null} - The point, or null if none was recorded yet
+   */
+  findLatest(series, time) {
+    if (!series || series.length === 0 || series[0].timestamp > time) {
+      return null;
+    }
+
+    let low = 0;
+    let high = series.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (series[mid].timestamp <= time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return series[low];
+  }
+
+  /**
+   * Last recorded price for a token at a point in time
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} time - Time (ms timestamp)
+   * @returns {Object|null} - { timestamp, priceUsd, liquidityUsd } or null
+   */
+  getPriceAt(tokenAddress, time) {
+    return this.findLatest(this.priceSeries.get(tokenAddress), time);
+  }
+
+  /**
+   * Last recorded pool liquidity for a token at a point in time
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} time - Time (ms timestamp)
+   * @returns {number} - Liquidity in USD, 0 if unknown
+   */
+  getLiquidityAt(tokenAddress, time) {
+    const series = this.priceSeries.get(tokenAddress) || [];
+    const withLiquidity = series.filter(point => point.liquidityUsd !== null);
+    const point = this.findLatest(withLiquidity, time);
+    return point ? point.liquidityUsd : 0;
+  }
+
+  /**
+   * Last recorded sentiment score for a token at a point in time
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} time - Time (ms timestamp)
+   * @returns {number} - Sentiment score, 0 if none was recorded
+   */
+  getSentimentAt(tokenAddress, time) {
+    const point = this.findLatest(this.sentimentSeries.get(tokenAddress), time);
+    return point ? point.score : 0;
+  }
+
+  /**
+   * Stored token record
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Object|null} - tokens row or null
+   */
+  getToken(tokenAddress) {
+    return this.tokens.get(tokenAddress) || null;
+  }
+
+  /**
+   * Blacklist or whitelist entry for a token at a point in time
+   * Only the lists' current entries are stored, so a token taken off a list
+   * before the backtest was run is not on it at any time.
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} time - Time (ms timestamp)
+   * @returns {Object|null} - Entry in the shape tokenLists uses, or null if the token was on neither list
+   */
+  getListEntryAt(tokenAddress, time) {
+    const entry = this.listEntries.get(tokenAddress);
+    if (!entry || entry.createdTimestamp > time || (entry.expiresTimestamp && entry.expiresTimestamp <= time)) {
+      return null;
+    }
+    return entry;
+  }
+}
+
+module.exports = HistoricalData;
@@ -0,0 +1,44 @@
+/**
+ * Simulated Clock
+ *
+ * Stands in for Date.now() while a backtest replays recorded data, so every
+ * decision only sees what was known at the simulated time.
+ */
+
+class SimulatedClock {
+  /**
+   * Create a clock
+   * @param {number} startTime - Initial simulated time (ms timestamp)
+   */
+  constructor(startTime = 0) {
+    this.currentTime = startTime;
+  }
+
+  /**
+   * Current simulated time
+   * @returns {number} - Simulated time (ms timestamp)
+   */
+  now() {
+    return this.currentTime;
+  }
+
+  /**
+   * Move the clock forward to a point in time
+   * @param {number} time - Target time (ms timestamp), ignored if in the past
+   */
+  advanceTo(time) {
+    if (time > this.currentTime) {
+      this.currentTime = time;
+    }
+  }
+
+  /**
+   * Move the clock forward by a duration
+   * @param {number} ms - Duration in milliseconds
+   */
+  advanceBy(ms) {
+    this.advanceTo(this.currentTime + ms);
+  }
+}
+
+module.exports = SimulatedClock;
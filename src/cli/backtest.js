@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to backtest the trading logic against recorded market data
+ */
+
+const fs = require('fs');
+const database = require('../utils/database');
+const BacktestEngine = require('../backtest/backtestEngine');
+
+// Process command line arguments
+const args = process.argv.slice(2);
+const showHelp = args.includes('--help') || args.includes('-h');
+const showTrades = args.includes('--trades') || args.includes('-t');
+
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+function parseTime(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(time)) {
+    console.error(`Invalid date: ${value}`);
+    process.exit(1);
+  }
+  return time;
+}
+
+function parseNumber(value) {
+  return value === undefined ? undefined : parseFloat(value);
+}
+
+if (showHelp) {
+  console.log(`
+Backtest CLI
+
+Replays recorded DexScreener snapshots, pair events and PumpFun data through
+the token scorer, risk filter and take profit / stop loss logic. Runs offline.
+
+Usage:
+  node backtest.js [options]
+
+Options:
+  -h, --help               Show this help message
+  -t, --trades             Print the per-trade log
+  --from <date>            Start of the replay (ISO date or ms timestamp)
+  --to <date>              End of the replay (ISO date or ms timestamp)
+  --snapshots <dir>        DexScreener snapshot directory (default: config.backtest.snapshotDir)
+  --capital <sol>          Starting capital in SOL
+  --size <sol>             Position size in SOL
+  --min-score <score>      Minimum token score to enter
+  --tp <percent>           Take profit percentage
+  --sl <percent>           Stop loss percentage
+  --step <seconds>         Simulated clock step
+  --output <file>          Write the full report (summary, equity curve, trades) as JSON
+`);
+  process.exit(0);
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19);
+}
+
+async function main() {
+  try {
+    const step = parseNumber(getOption('--step'));
+    const engine = new BacktestEngine({
+      from: parseTime(getOption('--from')),
+      to: parseTime(getOption('--to')),
+      snapshotDir: getOption('--snapshots'),
+      initialCapitalSol: parseNumber(getOption('--capital')),
+      positionSizeSol: parseNumber(getOption('--size')),
+      minScore: parseNumber(getOption('--min-score')),
+      takeProfitPercent: parseNumber(getOption('--tp')),
+      stopLossPercent: parseNumber(getOption('--sl')),
+      stepMs: step !== undefined ? step * 1000 : undefined,
+    });
+
+    console.log('Running backtest...');
+    const report = await engine.run();
+    const { summary } = report;
+
+    console.log(`
+Backtest Results
+================
+Period:            ${formatTime(summary.from)} -> ${formatTime(summary.to)}
+Starting capital:  ${summary.initialCapitalSol.toFixed(4)} SOL
+Final equity:      ${summary.finalEquitySol.toFixed(4)} SOL
+Total return:      ${summary.totalReturnPercent.toFixed(2)}%
+Trades:            ${summary.totalTrades} (${summary.winningTrades} won, ${summary.losingTrades} lost)
+Win rate:          ${summary.winRate.toFixed(2)}%
+Average P/L:       ${summary.averageProfitLossPercent.toFixed(2)}%
+Max drawdown:      ${summary.maxDrawdownPercent.toFixed(2)}%
+Fees paid:         ${summary.totalFeesSol.toFixed(6)} SOL
+`);
+
+    if (showTrades && report.trades.length > 0) {
+      console.log('Trade Log');
+      console.log('=========');
+      for (const trade of report.trades) {
+        console.log(
+          `${formatTime(trade.entryTime)}  ${trade.tokenSymbol.padEnd(10)} ` +
+          `${trade.exitReason.padEnd(3)}  ${trade.profitLossPercent.toFixed(2).padStart(8)}%  ` +
+          `${trade.profitLossSol.toFixed(6).padStart(10)} SOL  held ${Math.round(trade.holdTimeMs / 60000)}m`
+        );
+      }
+    }
+
+    const outputFile = getOption('--output');
+    if (outputFile) {
+      fs.writeFileSync(outputFile, JSON.stringify(report, null, 2));
+      console.log(`Report written to ${outputFile}`);
+    }
+
+    // Close the database connection
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main();
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to manage the token blacklist and whitelist
+ */
+
+const fs = require('fs');
+const path = require('path');
+const database = require('../utils/database');
+const tokenLists = require('../utils/tokenLists');
+
+// Process command line arguments
+const args = process.argv.slice(2);
+const showHelp = args.length === 0 || args.includes('--help') || args.includes('-h');
+
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+// Positional arguments: everything that is not an option or an option's value
+const VALUE_OPTIONS = ['--list', '--reason', '--hours', '--format', '--out'];
+const positional = args.filter((arg, index) => !arg.startsWith('-') && !VALUE_OPTIONS.includes(args[index - 1]));
+const [command, ...params] = positional;
+
+if (showHelp) {
+  console.log(`
+Token Lists CLI
+
+Manages the token blacklist and whitelist stored in the database. The running
+bot picks up changes within config.tokenLists.reloadIntervalMinutes.
+
+Usage:
+  node token-lists.js list [--list <name>] [--json]
+  node token-lists.js add <blacklist|whitelist> <mint> [--reason <text>] [--hours <n>]
+  node token-lists.js remove <mint> [--list <name>]
+  node token-lists.js export [--format json|csv] [--list <name>] [--out <file>]
+  node token-lists.js import <file> [--format json|csv] [--list <name>] [--reason <text>]
+
+Options:
+  -h, --help           Show this help message
+  --list <name>        blacklist or whitelist; for import, the list of entries that do not name one
+  --reason <text>      Why the token is listed
+  --hours <n>          Remove the entry after this many hours
+  --format <format>    json or csv (import defaults to the file's extension)
+  --out <file>         Write the export to a file instead of printing it
+  --json               Print entries as JSON
+`);
+  process.exit(0);
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+async function main() {
+  try {
+    await tokenLists.initialize();
+
+    switch (command) {
+      case 'list': {
+        const entries = tokenLists.getEntries(getOption('--list') || null);
+        if (args.includes('--json')) {
+          console.log(JSON.stringify(entries, null, 2));
+        } else {
+          console.log(`\n${entries.length} entries\n`);
+          for (const entry of entries) {
+            console.log(
+              `${entry.list.padEnd(10)} ${entry.tokenAddress.padEnd(44)} ${entry.source.padEnd(13)} ` +
+              `expires ${formatTime(entry.expiresTimestamp).padEnd(19)}  ${entry.reason || ''}`
+            );
+          }
+        }
+        break;
+      }
+
+      case 'add': {
+        const [list, tokenAddress] = params;
+        const hours = getOption('--hours');
+        const entry = await tokenLists.add(list, tokenAddress, {
+          reason: getOption('--reason'),
+          expiresInHours: hours !== undefined ? parseFloat(hours) : undefined,
+        });
+        console.log(`Added ${entry.tokenAddress} to the ${entry.list}`);
+        break;
+      }
+
+      case 'remove': {
+        const [tokenAddress] = params;
+        const removed = await tokenLists.remove(tokenAddress, getOption('--list') || null);
+        console.log(removed ? `Removed ${tokenAddress}` : `${tokenAddress} is not listed`);
+        break;
+      }
+
+      case 'export': {
+        const content = tokenLists.exportEntries(getOption('--format') || 'json', getOption('--list') || null);
+        const out = getOption('--out');
+        if (out) {
+          fs.writeFileSync(out, content);
+          console.log(`Exported to ${out}`);
+        } else {
+          console.log(content);
+        }
+        break;
+      }
+
+      case 'import': {
+        const [file] = params;
+        if (!file) {
+          throw new Error('import needs a file');
+        }
+        const format = getOption('--format') || (path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json');
+        const result = await tokenLists.importEntries(fs.readFileSync(file, 'utf8'), format, {
+          list: getOption('--list'),
+          reason: getOption('--reason'),
+        });
+        console.log(`Imported ${result.imported}, skipped ${result.skipped}`);
+        for (const error of result.errors) {
+          console.log(`  ${error}`);
+        }
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}", see --help`);
+    }
+
+    // Close the database connection
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main();
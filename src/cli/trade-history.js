@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * CLI tool to review closed trades with their fees, slippage and hold time
+ */
+
+const database = require('../utils/database');
+const pnlTracker = require('../modules/pnlTracker');
+
+// Process command line arguments
+const args = process.argv.slice(2);
+const showHelp = args.includes('--help') || args.includes('-h');
+
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index !== -1 && index + 1 < args.length ? args[index + 1] : undefined;
+}
+
+function parseTime(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(time)) {
+    console.error(`Invalid date: ${value}`);
+    process.exit(1);
+  }
+  return time;
+}
+
+if (showHelp) {
+  console.log(`
+Trade History CLI
+
+Lists trades from the database with P/L, fees, slippage and hold time.
+
+Usage:
+  node trade-history.js [options]
+
+Options:
+  -h, --help               Show this help message
+  --status <list>          Comma-separated statuses (default: CLOSED,EXTERNALLY_CLOSED)
+  --token <address>        Only trades in this token
+  --strategy <name>        Only trades opened by this strategy
+  --provider <name>        Only trades bought or sold through this DEX provider
+  --from <date>            Earliest buy time (ISO date or ms timestamp)
+  --to <date>              Latest buy time (ISO date or ms timestamp)
+  --sort <field>           buy_timestamp, sell_timestamp, profit_loss, profit_loss_percentage or hold_time
+  --asc                    Sort ascending (default: descending)
+  --limit <n>              Page size (default: 20)
+  --offset <n>             Rows to skip
+  --json                   Print the raw result as JSON
+`);
+  process.exit(0);
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').substring(0, 19) : '-';
+}
+
+function formatNumber(value, digits) {
+  return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+async function main() {
+  try {
+    const status = getOption('--status');
+    const history = await pnlTracker.getTradeHistory({
+      status: status ? status.split(',') : undefined,
+      tokenAddress: getOption('--token'),
+      strategy: getOption('--strategy'),
+      provider: getOption('--provider'),
+      from: parseTime(getOption('--from')),
+      to: parseTime(getOption('--to')),
+      sortBy: getOption('--sort'),
+      sortOrder: args.includes('--asc') ? 'asc' : 'desc',
+      limit: getOption('--limit'),
+      offset: getOption('--offset'),
+    });
+
+    if (args.includes('--json')) {
+      console.log(JSON.stringify(history, null, 2));
+    } else {
+      console.log(`\nTrades ${history.offset + 1}-${history.offset + history.trades.length} of ${history.total}\n`);
+      for (const trade of history.trades) {
+        console.log(
+          `#${String(trade.id).padEnd(5)} ${formatTime(trade.sellTimestamp)}  ${(trade.tokenSymbol || '').padEnd(10)} ` +
+          `${(trade.status || '').padEnd(17)} P/L ${formatNumber(trade.profitLossPercent, 2).padStart(8)}%  ` +
+          `held ${Math.round((trade.holdTimeMs || 0) / 60000)}m  ` +
+          `fees ${formatNumber(trade.fees.totalSol, 6)} SOL  ` +
+          `slippage ${formatNumber(trade.slippage.buyPercent, 2)}%/${formatNumber(trade.slippage.sellPercent, 2)}%  ` +
+          `${trade.strategy || '-'} via ${trade.provider || '-'}`
+        );
+      }
+    }
+
+    // Close the database connection
+    await database.close();
+    process.exit(0);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+main();
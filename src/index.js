@@ -6,6 +6,9 @@ const database = require('./utils/database');
 const wallet = require('./utils/wallet');
 const rpcHealthMonitor = require('./utils/rpcHealthMonitor');
 const rpcManager = require('./utils/rpcManager');
+const priceOracle = require('./utils/priceOracle');
+const tokenProfiles = require('./utils/tokenProfiles');
+const tokenLists = require('./utils/tokenLists');
 
 // Import modules
 const marketScanner = require('./modules/marketScanner');
@@ -17,6 +20,13 @@ const pnlTracker = require('./modules/pnlTracker');
 const tokenScorer = require('./modules/tokenScorer');
 const dashboard = require('./modules/dashboard');
 const reinforcementLearning = require('./modules/reinforcementLearning');
+const strategyEngine = require('./modules/strategyEngine');
+const positionLedger = require('./modules/positionLedger');
+const deployerReputation = require('./modules/deployerReputation');
+const portfolioRiskManager = require('./modules/portfolioRiskManager');
+const positionSizer = require('./modules/positionSizer');
+const exitPlanner = require('./modules/exitPlanner');
+const emergencyExitWatcher = require('./modules/emergencyExitWatcher');
 
 class KairosMemeBot {
   constructor() {
@@ -43,6 +53,10 @@ class KairosMemeBot {
       const walletPublicKey = wallet.getPublicKey();
       logger.info(`Wallet public key: ${walletPublicKey}`);
       
+      if (config.trading.paperTrading?.enabled) {
+        logger.info(`Paper trading mode: swaps fill against the simulated venue, trades are stored in ${config.database.dbPath}`);
+      }
+      
       // Check wallet balance
       const walletBalance = await swapExecutor.getWalletBalance();
       logger.info(`Wallet balance: ${walletBalance} SOL`);
@@ -51,7 +65,13 @@ class KairosMemeBot {
       }
       
       // Initialize remaining components
+      await tokenProfiles.initialize();
+      await tokenLists.initialize();
       await pnlTracker.initialize();
+      await this.reconcilePositions();
+      await portfolioRiskManager.initialize();
+      await this.checkPortfolioRisk();
+      await emergencyExitWatcher.sync();
       await dashboard.initialize();
       await reinforcementLearning.initialize();
       
@@ -102,11 +122,42 @@ class KairosMemeBot {
       await pnlTracker.updateTradingStats();
     });
     
-    // Reset active transactions counter if needed (every 10 minutes)
-    cron.schedule('*/10 * * * *', async () => {
-      await this.resetActiveTransactionsIfNeeded();
+    // Reconcile open trades against wallet balances
+    const reconcileMinutes = config.positionLedger?.reconcileIntervalMinutes || 5;
+    cron.schedule(`*/${reconcileMinutes} * * * *`, async () => {
+      await this.reconcilePositions();
+    });
+    
+    // Settle recorded launches and update creator reputations
+    if (deployerReputation.isEnabled()) {
+      const evaluationMinutes = config.deployerReputation.evaluationIntervalMinutes || 10;
+      cron.schedule(`*/${evaluationMinutes} * * * *`, async () => {
+        await deployerReputation.evaluateLaunches();
+      });
+    }
+    
+    // Pick up token list changes made outside the bot
+    const listReloadMinutes = config.tokenLists?.reloadIntervalMinutes || 1;
+    cron.schedule(`*/${listReloadMinutes} * * * *`, async () => {
+      await tokenLists.reload();
     });
     
+    // Evaluate the portfolio loss breakers
+    if (portfolioRiskManager.isEnabled()) {
+      const portfolioRiskMinutes = config.portfolioRisk.checkIntervalMinutes || 1;
+      cron.schedule(`*/${portfolioRiskMinutes} * * * *`, async () => {
+        await this.checkPortfolioRisk();
+      });
+    }
+    
+    // Match the pool and creator watches to the open positions
+    if (emergencyExitWatcher.isEnabled()) {
+      const syncSeconds = config.emergencyExits.syncIntervalSeconds || 15;
+      cron.schedule(`*/${syncSeconds} * * * * *`, async () => {
+        await emergencyExitWatcher.sync();
+      });
+    }
+    
     logger.info('Scheduled tasks set up');
   }
 
@@ -123,45 +174,18 @@ class KairosMemeBot {
       // Scan market for new pairs and opportunities
       const scanResults = await marketScanner.scan();
       
-      // Check if scanResults is an array (as returned by marketScanner.scan())
-      if (Array.isArray(scanResults)) {
-        // Process the array of pairs directly
-        if (scanResults.length > 0) {
-          logger.info(`Processing ${scanResults.length} newly detected pairs`);
-          await this.processNewPairs(scanResults);
-        } else {
-          logger.info('No new pairs found in market scan');
-        }
-      } else if (scanResults && typeof scanResults === 'object') {
-        // Handle the case where scanResults is an object with categorized results
-        // Process newly detected pairs
-        if (scanResults.newlyDetectedPairs && scanResults.newlyDetectedPairs.length > 0) {
-          logger.info(`Processing ${scanResults.newlyDetectedPairs.length} newly detected pairs`);
-          await this.processNewPairs(scanResults.newlyDetectedPairs);
-        }
-        
-        // Process top gainers
-        const topGainers = [];
-        if (scanResults.topGainers1h && Array.isArray(scanResults.topGainers1h)) {
-          topGainers.push(...scanResults.topGainers1h);
-        }
-        if (scanResults.topGainers24h && Array.isArray(scanResults.topGainers24h)) {
-          topGainers.push(...scanResults.topGainers24h);
-        }
-        
-        if (topGainers.length > 0) {
-          logger.info(`Processing ${topGainers.length} top gainers`);
-          await this.processTopGainers(topGainers);
-        }
-        
-        // Process volume spikes
-        if (scanResults.volumeSpikes && scanResults.volumeSpikes.length > 0) {
-          logger.info(`Processing ${scanResults.volumeSpikes.length} volume spikes`);
-          await this.processVolumeSpikes(scanResults.volumeSpikes);
-        }
-      } else {
+      const hasResults = Array.isArray(scanResults) ?
+        scanResults.length > 0 :
+        Boolean(scanResults && typeof scanResults === 'object');
+      
+      if (!hasResults) {
         logger.info('Market scan completed with no results');
+        return;
       }
+      
+      // Let each entry strategy pick its candidates and open positions for its intents
+      const tradesOpened = await strategyEngine.run(scanResults, intent => this.evaluateAndTrade(intent.token, intent));
+      logger.info(`Market scan processed, ${tradesOpened} new positions opened`);
     } catch (error) {
       logger.error(`Error during market scan: ${error.message}`);
     } finally {
@@ -169,153 +193,53 @@ class KairosMemeBot {
     }
   }
 
-  async processNewPairs(newPairs) {
-    try {
-      // Ensure newPairs is an array
-      if (!Array.isArray(newPairs)) {
-        logger.warn('processNewPairs received non-array input');
-        return;
-      }
-      
-      // Check if array is empty
-      if (newPairs.length === 0) {
-        logger.debug('No new pairs to process');
-        return;
-      }
-      
-      // Score new pairs
-      const scoredPairs = await tokenScorer.scoreBatch(newPairs);
-      
-      // Filter by minimum score
-      const goodPairs = scoredPairs.filter(pair => pair.score >= tokenScorer.minScore);
-      const rejectedPairs = scoredPairs.filter(pair => pair.score < tokenScorer.minScore);
-      
-      // Track rejected pairs for reinforcement learning
-      for (const pair of rejectedPairs) {
-        const detailedScores = await tokenScorer.getDetailedScores(pair.token.baseToken.address);
-        await reinforcementLearning.trackRejectedToken(
-          pair.token, 
-          `Score too low: ${pair.score.toFixed(2)} < ${tokenScorer.minScore.toFixed(2)}`, 
-          detailedScores
-        );
-      }
-      
-      if (goodPairs.length === 0) {
-        logger.info('No new pairs met the minimum score threshold');
-        return;
-      }
-      
-      logger.info(`Found ${goodPairs.length} promising new pairs`);
-      
-      // Process each promising pair
-      for (const pair of goodPairs) {
-        await this.evaluateAndTrade(pair.token);
-      }
-    } catch (error) {
-      logger.error(`Error processing new pairs: ${error.message}`);
-    }
-  }
-
-  async processTopGainers(topGainers) {
-    try {
-      // Ensure topGainers is an array
-      if (!Array.isArray(topGainers)) {
-        logger.warn('processTopGainers received non-array input');
-        return;
-      }
-      
-      // Check if array is empty
-      if (topGainers.length === 0) {
-        logger.debug('No top gainers to process');
-        return;
-      }
-      
-      // Get top scoring tokens
-      const topScoringTokens = await tokenScorer.getTopScoringTokens(topGainers, 0.8, 3);
-      
-      if (topScoringTokens.length === 0) {
-        logger.info('No top gainers met the score threshold');
-        return;
-      }
-      
-      logger.info(`Found ${topScoringTokens.length} promising top gainers`);
-      
-      // Process each promising token
-      for (const scoredToken of topScoringTokens) {
-        await this.evaluateAndTrade(scoredToken.token);
-      }
-    } catch (error) {
-      logger.error(`Error processing top gainers: ${error.message}`);
-    }
-  }
-
-  async processVolumeSpikes(volumeSpikes) {
-    try {
-      // Ensure volumeSpikes is an array
-      if (!Array.isArray(volumeSpikes)) {
-        logger.warn('processVolumeSpikes received non-array input');
-        return;
-      }
-      
-      // Check if array is empty
-      if (volumeSpikes.length === 0) {
-        logger.debug('No volume spikes to process');
-        return;
-      }
-      
-      // Get top scoring tokens with volume spikes
-      const topScoringTokens = await tokenScorer.getTopScoringTokens(volumeSpikes, 0.75, 2);
-      
-      if (topScoringTokens.length === 0) {
-        logger.info('No volume spikes met the score threshold');
-        return;
-      }
-      
-      logger.info(`Found ${topScoringTokens.length} promising tokens with volume spikes`);
-      
-      // Process each promising token
-      for (const scoredToken of topScoringTokens) {
-        await this.evaluateAndTrade(scoredToken.token);
-      }
-    } catch (error) {
-      logger.error(`Error processing volume spikes: ${error.message}`);
-    }
-  }
-
-  async evaluateAndTrade(token) {
+  /**
+   * Run the safety and tradability checks for a token and buy it if they pass
+   * @param {Object} token - Pair data for the token
+   * @param {Object} intent - Entry intent from the strategy engine (size, slippage, exit plan)
+   * @returns {Promise<boolean>} - Whether a position was opened
+   */
+  async evaluateAndTrade(token, intent = null) {
     try {
       const tokenAddress = token.baseToken.address;
       const tokenSymbol = token.baseToken.symbol;
+      const strategyName = intent ? intent.strategy : null;
       
-      logger.info(`Evaluating token for trading: ${tokenSymbol} (${tokenAddress})`);
+      logger.info(`Evaluating token for trading: ${tokenSymbol} (${tokenAddress})${strategyName ? ` [${strategyName}]` : ''}`);
       
       // Check if trading is enabled
       if (!config.trading.enabled) {
         logger.info(`Trading is disabled, skipping trade for ${tokenSymbol}`);
-        return;
+        return false;
       }
       
       // Check if we're already in this trade
       const activeTrades = pnlTracker.getActiveTrades();
       if (activeTrades.some(trade => trade.tokenAddress === tokenAddress)) {
         logger.info(`Already in a trade for ${tokenSymbol}, skipping`);
-        return;
+        return false;
       }
       
       // Check if we've reached the maximum number of concurrent transactions
       if (this.activeTransactions >= this.maxConcurrentTransactions) {
         logger.info(`Maximum concurrent transactions (${this.maxConcurrentTransactions}) reached, skipping trade for ${tokenSymbol}`);
-        return;
+        return false;
       }
       
-      // Special handling for LOL token
-      if (tokenAddress === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-        logger.info(`Detected LOL token, using specialized swap execution`);
-        return await this.executeLolTokenTrade(token);
+      // No new entries while a portfolio circuit breaker is tripped
+      if (portfolioRiskManager.isHalted()) {
+        logger.info(`Entries halted (${portfolioRiskManager.getHaltReasons().join('; ')}), skipping trade for ${tokenSymbol}`);
+        return false;
+      }
+      
+      // Blocked tokens are never bought, whatever the strategy says
+      if (tokenProfiles.isBlocked(tokenAddress)) {
+        logger.info(`Token ${tokenSymbol} is blocked by its token profile, skipping`);
+        return false;
       }
       
       // Analyze token on-chain
-      await onChainAnalyzer.analyzeToken(tokenAddress);
+      const onChainData = await onChainAnalyzer.analyzeToken(tokenAddress);
       
       // Check if token is safe
       const safetyCheck = await riskFilter.isTokenSafe(tokenAddress);
@@ -327,7 +251,7 @@ class KairosMemeBot {
         const scores = await tokenScorer.getDetailedScores(tokenAddress);
         await reinforcementLearning.trackRejectedToken(token, `Safety: ${safetyCheck.reasons.join(', ')}`, scores);
         
-        return;
+        return false;
       }
       
       // Check if token is tradable on Jupiter or other DEXes
@@ -340,7 +264,7 @@ class KairosMemeBot {
         const scores = await tokenScorer.getDetailedScores(tokenAddress);
         await reinforcementLearning.trackRejectedToken(token, `Not tradable: ${tradabilityCheck.reason}`, scores);
         
-        return;
+        return false;
       }
       
       logger.info(`Token ${tokenSymbol} is tradable on ${tradabilityCheck.dex}`);
@@ -355,7 +279,37 @@ class KairosMemeBot {
         const scores = await tokenScorer.getDetailedScores(tokenAddress);
         await reinforcementLearning.trackRejectedToken(token, `Swap simulation failed: ${swapSimulation.error || 'Unknown error'}`, scores);
         
-        return;
+        return false;
+      }
+      
+      // Size from the wallet, the token and its pool, within the strategy's per-trade size; testMode still caps it
+      const positionSizing = await positionSizer.calculate({
+        token,
+        score: intent ? intent.score : null,
+        onChainData,
+        maxSizeSol: intent && intent.sizeSol ? intent.sizeSol : this.maxTradeSizeSol
+      });
+      
+      if (positionSizing.sizeSol <= 0) {
+        logger.info(`No position size for ${tokenSymbol}: ${positionSizing.reason}`);
+        return false;
+      }
+      
+      const tradeSizeSol = config.trading.testMode ? 
+        Math.min(0.005, positionSizing.sizeSol) : 
+        positionSizing.sizeSol;
+      
+      // The position has to fit the portfolio's exposure limits
+      const portfolioCheck = await portfolioRiskManager.checkEntry({
+        tokenAddress,
+        sizeSol: tradeSizeSol,
+        venue: tradabilityCheck.dex,
+        cohort: strategyName
+      });
+      
+      if (!portfolioCheck.allowed) {
+        logger.warn(`Token ${tokenSymbol} does not fit the portfolio limits: ${portfolioCheck.reasons.join(', ')}`);
+        return false;
       }
       
       // All checks passed, execute the trade
@@ -365,13 +319,10 @@ class KairosMemeBot {
       this.activeTransactions++;
       logger.info(`Active transactions: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
       
-      // Use testMode for trade size if enabled
-      const tradeSizeSol = config.trading.testMode ? 
-        Math.min(0.005, this.maxTradeSizeSol) : 
-        this.maxTradeSizeSol;
-      
-      // Get optimal slippage for the selected DEX
-      const slippage = await swapExecutor.getOptimalSlippage(tokenAddress, tradabilityCheck.dex);
+      // Use the strategy's slippage if it sets one, otherwise the optimal slippage for the selected DEX
+      const slippage = intent && intent.slippage ?
+        intent.slippage :
+        await swapExecutor.getOptimalSlippage(tokenAddress, tradabilityCheck.dex);
       
       // Execute the swap on the selected DEX
       const swapResult = await swapExecutor.executeSwap(tokenAddress, tradeSizeSol, slippage, tradabilityCheck.dex);
@@ -388,16 +339,15 @@ class KairosMemeBot {
             tokenSymbol,
             amountIn: tradeSizeSol,
             txHash: swapResult.txHash,
-            dex: tradabilityCheck.dex
+            dex: tradabilityCheck.dex,
+            strategy: strategyName
           }
         );
         
-        // Decrement active transactions counter on success after a delay
-        // This gives time for the transaction to be processed
-        setTimeout(() => {
-          this.activeTransactions = Math.max(0, this.activeTransactions - 1);
-          logger.info(`Active transactions decremented: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
-        }, 60000); // 1 minute delay
+        await this.recordOpenedPosition(token, swapResult, tradeSizeSol, intent, { positionSizing, onChainData });
+        this.followBuyTransaction(tokenAddress, swapResult);
+        
+        return true;
       } else {
         logger.error(`Failed to buy ${tokenSymbol}: ${swapResult.error}`);
         
@@ -408,12 +358,74 @@ class KairosMemeBot {
         // Decrement active transactions counter on failure
         this.activeTransactions--;
         logger.info(`Active transactions: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
+        return false;
       }
     } catch (error) {
       logger.error(`Error evaluating and trading token: ${error.message}`);
       // Ensure we decrement the counter in case of errors
       this.activeTransactions = Math.max(0, this.activeTransactions - 1);
       logger.info(`Active transactions: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
+      return false;
+    }
+  }
+
+  /**
+   * Tag a freshly opened trade with its strategy, sizing and exit levels, and start tracking it
+   * @param {Object} token - Pair data for the token
+   * @param {Object} swapResult - Result from swapExecutor.executeSwap
+   * @param {number} tradeSizeSol - SOL spent on the buy
+   * @param {Object} intent - Entry intent the trade was opened for, if any
+   * @param {Object} analysis - { positionSizing: positionSizer.calculate result, onChainData: on-chain analysis }
+   */
+  async recordOpenedPosition(token, swapResult, tradeSizeSol, intent, analysis = {}) {
+    const { positionSizing = null, onChainData = null } = analysis;
+    try {
+      if (!swapResult.tradeId) {
+        logger.warn(`No trade record for ${token.baseToken.symbol}, position will be picked up on restart`);
+        return;
+      }
+      if (!swapResult.outputAmount || !swapResult.outputAmountUsd) {
+        logger.warn(`Entry price of ${token.baseToken.symbol} unknown until its fill lands, position will be picked up on restart`);
+        return;
+      }
+      
+      const buyPrice = swapResult.outputAmountUsd / swapResult.outputAmount;
+      const exitPlan = await exitPlanner.plan(token, intent, onChainData);
+      const takeProfitPrice = buyPrice ? buyPrice * (1 + exitPlan.takeProfitPercent / 100) : null;
+      const stopLossPrice = buyPrice ? buyPrice * (1 - exitPlan.stopLossPercent / 100) : null;
+      const profitTargets = pnlTracker.getProfitLadder();
+      
+      await database.updateTradeEntryDetails(swapResult.tradeId, {
+        strategy: intent ? intent.strategy : null,
+        entrySizeSol: tradeSizeSol,
+        positionSizeFactor: positionSizing ? positionSizing.factor : null,
+        positionSizing: positionSizing ? positionSizing.sizing : null,
+        exitPlan,
+        volatilityMeasure: exitPlan.volatilityPercent,
+        initialTakeProfit: takeProfitPrice,
+        initialStopLoss: stopLossPrice,
+        partialTakeProfits: profitTargets
+      });
+      
+      await pnlTracker.trackNewTrade({
+        id: swapResult.tradeId,
+        tokenAddress: token.baseToken.address,
+        tokenSymbol: token.baseToken.symbol,
+        buyPrice,
+        buyAmount: swapResult.outputAmount,
+        buyTimestamp: swapResult.timestamp || Date.now(),
+        strategy: intent ? intent.strategy : null,
+        entrySizeSol: tradeSizeSol,
+        provider: swapResult.provider || null,
+        exitPlan,
+        takeProfitPrice,
+        stopLossPrice,
+        profitTargets
+      });
+      
+      await emergencyExitWatcher.watch(token.baseToken.address);
+    } catch (error) {
+      logger.error(`Error recording opened position for ${token.baseToken.symbol}: ${error.message}`);
     }
   }
 
@@ -440,14 +452,15 @@ class KairosMemeBot {
       
       for (const trade of activeTrades) {
         try {
-          // This is a simplified implementation
-          // In a real implementation, you would fetch the current price from DEX
+          const quote = await priceOracle.getQuote(trade.tokenAddress);
           
-          // For now, we'll simulate price updates with small random changes
-          const randomChange = (Math.random() - 0.4) * 0.05; // -2% to +3% change
-          const newPrice = trade.currentPrice * (1 + randomChange);
+          if (!quote) {
+            logger.warn(`No price available for ${trade.tokenSymbol}, keeping last price`);
+            continue;
+          }
           
-          await pnlTracker.updateTradePrice(trade.tokenAddress, newPrice);
+          logger.debug(`Price for ${trade.tokenSymbol} from ${quote.source} (slot ${quote.slot || 'n/a'}, ${quote.stalenessMs}ms old)`);
+          await pnlTracker.updateTradePrice(trade.tokenAddress, quote.price, quote);
         } catch (error) {
           logger.error(`Error updating price for ${trade.tokenSymbol}: ${error.message}`);
         }
@@ -458,99 +471,49 @@ class KairosMemeBot {
   }
   
   /**
-   * Reset active transactions counter if it's out of sync with actual trades
+   * Release a buy's transaction slot once it has landed or expired, and reprice the position from its fill
+   * Paper and simulated buys have nothing in flight and release the slot immediately
+   * @param {string} tokenAddress - Token bought
+   * @param {Object} swapResult - Result from swapExecutor
    */
+  followBuyTransaction(tokenAddress, swapResult) {
+    const release = () => {
+      this.activeTransactions = Math.max(0, this.activeTransactions - 1);
+      logger.info(`Active transactions decremented: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
+    };
+    
+    if (!swapResult.confirmation) {
+      release();
+      return;
+    }
+    
+    swapResult.confirmation
+      .then(record => pnlTracker.applyEntryFill(tokenAddress, record))
+      .catch(error => logger.error(`Error following buy transaction for ${tokenAddress}: ${error.message}`))
+      .finally(release);
+  }
+  
   /**
-   * Execute a trade specifically for LOL token
-   * @param {Object} token - Token information
-   * @returns {Promise<void>}
+   * Reconcile the position ledger against the wallet
    */
-  async executeLolTokenTrade(token) {
+  async reconcilePositions() {
     try {
-      const tokenAddress = token.baseToken.address;
-      const tokenSymbol = token.baseToken.symbol;
-      
-      logger.info(`Executing specialized LOL token trade for ${tokenSymbol} (${tokenAddress})`);
-      
-      // Check if we're already in this trade
-      const activeTrades = pnlTracker.getActiveTrades();
-      if (activeTrades.some(trade => trade.tokenAddress === tokenAddress)) {
-        logger.info(`Already in a trade for ${tokenSymbol}, skipping`);
-        return;
-      }
-      
-      // Increment active transactions counter
-      this.activeTransactions++;
-      logger.info(`Active transactions: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
-      
-      // Use testMode for trade size if enabled
-      const tradeSizeSol = config.trading.testMode ? 
-        Math.min(0.005, this.maxTradeSizeSol) : 
-        this.maxTradeSizeSol;
-      
-      // Use specialized LOL token swap with 1% slippage
-      const slippage = 1.0; // 1% slippage for LOL token
-      
-      // Execute the specialized LOL token swap
-      const swapResult = await swapExecutor.executeLolTokenSwap(tradeSizeSol, slippage);
-      
-      if (swapResult.success) {
-        logger.info(`Successfully bought ${tokenSymbol} for ${tradeSizeSol} SOL using specialized LOL token swap`);
-        
-        // Log event
-        await database.logEvent(
-          'TRADE_EXECUTED',
-          `Bought ${tokenSymbol} for ${tradeSizeSol} SOL using specialized LOL token swap`,
-          {
-            tokenAddress,
-            tokenSymbol,
-            amountIn: tradeSizeSol,
-            txHash: swapResult.txHash,
-            dex: 'Raydium',
-            specialized: true
-          }
-        );
-        
-        // Decrement active transactions counter on success after a delay
-        // This gives time for the transaction to be processed
-        setTimeout(() => {
-          this.activeTransactions = Math.max(0, this.activeTransactions - 1);
-          logger.info(`Active transactions decremented: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
-        }, 60000); // 1 minute delay
-      } else {
-        logger.error(`Failed to buy ${tokenSymbol} using specialized LOL token swap: ${swapResult.error}`);
-        
-        // Track rejected token for reinforcement learning
-        const scores = await tokenScorer.getDetailedScores(tokenAddress);
-        await reinforcementLearning.trackRejectedToken(token, `Specialized swap execution failed: ${swapResult.error}`, scores);
-        
-        // Decrement active transactions counter on failure
-        this.activeTransactions--;
-        logger.info(`Active transactions: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
-      }
+      await positionLedger.reconcile();
     } catch (error) {
-      logger.error(`Error executing specialized LOL token trade: ${error.message}`);
-      // Ensure we decrement the counter in case of errors
-      this.activeTransactions = Math.max(0, this.activeTransactions - 1);
-      logger.info(`Active transactions: ${this.activeTransactions}/${this.maxConcurrentTransactions}`);
+      logger.error(`Error reconciling positions: ${error.message}`);
     }
   }
   
   /**
-   * Reset active transactions counter if it's out of sync with actual trades
+   * Evaluate the portfolio loss breakers
    */
-  async resetActiveTransactionsIfNeeded() {
+  async checkPortfolioRisk() {
     try {
-      const activeTrades = pnlTracker.getActiveTrades();
-      
-      // If active transactions counter is higher than actual trades, reset it
-      if (this.activeTransactions > activeTrades.length) {
-        logger.warn(`Active transactions counter (${this.activeTransactions}) is higher than actual trades (${activeTrades.length}). Resetting.`);
-        this.activeTransactions = activeTrades.length;
-        logger.info(`Active transactions counter reset to ${this.activeTransactions}`);
+      if (portfolioRiskManager.isEnabled()) {
+        await portfolioRiskManager.evaluate();
       }
     } catch (error) {
-      logger.error(`Error resetting active transactions counter: ${error.message}`);
+      logger.error(`Error checking portfolio risk: ${error.message}`);
     }
   }
   
@@ -711,6 +674,9 @@ class KairosMemeBot {
       rpcHealthMonitor.stop();
       logger.info('RPC health monitor stopped');
       
+      // Drop the pool and creator subscriptions
+      await emergencyExitWatcher.stop();
+      
       // Log final RPC metrics
       const rpcMetrics = rpcManager.getEndpointMetrics();
       logger.info(`Final RPC metrics: ${JSON.stringify(rpcMetrics)}`);
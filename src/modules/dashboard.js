@@ -5,6 +5,13 @@ const database = require('../utils/database');
 const pnlTracker = require('./pnlTracker');
 const swapExecutor = require('./swapExecutor');
 const reinforcementLearning = require('./reinforcementLearning');
+const strategyEngine = require('./strategyEngine');
+const positionLedger = require('./positionLedger');
+const venueRouter = require('./venueRouter');
+const tokenProfiles = require('../utils/tokenProfiles');
+const tokenLists = require('../utils/tokenLists');
+const portfolioRiskManager = require('./portfolioRiskManager');
+const emergencyExitWatcher = require('./emergencyExitWatcher');
 
 class Dashboard {
   constructor() {
@@ -51,8 +58,14 @@ class Dashboard {
           status: 'running',
           uptime: process.uptime(),
           walletBalance,
+          paperTrading: config.trading.paperTrading?.enabled === true,
           tradingStats,
           activeTrades: activeTrades.length,
+          portfolioRisk: {
+            enabled: portfolioRiskManager.isEnabled(),
+            halted: portfolioRiskManager.isHalted(),
+            haltReasons: portfolioRiskManager.getHaltReasons(),
+          },
         });
       } catch (error) {
         logger.error(`Error in status API: ${error.message}`);
@@ -72,8 +85,26 @@ class Dashboard {
     
     this.app.get('/api/trades/history', async (req, res) => {
       try {
-        const limit = parseInt(req.query.limit || '20');
-        const tradeHistory = await pnlTracker.getTradeHistory(limit);
+        const query = req.query;
+        const parseTime = value => {
+          if (!value) {
+            return undefined;
+          }
+          return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+        };
+        
+        const tradeHistory = await pnlTracker.getTradeHistory({
+          status: query.status ? query.status.split(',') : undefined,
+          tokenAddress: query.token,
+          strategy: query.strategy,
+          provider: query.provider,
+          from: parseTime(query.from),
+          to: parseTime(query.to),
+          sortBy: query.sortBy,
+          sortOrder: query.sortOrder,
+          limit: parseInt(query.limit || '20'),
+          offset: parseInt(query.offset || '0'),
+        });
         res.json(tradeHistory);
       } catch (error) {
         logger.error(`Error in trade history API: ${error.message}`);
@@ -81,6 +112,94 @@ class Dashboard {
       }
     });
     
+    this.app.get('/api/trades/:id/fills', async (req, res) => {
+      try {
+        const fills = await database.getTradeFills(parseInt(req.params.id));
+        res.json(fills);
+      } catch (error) {
+        logger.error(`Error in trade fills API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    this.app.get('/api/positions/reconciliation', async (req, res) => {
+      try {
+        res.json({
+          enabled: positionLedger.isEnabled(),
+          lastReport: positionLedger.getLastReport(),
+        });
+      } catch (error) {
+        logger.error(`Error in reconciliation API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Exposure, limits, circuit breakers and the last daily loss and drawdown evaluation
+    this.app.get('/api/portfolio-risk', async (req, res) => {
+      try {
+        res.json(portfolioRiskManager.getState());
+      } catch (error) {
+        logger.error(`Error in portfolio risk API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Pools and creators watched for liquidity pulls and dev dumps, and emergency exits waiting to be retried
+    this.app.get('/api/emergency-exits', async (req, res) => {
+      try {
+        res.json(emergencyExitWatcher.getState());
+      } catch (error) {
+        logger.error(`Error in emergency exits API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    this.app.get('/api/venues', async (req, res) => {
+      try {
+        res.json({
+          enabled: venueRouter.isEnabled(),
+          venues: venueRouter.getStatus(),
+        });
+      } catch (error) {
+        logger.error(`Error in venues API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    this.app.get('/api/token-profiles', async (req, res) => {
+      try {
+        res.json(tokenProfiles.getProfiles());
+      } catch (error) {
+        logger.error(`Error in token profiles API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Token blacklist and whitelist; ?list=blacklist or ?list=whitelist for one of them
+    this.app.get('/api/token-lists', async (req, res) => {
+      try {
+        res.json(tokenLists.getEntries(req.query.list || null));
+      } catch (error) {
+        logger.error(`Error in token lists API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Download the lists as ?format=json (default) or ?format=csv
+    this.app.get('/api/token-lists/export', async (req, res) => {
+      try {
+        const format = req.query.format || 'json';
+        const content = tokenLists.exportEntries(format, req.query.list || null);
+        
+        res.type(format === 'csv' ? 'text/csv' : 'application/json');
+        res.attachment(`token-lists.${format}`);
+        res.send(content);
+      } catch (error) {
+        logger.error(`Error in token lists export API: ${error.message}`);
+        res.status(400).json({ error: error.message });
+      }
+    });
+    
     this.app.get('/api/stats', async (req, res) => {
       try {
         const tradingStats = pnlTracker.getTradingStats();
@@ -91,6 +210,16 @@ class Dashboard {
       }
     });
     
+    this.app.get('/api/strategies', async (req, res) => {
+      try {
+        const strategyStats = await strategyEngine.getStrategyStats();
+        res.json(strategyStats);
+      } catch (error) {
+        logger.error(`Error in strategies API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
     this.app.get('/api/reinforcement/stats', async (req, res) => {
       try {
         const rlStats = reinforcementLearning.getStatistics();
@@ -143,15 +272,17 @@ class Dashboard {
         // Execute sell
         const sellResult = await swapExecutor.executeSell(
           tokenAddress,
-          tokenBalance
+          tokenBalance,
+          null,
+          { fillType: 'MANUAL' }
         );
         
         if (sellResult.success) {
           // Close trade in tracker
           await pnlTracker.closeTrade(
             tokenAddress,
-            sellResult.outputAmountUsd / sellResult.inputAmount,
-            sellResult.inputAmount
+            Number.isFinite(sellResult.outputAmountUsd) ? sellResult.outputAmountUsd / trade.remainingAmount : null,
+            trade.remainingAmount
           );
           
           res.json({
@@ -171,6 +302,155 @@ class Dashboard {
       }
     });
     
+    // Create or update a token profile; fields left out keep their current values
+    this.app.put('/api/control/token-profiles/:tokenAddress', async (req, res) => {
+      try {
+        const { apiKey, ...fields } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        const profile = await tokenProfiles.setProfile(req.params.tokenAddress, fields);
+        res.json({ success: true, profile });
+      } catch (error) {
+        logger.error(`Error in token profile update API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+    
+    this.app.delete('/api/control/token-profiles/:tokenAddress', async (req, res) => {
+      try {
+        const { apiKey } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        const deleted = await tokenProfiles.removeProfile(req.params.tokenAddress);
+        if (!deleted) {
+          return res.status(404).json({ error: 'Token profile not found' });
+        }
+        
+        res.json({ success: true });
+      } catch (error) {
+        logger.error(`Error in token profile delete API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Put a token on the blacklist or whitelist, with an optional reason and expiresInHours or expiresTimestamp
+    this.app.put('/api/control/token-lists/:list/:tokenAddress', async (req, res) => {
+      try {
+        const { apiKey, reason, expiresInHours, expiresTimestamp } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        const entry = await tokenLists.add(req.params.list, req.params.tokenAddress, {
+          reason,
+          expiresInHours,
+          expiresTimestamp,
+        });
+        res.json({ success: true, entry });
+      } catch (error) {
+        logger.error(`Error in token list update API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+    
+    this.app.delete('/api/control/token-lists/:list/:tokenAddress', async (req, res) => {
+      try {
+        const { apiKey } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        const removed = await tokenLists.remove(req.params.tokenAddress, req.params.list);
+        if (!removed) {
+          return res.status(404).json({ error: `Token is not on the ${req.params.list}` });
+        }
+        
+        res.json({ success: true });
+      } catch (error) {
+        logger.error(`Error in token list delete API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Import an export: { apiKey, format: 'json'|'csv', content, list, reason }
+    this.app.post('/api/control/token-lists/import', async (req, res) => {
+      try {
+        const { apiKey, format, content, list, reason } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (typeof content !== 'string') {
+          return res.status(400).json({ error: 'content must be the exported text' });
+        }
+        
+        const result = await tokenLists.importEntries(content, format || 'json', { list, reason });
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logger.error(`Error in token list import API: ${error.message}`);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+    
+    // Halt new entries by hand: { apiKey, reason }
+    this.app.post('/api/control/portfolio-risk/halt', async (req, res) => {
+      try {
+        const { apiKey, reason } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        await portfolioRiskManager.halt(reason || undefined);
+        res.json({ success: true, state: portfolioRiskManager.getState() });
+      } catch (error) {
+        logger.error(`Error in portfolio halt API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Lift a manual halt and reset the loss breakers; they trip again if still over their limits
+    this.app.post('/api/control/portfolio-risk/resume', async (req, res) => {
+      try {
+        const { apiKey } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        await portfolioRiskManager.resume();
+        res.json({ success: true, state: portfolioRiskManager.getState() });
+      } catch (error) {
+        logger.error(`Error in portfolio resume API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
+    // Sell every open position: { apiKey, reason }
+    this.app.post('/api/control/portfolio-risk/flatten', async (req, res) => {
+      try {
+        const { apiKey, reason } = req.body;
+        
+        if (apiKey !== 'your-secret-api-key') {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        
+        const result = await portfolioRiskManager.flatten(reason || 'Flattened from the dashboard');
+        res.json({ success: true, ...result });
+      } catch (error) {
+        logger.error(`Error in portfolio flatten API: ${error.message}`);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+    
     // Serve dashboard UI
     this.app.get('/', (req, res) => {
       res.send(`
@@ -230,7 +510,9 @@ class Dashboard {
                     '<p>Status: <strong>' + statusData.status + '</strong></p>' +
                     '<p>Uptime: <strong>' + Math.floor(statusData.uptime / 60) + ' minutes</strong></p>' +
                     '<p>Wallet Balance: <strong>' + statusData.walletBalance.toFixed(4) + ' SOL</strong></p>' +
-                    '<p>Active Trades: <strong>' + statusData.activeTrades + '</strong></p>';
+                    '<p>Active Trades: <strong>' + statusData.activeTrades + '</strong></p>' +
+                    '<p>New Entries: <strong>' + (statusData.portfolioRisk.halted ?
+                      'halted (' + statusData.portfolioRisk.haltReasons.join('; ') + ')' : 'allowed') + '</strong></p>';
                   
                   // Fetch stats
                   const statsRes = await fetch('/api/stats');
@@ -291,17 +573,18 @@ class Dashboard {
                   
                   let historyHtml = '<table><tr><th>Token</th><th>Buy Price</th><th>Sell Price</th><th>P/L %</th><th>Date</th></tr>';
                   
-                  if (historyData.length === 0) {
+                  if (historyData.trades.length === 0) {
                     historyHtml += '<tr><td colspan="5">No trade history</td></tr>';
                   } else {
-                    historyData.forEach(trade => {
+                    historyData.trades.forEach(trade => {
+                      const hasProfitLoss = trade.profitLossPercent !== null;
                       historyHtml += 
                         '<tr>' +
                         '  <td>' + trade.tokenSymbol + '</td>' +
                         '  <td>$' + trade.buyPrice.toFixed(8) + '</td>' +
-                        '  <td>$' + trade.sellPrice.toFixed(8) + '</td>' +
-                        '  <td class="' + (trade.profitLossPercent >= 0 ? 'profit' : 'loss') + '">' +
-                        '    ' + trade.profitLossPercent.toFixed(2) + '%' +
+                        '  <td>' + (trade.sellPrice !== null ? '$' + trade.sellPrice.toFixed(8) : trade.status) + '</td>' +
+                        '  <td class="' + (hasProfitLoss && trade.profitLossPercent >= 0 ? 'profit' : 'loss') + '">' +
+                        '    ' + (hasProfitLoss ? trade.profitLossPercent.toFixed(2) + '%' : '-') +
                         '  </td>' +
                         '  <td>' + new Date(trade.sellTimestamp).toLocaleString() + '</td>' +
                         '</tr>';
@@ -0,0 +1,334 @@
+/**
+ * Deployer Reputation
+ *
+ * Tracks the wallets that create tokens (config.deployerReputation). Every
+ * PumpFun creation recorded in pumpfun_new_tokens becomes a launch in
+ * deployer_launches. A scheduled pass checks pending launches and settles how
+ * each one ended:
+ *
+ * - lp_pulled: pool liquidity fell lpPullDropPercent below its peak
+ * - dev_dump: the creator sold devDumpPercent of what they bought
+ * - rug: the trade price fell rugPriceDropPercent below its peak
+ * - survived: none of the above within survivalHours
+ *
+ * Each creator's funding source is the wallet that sent it SOL in its oldest
+ * transaction. Creators with more than maxFundingSignaturePages pages of
+ * history are left unlinked rather than linked through a later transaction.
+ * Launches of other creators with the same funding source count
+ * towards a creator's reputation at linkedWeight, so a serial rugger cannot
+ * start over with a fresh wallet. Known custodial wallets are never treated as
+ * funding sources.
+ *
+ * The reputation score runs from 0 to 1 and is 0.5 for a creator with no
+ * settled launches. A creator whose own and linked bad launches reach
+ * blacklistAfterBadLaunches is blacklisted for good. Tokens whose launch ended
+ * badly go on the token blacklist (see tokenLists) with the auto-rug source.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const rpcManager = require('../utils/rpcManager');
+const poolDiscovery = require('../utils/poolDiscovery');
+const tokenLists = require('../utils/tokenLists');
+
+const BAD_OUTCOMES = ['rug', 'lp_pulled', 'dev_dump'];
+const UNKNOWN_REPUTATION = 0.5;
+// Most signatures getSignaturesForAddress returns per call
+const SIGNATURE_PAGE_SIZE = 1000;
+
+class DeployerReputation {
+  constructor() {
+    this.settings = config.deployerReputation || { enabled: false };
+    this.knownWallets = (config.holderDistribution && config.holderDistribution.knownWallets) || {};
+    this.isEvaluating = false;
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Settle the outcomes of pending launches and refresh their creators' reputations
+   */
+  async evaluateLaunches() {
+    if (!this.isEnabled() || this.isEvaluating) {
+      return;
+    }
+
+    this.isEvaluating = true;
+    try {
+      const added = await database.syncDeployerLaunches();
+      if (added > 0) {
+        logger.info(`[Deployers] Tracking ${added} new launches`);
+      }
+
+      const launchedBefore = Date.now() - (this.settings.minAgeMinutes || 30) * 60 * 1000;
+      const launches = await database.getPendingLaunches(launchedBefore, this.settings.evaluationBatchSize || 20);
+
+      const settledCreators = new Set();
+      for (const launch of launches) {
+        try {
+          const outcome = await this.evaluateLaunch(launch);
+          if (outcome !== 'pending') {
+            settledCreators.add(launch.creator_address);
+          }
+        } catch (error) {
+          logger.warn(`[Deployers] Error checking launch ${launch.token_address}: ${error.message}`);
+        }
+      }
+
+      for (const creatorAddress of settledCreators) {
+        await this.refreshDeployer(creatorAddress);
+      }
+    } catch (error) {
+      logger.error(`Error evaluating deployer launches: ${error.message}`);
+    } finally {
+      this.isEvaluating = false;
+    }
+  }
+
+  /**
+   * Check one launch and record its outcome, or its progress while still pending
+   * @param {Object} launch - deployer_launches row
+   * @returns {Promise<string>} - Outcome
+   */
+  async evaluateLaunch(launch) {
+    const tokenAddress = launch.token_address;
+    const settings = this.settings;
+
+    const { pools, complete } = await poolDiscovery.findPools(tokenAddress, { forceRefresh: true });
+    if (!complete) {
+      // Liquidity that could not be read is unknown, not zero; settling now could mistake it for a pull
+      logger.debug(`[Deployers] Pools of ${tokenAddress} could not all be read, leaving the launch pending`);
+      return 'pending';
+    }
+    const liquidityUsd = pools.reduce((sum, pool) => sum + (pool.liquidityUsd || 0), 0);
+    const peakLiquidityUsd = Math.max(launch.peak_liquidity_usd || 0, liquidityUsd);
+
+    const flow = await database.getTraderTokenFlow(tokenAddress, launch.creator_address);
+    // Sells with no recorded buys are of the creation allocation
+    const creatorSoldPercent = flow.sold > 0 ? (flow.sold / Math.max(flow.bought, flow.sold)) * 100 : 0;
+
+    const prices = await database.getTokenTradePriceRange(tokenAddress);
+    const priceDropPercent = prices.peakPrice > 0 && prices.lastPrice !== null
+      ? (1 - prices.lastPrice / prices.peakPrice) * 100
+      : 0;
+
+    const details = { liquidityUsd, creatorSoldPercent, priceDropPercent };
+    let outcome = 'pending';
+
+    if (peakLiquidityUsd >= (settings.minPeakLiquidityUsd || 1000) &&
+        liquidityUsd <= peakLiquidityUsd * (1 - (settings.lpPullDropPercent || 80) / 100)) {
+      outcome = 'lp_pulled';
+    } else if (creatorSoldPercent >= (settings.devDumpPercent || 50)) {
+      outcome = 'dev_dump';
+    } else if (priceDropPercent >= (settings.rugPriceDropPercent || 90)) {
+      outcome = 'rug';
+    } else if (Date.now() - launch.launch_timestamp >= (settings.survivalHours || 24) * 60 * 60 * 1000) {
+      outcome = 'survived';
+    }
+
+    await database.updateLaunch(tokenAddress, { outcome, peakLiquidityUsd, details });
+
+    if (outcome !== 'pending') {
+      logger.info(`[Deployers] Launch ${tokenAddress} by ${launch.creator_address}: ${outcome}`);
+    }
+    if (BAD_OUTCOMES.includes(outcome)) {
+      await this.blacklistToken(tokenAddress, outcome);
+    }
+    return outcome;
+  }
+
+  /**
+   * Blacklist a token whose launch ended badly, unless it was whitelisted by hand
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} outcome - Bad outcome of its launch
+   */
+  async blacklistToken(tokenAddress, outcome) {
+    if (!config.tokenLists || config.tokenLists.blacklistRugs === false) {
+      return;
+    }
+    if (tokenLists.isWhitelisted(tokenAddress)) {
+      logger.warn(`[Deployers] Whitelisted token ${tokenAddress} ended as ${outcome}, leaving it on the whitelist`);
+      return;
+    }
+
+    try {
+      await tokenLists.add('blacklist', tokenAddress, { reason: `Launch ended as ${outcome}`, source: 'auto-rug' });
+    } catch (error) {
+      logger.warn(`[Deployers] Could not blacklist ${tokenAddress}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recount a creator's launches and recompute its reputation
+   * @param {string} creatorAddress - Creator wallet
+   * @returns {Promise<Object>} - The saved deployer
+   */
+  async refreshDeployer(creatorAddress) {
+    const current = await database.getDeployer(creatorAddress);
+
+    let fundingSource = current ? current.funding_source : null;
+    let fundingChecked = current ? Boolean(current.funding_checked) : false;
+    if (!fundingChecked) {
+      ({ fundingSource, checked: fundingChecked } = await this.resolveFundingSource(creatorAddress));
+    }
+
+    const own = await database.getLaunchOutcomes(creatorAddress);
+    const linked = fundingSource ? await database.getLinkedLaunchOutcomes(fundingSource, creatorAddress) : {};
+
+    const countBad = counts => BAD_OUTCOMES.reduce((sum, outcome) => sum + (counts[outcome] || 0), 0);
+    const ownBad = countBad(own);
+    const linkedBad = countBad(linked);
+
+    const linkedWeight = this.settings.linkedWeight !== undefined ? this.settings.linkedWeight : 0.5;
+    const good = (own.survived || 0) + linkedWeight * (linked.survived || 0);
+    const bad = ownBad + linkedWeight * linkedBad;
+    // One good and one bad launch assumed up front, so a creator with no history scores 0.5
+    const reputationScore = (good + 1) / (good + bad + 2);
+
+    const threshold = this.settings.blacklistAfterBadLaunches || 3;
+    let isBlacklisted = current ? current.is_blacklisted === 1 : false;
+    let blacklistReason = current ? current.blacklist_reason : null;
+    if (!isBlacklisted && ownBad + linkedBad >= threshold) {
+      isBlacklisted = true;
+      blacklistReason = linkedBad > 0
+        ? `${ownBad} bad launches of its own and ${linkedBad} by wallets also funded by ${fundingSource}`
+        : `${ownBad} bad launches`;
+      logger.warn(`[Deployers] Blacklisted creator ${creatorAddress}: ${blacklistReason}`);
+    }
+
+    const deployer = {
+      address: creatorAddress,
+      fundingSource,
+      fundingChecked,
+      launches: Object.values(own).reduce((sum, count) => sum + count, 0),
+      rugs: own.rug || 0,
+      lpPulls: own.lp_pulled || 0,
+      devDumps: own.dev_dump || 0,
+      survived: own.survived || 0,
+      linkedBadLaunches: linkedBad,
+      reputationScore,
+      isBlacklisted,
+      blacklistReason,
+    };
+
+    await database.saveDeployer(deployer);
+    return deployer;
+  }
+
+  /**
+   * Find the wallet that first funded a creator
+   * @param {string} creatorAddress - Creator wallet
+   * @returns {Promise<Object>} - { fundingSource, checked }; fundingSource is null if unknown, custodial or the
+   *   history is too long to page through, and checked is false when the lookup failed and should be retried
+   */
+  async resolveFundingSource(creatorAddress) {
+    try {
+      const oldestSignature = await this.findOldestSignature(creatorAddress);
+      if (!oldestSignature) {
+        return { fundingSource: null, checked: true };
+      }
+
+      // Nodes without the full ledger may not have an old transaction; another endpoint may
+      const tx = await rpcManager.getTransaction(oldestSignature);
+      if (!tx || !tx.meta) {
+        return { fundingSource: null, checked: false };
+      }
+
+      // Balances line up with the static account keys; the funder is the one that paid the most out
+      const message = tx.transaction.message;
+      const keys = (message.staticAccountKeys || message.accountKeys).map(key => key.toString());
+      let funder = null;
+      let largestOutflow = 0;
+      keys.forEach((key, index) => {
+        const outflow = tx.meta.preBalances[index] - tx.meta.postBalances[index];
+        if (key !== creatorAddress && outflow > largestOutflow) {
+          funder = key;
+          largestOutflow = outflow;
+        }
+      });
+
+      if (funder && this.knownWallets[funder]) {
+        logger.debug(`[Deployers] ${creatorAddress} was funded from ${this.knownWallets[funder]}, not linking`);
+        return { fundingSource: null, checked: true };
+      }
+      return { fundingSource: funder, checked: true };
+    } catch (error) {
+      logger.warn(`[Deployers] Could not resolve funding source of ${creatorAddress}: ${error.message}`);
+      return { fundingSource: null, checked: false };
+    }
+  }
+
+  /**
+   * Page back through a wallet's signatures to its first transaction
+   * @param {string} address - Wallet address
+   * @returns {Promise<string|null>} - Oldest signature, null if the wallet has none or more than
+   *   maxFundingSignaturePages pages of them
+   */
+  async findOldestSignature(address) {
+    const maxPages = this.settings.maxFundingSignaturePages || 10;
+    const publicKey = new PublicKey(address);
+    let before;
+
+    for (let page = 0; page < maxPages; page++) {
+      const signatures = await rpcManager.getSignaturesForAddress(publicKey, { limit: SIGNATURE_PAGE_SIZE, before });
+      if (!signatures || signatures.length === 0) {
+        return before || null;
+      }
+
+      before = signatures[signatures.length - 1].signature;
+      if (signatures.length < SIGNATURE_PAGE_SIZE) {
+        return before;
+      }
+    }
+
+    logger.debug(`[Deployers] ${address} has more than ${maxPages * SIGNATURE_PAGE_SIZE} transactions, not linking`);
+    return null;
+  }
+
+  /**
+   * Reputation of a token's creator
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - { creatorAddress, reputationScore, isBlacklisted, blacklistReason, launches,
+   *   badLaunches, linkedBadLaunches }, null if the creator is unknown
+   */
+  async getReputationForToken(tokenAddress) {
+    try {
+      const creatorAddress = await database.getTokenCreator(tokenAddress);
+      if (!creatorAddress) {
+        return null;
+      }
+
+      const deployer = await database.getDeployer(creatorAddress);
+      if (!deployer) {
+        return {
+          creatorAddress,
+          reputationScore: UNKNOWN_REPUTATION,
+          isBlacklisted: false,
+          blacklistReason: null,
+          launches: 0,
+          badLaunches: 0,
+          linkedBadLaunches: 0,
+        };
+      }
+
+      return {
+        creatorAddress,
+        reputationScore: deployer.reputation_score !== null ? deployer.reputation_score : UNKNOWN_REPUTATION,
+        isBlacklisted: deployer.is_blacklisted === 1,
+        blacklistReason: deployer.blacklist_reason,
+        launches: deployer.launches,
+        badLaunches: deployer.rugs + deployer.lp_pulls + deployer.dev_dumps,
+        linkedBadLaunches: deployer.linked_bad_launches,
+      };
+    } catch (error) {
+      logger.error(`Error getting deployer reputation for ${tokenAddress}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new DeployerReputation();
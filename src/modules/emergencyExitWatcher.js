@@ -0,0 +1,422 @@
+/**
+ * Emergency Exit Watcher
+ *
+ * Watches every open position over websocket subscriptions instead of waiting
+ * for the price to show a rug (config.emergencyExits):
+ *
+ * - LIQUIDITY_PULL: onAccountChange on the quote vault of each of the token's
+ *   pools (from poolDiscovery). The vault falling lpPullDropPercent below its
+ *   highest balance since the watch began is a pull. onLogs on the pool marks
+ *   liquidity withdrawals, so the exit reason says whether the liquidity was
+ *   withdrawn or sold out of the pool.
+ * - DEV_DUMP: onAccountChange on the creator's token accounts (creators are
+ *   known for PumpFun launches). The creator moving out devSellPercent of their
+ *   tokens since the watch began, and at least minDevSellSupplyPercent of the
+ *   supply, is a dump.
+ *
+ * Either one sells the whole position at once through pnlTracker.exitTrade
+ * with the EMERGENCY fill type, which swapExecutor.executeSell submits at the
+ * emergency priority fee. Exits that fail are retried on the next sync.
+ */
+
+const { Connection, PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const rpcManager = require('../utils/rpcManager');
+const poolDiscovery = require('../utils/poolDiscovery');
+const priceOracle = require('../utils/priceOracle');
+const pnlTracker = require('./pnlTracker');
+
+// Program log lines of the instructions that take liquidity out of a pool, per pool type
+const WITHDRAW_LOGS = {
+  'raydium-cpmm': ['Instruction: Withdraw'],
+  'raydium-clmm': ['Instruction: DecreaseLiquidity'],
+  'orca-whirlpool': ['Instruction: DecreaseLiquidity'],
+};
+// Raydium AMM v4 only writes a ray_log, whose first byte is the log type
+const RAY_LOG_PREFIX = 'Program log: ray_log: ';
+const RAY_LOG_WITHDRAW = 2;
+
+class EmergencyExitWatcher {
+  constructor() {
+    this.settings = config.emergencyExits || { enabled: false };
+    this.connection = null;
+    this.isSyncing = false;
+
+    // Token address -> { tokenAddress, pools, creator, subscriptions, closed }
+    this.watches = new Map();
+    // Token address -> exit reason, for emergency exits that have not gone through yet
+    this.pendingExits = new Map();
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Connection the subscriptions are opened on, kept for the life of the watcher
+   * so rotating the RPC endpoint does not drop them
+   * @returns {Connection}
+   */
+  getConnection() {
+    if (!this.connection) {
+      this.connection = this.settings.wsEndpoint
+        ? new Connection(rpcManager.getCurrentEndpoint(), { commitment: 'confirmed', wsEndpoint: this.settings.wsEndpoint })
+        : rpcManager.getCurrentConnection();
+    }
+    return this.connection;
+  }
+
+  /**
+   * Watch every open position, stop watching closed ones and retry failed exits
+   */
+  async sync() {
+    if (!this.isEnabled() || this.isSyncing) {
+      return;
+    }
+
+    this.isSyncing = true;
+    try {
+      const held = new Set(pnlTracker.activeTrades.keys());
+
+      for (const tokenAddress of this.watches.keys()) {
+        if (!held.has(tokenAddress)) {
+          await this.unwatch(tokenAddress);
+        }
+      }
+
+      for (const [tokenAddress, exitReason] of Array.from(this.pendingExits.entries())) {
+        if (!held.has(tokenAddress)) {
+          this.pendingExits.delete(tokenAddress);
+        } else {
+          await this.exit(tokenAddress, exitReason);
+        }
+      }
+
+      for (const tokenAddress of held) {
+        if (!this.watches.has(tokenAddress) && !this.pendingExits.has(tokenAddress)) {
+          await this.watch(tokenAddress);
+        }
+      }
+    } catch (error) {
+      logger.error(`[EmergencyExits] Error syncing watches: ${error.message}`);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Subscribe to a position's pools and creator
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<boolean>} - Whether anything is being watched
+   */
+  async watch(tokenAddress) {
+    if (!this.isEnabled() || this.watches.has(tokenAddress)) {
+      return this.watches.has(tokenAddress);
+    }
+
+    const watch = { tokenAddress, pools: [], creator: null, subscriptions: [], closed: false };
+    this.watches.set(tokenAddress, watch);
+
+    try {
+      const pools = await poolDiscovery.discoverPools(tokenAddress);
+      for (const pool of pools.slice(0, this.settings.maxPoolsPerToken || 2)) {
+        await this.watchPool(watch, pool);
+      }
+
+      const creatorAddress = await database.getTokenCreator(tokenAddress);
+      if (creatorAddress) {
+        await this.watchCreator(watch, creatorAddress);
+      }
+
+      if (watch.closed) {
+        await this.removeSubscriptions(watch);
+        return false;
+      }
+
+      logger.info(`[EmergencyExits] Watching ${tokenAddress}: ${watch.pools.length} pools, ` +
+        `creator ${watch.creator ? watch.creator.address : 'unknown'}`);
+      return watch.subscriptions.length > 0;
+    } catch (error) {
+      // Dropped so the next sync tries again
+      logger.error(`[EmergencyExits] Error watching ${tokenAddress}: ${error.message}`);
+      await this.removeSubscriptions(watch);
+      if (this.watches.get(tokenAddress) === watch) {
+        this.watches.delete(tokenAddress);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe to a pool's quote vault and its program logs
+   * @param {Object} watch - Watch of the position
+   * @param {Object} pool - Pool from poolDiscovery
+   */
+  async watchPool(watch, pool) {
+    const vaultInfo = await rpcManager.getAccountInfo(new PublicKey(pool.quoteVault));
+    const vault = priceOracle.decodeTokenAccount(vaultInfo);
+    if (!vault) {
+      logger.warn(`[EmergencyExits] Could not read the quote vault of ${pool.type} pool ${pool.address}`);
+      return;
+    }
+
+    const watchedPool = {
+      address: pool.address,
+      type: pool.type,
+      quoteVault: pool.quoteVault,
+      balance: vault.amount,
+      peakBalance: vault.amount,
+      lastWithdrawal: null,
+    };
+    watch.pools.push(watchedPool);
+
+    const connection = this.getConnection();
+    watch.subscriptions.push({
+      kind: 'account',
+      id: connection.onAccountChange(new PublicKey(pool.quoteVault), accountInfo => {
+        this.onVaultChange(watch, watchedPool, accountInfo);
+      }, 'confirmed'),
+    });
+    watch.subscriptions.push({
+      kind: 'logs',
+      id: connection.onLogs(new PublicKey(pool.address), logs => {
+        this.onPoolLogs(watchedPool, logs);
+      }, 'confirmed'),
+    });
+  }
+
+  /**
+   * Subscribe to the creator's token accounts for the mint
+   * @param {Object} watch - Watch of the position
+   * @param {string} creatorAddress - Creator wallet
+   */
+  async watchCreator(watch, creatorAddress) {
+    const mint = new PublicKey(watch.tokenAddress);
+    const [accounts, supply] = await Promise.all([
+      rpcManager.getTokenAccountsByOwner(new PublicKey(creatorAddress), { mint }),
+      rpcManager.getTokenSupply(mint),
+    ]);
+
+    const balances = new Map();
+    for (const { pubkey, account } of accounts.value) {
+      const tokenAccount = priceOracle.decodeTokenAccount(account);
+      if (tokenAccount) {
+        balances.set(pubkey.toString(), tokenAccount.amount);
+      }
+    }
+
+    const holding = Array.from(balances.values()).reduce((sum, amount) => sum + amount, 0);
+    if (holding === 0) {
+      logger.debug(`[EmergencyExits] Creator ${creatorAddress} holds none of ${watch.tokenAddress}, not watching`);
+      return;
+    }
+
+    watch.creator = {
+      address: creatorAddress,
+      balances,
+      peakHolding: holding,
+      supply: Number(supply.value.amount),
+    };
+
+    const connection = this.getConnection();
+    for (const tokenAccount of balances.keys()) {
+      watch.subscriptions.push({
+        kind: 'account',
+        id: connection.onAccountChange(new PublicKey(tokenAccount), accountInfo => {
+          this.onCreatorAccountChange(watch, tokenAccount, accountInfo);
+        }, 'confirmed'),
+      });
+    }
+  }
+
+  /**
+   * Check a quote vault update for a liquidity pull
+   * @param {Object} watch - Watch of the position
+   * @param {Object} pool - Watched pool
+   * @param {Object} accountInfo - New vault account data
+   */
+  onVaultChange(watch, pool, accountInfo) {
+    const vault = priceOracle.decodeTokenAccount(accountInfo);
+    if (!vault || watch.closed) {
+      return;
+    }
+
+    pool.balance = vault.amount;
+    pool.peakBalance = Math.max(pool.peakBalance, vault.amount);
+
+    const dropPercent = pool.peakBalance > 0 ? (1 - pool.balance / pool.peakBalance) * 100 : 0;
+    if (dropPercent >= this.settings.lpPullDropPercent) {
+      const how = pool.lastWithdrawal ? `withdrawn in ${pool.lastWithdrawal}` : 'sold out of the pool';
+      this.trigger(watch.tokenAddress,
+        `LIQUIDITY_PULL: ${pool.type} pool ${pool.address} quote vault down ${dropPercent.toFixed(0)}% from its peak, ${how}`);
+    }
+  }
+
+  /**
+   * Note liquidity withdrawals from a pool's transaction logs
+   * @param {Object} pool - Watched pool
+   * @param {Object} logs - { signature, err, logs } from onLogs
+   */
+  onPoolLogs(pool, logs) {
+    if (logs.err || !Array.isArray(logs.logs)) {
+      return;
+    }
+
+    if (logs.logs.some(line => this.isWithdrawLog(pool.type, line))) {
+      pool.lastWithdrawal = logs.signature;
+      logger.warn(`[EmergencyExits] Liquidity withdrawn from ${pool.type} pool ${pool.address}: ${logs.signature}`);
+    }
+  }
+
+  /**
+   * @param {string} type - Pool type
+   * @param {string} line - Program log line
+   * @returns {boolean} - Whether the line logs a liquidity withdrawal
+   */
+  isWithdrawLog(type, line) {
+    if (type === 'raydium-amm-v4') {
+      if (!line.startsWith(RAY_LOG_PREFIX)) {
+        return false;
+      }
+      const data = Buffer.from(line.slice(RAY_LOG_PREFIX.length), 'base64');
+      return data.length > 0 && data[0] === RAY_LOG_WITHDRAW;
+    }
+    return (WITHDRAW_LOGS[type] || []).some(instruction => line.includes(instruction));
+  }
+
+  /**
+   * Check a creator token account update for a dump
+   * @param {Object} watch - Watch of the position
+   * @param {string} tokenAccount - Creator token account that changed
+   * @param {Object} accountInfo - New account data
+   */
+  onCreatorAccountChange(watch, tokenAccount, accountInfo) {
+    const creator = watch.creator;
+    if (!creator || watch.closed) {
+      return;
+    }
+
+    // A closed account has no data left to decode
+    const decoded = priceOracle.decodeTokenAccount(accountInfo);
+    creator.balances.set(tokenAccount, decoded ? decoded.amount : 0);
+
+    const holding = Array.from(creator.balances.values()).reduce((sum, amount) => sum + amount, 0);
+    creator.peakHolding = Math.max(creator.peakHolding, holding);
+
+    const moved = creator.peakHolding - holding;
+    const movedPercent = (moved / creator.peakHolding) * 100;
+    const supplyPercent = creator.supply > 0 ? (moved / creator.supply) * 100 : 0;
+
+    if (movedPercent >= this.settings.devSellPercent && supplyPercent >= this.settings.minDevSellSupplyPercent) {
+      this.trigger(watch.tokenAddress,
+        `DEV_DUMP: creator ${creator.address} moved out ${movedPercent.toFixed(0)}% of their tokens, ` +
+        `${supplyPercent.toFixed(1)}% of the supply`);
+    }
+  }
+
+  /**
+   * Stop watching a position and sell it
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} exitReason - Reason stored on the trade
+   */
+  async trigger(tokenAddress, exitReason) {
+    if (this.pendingExits.has(tokenAddress)) {
+      return;
+    }
+
+    logger.warn(`[EmergencyExits] ${tokenAddress}: ${exitReason}`);
+    this.pendingExits.set(tokenAddress, exitReason);
+    await this.unwatch(tokenAddress);
+    poolDiscovery.invalidate(tokenAddress);
+
+    try {
+      await database.logEvent('EMERGENCY_EXIT', exitReason, { tokenAddress });
+    } catch (error) {
+      logger.warn(`[EmergencyExits] Could not log event for ${tokenAddress}: ${error.message}`);
+    }
+
+    await this.exit(tokenAddress, exitReason);
+  }
+
+  /**
+   * Sell a position at emergency urgency, leaving it pending if the sell fails
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} exitReason - Reason stored on the trade
+   * @returns {Promise<boolean>} - Whether the position was closed
+   */
+  async exit(tokenAddress, exitReason) {
+    const closed = await pnlTracker.exitTrade(tokenAddress, 'EMERGENCY', { exitReason });
+    if (closed || !pnlTracker.activeTrades.has(tokenAddress)) {
+      this.pendingExits.delete(tokenAddress);
+      return true;
+    }
+
+    logger.error(`[EmergencyExits] Emergency exit of ${tokenAddress} failed, retrying on the next sync`);
+    return false;
+  }
+
+  /**
+   * Stop watching a position
+   * @param {string} tokenAddress - Token mint address
+   */
+  async unwatch(tokenAddress) {
+    const watch = this.watches.get(tokenAddress);
+    if (!watch) {
+      return;
+    }
+
+    // A watch still subscribing removes its own subscriptions once done
+    watch.closed = true;
+    this.watches.delete(tokenAddress);
+    await this.removeSubscriptions(watch);
+  }
+
+  async removeSubscriptions(watch) {
+    const connection = this.getConnection();
+    const subscriptions = watch.subscriptions.splice(0);
+
+    for (const subscription of subscriptions) {
+      try {
+        if (subscription.kind === 'logs') {
+          await connection.removeOnLogsListener(subscription.id);
+        } else {
+          await connection.removeAccountChangeListener(subscription.id);
+        }
+      } catch (error) {
+        logger.debug(`[EmergencyExits] Error removing subscription for ${watch.tokenAddress}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Remove every subscription, e.g. on shutdown
+   */
+  async stop() {
+    for (const tokenAddress of Array.from(this.watches.keys())) {
+      await this.unwatch(tokenAddress);
+    }
+  }
+
+  /**
+   * @returns {Object} - Watched positions and exits waiting to be retried
+   */
+  getState() {
+    return {
+      enabled: this.isEnabled(),
+      watched: Array.from(this.watches.values()).map(watch => ({
+        tokenAddress: watch.tokenAddress,
+        pools: watch.pools.map(pool => ({
+          address: pool.address,
+          type: pool.type,
+          dropPercent: pool.peakBalance > 0 ? (1 - pool.balance / pool.peakBalance) * 100 : 0,
+        })),
+        creator: watch.creator ? watch.creator.address : null,
+      })),
+      pendingExits: Object.fromEntries(this.pendingExits),
+    };
+  }
+}
+
+module.exports = new EmergencyExitWatcher();
@@ -0,0 +1,177 @@
+/**
+ * Exit Planner
+ *
+ * Plans the take profit and stop loss of a position when it is opened
+ * (config.trading.tradingStrategies.dynamicExitStrategy):
+ *
+ * - The base levels are the entry strategy's exit plan, or the global
+ *   tpPercentage and slPercentage for entries without one.
+ * - Each tpIncreaseFactor the token meets widens the take profit, and the
+ *   market condition from database.determineMarketCondition scales it
+ *   (bullishMarket, bearishMarket, sidewaysMarket).
+ * - Each slDecreaseFactor the token meets tightens the stop loss.
+ * - Both are kept between their min and max percentages.
+ *
+ * The plan is stored on the trade as exit_plan, next to the TP and SL prices
+ * it sets, and pnlTracker enforces it in place of the global tpPercentage and
+ * slPercentage.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const exitRules = require('./exitRules');
+const tokenFeatures = require('./tokenFeatures');
+
+// database.determineMarketCondition result -> marketConditionAdjustment key
+const MARKET_ADJUSTMENTS = {
+  BULL: 'bullishMarket',
+  BEAR: 'bearishMarket',
+  STABLE: 'sidewaysMarket',
+  VOLATILE: 'sidewaysMarket',
+};
+
+class ExitPlanner {
+  constructor() {
+    this.settings = config.trading.tradingStrategies?.dynamicExitStrategy || { enabled: false };
+
+    // Last market condition and when it was read
+    this.marketCondition = null;
+    this.marketConditionAt = 0;
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Plan the exit levels of a new position
+   * @param {Object} token - Pair data for the token
+   * @param {Object} intent - Entry intent the position is opened for, if any
+   * @param {Object} onChainData - onChainAnalyzer.analyzeToken result, if available
+   * @returns {Promise<Object>} - { takeProfitPercent, stopLossPercent, baseTakeProfitPercent, baseStopLossPercent,
+   *   tpFactors, slFactors, marketCondition, marketMultiplier, volatilityPercent, entryMomentum, dynamic }
+   */
+  async plan(token, intent = null, onChainData = null) {
+    const base = intent && intent.exitPlan ? intent.exitPlan : {
+      takeProfitPercent: config.trading.tpPercentage,
+      stopLossPercent: config.trading.slPercentage,
+    };
+    // Trading activity at entry, which the momentum decay rule compares against
+    const entryMomentum = exitRules.getPairMomentum(token);
+    const staticPlan = {
+      ...base,
+      baseTakeProfitPercent: base.takeProfitPercent,
+      baseStopLossPercent: base.stopLossPercent,
+      entryMomentum,
+      dynamic: false,
+    };
+
+    if (!this.isEnabled()) {
+      return staticPlan;
+    }
+
+    try {
+      const sentimentScore = await tokenFeatures.getSentimentScore(token.baseToken.address);
+      const features = this.getFeatures(token, onChainData, sentimentScore);
+
+      let takeProfitPercent = base.takeProfitPercent;
+      const tpFactors = {};
+      for (const [name, value] of Object.entries(this.settings.tpIncreaseFactors || {})) {
+        if (features[name]) {
+          tpFactors[name] = value;
+          takeProfitPercent *= value;
+        }
+      }
+
+      let stopLossPercent = base.stopLossPercent;
+      const slFactors = {};
+      for (const [name, value] of Object.entries(this.settings.slDecreaseFactors || {})) {
+        if (features[name]) {
+          slFactors[name] = value;
+          stopLossPercent *= value;
+        }
+      }
+
+      const marketCondition = await this.getMarketCondition();
+      const adjustment = this.settings.marketConditionAdjustment || {};
+      const marketMultiplier = adjustment.enabled && marketCondition
+        ? adjustment[MARKET_ADJUSTMENTS[marketCondition]] || 1.0
+        : 1.0;
+      takeProfitPercent *= marketMultiplier;
+
+      takeProfitPercent = this.clamp(takeProfitPercent, this.settings.minTpPercentage, this.settings.maxTpPercentage);
+      stopLossPercent = this.clamp(stopLossPercent, this.settings.minSlPercentage, this.settings.maxSlPercentage);
+
+      const plan = {
+        ...base,
+        takeProfitPercent,
+        stopLossPercent,
+        baseTakeProfitPercent: base.takeProfitPercent,
+        baseStopLossPercent: base.stopLossPercent,
+        tpFactors,
+        slFactors,
+        marketCondition,
+        marketMultiplier,
+        volatilityPercent: Math.abs(token.priceChange?.m5 || 0),
+        entryMomentum,
+        dynamic: true,
+      };
+
+      logger.info(`Exit plan for ${token.baseToken.symbol}: TP ${takeProfitPercent.toFixed(1)}% (base ${base.takeProfitPercent}%), ` +
+        `SL ${stopLossPercent.toFixed(1)}% (base ${base.stopLossPercent}%), market ${marketCondition || 'unknown'}`);
+      return plan;
+    } catch (error) {
+      logger.error(`Error planning exits for ${token.baseToken.symbol}, using the base levels: ${error.message}`);
+      return staticPlan;
+    }
+  }
+
+  /**
+   * Work out which exit factors a token meets
+   * @param {Object} token - Pair data
+   * @param {Object|null} onChainData - On-chain analysis; the holder concentration check is left out without it
+   * @param {number|null} sentimentScore - Sentiment score (0 to 1)
+   * @returns {Object} - Factor name -> whether it applies
+   */
+  getFeatures(token, onChainData, sentimentScore) {
+    const thresholds = this.settings.thresholds || {};
+    const metrics = tokenFeatures.getMetrics(token, onChainData);
+    const { liquidityUsd, marketCapUsd, ageHours, buysH1, sellsH1, onChain } = metrics;
+
+    return {
+      highVolatility: Math.abs(metrics.priceChangeM5) >= thresholds.highVolatilityPercent,
+      strongMomentum: metrics.priceChangeH1 >= thresholds.strongMomentumPercent,
+      highSocialSentiment: sentimentScore !== null && sentimentScore >= thresholds.highSocialSentiment,
+      lowMarketCap: Boolean(marketCapUsd) && marketCapUsd < thresholds.lowMarketCapUsd,
+      newListing: ageHours !== null && ageHours < thresholds.newListingHours,
+      lowLiquidity: liquidityUsd === null || liquidityUsd < thresholds.lowLiquidityUsd,
+      weakBuyPressure: buysH1 + sellsH1 > 0 && buysH1 / Math.max(1, sellsH1) < thresholds.weakBuyPressureRatio,
+      suspiciousActivity: (Boolean(liquidityUsd) && metrics.volumeH24Usd >= liquidityUsd * thresholds.suspiciousVolumeToLiquidity) ||
+        (onChain !== null && onChain.topAccountPercentage >= thresholds.suspiciousTopHolderPercent),
+    };
+  }
+
+  /**
+   * @returns {Promise<string|null>} - BULL, BEAR, STABLE or VOLATILE, cached for marketConditionAdjustment.cacheMinutes
+   */
+  async getMarketCondition() {
+    const adjustment = this.settings.marketConditionAdjustment || {};
+    if (!adjustment.enabled) {
+      return null;
+    }
+
+    const ttl = (adjustment.cacheMinutes || 15) * 60 * 1000;
+    if (!this.marketCondition || Date.now() - this.marketConditionAt >= ttl) {
+      this.marketCondition = await database.determineMarketCondition();
+      this.marketConditionAt = Date.now();
+    }
+    return this.marketCondition;
+  }
+
+  clamp(value, min, max) {
+    return Math.min(max || Infinity, Math.max(min || 0, value));
+  }
+}
+
+module.exports = new ExitPlanner();
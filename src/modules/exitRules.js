@@ -0,0 +1,213 @@
+/**
+ * Exit Rules
+ *
+ * Decides when a position is closed. evaluateExit applies the take profit and
+ * stop loss (the trade's exit plan, or config.trading tpPercentage and
+ * slPercentage) and the time rules. It also closes positions that go nowhere
+ * (config.trading.tradingStrategies.timeBasedExits):
+ *
+ * - MAX_HOLD: the position is older than maxHoldMinutes
+ * - STAGNATION: after stagnation.afterMinutes the price has neither risen nor
+ *   fallen stagnation.minMovePercent from the entry, its high included
+ * - MOMENTUM_DECAY: the pool's 1h buys per sell fell below minBuySellRatio, or
+ *   its 1h volume fell below minVolumePercentOfEntry of the 1h volume when the
+ *   position was opened (kept in the trade's exit plan as entryMomentum)
+ *
+ * evaluateExit only reads the trade, and this module needs no wallet, database
+ * or RPC connection, so backtests apply the same rules offline. Momentum needs
+ * fresh DexScreener pair data and is only checked live, at most every
+ * momentumDecay.checkIntervalMinutes per position.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const dexScreenerClient = require('../utils/dexScreenerClient');
+
+class ExitRules {
+  constructor() {
+    this.settings = config.trading.tradingStrategies?.timeBasedExits || { enabled: false };
+
+    // Trade ID -> when its pair data was last checked
+    this.momentumCheckedAt = new Map();
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Decide whether a trade has hit its take profit, its stop loss or a time rule
+   * @param {Object} trade - Trade as held in activeTrades
+   * @param {number} now - Current time in ms (a simulated clock in backtests)
+   * @returns {Object|null} - { reason: 'TP'|'SL'|'TRAILING_STOP'|'MAX_HOLD'|'STAGNATION', detail } or null
+   *   to keep holding; detail explains a time rule and is null otherwise
+   */
+  evaluateExit(trade, now = Date.now()) {
+    // The trade's own exit plan, or the global levels for trades opened without one
+    const tpPercentage = trade.exitPlan ? trade.exitPlan.takeProfitPercent : config.trading.tpPercentage;
+    const slPercentage = trade.exitPlan ? trade.exitPlan.stopLossPercent : config.trading.slPercentage;
+    const maxStalenessMs = (config.priceOracle && config.priceOracle.maxStalenessMs) || 60000;
+    
+    // Skip if trade is too new (less than 1 minute old)
+    if (now - trade.buyTimestamp < 60000) {
+      return null;
+    }
+    
+    const timeExit = this.evaluateTime(trade, now);
+    
+    // Never act on a price we have not observed recently; only the hold limit does not depend on one
+    if (!trade.priceTimestamp || now - trade.priceTimestamp > maxStalenessMs) {
+      if (timeExit && timeExit.reason === 'MAX_HOLD') {
+        return timeExit;
+      }
+      logger.debug(`Skipping TP/SL check for ${trade.tokenSymbol}: no fresh price`);
+      return null;
+    }
+    
+    // Check if TP or SL is hit, preferring the levels set by the trade's exit plan
+    const takeProfitHit = trade.takeProfitPrice ?
+      trade.currentPrice >= trade.takeProfitPrice :
+      trade.profitLossPercent >= tpPercentage;
+    const stopLossHit = trade.stopLossPrice ?
+      trade.currentPrice <= trade.stopLossPrice :
+      trade.profitLossPercent <= -slPercentage;
+    
+    if (takeProfitHit) {
+      return { reason: 'TP', detail: null };
+    }
+    if (stopLossHit) {
+      return { reason: trade.trailingStopActive ? 'TRAILING_STOP' : 'SL', detail: null };
+    }
+    return timeExit;
+  }
+
+  /**
+   * Apply the time rules to a trade
+   * @param {Object} trade - Trade as held in activeTrades
+   * @param {number} now - Current time in ms (a simulated clock in backtests)
+   * @returns {Object|null} - { reason: 'MAX_HOLD'|'STAGNATION', detail } or null to keep holding
+   */
+  evaluateTime(trade, now = Date.now()) {
+    if (!this.isEnabled() || !trade.buyTimestamp) {
+      return null;
+    }
+
+    const heldMinutes = (now - trade.buyTimestamp) / 60000;
+
+    if (this.settings.maxHoldMinutes && heldMinutes >= this.settings.maxHoldMinutes) {
+      return {
+        reason: 'MAX_HOLD',
+        detail: `Held ${heldMinutes.toFixed(0)} minutes, limit ${this.settings.maxHoldMinutes}`,
+      };
+    }
+
+    const stagnation = this.settings.stagnation || {};
+    if (stagnation.enabled && heldMinutes >= stagnation.afterMinutes && trade.buyPrice > 0) {
+      const highPercent = trade.maxPriceReached ? ((trade.maxPriceReached - trade.buyPrice) / trade.buyPrice) * 100 : 0;
+      const movePercent = Math.max(Math.abs(trade.profitLossPercent || 0), highPercent);
+
+      if (movePercent < stagnation.minMovePercent) {
+        return {
+          reason: 'STAGNATION',
+          detail: `Moved ${movePercent.toFixed(1)}% in ${heldMinutes.toFixed(0)} minutes, needs ${stagnation.minMovePercent}%`,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether trading in a position's token has dried up
+   * @param {Object} trade - Trade as held in activeTrades
+   * @param {number} now - Current time in ms
+   * @returns {Promise<Object|null>} - { reason: 'MOMENTUM_DECAY', detail } or null to keep holding
+   */
+  async evaluateMomentum(trade, now = Date.now()) {
+    const momentumDecay = this.settings.momentumDecay || {};
+    if (!this.isEnabled() || !momentumDecay.enabled) {
+      return null;
+    }
+    if (now - trade.buyTimestamp < (momentumDecay.minAgeMinutes || 0) * 60000) {
+      return null;
+    }
+
+    const intervalMs = (momentumDecay.checkIntervalMinutes || 2) * 60000;
+    if (now - (this.momentumCheckedAt.get(trade.id) || 0) < intervalMs) {
+      return null;
+    }
+    this.momentumCheckedAt.set(trade.id, now);
+
+    try {
+      const momentum = await this.getMomentum(trade.tokenAddress);
+      if (!momentum) {
+        logger.debug(`No pair data for ${trade.tokenSymbol}, momentum not checked`);
+        return null;
+      }
+
+      if (momentum.buySellRatio !== null && momentum.buySellRatio < momentumDecay.minBuySellRatio) {
+        return {
+          reason: 'MOMENTUM_DECAY',
+          detail: `1h buys per sell ${momentum.buySellRatio.toFixed(2)}, minimum ${momentumDecay.minBuySellRatio}`,
+        };
+      }
+
+      const entryVolume = trade.exitPlan && trade.exitPlan.entryMomentum ? trade.exitPlan.entryMomentum.volumeH1Usd : null;
+      if (entryVolume > 0 && momentum.volumeH1Usd !== null) {
+        const volumePercent = (momentum.volumeH1Usd / entryVolume) * 100;
+        if (volumePercent < momentumDecay.minVolumePercentOfEntry) {
+          return {
+            reason: 'MOMENTUM_DECAY',
+            detail: `1h volume $${momentum.volumeH1Usd.toFixed(0)} is ${volumePercent.toFixed(0)}% of $${entryVolume.toFixed(0)} at entry, ` +
+              `minimum ${momentumDecay.minVolumePercentOfEntry}%`,
+          };
+        }
+      }
+    } catch (error) {
+      logger.warn(`Error checking momentum for ${trade.tokenSymbol}: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * 1h buys per sell and volume of the token's most liquid pair
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<Object|null>} - { buySellRatio, volumeH1Usd }, or null without pair data
+   */
+  async getMomentum(tokenAddress) {
+    const tokenInfo = await dexScreenerClient.getTokenInfo(tokenAddress);
+    if (!tokenInfo || !Array.isArray(tokenInfo.pairs) || tokenInfo.pairs.length === 0) {
+      return null;
+    }
+
+    const pair = tokenInfo.pairs.reduce((best, candidate) =>
+      (candidate.liquidity?.usd || 0) > (best.liquidity?.usd || 0) ? candidate : best);
+    return this.getPairMomentum(pair);
+  }
+
+  /**
+   * @param {Object} pair - DexScreener pair data
+   * @returns {Object} - { buySellRatio, volumeH1Usd }, null fields for data the pair lacks
+   */
+  getPairMomentum(pair) {
+    const buys = pair.txns?.h1?.buys;
+    const sells = pair.txns?.h1?.sells;
+    const volume = pair.volume?.h1;
+
+    return {
+      buySellRatio: typeof buys === 'number' && typeof sells === 'number' && buys + sells > 0 ? buys / Math.max(1, sells) : null,
+      volumeH1Usd: typeof volume === 'number' ? volume : null,
+    };
+  }
+
+  /**
+   * Forget a closed trade
+   * @param {Object} trade - Trade that was closed
+   */
+  removeTrade(trade) {
+    this.momentumCheckedAt.delete(trade.id);
+  }
+}
+
+module.exports = new ExitRules();
@@ -1,3 +1,5 @@
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const config = require('../../config/config');
 const logger = require('../utils/logger');
@@ -908,6 +910,25 @@ class MarketScanner {
     return filteredPairs;
   }
   
+  /**
+   * Write a raw DexScreener scan to the snapshot directory for backtesting
+   * @param {Array} pairs - Pairs as returned by DexScreener
+   */
+  saveSnapshot(pairs) {
+    try {
+      const snapshotDir = config.backtest.snapshotDir;
+      fs.mkdirSync(snapshotDir, { recursive: true });
+      
+      const capturedAt = Date.now();
+      fs.writeFileSync(
+        path.join(snapshotDir, `${capturedAt}.json`),
+        JSON.stringify({ capturedAt, pairs })
+      );
+    } catch (error) {
+      logger.warn(`Failed to save DexScreener snapshot: ${error.message}`);
+    }
+  }
+  
   // Main scanning function
   async scan() {
     try {
@@ -931,6 +952,11 @@ class MarketScanner {
       
       logger.info(`Fetched ${pairs.length} pairs from DexScreener, applying filters...`);
       
+      // Keep the raw scan for offline backtesting
+      if (config.backtest?.captureSnapshots) {
+        this.saveSnapshot(pairs);
+      }
+      
       // Filter pairs based on our criteria
       const filteredPairs = this.filterPairs(pairs);
       
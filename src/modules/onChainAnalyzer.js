@@ -3,6 +3,10 @@ const { Token } = require('@solana/spl-token');
 const logger = require('../utils/logger');
 const config = require('../../config/config');
 const rpcManager = require('../utils/rpcManager');
+const poolDiscovery = require('../utils/poolDiscovery');
+const roundTripSimulator = require('../utils/roundTripSimulator');
+const mintDecoder = require('../utils/mintDecoder');
+const holderDistribution = require('../utils/holderDistribution');
 
 class OnChainAnalyzer {
   constructor() {
@@ -27,33 +31,21 @@ class OnChainAnalyzer {
         throw new Error(`Could not fetch token supply for: ${tokenAddress}`);
       }
       
-      // Get largest token accounts - handle errors gracefully
-      let holderCount = 0;
-      let topAccountPercentage = 0;
-      try {
-        const largestAccounts = await rpcManager.getTokenLargestAccounts(tokenPublicKey);
-        if (largestAccounts && largestAccounts.value) {
-          holderCount = largestAccounts.value.length;
-          
-          // Calculate concentration (% held by top account)
-          if (holderCount > 0 && tokenSupply?.value?.uiAmount > 0) {
-            topAccountPercentage = (largestAccounts.value[0].uiAmount / tokenSupply.value.uiAmount) * 100;
-          }
-        }
-      } catch (error) {
-        logger.warn(`Error fetching largest accounts for ${tokenAddress}: ${error.message}`);
-        // Use a default holder count to avoid failing the safety check
-        holderCount = 20;
+      // Decode the mint: its token program, authorities and Token-2022 extensions
+      const mint = mintDecoder.decodeMint(tokenInfo);
+      if (mint.extensions.length > 0) {
+        logger.info(`Token ${tokenAddress} has Token-2022 extensions: ${mint.extensions.map(extension => extension.name).join(', ')}`);
       }
       
-      // Check if mint authority is revoked
-      // Add proper null checks to handle different token data structures
-      const mintAuthorityRevoked = !tokenInfo?.data?.parsed?.info?.mintAuthority;
-      
-      // If we couldn't determine the mint authority status, default to false (more conservative)
-      if (mintAuthorityRevoked === undefined) {
-        logger.warn(`Could not determine mint authority status for token: ${tokenAddress}`);
+      // Classify the largest holders and count the real ones
+      let distribution = null;
+      try {
+        distribution = await holderDistribution.analyze(tokenAddress, mint);
+      } catch (error) {
+        logger.warn(`Error analyzing holder distribution for ${tokenAddress}: ${error.message}`);
       }
+      // An unknown distribution counts as no holders rather than as a healthy default
+      const holderCount = distribution ? distribution.holderCount : 0;
       
       // Get recent transactions
       const signatures = await rpcManager.getSignaturesForAddress(tokenPublicKey, { limit: 10 });
@@ -74,8 +66,15 @@ class OnChainAnalyzer {
         supply: tokenSupply?.value?.uiAmount || 0,
         decimals: tokenSupply?.value?.decimals || 0,
         holderCount,
-        topAccountPercentage,
-        mintAuthorityRevoked: mintAuthorityRevoked === undefined ? false : mintAuthorityRevoked,
+        holdersCount: holderCount,
+        topAccountPercentage: distribution ? distribution.topHolderPercent : 0,
+        holderDistribution: distribution,
+        mintAuthorityRevoked: mint.mintAuthority === null,
+        freezeAuthorityRevoked: mint.freezeAuthority === null,
+        tokenProgram: mint.tokenProgram,
+        mintAuthority: mint.mintAuthority,
+        freezeAuthority: mint.freezeAuthority,
+        extensions: mint.extensions,
         recentTransactions,
         creationTime,
       };
@@ -86,11 +85,18 @@ class OnChainAnalyzer {
         address: tokenAddress,
         supply: 0,
         decimals: 0,
-        holderCount: 20, // Default to a reasonable number to avoid failing safety checks
+        holderCount: 0,
+        holdersCount: 0,
         topAccountPercentage: 0,
+        holderDistribution: null,
         mintAuthorityRevoked: false,
+        freezeAuthorityRevoked: false,
+        // Unknown, as opposed to an empty list of extensions
+        tokenProgram: null,
+        extensions: null,
         recentTransactions: 0,
         creationTime: Date.now(),
+        error: error.message,
       };
     }
   }
@@ -125,22 +131,30 @@ class OnChainAnalyzer {
       return {
         isHoneypot: !result.success,
         details: result.details || 'Swap simulation successful',
-        dex: dex
+        dex: dex,
+        // The simulation could not run, so the token is not known to be sellable
+        ...(result.unavailable && { error: result.details })
       };
     } catch (error) {
-      // If we get an error during the honeypot check, log it but don't immediately
-      // mark the token as a honeypot - this could be an RPC issue
+      // A token that could not be checked is not known to be sellable
       logger.error(`Error checking for honeypot: ${error.message}`);
-      
-      // Be more lenient with honeypot checks - assume it's not a honeypot if there's an error
       return {
-        isHoneypot: false,
-        details: `Error during honeypot check, assuming not a honeypot: ${error.message}`,
-        dex: dex
+        isHoneypot: true,
+        details: `Error during honeypot check: ${error.message}`,
+        dex: dex,
+        error: error.message
       };
     }
   }
 
+  /**
+   * Simulate buying the token and selling it straight back (see roundTripSimulator)
+   * Fails closed: if the round trip cannot be simulated the swap is reported as failed
+   * @param {string} tokenAddress - The address of the token to check
+   * @param {string} dex - DEX to simulate on; Raydium and Orca restrict the routes to that DEX's pools
+   * @param {number} solAmount - SOL spent on the simulated buy
+   * @returns {Promise<Object>} - { success, canSellBack, details, sellTaxPercent, buyTaxPercent, ... }
+   */
   async simulateSwap(tokenAddress, dex = 'Jupiter', solAmount = 0.01) {
     try {
       if (!tokenAddress) {
@@ -149,10 +163,6 @@ class OnChainAnalyzer {
       
       logger.info(`Simulating swap for token: ${tokenAddress} with ${solAmount} SOL on ${dex}`);
       
-      // Make sure we have a PublicKey object
-      const tokenPublicKey = typeof tokenAddress === 'string' ? 
-        new PublicKey(tokenAddress) : tokenAddress;
-      
       // For SOL-related tokens, automatically return successful swap simulation
       if (tokenAddress === 'So11111111111111111111111111111111111111112' || 
           tokenAddress === 'SOL' || 
@@ -167,121 +177,45 @@ class OnChainAnalyzer {
         };
       }
       
-      // Handle different DEXes
-      if (dex === 'Raydium') {
-        // Simulate Raydium swap
-        const raydiumPoolExists = await this.checkRaydiumPool(tokenAddress);
-        if (!raydiumPoolExists) {
-          return {
-            success: false,
-            details: 'No Raydium pool found for this token',
-            canSellBack: false
-          };
-        }
-        
-        // If pool exists, check if there's enough liquidity
-        const raydiumLiquidity = await this.getRaydiumLiquidity(tokenAddress);
-        if (raydiumLiquidity < 1000) { // Minimum $1000 liquidity
+      // A single-DEX simulation needs a pool on that DEX with enough liquidity
+      let liquidity = null;
+      if (dex === 'Raydium' || dex === 'Orca') {
+        const poolExists = dex === 'Raydium' ?
+          await this.checkRaydiumPool(tokenAddress) :
+          await this.checkOrcaPool(tokenAddress);
+        if (!poolExists) {
           return {
             success: false,
-            details: `Insufficient liquidity on Raydium: ${raydiumLiquidity.toFixed(2)}`,
+            details: `No ${dex} pool found for this token`,
             canSellBack: false
           };
         }
         
-        // For now, assume the swap will succeed if there's a pool with sufficient liquidity
-        return {
-          success: true,
-          details: 'Raydium swap simulation successful',
-          canSellBack: true,
-          dex: 'Raydium',
-          liquidity: raydiumLiquidity
-        };
-      } else if (dex === 'Orca') {
-        // Simulate Orca swap
-        const orcaPoolExists = await this.checkOrcaPool(tokenAddress);
-        if (!orcaPoolExists) {
+        liquidity = dex === 'Raydium' ?
+          await this.getRaydiumLiquidity(tokenAddress) :
+          await this.getOrcaLiquidity(tokenAddress);
+        if (liquidity < 1000) { // Minimum $1000 liquidity
           return {
             success: false,
-            details: 'No Orca pool found for this token',
+            details: `Insufficient liquidity on ${dex}: ${liquidity.toFixed(2)}`,
             canSellBack: false
           };
         }
-        
-        // If pool exists, check if there's enough liquidity
-        const orcaLiquidity = await this.getOrcaLiquidity(tokenAddress);
-        if (orcaLiquidity < 1000) { // Minimum $1000 liquidity
-          return {
-            success: false,
-            details: `Insufficient liquidity on Orca: ${orcaLiquidity.toFixed(2)}`,
-            canSellBack: false
-          };
-        }
-        
-        // For now, assume the swap will succeed if there's a pool with sufficient liquidity
-        return {
-          success: true,
-          details: 'Orca swap simulation successful',
-          canSellBack: true,
-          dex: 'Orca',
-          liquidity: orcaLiquidity
-        };
-      }
-      
-      // Default to Jupiter simulation
-      // Use the rpcManager's simulateTokenSwap method to ensure consistent SOL amount
-      try {
-        const swapResult = await rpcManager.simulateTokenSwap(tokenPublicKey, solAmount);
-        
-        // If the swap simulation was successful, we can return the result directly
-        if (swapResult && typeof swapResult === 'object') {
-          return swapResult;
-        }
-      } catch (error) {
-        logger.warn(`Error in primary swap simulation, falling back to secondary check: ${error.message}`);
-        // Continue to fallback check
-      }
-      
-      // Otherwise, perform our own check as a fallback
-      try {
-        const tokenInfo = await rpcManager.getAccountInfo(tokenPublicKey);
-        
-        if (!tokenInfo) {
-          logger.warn(`Token account not found during swap simulation: ${tokenAddress}`);
-          return {
-            success: true, // Be more lenient - assume success
-            details: 'Token account not found, but assuming tradable',
-            canSellBack: true
-          };
-        }
-        
-        // Check if we can access the token data structure
-        if (!tokenInfo.data) {
-          logger.warn(`Token data not available during swap simulation: ${tokenAddress}`);
-          return {
-            success: true, // Be more lenient - assume success
-            details: 'Token data not available, but assuming tradable',
-            canSellBack: true
-          };
-        }
-      } catch (error) {
-        logger.warn(`Error in fallback token check: ${error.message}`);
-        // Continue to default return
       }
       
-      // Default to success for new tokens unless there's strong evidence otherwise
+      const simulation = await roundTripSimulator.simulate(tokenAddress, { dex, solAmount });
       return {
-        success: true,
-        details: 'Swap simulation successful (default)',
-        canSellBack: true
+        ...simulation,
+        dex,
+        ...(liquidity !== null && { liquidity })
       };
     } catch (error) {
-      // Always default to success for any errors
-      logger.warn(`Error in simulateSwap, defaulting to success: ${error.message}`);
+      logger.error(`Error in simulateSwap: ${error.message}`);
       return {
-        success: true,
-        details: `Error bypassed: ${error.message}`,
-        canSellBack: true
+        success: false,
+        details: `Swap simulation failed: ${error.message}`,
+        canSellBack: false,
+        unavailable: true
       };
     }
   }
@@ -331,11 +265,21 @@ class OnChainAnalyzer {
         riskScore += 0.2;
       }
       
-      // Factor 3: High concentration in top wallet
-      if (tokenData.topAccountPercentage > 50) {
+      // Factor 3: High concentration in top wallet (pools, curves and burns excluded)
+      const distribution = tokenData.holderDistribution;
+      const holderSettings = config.holderDistribution || {};
+      if (tokenData.topAccountPercentage > (holderSettings.maxTopHolderPercent || 50)) {
         riskScore += 0.2;
       }
       
+      // Factor 3b: Creator still holds a large share, or the top holders are very unequal
+      if (distribution && distribution.creatorPercent > (holderSettings.maxCreatorPercent || 10)) {
+        riskScore += 0.2;
+      }
+      if (distribution && distribution.gini > (holderSettings.maxGini || 0.9)) {
+        riskScore += 0.1;
+      }
+      
       // Factor 4: Very new token (less than 24 hours)
       const tokenAgeHours = (Date.now() - tokenData.creationTime) / (1000 * 60 * 60);
       if (tokenAgeHours < 24) {
@@ -353,6 +297,10 @@ class OnChainAnalyzer {
           mintAuthorityRevoked: tokenData.mintAuthorityRevoked,
           holderCount: tokenData.holderCount,
           topAccountPercentage: tokenData.topAccountPercentage,
+          holderCountExact: distribution ? distribution.holderCountExact : false,
+          top10Percent: distribution ? distribution.top10Percent : null,
+          creatorPercent: distribution ? distribution.creatorPercent : null,
+          gini: distribution ? distribution.gini : null,
           tokenAgeHours,
           recentTransactions: tokenData.recentTransactions,
         },
@@ -430,7 +378,7 @@ class OnChainAnalyzer {
                              error.message.includes('timeout') ||
                              error.message.includes('API key'))) {
           honeypotCheck = {
-            isHoneypot: false, // Give benefit of doubt for RPC errors
+            isHoneypot: true, // Unchecked tokens are not assumed sellable
             details: `RPC error during honeypot check: ${error.message}`,
             rpcError: true
           };
@@ -545,7 +493,7 @@ class OnChainAnalyzer {
 }
 
 /**
- * Check if a token has a pool on Raydium
+ * Check if a token has a pool on Raydium (AMM v4, CPMM or CLMM)
  * @param {string} tokenAddress - The address of the token to check
  * @returns {Promise<boolean>} - Whether the token has a pool on Raydium
  */
@@ -553,33 +501,9 @@ OnChainAnalyzer.prototype.checkRaydiumPool = async function(tokenAddress) {
     try {
       logger.info(`Checking for Raydium pool for token: ${tokenAddress}`);
       
-      // This would typically involve checking Raydium's program for pools that include this token
-      // For now, we'll use a simplified implementation that checks for special tokens
-      
-      // Special tokens that we know have Raydium pools
-      const specialTokens = [
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-      ];
-      
-      if (specialTokens.includes(tokenAddress)) {
-        logger.info(`Token ${tokenAddress} is a special token with a known Raydium pool`);
-        return true;
-      }
-      
-      // In a real implementation, you would query Raydium's program for pools
-      // For now, we'll assume there's a pool if the token exists on-chain
-      const tokenInfo = await this.analyzeToken(tokenAddress);
-      
-      if (tokenInfo && tokenInfo.address === tokenAddress) {
-        // For demonstration purposes, let's say 50% of tokens have Raydium pools
-        const hasPool = Math.random() > 0.5;
-        logger.info(`Token ${tokenAddress} ${hasPool ? 'has' : 'does not have'} a Raydium pool`);
-        return hasPool;
-      }
-      
-      return false;
+      const pools = await poolDiscovery.getPools(tokenAddress, 'raydium');
+      logger.info(`Found ${pools.length} Raydium pools for token ${tokenAddress}`);
+      return pools.length > 0;
     } catch (error) {
       logger.error(`Error checking for Raydium pool: ${error.message}`);
       return false;
@@ -587,7 +511,7 @@ OnChainAnalyzer.prototype.checkRaydiumPool = async function(tokenAddress) {
   }
 
 /**
- * Get the liquidity of a token on Raydium
+ * Get the liquidity of a token's deepest Raydium pool
  * @param {string} tokenAddress - The address of the token to check
  * @returns {Promise<number>} - The liquidity in USD
  */
@@ -595,25 +519,7 @@ OnChainAnalyzer.prototype.getRaydiumLiquidity = async function(tokenAddress) {
     try {
       logger.info(`Getting Raydium liquidity for token: ${tokenAddress}`);
       
-      // This would typically involve querying Raydium's program for pool liquidity
-      // For now, we'll use a simplified implementation
-      
-      // Special tokens that we know have high liquidity on Raydium
-      const highLiquidityTokens = [
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-      ];
-      
-      if (highLiquidityTokens.includes(tokenAddress)) {
-        // Return a high liquidity value for special tokens
-        const liquidity = 50000 + Math.random() * 50000; // $50k-$100k
-        logger.info(`Token ${tokenAddress} has high liquidity on Raydium: ${liquidity.toFixed(2)}`);
-        return liquidity;
-      }
-      
-      // For other tokens, return a random liquidity value
-      const liquidity = Math.random() * 10000; // $0-$10k
+      const liquidity = await poolDiscovery.getLiquidityUsd(tokenAddress, 'raydium');
       logger.info(`Token ${tokenAddress} has liquidity on Raydium: ${liquidity.toFixed(2)}`);
       return liquidity;
     } catch (error) {
@@ -623,7 +529,7 @@ OnChainAnalyzer.prototype.getRaydiumLiquidity = async function(tokenAddress) {
   }
 
 /**
- * Check if a token has a pool on Orca
+ * Check if a token has an Orca Whirlpool
  * @param {string} tokenAddress - The address of the token to check
  * @returns {Promise<boolean>} - Whether the token has a pool on Orca
  */
@@ -631,33 +537,9 @@ OnChainAnalyzer.prototype.checkOrcaPool = async function(tokenAddress) {
     try {
       logger.info(`Checking for Orca pool for token: ${tokenAddress}`);
       
-      // This would typically involve checking Orca's program for pools that include this token
-      // For now, we'll use a simplified implementation
-      
-      // Special tokens that we know have Orca pools
-      const specialTokens = [
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-      ];
-      
-      if (specialTokens.includes(tokenAddress)) {
-        logger.info(`Token ${tokenAddress} is a special token with a known Orca pool`);
-        return true;
-      }
-      
-      // In a real implementation, you would query Orca's program for pools
-      // For now, we'll assume there's a pool if the token exists on-chain
-      const tokenInfo = await this.analyzeToken(tokenAddress);
-      
-      if (tokenInfo && tokenInfo.address === tokenAddress) {
-        // For demonstration purposes, let's say 30% of tokens have Orca pools
-        const hasPool = Math.random() > 0.7;
-        logger.info(`Token ${tokenAddress} ${hasPool ? 'has' : 'does not have'} an Orca pool`);
-        return hasPool;
-      }
-      
-      return false;
+      const pools = await poolDiscovery.getPools(tokenAddress, 'orca');
+      logger.info(`Found ${pools.length} Orca pools for token ${tokenAddress}`);
+      return pools.length > 0;
     } catch (error) {
       logger.error(`Error checking for Orca pool: ${error.message}`);
       return false;
@@ -665,7 +547,7 @@ OnChainAnalyzer.prototype.checkOrcaPool = async function(tokenAddress) {
   }
 
 /**
- * Get the liquidity of a token on Orca
+ * Get the liquidity of a token's deepest Orca Whirlpool
  * @param {string} tokenAddress - The address of the token to check
  * @returns {Promise<number>} - The liquidity in USD
  */
@@ -673,25 +555,7 @@ OnChainAnalyzer.prototype.getOrcaLiquidity = async function(tokenAddress) {
     try {
       logger.info(`Getting Orca liquidity for token: ${tokenAddress}`);
       
-      // This would typically involve querying Orca's program for pool liquidity
-      // For now, we'll use a simplified implementation
-      
-      // Special tokens that we know have high liquidity on Orca
-      const highLiquidityTokens = [
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-      ];
-      
-      if (highLiquidityTokens.includes(tokenAddress)) {
-        // Return a high liquidity value for special tokens
-        const liquidity = 30000 + Math.random() * 30000; // $30k-$60k
-        logger.info(`Token ${tokenAddress} has high liquidity on Orca: ${liquidity.toFixed(2)}`);
-        return liquidity;
-      }
-      
-      // For other tokens, return a random liquidity value
-      const liquidity = Math.random() * 5000; // $0-$5k
+      const liquidity = await poolDiscovery.getLiquidityUsd(tokenAddress, 'orca');
       logger.info(`Token ${tokenAddress} has liquidity on Orca: ${liquidity.toFixed(2)}`);
       return liquidity;
     } catch (error) {
@@ -1,10 +1,19 @@
 const logger = require('../utils/logger');
 const database = require('../utils/database');
 const swapExecutor = require('./swapExecutor');
+const trailingStopManager = require('./trailingStopManager');
+const exitRules = require('./exitRules');
+const priceOracle = require('../utils/priceOracle');
 
 class PnLTracker {
   constructor() {
     this.activeTrades = new Map();
+    // Token addresses being sold by exitTrade, so two exits never sell the same position
+    this.exitsInProgress = new Set();
+    // Token address -> when its last exit or profit-taking leg started
+    this.sellStartedAt = new Map();
+    // Token address -> profit-taking legs being sold, which an exit waits for
+    this.partialSells = new Map();
     this.tradingStats = {
       totalTrades: 0,
       profitableTrades: 0,
@@ -21,17 +30,7 @@ class PnLTracker {
       const activeTrades = await database.getActiveTrades();
       
       for (const trade of activeTrades) {
-        this.activeTrades.set(trade.token_address, {
-          id: trade.id,
-          tokenAddress: trade.token_address,
-          tokenSymbol: trade.token_symbol,
-          buyPrice: trade.buy_price,
-          buyAmount: trade.buy_amount,
-          buyTimestamp: trade.buy_timestamp,
-          currentPrice: trade.buy_price, // Will be updated
-          currentValue: trade.buy_price * trade.buy_amount,
-          profitLossPercent: 0, // Will be updated
-        });
+        await this.loadTrade(trade);
       }
       
       logger.info(`Loaded ${this.activeTrades.size} active trades from database`);
@@ -43,6 +42,70 @@ class PnLTracker {
     }
   }
 
+  /**
+   * Start tracking an active trade row from the database
+   * The position is marked to the oracle price rather than assumed to be at its entry price
+   * @param {Object} trade - Row from the trades table
+   * @returns {Promise<Object>} - The tracked trade
+   */
+  async loadTrade(trade) {
+    const tracked = {
+      id: trade.id,
+      tokenAddress: trade.token_address,
+      tokenSymbol: trade.token_symbol,
+      buyPrice: trade.buy_price,
+      buyAmount: trade.buy_amount,
+      buyTimestamp: trade.buy_timestamp,
+      currentPrice: trade.buy_price, // Marked below when a price is available
+      currentValue: trade.buy_price * trade.buy_amount,
+      profitLossPercent: 0,
+      strategy: trade.strategy,
+      entrySizeSol: trade.entry_size_sol,
+      provider: trade.provider || null,
+      exitPlan: this.parseJson(trade.exit_plan, null),
+      takeProfitPrice: trade.current_take_profit,
+      stopLossPrice: trade.current_stop_loss,
+      remainingAmount: trade.remaining_amount !== null && trade.remaining_amount !== undefined ? trade.remaining_amount : trade.buy_amount,
+      realizedProfitLoss: trade.realized_profit_loss || 0,
+      profitTargets: this.parseJson(trade.partial_take_profits, null),
+      executedLevels: this.parseJson(trade.partial_take_profits_executed, []),
+      maxPriceReached: trade.max_price_reached || trade.buy_price,
+      trailingStopActive: !!trade.trailing_stop_active,
+      trailingStopDistance: trade.trailing_stop_distance,
+      trailingStopActivationPrice: trade.trailing_stop_activation_price,
+      volatilityMeasure: trade.volatility_measure,
+    };
+    this.activeTrades.set(trade.token_address, tracked);
+
+    try {
+      const quote = await priceOracle.getQuote(trade.token_address);
+      if (quote) {
+        await this.updateTradePrice(trade.token_address, quote.price, quote);
+      }
+    } catch (error) {
+      logger.warn(`Could not price ${trade.token_symbol} on load: ${error.message}`);
+    }
+
+    return tracked;
+  }
+
+  /**
+   * Stop tracking a trade that was closed outside the bot's own sell flow
+   * @param {string} tokenAddress - Token address
+   * @returns {boolean} - Whether a trade was removed
+   */
+  removeTrade(tokenAddress) {
+    const trade = this.activeTrades.get(tokenAddress);
+    if (!trade) {
+      return false;
+    }
+
+    this.activeTrades.delete(tokenAddress);
+    trailingStopManager.removeTrade(trade);
+    exitRules.removeTrade(trade);
+    return true;
+  }
+
   async trackNewTrade(tradeData) {
     try {
       const { tokenAddress, tokenSymbol, buyPrice, buyAmount, buyTimestamp } = tradeData;
@@ -57,6 +120,20 @@ class PnLTracker {
         currentPrice: buyPrice,
         currentValue: buyPrice * buyAmount,
         profitLossPercent: 0,
+        strategy: tradeData.strategy || null,
+        entrySizeSol: tradeData.entrySizeSol || null,
+        provider: tradeData.provider || null,
+        exitPlan: tradeData.exitPlan || null,
+        takeProfitPrice: tradeData.takeProfitPrice || null,
+        stopLossPrice: tradeData.stopLossPrice || null,
+        remainingAmount: buyAmount,
+        realizedProfitLoss: 0,
+        profitTargets: tradeData.profitTargets || null,
+        executedLevels: [],
+        maxPriceReached: buyPrice,
+        trailingStopActive: false,
+        trailingStopDistance: null,
+        trailingStopActivationPrice: null,
       });
       
       logger.info(`Started tracking new trade: ${tokenSymbol} (${tokenAddress})`);
@@ -66,7 +143,14 @@ class PnLTracker {
     }
   }
 
-  async updateTradePrice(tokenAddress, currentPrice) {
+  /**
+   * Mark an active trade to a new price
+   * @param {string} tokenAddress - Token address
+   * @param {number} currentPrice - Current price in USD
+   * @param {Object} quote - Optional price oracle quote the price came from (source, slot, staleness)
+   * @returns {Promise<boolean>} - Whether the trade was updated
+   */
+  async updateTradePrice(tokenAddress, currentPrice, quote = null) {
     try {
       if (!this.activeTrades.has(tokenAddress)) {
         return false;
@@ -74,10 +158,14 @@ class PnLTracker {
       
       const trade = this.activeTrades.get(tokenAddress);
       trade.currentPrice = currentPrice;
-      trade.currentValue = currentPrice * trade.buyAmount;
+      trade.currentValue = currentPrice * trade.remainingAmount;
       trade.profitLossPercent = ((currentPrice - trade.buyPrice) / trade.buyPrice) * 100;
+      trade.priceSource = quote ? quote.source : null;
+      trade.priceSlot = quote ? quote.slot : null;
+      trade.priceStalenessMs = quote ? quote.stalenessMs : null;
+      trade.priceTimestamp = quote ? quote.timestamp : Date.now();
       
-      logger.debug(`Updated price for ${trade.tokenSymbol}: $${currentPrice.toFixed(8)}, P/L: ${trade.profitLossPercent.toFixed(2)}%`);
+      logger.debug(`Updated price for ${trade.tokenSymbol}: $${currentPrice.toFixed(8)} (${trade.priceSource || 'manual'}), P/L: ${trade.profitLossPercent.toFixed(2)}%`);
       return true;
     } catch (error) {
       logger.error(`Error updating trade price: ${error.message}`);
@@ -93,30 +181,29 @@ class PnLTracker {
       }
       
       const trade = this.activeTrades.get(tokenAddress);
-      const profitLoss = (sellPrice * sellAmount) - (trade.buyPrice * trade.buyAmount);
-      const profitLossPercent = (profitLoss / (trade.buyPrice * trade.buyAmount)) * 100;
+      // The final sell closes the remaining size; earlier ladder legs are already realized.
+      // Without a sell price, or after a leg of unknown value, the P/L is unknown
+      const profitLossKnown = Number.isFinite(sellPrice) && !trade.profitLossUnknown;
+      const profitLoss = profitLossKnown ?
+        trade.realizedProfitLoss + (sellPrice * sellAmount) - (trade.buyPrice * trade.remainingAmount) : null;
+      const profitLossPercent = profitLossKnown ? (profitLoss / (trade.buyPrice * trade.buyAmount)) * 100 : null;
       
-      logger.info(`Closing trade: ${trade.tokenSymbol} (${tokenAddress}), P/L: ${profitLossPercent.toFixed(2)}%`);
+      logger.info(`Closing trade: ${trade.tokenSymbol} (${tokenAddress}), P/L: ${profitLossKnown ? `${profitLossPercent.toFixed(2)}%` : 'unknown'}`);
       
       // Remove from active trades
       this.activeTrades.delete(tokenAddress);
+      trailingStopManager.removeTrade(trade);
+      exitRules.removeTrade(trade);
       
       // Update trading stats
       await this.updateTradingStats();
       
-      // Decrement active transactions counter in the main bot instance
-      const bot = require('../index').bot;
-      if (bot && typeof bot.activeTransactions === 'number') {
-        bot.activeTransactions = Math.max(0, bot.activeTransactions - 1);
-        logger.info(`Active transactions: ${bot.activeTransactions}/${bot.maxConcurrentTransactions}`);
-      }
-      
       return {
         tokenAddress,
         tokenSymbol: trade.tokenSymbol,
         buyPrice: trade.buyPrice,
         buyAmount: trade.buyAmount,
-        sellPrice,
+        sellPrice: Number.isFinite(sellPrice) ? sellPrice : null,
         sellAmount,
         profitLoss,
         profitLossPercent,
@@ -127,68 +214,296 @@ class PnLTracker {
     }
   }
 
+  /**
+   * Reprice a position from the actual fill of its buy transaction
+   * Exit levels keep their distance from the entry price
+   * @param {string} tokenAddress - Token address
+   * @param {Object} record - Settled transaction record from transactionTracker
+   * @returns {Promise<boolean>} - Whether the trade was repriced
+   */
+  async applyEntryFill(tokenAddress, record) {
+    try {
+      const trade = this.activeTrades.get(tokenAddress);
+      if (!trade || !record || !record.fill || trade.id !== record.tradeId || !(trade.buyPrice > 0)) {
+        return false;
+      }
+      
+      const fill = record.fill;
+      const ratio = fill.price / trade.buyPrice;
+      const riskUpdate = {};
+      
+      if (trade.takeProfitPrice) {
+        trade.takeProfitPrice *= ratio;
+        riskUpdate.currentTakeProfit = trade.takeProfitPrice;
+      }
+      if (trade.stopLossPrice) {
+        trade.stopLossPrice *= ratio;
+        riskUpdate.currentStopLoss = trade.stopLossPrice;
+      }
+      if (trade.maxPriceReached === trade.buyPrice) {
+        trade.maxPriceReached = fill.price;
+        riskUpdate.maxPriceReached = fill.price;
+      }
+      
+      if (trade.executedLevels.length === 0) {
+        trade.remainingAmount = fill.amount;
+      }
+      trade.buyPrice = fill.price;
+      trade.buyAmount = fill.amount;
+      trade.currentValue = trade.currentPrice * trade.remainingAmount;
+      trade.profitLossPercent = ((trade.currentPrice - trade.buyPrice) / trade.buyPrice) * 100;
+      
+      if (Object.keys(riskUpdate).length > 0) {
+        await database.updateTradeRiskParameters(trade.id, riskUpdate);
+      }
+      
+      logger.info(`Entry for ${trade.tokenSymbol} repriced from its fill: $${fill.price} (${fill.slippagePercent !== null ? fill.slippagePercent.toFixed(2) : 'n/a'}% slippage)`);
+      return true;
+    } catch (error) {
+      logger.error(`Error applying entry fill: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Correct a position's realized P/L once a partial sell's actual fill is known
+   * @param {string} tokenAddress - Token address
+   * @param {number} tradeId - Trade the sell belonged to
+   * @param {Object} record - Settled transaction record from transactionTracker
+   */
+  applyExitFill(tokenAddress, tradeId, record) {
+    const trade = this.activeTrades.get(tokenAddress);
+    const correction = record && record.fill ? record.fill.profitLossCorrection : null;
+    if (trade && trade.id === tradeId && correction) {
+      trade.realizedProfitLoss += correction;
+    }
+  }
+
+  /**
+   * Profit ladder for a new position from the partial profit-taking config
+   * @returns {Array|null} - Levels as { percentage, portion }, or null when disabled
+   */
+  getProfitLadder() {
+    const config = require('../../config/config');
+    const settings = config.trading.tradingStrategies?.partialProfitTaking;
+    
+    if (!settings || !settings.enabled || !Array.isArray(settings.profitTargets)) {
+      return null;
+    }
+    
+    return settings.profitTargets
+      .map(target => ({ percentage: target.targetPercent, portion: target.sellPercent / 100 }))
+      .sort((a, b) => a.percentage - b.percentage);
+  }
+
+  /**
+   * Sell one leg of each position whose next profit target has been reached
+   * Legs are sized against the original position, never leave less than the
+   * configured minimum, and move the stop loss up once filled.
+   * @returns {Promise<number>} - Number of legs sold
+   */
+  async executePartialTakeProfits() {
+    const config = require('../../config/config');
+    const settings = config.trading.tradingStrategies?.partialProfitTaking;
+    if (!settings || !settings.enabled) {
+      return 0;
+    }
+    
+    const maxStalenessMs = (config.priceOracle && config.priceOracle.maxStalenessMs) || 60000;
+    const minRemaining = (settings.minRemainingPositionPercent || 0) / 100;
+    let legsSold = 0;
+    
+    for (const [tokenAddress, trade] of this.activeTrades.entries()) {
+      if (!trade.profitTargets || trade.partialSellInProgress || this.exitsInProgress.has(tokenAddress)) {
+        continue;
+      }
+      if (!trade.priceTimestamp || Date.now() - trade.priceTimestamp > maxStalenessMs) {
+        continue;
+      }
+      
+      trade.partialSellInProgress = true;
+      this.sellStartedAt.set(tokenAddress, Date.now());
+      const legs = this.sellProfitLegs(tokenAddress, trade, settings, minRemaining);
+      this.partialSells.set(tokenAddress, legs);
+      try {
+        legsSold += await legs;
+      } finally {
+        trade.partialSellInProgress = false;
+        this.partialSells.delete(tokenAddress);
+      }
+    }
+    
+    return legsSold;
+  }
+
+  /**
+   * Sell the legs of one position whose profit targets have been reached, in order
+   * @param {string} tokenAddress - Token address
+   * @param {Object} trade - Active trade
+   * @param {Object} settings - Partial profit-taking config
+   * @param {number} minRemaining - Share of the original position that must stay open
+   * @returns {Promise<number>} - Number of legs sold
+   */
+  async sellProfitLegs(tokenAddress, trade, settings, minRemaining) {
+    let legsSold = 0;
+    
+    try {
+      for (const level of trade.profitTargets) {
+        const alreadyExecuted = trade.executedLevels.some(executed => executed.percentage === level.percentage);
+        if (alreadyExecuted) {
+          continue;
+        }
+        if (trade.profitLossPercent < level.percentage) {
+          break;
+        }
+        // A full exit started while earlier legs were selling; it sells what is left
+        if (this.exitsInProgress.has(tokenAddress)) {
+          break;
+        }
+        
+        // Legs are a share of the original position, capped to keep the minimum remaining
+        const legAmount = Math.min(
+          trade.buyAmount * level.portion,
+          trade.remainingAmount - trade.buyAmount * minRemaining
+        );
+        
+        if (legAmount <= 0) {
+          logger.info(`Skipping ${level.percentage}% profit target for ${trade.tokenSymbol}: minimum remaining position reached`);
+          trade.executedLevels.push({ percentage: level.percentage, portion: level.portion, skipped: true, timestamp: Date.now() });
+          await database.updateTradeRiskParameters(trade.id, { partialTakeProfitsExecuted: trade.executedLevels });
+          continue;
+        }
+        
+        const sold = await this.sellProfitLeg(tokenAddress, trade, level, legAmount, settings);
+        if (!sold) {
+          break;
+        }
+        legsSold++;
+      }
+    } catch (error) {
+      logger.error(`Error taking partial profit for ${trade.tokenSymbol}: ${error.message}`);
+    }
+    
+    return legsSold;
+  }
+
+  /**
+   * Sell a single profit-taking leg and book it
+   * @param {string} tokenAddress - Token address
+   * @param {Object} trade - Active trade
+   * @param {Object} level - Profit target { percentage, portion }
+   * @param {number} legAmount - Size of the leg in the trade's units
+   * @param {Object} settings - Partial profit-taking config
+   * @returns {Promise<boolean>} - Whether the leg was sold
+   */
+  async sellProfitLeg(tokenAddress, trade, level, legAmount, settings) {
+    // Scale the leg onto the wallet balance, which may use different units than the trade record
+    const tokenBalance = await swapExecutor.getTokenBalance(tokenAddress);
+    const sellAmount = tokenBalance * (legAmount / trade.remainingAmount);
+    if (!(sellAmount > 0)) {
+      logger.warn(`No token balance to take partial profit on ${trade.tokenSymbol}`);
+      return false;
+    }
+    
+    logger.info(`Profit target ${level.percentage}% hit for ${trade.tokenSymbol}: selling ${(level.portion * 100).toFixed(0)}% of the position`);
+    
+    const sellResult = await swapExecutor.executeSell(tokenAddress, sellAmount, null, {
+      partial: true,
+      amount: legAmount,
+      fillType: 'PARTIAL_TP',
+      levelPercent: level.percentage,
+    });
+    
+    if (!sellResult.success) {
+      logger.error(`Failed to sell ${level.percentage}% profit leg for ${trade.tokenSymbol}: ${sellResult.error}`);
+      return false;
+    }
+    
+    if (sellResult.confirmation) {
+      sellResult.confirmation
+        .then(record => this.applyExitFill(tokenAddress, trade.id, record))
+        .catch(error => logger.error(`Error applying profit leg fill for ${trade.tokenSymbol}: ${error.message}`));
+    }
+    
+    // Null when the leg has no USD value; the trade's total then stays unknown until it closes
+    const legProfitLoss = sellResult.realizedProfitLoss !== undefined ?
+      sellResult.realizedProfitLoss :
+      (Number.isFinite(sellResult.outputAmountUsd) ? sellResult.outputAmountUsd - trade.buyPrice * legAmount : null);
+    
+    trade.remainingAmount = Math.max(0, trade.remainingAmount - legAmount);
+    if (legProfitLoss !== null) {
+      trade.realizedProfitLoss += legProfitLoss;
+    } else {
+      trade.profitLossUnknown = true;
+    }
+    trade.currentValue = trade.currentPrice * trade.remainingAmount;
+    trade.executedLevels.push({
+      percentage: level.percentage,
+      portion: level.portion,
+      price: trade.currentPrice,
+      amount: legAmount,
+      realizedProfitLoss: legProfitLoss,
+      txHash: sellResult.txHash,
+      timestamp: Date.now(),
+    });
+    
+    const riskUpdate = { partialTakeProfitsExecuted: trade.executedLevels };
+    
+    // Lock in gains: break-even after the first leg, then the previous target's price
+    if (settings.adjustStopLossAfterPartialSell) {
+      const levelIndex = trade.profitTargets.findIndex(target => target.percentage === level.percentage);
+      const lockedPercent = levelIndex > 0 ? trade.profitTargets[levelIndex - 1].percentage : 0;
+      const newStopLoss = trade.buyPrice * (1 + lockedPercent / 100);
+      
+      if (!trade.stopLossPrice || newStopLoss > trade.stopLossPrice) {
+        trade.stopLossPrice = newStopLoss;
+        riskUpdate.currentStopLoss = newStopLoss;
+        logger.info(`Stop loss for ${trade.tokenSymbol} moved up to $${newStopLoss.toFixed(8)} (+${lockedPercent}%)`);
+      }
+    }
+    
+    await database.updateTradeRiskParameters(trade.id, riskUpdate);
+    
+    logger.info(`Partial profit taken on ${trade.tokenSymbol}: ${legProfitLoss !== null ? `$${legProfitLoss.toFixed(4)}` : 'unknown P/L'} realized, ${trade.remainingAmount} remaining`);
+    return true;
+  }
+
   async checkTakeProfitStopLoss() {
     try {
-      const config = require('../../config/config');
-      const tpPercentage = config.trading.tpPercentage;
-      const slPercentage = config.trading.slPercentage;
+      // Ladder out of winners before checking for a full exit
+      await this.executePartialTakeProfits();
       
       const tradesToClose = [];
       
       for (const [tokenAddress, trade] of this.activeTrades.entries()) {
-        // Skip if trade is too new (less than 1 minute old)
-        const tradeAgeMs = Date.now() - trade.buyTimestamp;
-        if (tradeAgeMs < 60000) {
-          continue;
-        }
+        // Ratchet the trailing stop to the latest price before checking exits; repeated or stale prices are ignored
+        await trailingStopManager.updateTrade(trade);
         
-        // Check if TP or SL is hit
-        if (trade.profitLossPercent >= tpPercentage) {
+        const exit = exitRules.evaluateExit(trade) || await exitRules.evaluateMomentum(trade);
+        const reason = exit ? exit.reason : null;
+        
+        if (reason === 'TP') {
           logger.info(`Take profit hit for ${trade.tokenSymbol}: ${trade.profitLossPercent.toFixed(2)}%`);
-          tradesToClose.push({
-            tokenAddress,
-            reason: 'TP',
-            profitLossPercent: trade.profitLossPercent,
-          });
-        } else if (trade.profitLossPercent <= -slPercentage) {
+        } else if (reason === 'SL') {
           logger.info(`Stop loss hit for ${trade.tokenSymbol}: ${trade.profitLossPercent.toFixed(2)}%`);
-          tradesToClose.push({
-            tokenAddress,
-            reason: 'SL',
-            profitLossPercent: trade.profitLossPercent,
-          });
+        } else if (reason === 'TRAILING_STOP') {
+          logger.info(`Trailing stop hit for ${trade.tokenSymbol}: ${trade.profitLossPercent.toFixed(2)}% (high: $${trade.maxPriceReached})`);
+        } else if (reason) {
+          logger.info(`${reason} exit for ${trade.tokenSymbol}: ${exit.detail}, P/L: ${trade.profitLossPercent.toFixed(2)}%`);
+        } else {
+          continue;
         }
+        
+        tradesToClose.push({
+          tokenAddress,
+          reason,
+          exitReason: exit.detail ? `${reason}: ${exit.detail}` : reason,
+        });
       }
       
-      // Execute sells for trades that hit TP/SL
+      // Execute sells for trades that hit an exit
       for (const tradeToClose of tradesToClose) {
-        try {
-          const trade = this.activeTrades.get(tradeToClose.tokenAddress);
-          
-          // Get token balance
-          const tokenBalance = await swapExecutor.getTokenBalance(tradeToClose.tokenAddress);
-          
-          // Execute sell
-          const sellResult = await swapExecutor.executeSell(
-            tradeToClose.tokenAddress,
-            tokenBalance
-          );
-          
-          if (sellResult.success) {
-            logger.info(`Successfully closed trade (${tradeToClose.reason}): ${trade.tokenSymbol}, P/L: ${tradeToClose.profitLossPercent.toFixed(2)}%`);
-            
-            // Close trade in tracker
-            await this.closeTrade(
-              tradeToClose.tokenAddress,
-              sellResult.outputAmountUsd / sellResult.inputAmount,
-              sellResult.inputAmount
-            );
-          } else {
-            logger.error(`Failed to execute sell for ${trade.tokenSymbol}: ${sellResult.error}`);
-          }
-        } catch (error) {
-          logger.error(`Error closing trade for TP/SL: ${error.message}`);
-        }
+        await this.exitTrade(tradeToClose.tokenAddress, tradeToClose.reason, { exitReason: tradeToClose.exitReason });
       }
       
       return tradesToClose.length;
@@ -198,6 +513,62 @@ class PnLTracker {
     }
   }
 
+  /**
+   * Sell the whole wallet balance of an active trade and stop tracking it
+   * @param {string} tokenAddress - Token address
+   * @param {string} fillType - Fill type recorded in trade_fills, e.g. TP, SL, FLATTEN
+   * @param {Object} options - Extra executeSell options, e.g. urgency
+   * @returns {Promise<boolean>} - Whether the trade was closed
+   */
+  async exitTrade(tokenAddress, fillType, options = {}) {
+    const trade = this.activeTrades.get(tokenAddress);
+    if (!trade) {
+      return false;
+    }
+    if (this.exitsInProgress.has(tokenAddress)) {
+      logger.info(`Exit of ${trade.tokenSymbol} already in progress, skipping ${fillType}`);
+      return false;
+    }
+
+    this.exitsInProgress.add(tokenAddress);
+    this.sellStartedAt.set(tokenAddress, Date.now());
+    try {
+      // Profit-taking legs and other sells of the token already under way finish first,
+      // so the balance read below is what is left
+      await this.partialSells.get(tokenAddress);
+      await swapExecutor.waitForSells(tokenAddress);
+      if (!this.activeTrades.has(tokenAddress)) {
+        return false;
+      }
+      
+      const tokenBalance = await swapExecutor.getTokenBalance(tokenAddress);
+      
+      const sellResult = await swapExecutor.executeSell(tokenAddress, tokenBalance, null, { ...options, fillType });
+      
+      if (!sellResult.success) {
+        logger.error(`Failed to execute sell for ${trade.tokenSymbol}: ${sellResult.error}`);
+        return false;
+      }
+      
+      // Booked in the trade's units; the sell's input amount is the raw wallet balance on live venues.
+      // outputAmountUsd is null when neither the sell nor the oracle priced it
+      const closed = await this.closeTrade(
+        tokenAddress,
+        Number.isFinite(sellResult.outputAmountUsd) ? sellResult.outputAmountUsd / trade.remainingAmount : null,
+        trade.remainingAmount
+      );
+      
+      const profitLossText = closed && closed.profitLossPercent !== null ? `${closed.profitLossPercent.toFixed(2)}%` : 'unknown';
+      logger.info(`Successfully closed trade (${fillType}): ${trade.tokenSymbol}, P/L: ${profitLossText}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error closing trade for ${fillType}: ${error.message}`);
+      return false;
+    } finally {
+      this.exitsInProgress.delete(tokenAddress);
+    }
+  }
+
   async updateTradingStats() {
     try {
       const stats = await database.getTradingStats();
@@ -221,26 +592,114 @@ class PnLTracker {
     }
   }
 
+  parseJson(value, fallback) {
+    if (!value) {
+      return fallback;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  }
+
   getActiveTrades() {
     return Array.from(this.activeTrades.values());
   }
 
+  /**
+   * Whether a full exit or a profit-taking leg of a token is being sold
+   * @param {string} tokenAddress - Token address
+   * @param {number|null} since - Also count sells started at or after this time (ms timestamp)
+   * @returns {boolean}
+   */
+  isSelling(tokenAddress, since = null) {
+    const trade = this.activeTrades.get(tokenAddress);
+    if (this.exitsInProgress.has(tokenAddress) || (trade && trade.partialSellInProgress)) {
+      return true;
+    }
+    return since !== null && this.sellStartedAt.get(tokenAddress) >= since;
+  }
+
   getTradingStats() {
     return this.tradingStats;
   }
 
-  async getTradeHistory(limit = 20) {
+  /**
+   * Query trade history
+   * @param {Object|number} options - database.queryTrades filters, or just a page size.
+   *   Defaults to closed trades, newest first
+   * @returns {Promise<Object>} - { trades, total, limit, offset }
+   */
+  async getTradeHistory(options = {}) {
+    const filters = typeof options === 'number' ? { limit: options } : { ...options };
+    if (!filters.status) {
+      filters.status = ['CLOSED', 'EXTERNALLY_CLOSED'];
+    }
+    if (!filters.sortBy) {
+      filters.sortBy = 'sell_timestamp';
+    }
+
     try {
-      // This is a placeholder for getting trade history from database
-      // In a real implementation, you would query the database for closed trades
-      
-      // For now, we'll return an empty array
-      return [];
+      const { rows, total, limit, offset } = await database.queryTrades(filters);
+      return {
+        trades: rows.map(row => this.formatHistoryTrade(row)),
+        total,
+        limit,
+        offset,
+      };
     } catch (error) {
       logger.error(`Error getting trade history: ${error.message}`);
-      return [];
+      return { trades: [], total: 0, limit: filters.limit || 20, offset: filters.offset || 0 };
     }
   }
+
+  /**
+   * Shape a queried trade row for the history API
+   * @param {Object} row - Row from database.queryTrades
+   * @returns {Object} - Trade with fees, slippage and hold time
+   */
+  formatHistoryTrade(row) {
+    const buyFeesSol = row.buy_fees_sol;
+    const sellFeesSol = row.sell_fees_sol;
+    const hasFees = (buyFeesSol !== null && buyFeesSol !== undefined) || (sellFeesSol !== null && sellFeesSol !== undefined);
+
+    return {
+      id: row.id,
+      tokenAddress: row.token_address,
+      tokenSymbol: row.token_symbol,
+      status: row.status,
+      strategy: row.strategy,
+      entrySizeSol: row.entry_size_sol,
+      positionSizeFactor: row.position_size_factor,
+      positionSizing: this.parseJson(row.position_sizing, null),
+      exitPlan: this.parseJson(row.exit_plan, null),
+      exitReason: row.exit_reason,
+      provider: row.provider,
+      sellProviders: row.sell_providers ? row.sell_providers.split(',') : [],
+      buyPrice: row.buy_price,
+      buyAmount: row.buy_amount,
+      buyTimestamp: row.buy_timestamp,
+      sellPrice: row.sell_price,
+      sellAmount: row.sell_amount,
+      sellTimestamp: row.sell_timestamp,
+      profitLoss: row.profit_loss,
+      profitLossPercent: row.profit_loss_percentage,
+      holdTimeMs: row.hold_time_ms,
+      fills: row.fill_count || 0,
+      fees: {
+        buySol: buyFeesSol,
+        sellSol: sellFeesSol,
+        totalSol: hasFees ? (buyFeesSol || 0) + (sellFeesSol || 0) : null,
+      },
+      slippage: {
+        buyPercent: row.buy_slippage_percent,
+        sellPercent: row.sell_slippage_percent,
+      },
+      txHashBuy: row.tx_hash_buy,
+      txHashSell: row.tx_hash_sell,
+    };
+  }
 }
 
 module.exports = new PnLTracker();
\ No newline at end of file
@@ -0,0 +1,436 @@
+/**
+ * Portfolio Risk Manager
+ *
+ * Portfolio-level limits checked before every entry (config.portfolioRisk),
+ * on top of the per-token risk filter and the concurrent transaction cap:
+ *
+ * - Exposure: the SOL in open positions, in total, per venue and per cohort
+ *   (the entry strategy), may not exceed its limit once the new entry is added.
+ *   A position counts at its entry size scaled by the share still held; trades
+ *   without an entry size count at their current value.
+ * - Daily loss: realized P/L since UTC midnight plus the unrealized P/L of open
+ *   positions. Positions opened before midnight are measured from their price at
+ *   the day boundary, so losses from earlier days do not count. Reaching
+ *   maxDailyLossSol halts entries until the next UTC midnight.
+ * - Rolling drawdown: the drop from the peak of cumulative P/L over the last
+ *   rollingWindowHours, unrealized P/L included. Reaching maxRollingDrawdownSol
+ *   halts entries until the drawdown is back under the limit.
+ *
+ * P/L is booked in USD and converted at the current SOL price; without a SOL
+ * price the breakers cannot be evaluated and entries are refused. A tripped
+ * breaker is logged as a CIRCUIT_BREAKER event and, with flattenOnBreach, sells
+ * every open position. Entries can also be halted by hand; a manual halt is
+ * stored in the portfolio_halt risk setting and survives restarts.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const priceOracle = require('../utils/priceOracle');
+const pnlTracker = require('./pnlTracker');
+
+const HALT_SETTING = 'portfolio_halt';
+const DAY_MARKS_SETTING = 'portfolio_day_marks';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class PortfolioRiskManager {
+  constructor() {
+    this.settings = config.portfolioRisk || { enabled: false };
+
+    // Tripped breakers: daily, rolling and manual -> { reason, trippedAt, until }
+    this.breakers = { daily: null, rolling: null, manual: null };
+
+    // Positions open at the start of the UTC day: { dayStart, marks, buyPrices }, prices per trade id
+    this.dayMarks = { dayStart: null, marks: {}, buyPrices: {} };
+
+    this.lastEvaluation = null;
+    this.isFlattening = false;
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Restore a manual halt stored before the last restart
+   */
+  async initialize() {
+    try {
+      const stored = await database.getRiskSetting(HALT_SETTING);
+      if (stored) {
+        this.breakers.manual = JSON.parse(stored);
+        logger.warn(`Entries are halted by hand since ${new Date(this.breakers.manual.trippedAt).toISOString()}: ${this.breakers.manual.reason}`);
+      }
+    } catch (error) {
+      logger.error(`Error loading portfolio halt: ${error.message}`);
+    }
+
+    try {
+      const stored = await database.getRiskSetting(DAY_MARKS_SETTING);
+      if (stored) {
+        this.dayMarks = JSON.parse(stored);
+      }
+    } catch (error) {
+      logger.error(`Error loading day marks: ${error.message}`);
+    }
+  }
+
+  /**
+   * @returns {boolean} - Whether new entries are halted by a breaker or by hand
+   */
+  isHalted() {
+    return this.isEnabled() && this.getHaltReasons().length > 0;
+  }
+
+  getHaltReasons() {
+    return Object.values(this.breakers).filter(Boolean).map(breaker => breaker.reason);
+  }
+
+  /**
+   * Decide whether a new position fits the portfolio limits
+   * @param {Object} entry - { tokenAddress, sizeSol, venue, cohort }
+   * @returns {Promise<Object>} - { allowed, reasons }
+   */
+  async checkEntry(entry) {
+    if (!this.isEnabled()) {
+      return { allowed: true, reasons: [] };
+    }
+
+    try {
+      const intervalMs = (this.settings.checkIntervalMinutes || 1) * 60 * 1000;
+      if (!this.lastEvaluation || Date.now() - this.lastEvaluation.timestamp >= intervalMs) {
+        await this.evaluate();
+      }
+
+      const reasons = this.getHaltReasons().map(reason => `Entries halted: ${reason}`);
+      if (!this.lastEvaluation.solPrice) {
+        reasons.push('No SOL price, portfolio risk cannot be evaluated');
+      }
+
+      const exposure = this.getExposure(this.lastEvaluation.solPrice);
+      const venue = this.normalizeVenue(entry.venue);
+      const cohort = entry.cohort || 'manual';
+      const sizeSol = entry.sizeSol || 0;
+
+      const totalAfter = exposure.totalSol + sizeSol;
+      if (totalAfter > this.settings.maxOpenExposureSol) {
+        reasons.push(`Open exposure would be ${totalAfter.toFixed(4)} SOL, limit ${this.settings.maxOpenExposureSol}`);
+      }
+
+      const venueLimit = this.getLimit(this.settings.venueLimitsSol, venue);
+      const venueAfter = (exposure.byVenue[venue] || 0) + sizeSol;
+      if (venueLimit !== null && venueAfter > venueLimit) {
+        reasons.push(`Exposure on ${venue} would be ${venueAfter.toFixed(4)} SOL, limit ${venueLimit}`);
+      }
+
+      const cohortLimit = this.getLimit(this.settings.cohortLimitsSol, cohort);
+      const cohortAfter = (exposure.byCohort[cohort] || 0) + sizeSol;
+      if (cohortLimit !== null && cohortAfter > cohortLimit) {
+        reasons.push(`Exposure in cohort ${cohort} would be ${cohortAfter.toFixed(4)} SOL, limit ${cohortLimit}`);
+      }
+
+      return { allowed: reasons.length === 0, reasons };
+    } catch (error) {
+      logger.error(`Error checking portfolio risk for ${entry.tokenAddress}: ${error.message}`);
+      return { allowed: false, reasons: [`Portfolio risk check failed: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Recompute daily loss and rolling drawdown, tripping or clearing the breakers
+   * @returns {Promise<Object>} - The evaluation: { timestamp, solPrice, dailyLossSol, rollingDrawdownSol, ... }
+   */
+  async evaluate() {
+    const now = Date.now();
+    const dayStart = now - (now % DAY_MS);
+    const windowStart = now - (this.settings.rollingWindowHours || 24) * 60 * 60 * 1000;
+
+    const solPriceData = await priceOracle.getSolPriceUsd();
+    const solPrice = solPriceData ? solPriceData.price : null;
+    const evaluation = { timestamp: now, solPrice, dailyLossSol: null, rollingDrawdownSol: null };
+
+    try {
+      const fills = await database.getRealizedProfitLossSince(Math.min(dayStart, windowStart));
+      const activeTrades = pnlTracker.getActiveTrades();
+      const marks = await this.updateDayMarks(dayStart, activeTrades);
+      const unrealizedUsd = activeTrades
+        .reduce((sum, trade) => sum + this.getUnrealizedProfitLoss(trade), 0);
+      const dailyUnrealizedUsd = activeTrades
+        .reduce((sum, trade) => sum + this.getUnrealizedProfitLoss(trade, marks[trade.id]), 0);
+
+      let dailyRealizedUsd = 0;
+      let cumulativeUsd = 0;
+      let peakUsd = 0;
+      for (const fill of fills) {
+        if (fill.timestamp >= dayStart) {
+          // A sell of a position held over midnight only counts its move since the day's mark
+          const mark = marks[fill.trade_id];
+          const carriedUsd = mark !== undefined ? this.getCarriedProfitLoss(fill, mark) : 0;
+          dailyRealizedUsd += fill.realized_profit_loss - carriedUsd;
+        }
+        if (fill.timestamp >= windowStart) {
+          cumulativeUsd += fill.realized_profit_loss;
+          peakUsd = Math.max(peakUsd, cumulativeUsd);
+        }
+      }
+      const drawdownUsd = peakUsd - (cumulativeUsd + unrealizedUsd);
+
+      evaluation.dailyRealizedUsd = dailyRealizedUsd;
+      evaluation.dailyUnrealizedUsd = dailyUnrealizedUsd;
+      evaluation.unrealizedUsd = unrealizedUsd;
+      evaluation.rollingPeakUsd = peakUsd;
+      evaluation.rollingDrawdownUsd = drawdownUsd;
+      this.lastEvaluation = evaluation;
+
+      // A latched daily breaker clears at the next UTC midnight
+      if (this.breakers.daily && now >= this.breakers.daily.until) {
+        logger.info('Daily loss breaker reset for the new UTC day');
+        this.breakers.daily = null;
+      }
+
+      if (solPrice) {
+        evaluation.dailyLossSol = -(dailyRealizedUsd + dailyUnrealizedUsd) / solPrice;
+        evaluation.rollingDrawdownSol = drawdownUsd / solPrice;
+
+        if (!this.breakers.daily && evaluation.dailyLossSol >= this.settings.maxDailyLossSol) {
+          await this.trip('daily', {
+            reason: `Daily loss ${evaluation.dailyLossSol.toFixed(4)} SOL reached the ${this.settings.maxDailyLossSol} SOL limit`,
+            trippedAt: now,
+            until: dayStart + DAY_MS,
+          });
+        }
+
+        if (evaluation.rollingDrawdownSol >= this.settings.maxRollingDrawdownSol) {
+          if (!this.breakers.rolling) {
+            await this.trip('rolling', {
+              reason: `Drawdown ${evaluation.rollingDrawdownSol.toFixed(4)} SOL over ${this.settings.rollingWindowHours}h ` +
+                `reached the ${this.settings.maxRollingDrawdownSol} SOL limit`,
+              trippedAt: now,
+              until: null,
+            });
+          }
+        } else if (this.breakers.rolling) {
+          logger.info(`Rolling drawdown back to ${evaluation.rollingDrawdownSol.toFixed(4)} SOL, breaker cleared`);
+          this.breakers.rolling = null;
+        }
+      } else {
+        logger.warn('No SOL price, portfolio loss breakers not evaluated');
+      }
+    } catch (error) {
+      logger.error(`Error evaluating portfolio risk: ${error.message}`);
+      evaluation.error = error.message;
+    }
+
+    this.lastEvaluation = evaluation;
+    return evaluation;
+  }
+
+  /**
+   * Trip a breaker, record it and flatten if configured to
+   * @param {string} name - daily, rolling or manual
+   * @param {Object} breaker - { reason, trippedAt, until }
+   */
+  async trip(name, breaker) {
+    this.breakers[name] = breaker;
+    logger.warn(`Circuit breaker tripped (${name}): ${breaker.reason}, new entries halted`);
+
+    try {
+      await database.logEvent('CIRCUIT_BREAKER', breaker.reason, {
+        breaker: name,
+        until: breaker.until,
+        evaluation: this.lastEvaluation,
+      });
+    } catch (error) {
+      logger.error(`Error logging circuit breaker: ${error.message}`);
+    }
+
+    if (this.settings.flattenOnBreach && name !== 'manual') {
+      await this.flatten(breaker.reason);
+    }
+  }
+
+  /**
+   * Halt new entries by hand until resumed
+   * @param {string} reason - Why entries are halted
+   */
+  async halt(reason = 'Halted by hand') {
+    await this.trip('manual', { reason, trippedAt: Date.now(), until: null });
+    await database.setRiskSetting(HALT_SETTING, JSON.stringify(this.breakers.manual), database.getRiskSettingDescription(HALT_SETTING));
+  }
+
+  /**
+   * Lift a manual halt and any loss breakers; breakers trip again if their limits are still exceeded
+   * @returns {Promise<Object>} - The evaluation run after resuming
+   */
+  async resume() {
+    this.breakers = { daily: null, rolling: null, manual: null };
+    await database.setRiskSetting(HALT_SETTING, '', database.getRiskSettingDescription(HALT_SETTING));
+    await database.logEvent('CIRCUIT_BREAKER', 'Entries resumed by hand');
+    logger.info('Portfolio entries resumed by hand');
+
+    return this.evaluate();
+  }
+
+  /**
+   * Sell every open position
+   * @param {string} reason - Why the portfolio is flattened
+   * @returns {Promise<Object>} - { closed, failed }
+   */
+  async flatten(reason) {
+    const result = { closed: 0, failed: 0 };
+    if (this.isFlattening) {
+      return result;
+    }
+
+    this.isFlattening = true;
+    try {
+      const trades = pnlTracker.getActiveTrades();
+      logger.warn(`Flattening ${trades.length} open positions: ${reason}`);
+
+      for (const trade of trades) {
+        const closed = await pnlTracker.exitTrade(trade.tokenAddress, 'FLATTEN', { urgency: 'stopLoss' });
+        if (closed) {
+          result.closed++;
+        } else {
+          result.failed++;
+        }
+      }
+
+      await database.logEvent('PORTFOLIO_FLATTENED', `Flattened ${result.closed} positions, ${result.failed} failed: ${reason}`, result);
+    } catch (error) {
+      logger.error(`Error flattening positions: ${error.message}`);
+    } finally {
+      this.isFlattening = false;
+    }
+    return result;
+  }
+
+  /**
+   * Open exposure in SOL
+   * @param {number|null} solPrice - SOL price in USD, for trades without an entry size
+   * @returns {Object} - { totalSol, byVenue, byCohort }
+   */
+  getExposure(solPrice) {
+    const exposure = { totalSol: 0, byVenue: {}, byCohort: {} };
+
+    for (const trade of pnlTracker.getActiveTrades()) {
+      const sizeSol = this.getPositionSizeSol(trade, solPrice);
+      const venue = this.normalizeVenue(trade.provider);
+      const cohort = trade.strategy || 'manual';
+
+      exposure.totalSol += sizeSol;
+      exposure.byVenue[venue] = (exposure.byVenue[venue] || 0) + sizeSol;
+      exposure.byCohort[cohort] = (exposure.byCohort[cohort] || 0) + sizeSol;
+    }
+
+    return exposure;
+  }
+
+  getPositionSizeSol(trade, solPrice) {
+    if (trade.entrySizeSol && trade.buyAmount) {
+      return trade.entrySizeSol * (trade.remainingAmount / trade.buyAmount);
+    }
+    return solPrice && trade.currentValue ? trade.currentValue / solPrice : 0;
+  }
+
+  /**
+   * Unrealized P/L of an open position in USD
+   * @param {Object} trade - Active trade
+   * @param {number} [basePrice] - Price to measure from, the entry price by default
+   * @returns {number}
+   */
+  getUnrealizedProfitLoss(trade, basePrice = trade.buyPrice) {
+    if (!basePrice || !trade.currentPrice) {
+      return 0;
+    }
+    return (trade.currentPrice - basePrice) * trade.remainingAmount;
+  }
+
+  /**
+   * The part of a sell fill's realized P/L that built up before the day's mark
+   * @param {Object} fill - { trade_id, amount, realized_profit_loss } fill row
+   * @param {number} mark - The trade's price at the start of the day
+   * @returns {number} - P/L in USD
+   */
+  getCarriedProfitLoss(fill, mark) {
+    const buyPrice = this.dayMarks.buyPrices[fill.trade_id];
+    if (!buyPrice || !fill.amount) {
+      return 0;
+    }
+    return (mark - buyPrice) * fill.amount;
+  }
+
+  /**
+   * Record the price of every position held over the start of the UTC day
+   * Marks are taken at the first evaluation of the day, and for a position first seen later in the
+   * day (e.g. after a restart) when it is first seen. Positions opened during the day get no mark
+   * and are measured from their entry price.
+   * @param {number} dayStart - Start of the current UTC day in ms
+   * @param {Array} activeTrades - Open positions
+   * @returns {Promise<Object>} - Price per trade id
+   */
+  async updateDayMarks(dayStart, activeTrades) {
+    if (this.dayMarks.dayStart !== dayStart) {
+      this.dayMarks = { dayStart, marks: {}, buyPrices: {} };
+    }
+
+    let changed = false;
+    for (const trade of activeTrades) {
+      if (trade.buyTimestamp < dayStart && this.dayMarks.marks[trade.id] === undefined && trade.currentPrice) {
+        this.dayMarks.marks[trade.id] = trade.currentPrice;
+        this.dayMarks.buyPrices[trade.id] = trade.buyPrice;
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      try {
+        await database.setRiskSetting(DAY_MARKS_SETTING, JSON.stringify(this.dayMarks), database.getRiskSettingDescription(DAY_MARKS_SETTING));
+      } catch (error) {
+        logger.error(`Error saving day marks: ${error.message}`);
+      }
+    }
+    return this.dayMarks.marks;
+  }
+
+  /**
+   * Venue key for limits: provider names lowercased and without suffixes like -direct or -retry
+   */
+  normalizeVenue(venue) {
+    return venue ? String(venue).toLowerCase().split('-')[0] : 'unknown';
+  }
+
+  getLimit(limits, key) {
+    if (!limits) {
+      return null;
+    }
+    const limit = limits[key] !== undefined ? limits[key] : limits.default;
+    return typeof limit === 'number' ? limit : null;
+  }
+
+  /**
+   * @returns {Object} - Limits, exposure, breakers and the last evaluation, for the dashboard
+   */
+  getState() {
+    const solPrice = this.lastEvaluation ? this.lastEvaluation.solPrice : null;
+    return {
+      enabled: this.isEnabled(),
+      halted: this.isHalted(),
+      haltReasons: this.getHaltReasons(),
+      breakers: this.breakers,
+      exposure: this.getExposure(solPrice),
+      limits: {
+        maxOpenExposureSol: this.settings.maxOpenExposureSol,
+        venueLimitsSol: this.settings.venueLimitsSol,
+        cohortLimitsSol: this.settings.cohortLimitsSol,
+        maxDailyLossSol: this.settings.maxDailyLossSol,
+        maxRollingDrawdownSol: this.settings.maxRollingDrawdownSol,
+        rollingWindowHours: this.settings.rollingWindowHours,
+        flattenOnBreach: this.settings.flattenOnBreach,
+      },
+      lastEvaluation: this.lastEvaluation,
+    };
+  }
+}
+
+module.exports = new PortfolioRiskManager();
@@ -0,0 +1,347 @@
+/**
+ * Position Ledger
+ *
+ * Reconciles the open trades in the database against the token balances the
+ * wallet actually holds (config.positionLedger). Runs once at startup, after
+ * pnlTracker has loaded its trades, and then on a schedule:
+ *
+ * - Phantom positions, open trades whose tokens are gone from the wallet, are
+ *   marked EXTERNALLY_CLOSED. The exit price is unknown so no P/L is booked.
+ * - Dust positions, open trades whose remaining tokens are worth less than
+ *   dustValueUsd, are closed out at the current price with status CLOSED.
+ * - Positions whose wallet balance differs from the recorded size are resized
+ *   to the wallet balance.
+ * - Orphan tokens, holdings worth at least dustValueUsd with no open trade,
+ *   are adopted as trades at the current price with strategy 'adopted'.
+ *
+ * Amounts are compared in whole tokens (the holdings' uiAmount), the units
+ * trades are recorded in. Mints with a sell in flight, or one started since
+ * the pass read the balances, are left for the next pass: their balance
+ * moves before the sell is booked. In paper trading mode the balances come
+ * from the paper venue's ledger instead of the chain. If the balances cannot
+ * be read the pass is skipped; a failed RPC call never closes a position.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const wallet = require('../utils/wallet');
+const rpcManager = require('../utils/rpcManager');
+const priceOracle = require('../utils/priceOracle');
+const paperTradingVenue = require('../utils/paperTradingVenue');
+const pnlTracker = require('./pnlTracker');
+
+const TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb', // Token-2022
+];
+
+class PositionLedger {
+  constructor() {
+    this.settings = config.positionLedger || { enabled: false };
+    this.ignoredMints = new Set(this.settings.ignoredMints || []);
+
+    // Unpriced or dust holdings: mint -> time they may be re-checked
+    this.ignoredUntil = new Map();
+
+    this.isReconciling = false;
+    this.lastReport = null;
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Token balances held by the wallet
+   * @returns {Promise<Map|null>} - mint -> { amount, uiAmount }, or null if balances could not be read
+   */
+  async getWalletHoldings() {
+    const holdings = new Map();
+
+    if (paperTradingVenue.isEnabled()) {
+      await paperTradingVenue.initialize();
+      const { tokens } = paperTradingVenue.getBalances();
+      for (const [mint, amount] of Object.entries(tokens)) {
+        holdings.set(mint, { amount, uiAmount: amount });
+      }
+      return holdings;
+    }
+
+    try {
+      const owner = wallet.getKeypair().publicKey;
+
+      for (const programId of TOKEN_PROGRAM_IDS) {
+        const accounts = await rpcManager.getParsedTokenAccountsByOwner(owner, { programId: new PublicKey(programId) });
+
+        for (const account of accounts.value || []) {
+          const info = account.account.data.parsed.info;
+          const tokenAmount = info.tokenAmount;
+          if (!tokenAmount || Number(tokenAmount.amount) === 0) {
+            continue;
+          }
+
+          const holding = holdings.get(info.mint) || { amount: 0, uiAmount: 0 };
+          holding.amount += Number(tokenAmount.amount);
+          holding.uiAmount += tokenAmount.uiAmount || Number(tokenAmount.amount) / Math.pow(10, tokenAmount.decimals);
+          holdings.set(info.mint, holding);
+        }
+      }
+
+      return holdings;
+    } catch (error) {
+      logger.error(`Error reading wallet token balances: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reconcile open trades against wallet balances
+   * @returns {Promise<Object|null>} - Report of the actions taken, null if the pass was skipped
+   */
+  async reconcile() {
+    if (!this.isEnabled() || this.isReconciling) {
+      return null;
+    }
+
+    this.isReconciling = true;
+
+    try {
+      const startedAt = Date.now();
+      const holdings = await this.getWalletHoldings();
+      if (!holdings) {
+        logger.warn('Position reconciliation skipped, wallet balances unavailable');
+        return null;
+      }
+
+      const report = {
+        timestamp: Date.now(),
+        checked: 0,
+        phantom: [],
+        dust: [],
+        resized: [],
+        adopted: [],
+        openPositions: 0,
+      };
+
+      const activeTrades = await database.getActiveTrades();
+      const tradesByMint = new Map();
+      for (const trade of activeTrades) {
+        if (!tradesByMint.has(trade.token_address)) {
+          tradesByMint.set(trade.token_address, []);
+        }
+        tradesByMint.get(trade.token_address).push(trade);
+      }
+
+      for (const [mint, trades] of tradesByMint.entries()) {
+        report.checked += trades.length;
+        await this.reconcileMint(mint, trades, holdings.get(mint), report, startedAt);
+      }
+
+      if (this.settings.adoptOrphans) {
+        for (const [mint, holding] of holdings.entries()) {
+          // Tokens of a position sold during the pass are not orphans
+          if (!tradesByMint.has(mint) && !pnlTracker.isSelling(mint, startedAt)) {
+            await this.adoptOrphan(mint, holding, report);
+          }
+        }
+      }
+
+      report.openPositions = pnlTracker.getActiveTrades().length;
+      this.lastReport = report;
+
+      const changes = report.phantom.length + report.dust.length + report.resized.length + report.adopted.length;
+      if (changes > 0) {
+        logger.info(`Position reconciliation: ${report.phantom.length} externally closed, ${report.dust.length} dust closed, ${report.resized.length} resized, ${report.adopted.length} adopted`);
+        await database.logEvent('POSITION_RECONCILIATION', 'Position ledger reconciled against wallet balances', report);
+      } else {
+        logger.debug(`Position reconciliation: ${report.checked} open trades match wallet balances`);
+      }
+
+      return report;
+    } catch (error) {
+      logger.error(`Error reconciling positions: ${error.message}`);
+      return null;
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * Reconcile the open trades for one mint against its wallet balance
+   * @param {string} mint - Token mint address
+   * @param {Array} trades - Active trade rows for the mint
+   * @param {Object} holding - Wallet holding, undefined if none
+   * @param {Object} report - Report to record actions in
+   * @param {number} startedAt - When the pass started reading balances (ms timestamp)
+   */
+  async reconcileMint(mint, trades, holding, report, startedAt) {
+    if (pnlTracker.isSelling(mint, startedAt)) {
+      logger.debug(`Sell of ${mint} in progress, reconciling it on the next pass`);
+      return;
+    }
+
+    const now = Date.now();
+    const settledTrades = trades.filter(trade => now - trade.buy_timestamp >= this.settings.minTradeAgeMs);
+    if (settledTrades.length === 0) {
+      return;
+    }
+
+    // Tokens are gone: the position was sold or moved outside the bot
+    if (!holding || !(holding.amount > 0)) {
+      for (const trade of settledTrades) {
+        await this.closePhantom(trade, report);
+      }
+      return;
+    }
+
+    const quote = await priceOracle.getQuote(mint);
+
+    if (quote && holding.uiAmount * quote.price < this.settings.dustValueUsd) {
+      for (const trade of settledTrades) {
+        await this.closeDust(trade, holding, quote, report);
+      }
+      return;
+    }
+
+    // The wallet balance is shared, so only a single trade can be resized to it
+    if (trades.length > 1) {
+      logger.warn(`${trades.length} open trades for ${mint}, not resizing them to the wallet balance`);
+      await this.ensureTracked(trades[trades.length - 1]);
+      return;
+    }
+
+    const trade = trades[0];
+    const recorded = trade.remaining_amount !== null && trade.remaining_amount !== undefined ? trade.remaining_amount : trade.buy_amount;
+    const difference = recorded > 0 ? (Math.abs(holding.uiAmount - recorded) / recorded) * 100 : 100;
+
+    if (difference > this.settings.balanceTolerancePercent) {
+      await database.updateTradeRiskParameters(trade.id, { remainingAmount: holding.uiAmount });
+      trade.remaining_amount = holding.uiAmount;
+
+      const tracked = pnlTracker.activeTrades.get(mint);
+      if (tracked && tracked.id === trade.id) {
+        tracked.remainingAmount = holding.uiAmount;
+        tracked.currentValue = tracked.currentPrice * holding.uiAmount;
+      }
+
+      report.resized.push({ tradeId: trade.id, tokenAddress: mint, recorded, actual: holding.uiAmount });
+      logger.info(`Resized ${trade.token_symbol} position from ${recorded} to wallet balance ${holding.uiAmount}`);
+    }
+
+    await this.ensureTracked(trade);
+  }
+
+  /**
+   * Mark a trade whose tokens have left the wallet as externally closed
+   * @param {Object} trade - Active trade row
+   * @param {Object} report - Report to record actions in
+   */
+  async closePhantom(trade, report) {
+    const closed = await database.closeTradeExternally(trade.id, {
+      status: 'EXTERNALLY_CLOSED',
+      note: 'Tokens no longer in wallet at reconciliation',
+    });
+
+    if (closed) {
+      this.untrack(trade);
+      report.phantom.push({ tradeId: trade.id, tokenAddress: trade.token_address, tokenSymbol: trade.token_symbol });
+      logger.warn(`Trade ${trade.id} (${trade.token_symbol}) marked externally closed, tokens are no longer in the wallet`);
+    }
+  }
+
+  /**
+   * Close out a position whose remaining tokens are worth less than the dust threshold
+   * @param {Object} trade - Active trade row
+   * @param {Object} holding - Wallet holding
+   * @param {Object} quote - Current price quote
+   * @param {Object} report - Report to record actions in
+   */
+  async closeDust(trade, holding, quote, report) {
+    const remaining = trade.remaining_amount !== null && trade.remaining_amount !== undefined ? trade.remaining_amount : trade.buy_amount;
+    const profitLoss = (trade.realized_profit_loss || 0) + (quote.price * holding.uiAmount) - (trade.buy_price * remaining);
+    const costBasis = trade.buy_price * trade.buy_amount;
+
+    const closed = await database.closeTradeExternally(trade.id, {
+      status: 'CLOSED',
+      sellPrice: quote.price,
+      sellAmount: holding.uiAmount,
+      profitLoss,
+      profitLossPercentage: costBasis > 0 ? (profitLoss / costBasis) * 100 : null,
+      note: `Closed out as dust at reconciliation ($${(holding.uiAmount * quote.price).toFixed(4)} left)`,
+    });
+
+    if (closed) {
+      this.untrack(trade);
+      this.ignoredUntil.set(trade.token_address, Date.now() + this.settings.ignoreRecheckMs);
+      report.dust.push({ tradeId: trade.id, tokenAddress: trade.token_address, tokenSymbol: trade.token_symbol, amount: holding.uiAmount });
+      logger.info(`Trade ${trade.id} (${trade.token_symbol}) closed out as dust`);
+    }
+  }
+
+  /**
+   * Track a wallet holding that has no open trade
+   * @param {string} mint - Token mint address
+   * @param {Object} holding - Wallet holding
+   * @param {Object} report - Report to record actions in
+   */
+  async adoptOrphan(mint, holding, report) {
+    if (this.ignoredMints.has(mint) || (this.ignoredUntil.get(mint) || 0) > Date.now()) {
+      return;
+    }
+
+    const quote = await priceOracle.getQuote(mint);
+    if (!quote || holding.uiAmount * quote.price < this.settings.dustValueUsd) {
+      this.ignoredUntil.set(mint, Date.now() + this.settings.ignoreRecheckMs);
+      return;
+    }
+
+    try {
+      const token = await database.getToken(mint);
+      const tradeId = await database.saveTrade({
+        tokenAddress: mint,
+        tokenName: token ? token.name : null,
+        tokenSymbol: token ? token.symbol : mint.substring(0, 6),
+        buyPrice: quote.price,
+        buyAmount: holding.uiAmount,
+        txHashBuy: null,
+        score: null,
+        notes: 'Adopted from wallet at reconciliation, entry price is the price at adoption',
+        strategy: 'adopted',
+      });
+
+      const trade = await database.getTradeById(tradeId);
+      await pnlTracker.loadTrade(trade);
+
+      report.adopted.push({ tradeId, tokenAddress: mint, tokenSymbol: trade.token_symbol, amount: holding.uiAmount, price: quote.price });
+      logger.info(`Adopted ${trade.token_symbol} (${mint}) from wallet as trade ${tradeId}: ${holding.uiAmount} at $${quote.price}`);
+    } catch (error) {
+      logger.error(`Error adopting ${mint}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Make sure an open trade is tracked by pnlTracker
+   * @param {Object} trade - Active trade row
+   */
+  async ensureTracked(trade) {
+    if (!pnlTracker.activeTrades.has(trade.token_address)) {
+      await pnlTracker.loadTrade(trade);
+      logger.info(`Resumed tracking ${trade.token_symbol} (trade ${trade.id})`);
+    }
+  }
+
+  untrack(trade) {
+    const tracked = pnlTracker.activeTrades.get(trade.token_address);
+    if (tracked && tracked.id === trade.id) {
+      pnlTracker.removeTrade(trade.token_address);
+    }
+  }
+
+  getLastReport() {
+    return this.lastReport;
+  }
+}
+
+module.exports = new PositionLedger();
@@ -0,0 +1,193 @@
+/**
+ * Position Sizer
+ *
+ * Chooses the SOL size of an entry (config.trading.tradingStrategies.dynamicPositionSizing):
+ *
+ * 1. The base size is basePositionSizePercent of the wallet's SOL, less the
+ *    reserveSol kept for fees.
+ * 2. Each increase and decrease factor whose threshold the token meets
+ *    multiplies it. Features come from the pair data, the on-chain analysis
+ *    and the token's last stored score.
+ * 3. The token score scales it between confidence.minMultiplier (score 0) and
+ *    confidence.maxMultiplier (score 1).
+ * 4. The result is kept between minPositionSizePercent and
+ *    maxPositionSizePercent of the wallet, and under the strategy's per-trade
+ *    size.
+ * 5. The size is capped so its estimated price impact against the SOL side of
+ *    the pool stays under maxPriceImpactPercent. An entry that would need to
+ *    be smaller than the minimum size to stay under the cap is skipped, and an
+ *    entry into a pool of unknown depth gets the minimum size.
+ *
+ * The chosen size divided by the base size is the trade's position_size_factor;
+ * every input and multiplier is kept with it in position_sizing.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const priceOracle = require('../utils/priceOracle');
+const swapExecutor = require('./swapExecutor');
+const tokenFeatures = require('./tokenFeatures');
+
+class PositionSizer {
+  constructor() {
+    this.settings = config.trading.tradingStrategies?.dynamicPositionSizing || { enabled: false };
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Size an entry
+   * @param {Object} params - { token: pair data, score: token score, onChainData: onChainAnalyzer.analyzeToken result,
+   *   maxSizeSol: the strategy's per-trade size }
+   * @returns {Promise<Object>} - { sizeSol (0 to skip the entry), factor, reason, sizing: inputs and multipliers }
+   */
+  async calculate({ token, score = null, onChainData = null, maxSizeSol }) {
+    if (!this.isEnabled()) {
+      return { sizeSol: maxSizeSol, factor: 1.0, reason: null, sizing: { enabled: false, sizeSol: maxSizeSol } };
+    }
+
+    try {
+      const tokenAddress = token.baseToken.address;
+      const walletBalanceSol = await swapExecutor.getWalletBalance();
+      const availableSol = Math.max(0, walletBalanceSol - (this.settings.reserveSol || 0));
+      const baseSizeSol = availableSol * this.settings.basePositionSizePercent / 100;
+      const minSizeSol = availableSol * this.settings.minPositionSizePercent / 100;
+      const maxSizeByWalletSol = availableSol * this.settings.maxPositionSizePercent / 100;
+
+      const sizing = {
+        enabled: true,
+        walletBalanceSol,
+        availableSol,
+        baseSizeSol,
+        minSizeSol,
+        maxSizeSol: maxSizeByWalletSol,
+        strategyMaxSizeSol: maxSizeSol,
+      };
+
+      if (baseSizeSol <= 0) {
+        return this.skip(sizing, `No capital available (${walletBalanceSol.toFixed(4)} SOL in the wallet)`);
+      }
+
+      // Token features
+      const sentimentScore = await tokenFeatures.getSentimentScore(tokenAddress);
+      const features = this.getFeatures(token, onChainData, sentimentScore);
+      sizing.factors = {};
+      let multiplier = 1;
+      for (const [name, value] of Object.entries({ ...this.settings.increaseFactors, ...this.settings.decreaseFactors })) {
+        if (features[name]) {
+          sizing.factors[name] = value;
+          multiplier *= value;
+        }
+      }
+
+      // Score confidence
+      const confidence = this.settings.confidence || { minMultiplier: 1, maxMultiplier: 1 };
+      const confidenceMultiplier = typeof score === 'number'
+        ? confidence.minMultiplier + (confidence.maxMultiplier - confidence.minMultiplier) * Math.min(1, Math.max(0, score))
+        : 1;
+      sizing.confidence = { score, multiplier: confidenceMultiplier };
+
+      let sizeSol = baseSizeSol * multiplier * confidenceMultiplier;
+      sizing.limitedBy = 'factors';
+      if (sizeSol < minSizeSol) {
+        sizeSol = minSizeSol;
+        sizing.limitedBy = 'minSize';
+      } else if (sizeSol > maxSizeByWalletSol) {
+        sizeSol = maxSizeByWalletSol;
+        sizing.limitedBy = 'maxSize';
+      }
+      if (maxSizeSol && sizeSol > maxSizeSol) {
+        sizeSol = maxSizeSol;
+        sizing.limitedBy = 'strategyMaxSize';
+      }
+
+      // Pool depth
+      const poolSol = await this.getPoolSolDepth(token);
+      const maxImpact = (this.settings.maxPriceImpactPercent || 100) / 100;
+      sizing.poolSol = poolSol;
+      sizing.maxPriceImpactPercent = this.settings.maxPriceImpactPercent;
+      if (poolSol === null) {
+        sizeSol = Math.min(sizeSol, minSizeSol);
+        sizing.limitedBy = 'unknownPoolDepth';
+      } else {
+        // Constant product: x SOL into a pool holding R SOL moves the price by about x / (R + x)
+        sizing.priceImpactCapSol = maxImpact < 1 ? poolSol * maxImpact / (1 - maxImpact) : Infinity;
+        if (sizing.priceImpactCapSol < minSizeSol) {
+          return this.skip(sizing, `Pool too shallow: ${sizing.priceImpactCapSol.toFixed(4)} SOL keeps price impact under ` +
+            `${this.settings.maxPriceImpactPercent}%, minimum size is ${minSizeSol.toFixed(4)} SOL`);
+        }
+        if (sizeSol > sizing.priceImpactCapSol) {
+          sizeSol = sizing.priceImpactCapSol;
+          sizing.limitedBy = 'priceImpact';
+        }
+        sizing.estimatedPriceImpactPercent = (sizeSol / (poolSol + sizeSol)) * 100;
+      }
+
+      const factor = sizeSol / baseSizeSol;
+      sizing.sizeSol = sizeSol;
+      sizing.factor = factor;
+
+      logger.info(`Position size for ${token.baseToken.symbol}: ${sizeSol.toFixed(4)} SOL (${factor.toFixed(2)}x base ` +
+        `${baseSizeSol.toFixed(4)} SOL, limited by ${sizing.limitedBy})` +
+        `${Object.keys(sizing.factors).length > 0 ? `, factors ${Object.keys(sizing.factors).join(', ')}` : ''}`);
+
+      return { sizeSol, factor, reason: null, sizing };
+    } catch (error) {
+      logger.error(`Error sizing position for ${token.baseToken.symbol}: ${error.message}`);
+      return { sizeSol: 0, factor: 0, reason: `Sizing failed: ${error.message}`, sizing: { enabled: true, error: error.message } };
+    }
+  }
+
+  skip(sizing, reason) {
+    sizing.sizeSol = 0;
+    sizing.factor = 0;
+    sizing.skipReason = reason;
+    return { sizeSol: 0, factor: 0, reason, sizing };
+  }
+
+  /**
+   * Work out which sizing factors a token meets
+   * @param {Object} token - Pair data
+   * @param {Object|null} onChainData - On-chain analysis; holder and tokenomics factors are left out without it
+   * @param {number|null} sentimentScore - Sentiment score (0 to 1)
+   * @returns {Object} - Factor name -> whether it applies
+   */
+  getFeatures(token, onChainData, sentimentScore) {
+    const thresholds = this.settings.thresholds || {};
+    const metrics = tokenFeatures.getMetrics(token, onChainData);
+    const { liquidityUsd, marketCapUsd, ageHours, buysH1, sellsH1, onChain } = metrics;
+
+    return {
+      highVolume: metrics.volumeH24Usd >= thresholds.highVolumeUsd,
+      strongPriceMovement: metrics.priceChangeH1 >= thresholds.strongPriceMovementPercent,
+      highSocialSentiment: sentimentScore !== null && sentimentScore >= thresholds.highSocialSentiment,
+      newToken: ageHours !== null && ageHours < thresholds.newTokenHours,
+      lowMarketCap: Boolean(marketCapUsd) && marketCapUsd < thresholds.lowMarketCapUsd,
+      strongBuyPressure: buysH1 > 0 && buysH1 / Math.max(1, sellsH1) >= thresholds.strongBuyPressureRatio,
+      lowLiquidity: liquidityUsd === null || liquidityUsd < thresholds.lowLiquidityUsd,
+      highVolatility: Math.abs(metrics.priceChangeM5) >= thresholds.highVolatilityPercent,
+      lowHolderCount: onChain !== null && onChain.holderCount < thresholds.lowHolderCount,
+      suspiciousTokenomics: onChain !== null &&
+        (onChain.topAccountPercentage >= thresholds.suspiciousTopHolderPercent || onChain.mintAuthorityRevoked === false),
+    };
+  }
+
+  /**
+   * SOL on the SOL side of the token's pool, taken as half its USD liquidity
+   * @param {Object} token - Pair data
+   * @returns {Promise<number|null>} - SOL depth, or null if liquidity or the SOL price is unknown
+   */
+  async getPoolSolDepth(token) {
+    const liquidityUsd = token.liquidity?.usd;
+    if (!liquidityUsd) {
+      return null;
+    }
+
+    const solPrice = await priceOracle.getSolPriceUsd();
+    return solPrice ? liquidityUsd / 2 / solPrice.price : null;
+  }
+}
+
+module.exports = new PositionSizer();
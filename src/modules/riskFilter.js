@@ -3,6 +3,10 @@ const config = require('../../config/config');
 const logger = require('../utils/logger');
 const database = require('../utils/database');
 const onChainAnalyzer = require('./onChainAnalyzer');
+const deployerReputation = require('./deployerReputation');
+const lpLockAnalyzer = require('../utils/lpLockAnalyzer');
+const riskPolicy = require('./riskPolicy');
+const tokenLists = require('../utils/tokenLists');
 
 class RiskFilter {
   constructor() {
@@ -15,43 +19,18 @@ class RiskFilter {
       'pause',
       'freeze',
     ];
-    this.blacklistedTokens = new Set();
-    this.whitelistedTokens = new Set([
-      'ER7qoXEsKfmmLehwmZaK1WVoDTxSBWsnqEKgcVYFpump', // ◎ token
-      'fESbUKjuMY6jzDH9VP8cy4p3pu2q5W2rK2XghVfNseP', // SOLANA token
-      'So11111111111111111111111111111111111111112', // Wrapped SOL
-      'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-      'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-      'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', // BONK
-      'WENWENvqqNya429ubCdR81ZmD69brwQaaBYY6p3LCpk', // WEN
-      'F3nefJBcejYbtdREjui1T9DPh5dBgpkKq7u2GAAMXs5B', // PYTH
-      'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', // MSOL
-      'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', // JUP
-      'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3', // PYTH
-      'AFbX8oGjGpmVFywbVouvhQSRmiW2aR1mohfahi4Y2AdB', // GST
-      '7i5KKsX2weiTkry7jA4ZwSuXGhs5eJBEjY8vVxR4pfRx', // GMT
-      'kinXdEcpDQeHPEuQnqmUgtYykqKGVFq6CeVX5iAHJq6', // KIN
-      'HxRELUQfvvjToVbacjr9YECdfQMUqGgPYB68jVDYxkbr', // NANA
-      'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', // WOOF
-      'HCgybxq5Upy8Mccihrp7EsmwwFqYZtrHrsmsKwtGXLgW', // SAMO
-      'MNDEFzGvMt87ueuHvVU9VcTqsAP5b3fTGPsHuuPA5ey', // MNDE
-      'SHDWyBxihqiCj6YekG2GUr7wqKLeLAMK1gHZck9pL6y', // SHDW
-      'zebeczgi5fSEtbpfQKVZKCJ3WgYXxjkMUkNNx7fLKAF', // ZBC
-      'BLwTnYKqf7u4qjgZrrsKeNs2EzWkMLqVCu6j8iHyrNA3', // BLT
-      'Saber2gLauYim4Mvftnrasomsv6NvAuncvMEZwcLpD1', // SBR
-      'MangoCzJ36AjZyKwVj3VnYU4GTonjfVEnJmvvWaxLac', // MNGO
-      'StepAscQoEioFxxWGnh2sLBDFp9d8rvKz2Yp39iDpyT', // STEP
-      'CASHVDm2wsJXfhj6VWxb7GiMdoLc17Du7paH4bNr5woT', // CASH
-      'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE', // ORCA
-      'RLBxxFkseAZ4RgJH3Sqn8jXxhmGoz9jWxDNJMh8pL7a', // RLB
-      'DFL1zNkaGPWm1BqAVqRjCZvHmwTFrEaJtbzJWgseoNJh', // DFL
-      'HfYFjMKNZygfMC8LsQ8LtpPsPxEJoXJx4M6tqi75Hajo', // CWAR
-      'BRENm9SgYAEVYmQrZJQwcjJAqmw7W3oRsJBesHiDR2m3', // BREN
-      'WIFZBdYP3XfzJEfryJjEjKdY1mHQGQxXgELLcEL1ZuT', // WIF
-      'AiEXZFNs4Af1L8oCQnQTrTJ1Fv8i3KKqPfPx2SDjRCQr', // AI
-      'METAmTMXwdb8gYzyCPfXXFmZZw4rUsXX58PNsDg7zjL', // META
-      // Add any other tokens you want to whitelist
-    ]);
+    
+    // Where on-chain data, swap simulations, stored token data and list entries come from.
+    // Backtests swap this for a replay of recorded data via setDataSource().
+    this.liveDataSource = {
+      analyzeToken: tokenAddress => onChainAnalyzer.analyzeToken(tokenAddress),
+      simulateSwap: tokenAddress => onChainAnalyzer.simulateSwap(tokenAddress),
+      getToken: tokenAddress => database.getToken(tokenAddress),
+      getListEntry: tokenAddress => tokenLists.getEntry(tokenAddress),
+      getDeployerReputation: tokenAddress => deployerReputation.getReputationForToken(tokenAddress),
+      analyzeLiquidityLock: tokenAddress => lpLockAnalyzer.analyze(tokenAddress),
+    };
+    this.dataSource = this.liveDataSource;
     
     // Trading monitoring stats
     this.tradingStats = {
@@ -62,37 +41,27 @@ class RiskFilter {
     };
   }
 
+  /**
+   * Replace the source of on-chain data, swap simulations, token data and list entries
+   * @param {Object|null} source - Object with analyzeToken, simulateSwap, getToken, getListEntry and optionally
+   *   getDeployerReputation and analyzeLiquidityLock, or null for the live sources
+   */
+  setDataSource(source) {
+    this.dataSource = source || this.liveDataSource;
+  }
+
   async analyzeTokenRisk(tokenAddress) {
     try {
       logger.info(`Analyzing risk for token: ${tokenAddress}`);
       
-      // Check if token is whitelisted
-      if (this.whitelistedTokens.has(tokenAddress)) {
-        logger.info(`Token ${tokenAddress} is whitelisted, bypassing safety checks`);
-        return {
-          isRisky: false,
-          riskScore: 0.2,
-          reasons: ['Whitelisted token'],
-        };
-      }
-      
-      // Check if token is blacklisted
-      if (this.blacklistedTokens.has(tokenAddress)) {
-        logger.warn(`Token is blacklisted: ${tokenAddress}`);
-        return {
-          isRisky: true,
-          riskScore: 1.0,
-          reasons: ['Token is blacklisted'],
-        };
-      }
-      
       // Get on-chain data
-      const onChainData = await onChainAnalyzer.analyzeToken(tokenAddress);
-      if (!onChainData) {
+      const onChainData = await this.dataSource.analyzeToken(tokenAddress);
+      if (!onChainData || onChainData.error) {
         return {
           isRisky: true,
           riskScore: 0.8,
           reasons: ['Failed to fetch on-chain data'],
+          error: `Failed to fetch on-chain data${onChainData ? `: ${onChainData.error}` : ''}`,
         };
       }
       
@@ -100,10 +69,10 @@ class RiskFilter {
       const mintAuthorityRevoked = onChainData.mintAuthorityRevoked;
       
       // Simulate a swap to check if token is tradable
-      const swapSimulation = await onChainAnalyzer.simulateSwap(tokenAddress);
+      const swapSimulation = await this.dataSource.simulateSwap(tokenAddress);
       
       // Get token data from database
-      const tokenData = await database.getToken(tokenAddress);
+      const tokenData = await this.dataSource.getToken(tokenAddress);
       
       // Calculate risk score and collect risk reasons
       let riskScore = 0;
@@ -125,7 +94,7 @@ class RiskFilter {
       // Check swap simulation
       if (!swapSimulation.success) {
         riskScore += 0.3; // Reduced from 0.5
-        reasons.push('Swap simulation failed');
+        reasons.push(`Swap simulation failed${swapSimulation.details ? `: ${swapSimulation.details}` : ''}`);
       }
       
       if (!swapSimulation.canSellBack) {
@@ -158,6 +127,7 @@ class RiskFilter {
         isRisky: true,
         riskScore: 0.8,
         reasons: ['Error during risk analysis: ' + error.message],
+        error: error.message,
       };
     }
   }
@@ -166,28 +136,33 @@ class RiskFilter {
     try {
       logger.info(`Checking for honeypot: ${tokenAddress}`);
       
-      // Simulate buy and sell to check if token is a honeypot
-      const buySimulation = await onChainAnalyzer.simulateSwap(tokenAddress);
+      // Simulate a buy and a sell of the tokens it delivers
+      const simulation = await this.dataSource.simulateSwap(tokenAddress);
       
-      if (!buySimulation.success) {
-        logger.warn(`Buy simulation failed for token: ${tokenAddress}`);
+      // A simulation that could not run says nothing either way; the risk policy decides what that means
+      if (simulation.unavailable) {
+        logger.warn(`Sell simulation unavailable for token: ${tokenAddress}`);
         return {
           isHoneypot: true,
-          reason: 'Cannot buy token',
+          reason: simulation.details || 'Swap simulation unavailable',
+          error: simulation.details || 'Swap simulation unavailable',
         };
       }
       
-      // This is a placeholder for sell simulation
-      // In a real implementation, you would simulate selling the token
-      const sellSimulation = {
-        success: true, // Placeholder
-      };
-      
-      if (!sellSimulation.success) {
+      if (!simulation.canSellBack) {
         logger.warn(`Sell simulation failed for token: ${tokenAddress}`);
         return {
           isHoneypot: true,
-          reason: 'Cannot sell token',
+          reason: simulation.details || 'Cannot sell token',
+        };
+      }
+      
+      // A sell that goes through but is taxed past the limit is as good as a honeypot
+      if (!simulation.success) {
+        logger.warn(`Swap simulation failed for token: ${tokenAddress}`);
+        return {
+          isHoneypot: true,
+          reason: simulation.details || 'Swap simulation failed',
         };
       }
       
@@ -200,6 +175,7 @@ class RiskFilter {
       return {
         isHoneypot: true,
         reason: 'Error during honeypot check: ' + error.message,
+        error: error.message,
       };
     }
   }
@@ -209,10 +185,10 @@ class RiskFilter {
       logger.info(`Checking for rug pull risk: ${tokenAddress}`);
       
       // Get on-chain data
-      const onChainData = await onChainAnalyzer.analyzeToken(tokenAddress);
+      const onChainData = await this.dataSource.analyzeToken(tokenAddress);
       
       // Get token data from database
-      const tokenData = await database.getToken(tokenAddress);
+      const tokenData = await this.dataSource.getToken(tokenAddress);
       
       // Calculate rug pull risk
       let rugPullRisk = 0;
@@ -261,20 +237,14 @@ class RiskFilter {
     try {
       logger.info(`Checking for rug pull risk: ${tokenAddress}`);
       
-      // For well-known tokens, bypass the rug pull check
-      if (this.whitelistedTokens.has(tokenAddress)) {
-        return {
-          isRugPullRisk: false,
-          rugPullRisk: 0.1,
-          reasons: ['Whitelisted token'],
-        };
-      }
-      
       // Get on-chain data
-      const onChainData = await onChainAnalyzer.analyzeToken(tokenAddress);
+      const onChainData = await this.dataSource.analyzeToken(tokenAddress);
+      if (onChainData && onChainData.error) {
+        throw new Error(`Failed to fetch on-chain data: ${onChainData.error}`);
+      }
       
       // Get token data from database
-      const tokenData = await database.getToken(tokenAddress);
+      const tokenData = await this.dataSource.getToken(tokenAddress);
       
       // Calculate rug pull risk
       let rugPullRisk = 0;
@@ -313,91 +283,312 @@ class RiskFilter {
       return result;
     } catch (error) {
       logger.error(`Error checking for rug pull risk: ${error.message}`);
-      // Be more lenient with errors - don't automatically mark as rug pull risk
       return {
-        isRugPullRisk: false,
-        rugPullRisk: 0.4,
-        reasons: ['Error during rug pull check, assuming moderate risk'],
+        isRugPullRisk: true,
+        rugPullRisk: 1.0,
+        reasons: ['Error during rug pull check: ' + error.message],
+        error: error.message,
       };
     }
   }
 
-  async isTokenSafe(tokenAddress) {
+  /**
+   * Weigh the mint's freeze authority and Token-2022 extensions
+   * Each risky authority or extension adds its config.tokenExtensions weight and a reason
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { isRisky, extensionRiskScore, reasons, tokenProgram }
+   */
+  async checkTokenExtensions(tokenAddress) {
     try {
-      // Check if token is whitelisted first for efficiency
-      if (this.whitelistedTokens.has(tokenAddress)) {
-        logger.info(`Token ${tokenAddress} is whitelisted, bypassing safety checks`);
-        return {
-          isSafe: true,
-          reasons: ['Whitelisted token'],
-          riskScore: 0.2,
-          isHoneypot: false,
-          rugPullRisk: 0.2,
-          isWhitelisted: true
-        };
+      const onChainData = await this.dataSource.analyzeToken(tokenAddress);
+      if (onChainData && onChainData.error) {
+        throw new Error(`Failed to fetch on-chain data: ${onChainData.error}`);
       }
-      
-      // Run all risk checks
-      const [riskAnalysis, honeypotCheck, rugPullCheck] = await Promise.all([
-        this.analyzeTokenRisk(tokenAddress),
-        this.checkForHoneypot(tokenAddress),
-        this.checkForRugPull(tokenAddress),
-      ]);
-      
-      // More lenient safety check - only fail if multiple checks fail
-      // Token is safe if it passes at least 2 out of 3 checks
-      let failCount = 0;
-      if (riskAnalysis.isRisky) failCount++;
-      if (honeypotCheck.isHoneypot) failCount++;
-      if (rugPullCheck.isRugPullRisk) failCount++;
-      
-      const isSafe = failCount < 2; // Only require 2 out of 3 checks to pass
-      
-      // Collect all reasons if not safe
+
+      // Nothing is known about the mint (a replay of data recorded before extensions were)
+      if (!onChainData || !Array.isArray(onChainData.extensions)) {
+        return { isRisky: false, extensionRiskScore: 0, reasons: [], tokenProgram: null };
+      }
+
+      const settings = config.tokenExtensions || {};
+      const weights = settings.weights || {};
+      const maxRiskScore = settings.maxRiskScore || 1.0;
+      const extension = name => onChainData.extensions.find(candidate => candidate.name === name);
+
+      let riskScore = 0;
       const reasons = [];
-      if (riskAnalysis.isRisky) {
-        reasons.push(...riskAnalysis.reasons);
+      const flag = (weightName, reason) => {
+        const weight = weights[weightName] || 0;
+        riskScore += weight;
+        reasons.push(`${reason} (+${weight})`);
+      };
+
+      if (onChainData.freezeAuthority) {
+        flag('freezeAuthority', `Freeze authority not revoked: ${onChainData.freezeAuthority}`);
+      }
+
+      const transferFee = extension('transferFeeConfig');
+      if (transferFee && (transferFee.transferFeeBps > 0 || transferFee.transferFeeConfigAuthority)) {
+        flag('transferFee', `Transfer fee of ${transferFee.transferFeeBps / 100}%${transferFee.transferFeeConfigAuthority ? ', which its authority can raise' : ''}`);
+      }
+
+      const transferHook = extension('transferHook');
+      if (transferHook && transferHook.programId) {
+        flag('transferHook', `Transfers run hook program ${transferHook.programId}`);
+      }
+
+      const permanentDelegate = extension('permanentDelegate');
+      if (permanentDelegate && permanentDelegate.delegate) {
+        flag('permanentDelegate', `Permanent delegate ${permanentDelegate.delegate} can move or burn any holder's tokens`);
+      }
+
+      const defaultState = extension('defaultAccountState');
+      if (defaultState && defaultState.state === 'frozen') {
+        flag('defaultFrozen', 'New token accounts start frozen');
+      }
+
+      if (extension('nonTransferable')) {
+        flag('nonTransferable', 'Token is non-transferable');
+      }
+
+      const pausable = extension('pausable');
+      if (pausable && (pausable.authority || pausable.paused)) {
+        flag('pausable', `Transfers can be paused${pausable.paused ? ' and are paused now' : ''}`);
+      }
+
+      const metadataPointer = extension('metadataPointer');
+      const metadata = extension('tokenMetadata');
+      if ((metadataPointer && metadataPointer.authority) || (metadata && metadata.updateAuthority)) {
+        flag('mutableMetadata', 'Token metadata is mutable');
+      }
+
+      const mintClose = extension('mintCloseAuthority');
+      if (mintClose && mintClose.closeAuthority) {
+        flag('mintCloseAuthority', `Mint can be closed by ${mintClose.closeAuthority}`);
+      }
+
+      riskScore = Math.min(1, riskScore);
+      const result = {
+        isRisky: riskScore >= maxRiskScore,
+        extensionRiskScore: riskScore,
+        reasons,
+        tokenProgram: onChainData.tokenProgram,
+      };
+
+      // Only live analyses are recorded; a replay must not write to the tokens table
+      if (this.dataSource === this.liveDataSource) {
+        try {
+          await database.saveTokenExtensions(tokenAddress, {
+            tokenProgram: onChainData.tokenProgram,
+            freezeAuthority: onChainData.freezeAuthority,
+            extensions: onChainData.extensions,
+            extensionRiskScore: riskScore,
+          });
+        } catch (error) {
+          logger.warn(`Could not store extension analysis for ${tokenAddress}: ${error.message}`);
+        }
       }
-      if (honeypotCheck.isHoneypot) {
-        reasons.push(honeypotCheck.reason || 'Honeypot check failed');
+
+      logger.info(`Extension risk for ${tokenAddress} (${onChainData.tokenProgram}): ${riskScore.toFixed(2)}${reasons.length > 0 ? ` - ${reasons.join('; ')}` : ''}`);
+      return result;
+    } catch (error) {
+      logger.error(`Error checking token extensions: ${error.message}`);
+      return {
+        isRisky: false,
+        extensionRiskScore: 0,
+        reasons: [],
+        tokenProgram: null,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Judge the token by its creator's past launches
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { isRisky, isBlacklisted, reputationScore, creatorAddress, reasons }
+   */
+  async checkDeployerReputation(tokenAddress) {
+    try {
+      const reputation = this.dataSource.getDeployerReputation
+        ? await this.dataSource.getDeployerReputation(tokenAddress)
+        : null;
+      if (!reputation) {
+        return { isRisky: false, isBlacklisted: false, reputationScore: null, creatorAddress: null, reasons: [] };
       }
-      if (rugPullCheck.isRugPullRisk) {
-        reasons.push(...(rugPullCheck.reasons || ['Rug pull risk detected']));
+
+      const minScore = (config.deployerReputation && config.deployerReputation.minReputationScore) || 0.3;
+      const reasons = [];
+      if (reputation.isBlacklisted) {
+        reasons.push(`Creator ${reputation.creatorAddress} is blacklisted: ${reputation.blacklistReason}`);
+      } else if (reputation.reputationScore < minScore) {
+        reasons.push(`Creator ${reputation.creatorAddress} has a poor reputation (${reputation.reputationScore.toFixed(2)}, ` +
+          `${reputation.badLaunches} bad of ${reputation.launches} launches)`);
       }
+
+      return {
+        isRisky: reputation.isBlacklisted || reputation.reputationScore < minScore,
+        isBlacklisted: reputation.isBlacklisted,
+        reputationScore: reputation.reputationScore,
+        creatorAddress: reputation.creatorAddress,
+        reasons,
+      };
+    } catch (error) {
+      logger.error(`Error checking deployer reputation: ${error.message}`);
+      return {
+        isRisky: false,
+        isBlacklisted: false,
+        reputationScore: null,
+        creatorAddress: null,
+        reasons: [],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Check that enough of the token's Raydium LP is burned or locked
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { applicable, passes, reasons, burnedPercent, lockedPercent, lockExpiresTimestamp }
+   */
+  async checkLiquidityLock(tokenAddress) {
+    if (!this.dataSource.analyzeLiquidityLock) {
+      return { applicable: false, passes: true, reasons: [] };
+    }
+
+    try {
+      const lpStatus = await this.dataSource.analyzeLiquidityLock(tokenAddress);
+
+      if (lpStatus.applicable && this.dataSource === this.liveDataSource) {
+        try {
+          await database.saveTokenLpStatus(tokenAddress, lpStatus);
+        } catch (error) {
+          logger.warn(`Could not store LP status for ${tokenAddress}: ${error.message}`);
+        }
+      }
+
+      return lpStatus;
+    } catch (error) {
+      logger.error(`Error checking liquidity lock: ${error.message}`);
+      return {
+        applicable: true,
+        passes: false,
+        reasons: ['Error during LP burn check: ' + error.message],
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * Check the token against the blacklist (see tokenLists) and its stored is_blacklisted flag
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { isBlacklisted, reasons }
+   */
+  async checkBlacklist(tokenAddress) {
+    const entry = this.dataSource.getListEntry(tokenAddress);
+    if (entry && entry.list === 'blacklist') {
+      return {
+        isBlacklisted: true,
+        reasons: [`Token is blacklisted (${entry.source})${entry.reason ? `: ${entry.reason}` : ''}`],
+      };
+    }
+
+    // Also set outside the lists
+    const tokenData = await this.dataSource.getToken(tokenAddress);
+    if (tokenData && tokenData.is_blacklisted) {
+      return { isBlacklisted: true, reasons: ['Token is flagged as blacklisted'] };
+    }
+
+    return { isBlacklisted: false, reasons: [] };
+  }
+
+  /**
+   * Decide whether a token may be traded by running the risk checks through the risk policy (see riskPolicy)
+   * Fails closed: a token whose safety could not be decided is unsafe
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { isSafe, reasons, riskScore, isHoneypot, rugPullRisk, extensionRiskScore,
+   *   extensionReasons, deployerReputation, liquidityLock, policyDecision, isWhitelisted }
+   */
+  async isTokenSafe(tokenAddress) {
+    try {
+      const listEntry = this.dataSource.getListEntry(tokenAddress);
+      const isWhitelisted = listEntry !== null && listEntry !== undefined && listEntry.list === 'whitelist';
+      
+      const decision = await riskPolicy.evaluate(tokenAddress, {
+        blacklist: () => this.checkBlacklist(tokenAddress),
+        riskAnalysis: () => this.analyzeTokenRisk(tokenAddress),
+        honeypot: () => this.checkForHoneypot(tokenAddress),
+        rugPull: () => this.checkForRugPull(tokenAddress),
+        tokenExtensions: () => this.checkTokenExtensions(tokenAddress),
+        deployerReputation: () => this.checkDeployerReputation(tokenAddress),
+        liquidityLock: () => this.checkLiquidityLock(tokenAddress),
+      }, {
+        isWhitelisted,
+        // Only live decisions are recorded; a replay must not write to the database
+        record: this.dataSource === this.liveDataSource,
+      });
       
-      logger.info(`Token safety check for ${tokenAddress}: ${isSafe ? 'SAFE' : 'UNSAFE'}`);
+      const riskAnalysis = decision.results.riskAnalysis || {};
+      const honeypotCheck = decision.results.honeypot || {};
+      const rugPullCheck = decision.results.rugPull || {};
+      const extensionCheck = decision.results.tokenExtensions || {};
+      const deployerCheck = decision.results.deployerReputation || {};
+      const lpCheck = decision.results.liquidityLock || {};
+      
+      logger.info(`Token safety check for ${tokenAddress}: ${decision.isSafe ? 'SAFE' : 'UNSAFE'}`);
       
       // Record that this token passed evaluation if it's safe
-      if (isSafe) {
+      if (decision.isSafe) {
         this.recordTokenPassedEvaluation(tokenAddress);
       }
       
       return {
-        isSafe,
-        reasons: isSafe ? [] : reasons,
-        riskScore: riskAnalysis.riskScore,
-        isHoneypot: honeypotCheck.isHoneypot,
-        rugPullRisk: rugPullCheck.rugPullRisk,
-        isWhitelisted: false
+        isSafe: decision.isSafe,
+        reasons: decision.isSafe ? [] : decision.reasons,
+        riskScore: riskAnalysis.riskScore !== undefined ? riskAnalysis.riskScore : null,
+        isHoneypot: honeypotCheck.isHoneypot === true,
+        rugPullRisk: rugPullCheck.rugPullRisk !== undefined ? rugPullCheck.rugPullRisk : null,
+        extensionRiskScore: extensionCheck.extensionRiskScore,
+        extensionReasons: extensionCheck.reasons || [],
+        deployerReputation: deployerCheck.reputationScore,
+        liquidityLock: {
+          passes: lpCheck.passes,
+          burnedPercent: lpCheck.burnedPercent,
+          lockedPercent: lpCheck.lockedPercent,
+          lockExpiresTimestamp: lpCheck.lockExpiresTimestamp,
+          reasons: lpCheck.reasons || [],
+        },
+        policyDecision: {
+          decision: decision.decision,
+          score: decision.score,
+          rejectScore: decision.rejectScore,
+          vetoedBy: decision.vetoedBy,
+          firedRules: decision.firedRules,
+          checks: decision.checks,
+          policyVersion: decision.policyVersion,
+        },
+        isWhitelisted
       };
     } catch (error) {
       logger.error(`Error checking token safety: ${error.message}`);
-      // Be more lenient with errors - don't automatically mark as unsafe
       return {
-        isSafe: true, // Changed from false to true
-        reasons: ['Error during safety check, proceeding with caution'],
-        riskScore: 0.6, // Reduced from 1.0
-        isHoneypot: false, // Changed from true to false
-        rugPullRisk: 0.6, // Reduced from 1.0
+        isSafe: false,
+        reasons: ['Error during safety check: ' + error.message],
+        riskScore: 1.0,
+        isHoneypot: true,
+        rugPullRisk: 1.0,
         isWhitelisted: false
       };
     }
   }
 
   // Add a token to the blacklist
-  addToBlacklist(tokenAddress, reason = '') {
-    this.blacklistedTokens.add(tokenAddress);
-    logger.info(`Added token to blacklist: ${tokenAddress} - Reason: ${reason}`);
+  async addToBlacklist(tokenAddress, reason = '', options = {}) {
+    try {
+      await tokenLists.add('blacklist', tokenAddress, { reason, ...options });
+    } catch (error) {
+      logger.error(`Error blacklisting token ${tokenAddress}: ${error.message}`);
+    }
   }
 
   // Record a token that passed evaluation
@@ -459,9 +650,19 @@ class RiskFilter {
     
     logger.warn(`Failed trade for token ${tokenAddress}: ${reason} (${tokenStats.failedTrades} failures total)`);
     
-    // If this token has failed multiple times, consider blacklisting
-    if (tokenStats.failedTrades >= 2) {
-      this.addToBlacklist(tokenAddress, `Multiple trade failures: ${reason}`);
+    // If this token has failed multiple times, blacklist it for a while
+    const settings = config.tokenLists || {};
+    const failedTradesToBlacklist = settings.failedTradesToBlacklist || 2;
+    if (tokenStats.failedTrades >= failedTradesToBlacklist && !tokenLists.isBlacklisted(tokenAddress)) {
+      // A manual whitelist entry wins; the token has to be taken off the whitelist before failures can blacklist it
+      if (tokenLists.isWhitelisted(tokenAddress)) {
+        logger.warn(`Whitelisted token ${tokenAddress} failed ${tokenStats.failedTrades} trades, leaving it on the whitelist`);
+      } else {
+        this.addToBlacklist(tokenAddress, `Multiple trade failures: ${reason}`, {
+          source: 'auto-failures',
+          expiresInHours: settings.failedTradeBlacklistHours || 0,
+        });
+      }
     }
     
     return tokenStats;
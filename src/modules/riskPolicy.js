@@ -0,0 +1,266 @@
+/**
+ * Risk Policy
+ *
+ * Decides whether a token may be traded from the results of the risk filter's
+ * checks, following a declarative policy stored as the risk_policy risk
+ * setting (seeded from config.riskPolicy):
+ *
+ * - checks: what happens when a check errors. fail-open treats it as passed,
+ *   fail-closed fires every rule on it as a veto, whatever the rules' weights,
+ *   retry runs it again up to `retries` times and then fails closed
+ * - rules: each fires when a field of its check's result is truthy (or, with
+ *   a leading !, falsy). A firing veto rejects the token on its own; the
+ *   weights of the other firing rules add up to a score, and a score that
+ *   reaches rejectScore rejects it
+ * - whitelist: the checks whitelisted tokens skip
+ *
+ * Every decision lists which checks ran, how they ended and which rules
+ * fired, and live decisions are stored in risk_decisions.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+
+const SETTING_NAME = 'risk_policy';
+const ON_ERROR_MODES = ['fail-open', 'fail-closed', 'retry'];
+
+class RiskPolicy {
+  constructor() {
+    this.defaultPolicy = config.riskPolicy;
+
+    // Policy in force and when it was read
+    this.policy = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Get the policy in force, reading it from the risk settings when the cached one is stale
+   * An invalid stored policy is reported and the last valid one (or the default) stays in force
+   * @param {Object} options - { readOnly: never write to the database; without a stored policy the
+   *   default is used in memory and not cached, so the live bot still seeds it }
+   * @returns {Promise<Object>} - Risk policy
+   */
+  async getPolicy(options = {}) {
+    const ttl = (this.policy && this.policy.cacheTtlMs) || this.defaultPolicy.cacheTtlMs || 60 * 1000;
+    if (this.policy && Date.now() - this.loadedAt < ttl) {
+      return this.policy;
+    }
+
+    try {
+      const stored = await database.getRiskSetting(SETTING_NAME);
+      if (stored === null && options.readOnly) {
+        return this.policy || this.validate(this.defaultPolicy);
+      }
+      if (stored === null) {
+        logger.info('Seeding the risk policy from config.riskPolicy');
+        await this.setPolicy(this.defaultPolicy);
+      } else {
+        this.policy = this.validate(JSON.parse(stored));
+      }
+    } catch (error) {
+      logger.error(`Error loading risk policy, keeping the ${this.policy ? 'previous' : 'default'} one: ${error.message}`);
+      this.policy = this.policy || this.defaultPolicy;
+    }
+
+    this.loadedAt = Date.now();
+    return this.policy;
+  }
+
+  /**
+   * Validate and store a new policy
+   * @param {Object} policy - Risk policy
+   * @returns {Promise<Object>} - The stored policy
+   */
+  async setPolicy(policy) {
+    const validated = this.validate(policy);
+    await database.setRiskSetting(SETTING_NAME, JSON.stringify(validated), database.getRiskSettingDescription(SETTING_NAME));
+
+    this.policy = validated;
+    this.loadedAt = Date.now();
+    logger.info(`Risk policy version ${validated.version || 'unversioned'} in force`);
+    return validated;
+  }
+
+  /**
+   * Check a policy's structure
+   * @param {Object} policy - Risk policy
+   * @returns {Object} - The same policy
+   * @throws {Error} - What is wrong with it
+   */
+  validate(policy) {
+    if (!policy || typeof policy !== 'object') {
+      throw new Error('Risk policy must be an object');
+    }
+    if (typeof policy.rejectScore !== 'number' || !(policy.rejectScore > 0)) {
+      throw new Error('rejectScore must be a positive number');
+    }
+    if (!policy.rules || typeof policy.rules !== 'object' || Object.keys(policy.rules).length === 0) {
+      throw new Error('Risk policy needs at least one rule');
+    }
+
+    for (const [name, check] of Object.entries(policy.checks || {})) {
+      if (!ON_ERROR_MODES.includes(check.onError)) {
+        throw new Error(`Check ${name}: onError must be one of ${ON_ERROR_MODES.join(', ')}`);
+      }
+      if (check.retries !== undefined && !(Number.isInteger(check.retries) && check.retries >= 0)) {
+        throw new Error(`Check ${name}: retries must be a whole number`);
+      }
+    }
+
+    for (const [name, rule] of Object.entries(policy.rules)) {
+      if (typeof rule.check !== 'string' || typeof rule.when !== 'string' || rule.when.replace(/^!/, '') === '') {
+        throw new Error(`Rule ${name} needs a check and a when field`);
+      }
+      if (rule.weight !== undefined && !(typeof rule.weight === 'number' && rule.weight >= 0)) {
+        throw new Error(`Rule ${name}: weight must be a non-negative number`);
+      }
+      if (!rule.veto && !rule.weight) {
+        throw new Error(`Rule ${name} is neither a veto nor weighted, so it can never matter`);
+      }
+    }
+
+    return policy;
+  }
+
+  /**
+   * Run the checks the policy's rules need and decide on the token
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} checks - Check name -> async function returning its result; a result with an error field
+   *   counts as the check erroring
+   * @param {Object} options - { isWhitelisted, record (a live decision: stored in risk_decisions, and the
+   *   policy may be seeded into the risk settings; without it nothing is written) }
+   * @returns {Promise<Object>} - { tokenAddress, decision, isSafe, score, rejectScore, vetoedBy, firedRules, checks,
+   *   results, reasons, policyVersion, timestamp }
+   */
+  async evaluate(tokenAddress, checks, options = {}) {
+    const policy = await this.getPolicy({ readOnly: !options.record });
+    const skippedChecks = new Set(options.isWhitelisted && policy.whitelist ? policy.whitelist.skipChecks || [] : []);
+    const checkNames = [...new Set(Object.values(policy.rules).map(rule => rule.check))];
+
+    const outcomes = {};
+    await Promise.all(checkNames.map(async name => {
+      outcomes[name] = skippedChecks.has(name)
+        ? { status: 'skipped', attempts: 0 }
+        : await this.runCheck(name, checks[name], (policy.checks || {})[name] || {});
+    }));
+
+    let score = 0;
+    const vetoedBy = [];
+    const firedRules = [];
+    for (const [name, rule] of Object.entries(policy.rules)) {
+      const outcome = outcomes[rule.check];
+      let reasons;
+      // A check that failed closed rejects the token on its own, even when its rules are only weighted
+      let veto = rule.veto === true;
+
+      if (outcome.status === 'skipped') {
+        continue;
+      } else if (outcome.status === 'error') {
+        if (outcome.onError === 'fail-open') {
+          continue;
+        }
+        reasons = [`${rule.check} check failed: ${outcome.error}`];
+        veto = true;
+      } else if (this.matches(rule.when, outcome.result)) {
+        reasons = this.getReasons(outcome.result, name);
+      } else {
+        continue;
+      }
+
+      const weight = rule.weight || 0;
+      score += weight;
+      if (veto) {
+        vetoedBy.push(name);
+      }
+      firedRules.push({ rule: name, check: rule.check, veto, weight, reasons });
+    }
+
+    const isSafe = vetoedBy.length === 0 && score < policy.rejectScore;
+    const decision = {
+      tokenAddress,
+      decision: isSafe ? 'pass' : 'reject',
+      isSafe,
+      score,
+      rejectScore: policy.rejectScore,
+      vetoedBy,
+      firedRules,
+      checks: Object.fromEntries(Object.entries(outcomes).map(([name, outcome]) => [name, {
+        status: outcome.status,
+        attempts: outcome.attempts,
+        ...(outcome.error && { error: outcome.error, onError: outcome.onError }),
+      }])),
+      results: Object.fromEntries(Object.entries(outcomes).map(([name, outcome]) => [name, outcome.result || null])),
+      reasons: [...new Set(firedRules.flatMap(fired => fired.reasons))],
+      policyVersion: policy.version || null,
+      timestamp: Date.now(),
+    };
+
+    logger.info(`Risk policy ${decision.decision} for ${tokenAddress}: score ${score.toFixed(2)}/${policy.rejectScore}` +
+      `${vetoedBy.length > 0 ? `, vetoed by ${vetoedBy.join(', ')}` : ''}` +
+      `${firedRules.length > 0 ? `, fired ${firedRules.map(fired => fired.rule).join(', ')}` : ''}`);
+
+    if (options.record) {
+      try {
+        await database.saveRiskDecision(decision);
+      } catch (error) {
+        logger.warn(`Could not store risk decision for ${tokenAddress}: ${error.message}`);
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * Run one check, retrying it when the policy says so
+   * @param {string} name - Check name
+   * @param {Function} run - Async function returning the check's result
+   * @param {Object} settings - { onError, retries, retryDelayMs }
+   * @returns {Promise<Object>} - { status: 'ok'|'error', attempts, result, error, onError }
+   */
+  async runCheck(name, run, settings) {
+    const onError = settings.onError || 'fail-closed';
+    const attempts = onError === 'retry' ? 1 + (settings.retries || 0) : 1;
+    let result = null;
+    let error = null;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      result = null;
+      try {
+        if (!run) {
+          throw new Error('check is not available');
+        }
+        result = await run();
+        error = result ? result.error || null : 'check returned no result';
+      } catch (checkError) {
+        error = checkError.message;
+      }
+
+      if (!error) {
+        return { status: 'ok', attempts: attempt, result };
+      }
+      if (attempt < attempts) {
+        logger.warn(`Risk check ${name} failed (attempt ${attempt}/${attempts}), retrying: ${error}`);
+        await new Promise(resolve => setTimeout(resolve, settings.retryDelayMs || 1000));
+      }
+    }
+
+    // Retries used up: from here on the check fails closed
+    return { status: 'error', attempts, result, error, onError: onError === 'fail-open' ? 'fail-open' : 'fail-closed' };
+  }
+
+  matches(when, result) {
+    const negate = when.startsWith('!');
+    const value = Boolean(result[negate ? when.slice(1) : when]);
+    return negate ? !value : value;
+  }
+
+  getReasons(result, ruleName) {
+    if (Array.isArray(result.reasons) && result.reasons.length > 0) {
+      return result.reasons;
+    }
+    return [result.reason || `Rule ${ruleName} fired`];
+  }
+}
+
+module.exports = new RiskPolicy();
@@ -0,0 +1,180 @@
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+const pnlTracker = require('./pnlTracker');
+const NewPairStrategy = require('../strategies/newPairStrategy');
+const TopGainersStrategy = require('../strategies/topGainersStrategy');
+const VolumeSpikeStrategy = require('../strategies/volumeSpikeStrategy');
+
+class StrategyEngine {
+  constructor() {
+    // Strategy implementations available to config by type name
+    this.strategyTypes = {
+      newPairs: NewPairStrategy,
+      topGainers: TopGainersStrategy,
+      volumeSpikes: VolumeSpikeStrategy,
+    };
+
+    this.strategies = new Map();
+    this.stats = {};
+
+    this.loadStrategies(config.trading.entryStrategies || {});
+  }
+
+  /**
+   * Instantiate the strategies declared in config
+   * @param {Object} strategyConfigs - Strategy settings keyed by strategy name
+   */
+  loadStrategies(strategyConfigs) {
+    for (const [name, settings] of Object.entries(strategyConfigs)) {
+      const StrategyType = this.strategyTypes[settings.type || name];
+
+      if (!StrategyType) {
+        logger.warn(`Unknown strategy type "${settings.type}" for strategy ${name}, skipping`);
+        continue;
+      }
+
+      this.registerStrategy(new StrategyType(name, settings));
+    }
+
+    logger.info(`Loaded ${this.strategies.size} entry strategies: ${Array.from(this.strategies.keys()).join(', ')}`);
+  }
+
+  /**
+   * Register a strategy instance
+   * @param {Object} strategy - Strategy with name, selectCandidates() and generateIntents()
+   */
+  registerStrategy(strategy) {
+    this.strategies.set(strategy.name, strategy);
+    this.stats[strategy.name] = {
+      candidatesSeen: 0,
+      intentsGenerated: 0,
+      tradesOpened: 0,
+      tradesFailed: 0,
+      skippedForBudget: 0,
+      lastRunTimestamp: null,
+    };
+  }
+
+  /**
+   * Enable or disable a strategy at runtime
+   * @param {string} name - Strategy name
+   * @param {boolean} enabled - Whether the strategy should run
+   * @returns {boolean} - Whether the strategy exists
+   */
+  setStrategyEnabled(name, enabled) {
+    const strategy = this.strategies.get(name);
+    if (!strategy) {
+      return false;
+    }
+
+    strategy.enabled = enabled;
+    logger.info(`Strategy ${name} ${enabled ? 'enabled' : 'disabled'}`);
+    return true;
+  }
+
+  /**
+   * SOL currently committed to open positions opened by a strategy
+   * @param {string} name - Strategy name
+   * @returns {number} - Deployed capital in SOL
+   */
+  getDeployedCapital(name) {
+    return pnlTracker.getActiveTrades()
+      .filter(trade => trade.strategy === name)
+      .reduce((sum, trade) => sum + (trade.entrySizeSol || 0), 0);
+  }
+
+  /**
+   * Run every enabled strategy over the scan results
+   * @param {Array|Object} scanResults - Results from marketScanner.scan()
+   * @param {Function} executeIntent - async (intent) => boolean, opens the position for an intent
+   * @returns {Promise<number>} - Number of positions opened
+   */
+  async run(scanResults, executeIntent) {
+    let tradesOpened = 0;
+
+    for (const strategy of this.strategies.values()) {
+      if (!strategy.enabled) {
+        continue;
+      }
+
+      const stats = this.stats[strategy.name];
+      stats.lastRunTimestamp = Date.now();
+
+      try {
+        const candidates = strategy.selectCandidates(scanResults);
+        if (candidates.length === 0) {
+          continue;
+        }
+
+        stats.candidatesSeen += candidates.length;
+
+        const intents = await strategy.generateIntents(candidates);
+        stats.intentsGenerated += intents.length;
+
+        if (intents.length === 0) {
+          logger.info(`[${strategy.name}] No candidates met the strategy's criteria (${candidates.length} considered)`);
+          continue;
+        }
+
+        logger.info(`[${strategy.name}] Generated ${intents.length} entry intents from ${candidates.length} candidates`);
+
+        for (const intent of intents) {
+          // Keep each strategy within its own capital budget
+          const available = strategy.capitalBudgetSol - this.getDeployedCapital(strategy.name);
+          if (available < intent.sizeSol) {
+            logger.info(`[${strategy.name}] Capital budget exhausted (${available.toFixed(4)} SOL available, ${intent.sizeSol} SOL needed), skipping ${intent.tokenSymbol}`);
+            stats.skippedForBudget++;
+            continue;
+          }
+
+          const opened = await executeIntent(intent);
+          if (opened) {
+            stats.tradesOpened++;
+            tradesOpened++;
+          } else {
+            stats.tradesFailed++;
+          }
+        }
+      } catch (error) {
+        logger.error(`Error running strategy ${strategy.name}: ${error.message}`);
+      }
+    }
+
+    return tradesOpened;
+  }
+
+  /**
+   * Get per-strategy settings, runtime counters and trade performance
+   * @returns {Promise<Array>} - One entry per strategy
+   */
+  async getStrategyStats() {
+    let performanceRows = [];
+    try {
+      performanceRows = await database.getStrategyStats();
+    } catch (error) {
+      logger.error(`Error loading strategy performance: ${error.message}`);
+    }
+
+    return Array.from(this.strategies.values()).map(strategy => {
+      const performance = performanceRows.find(row => row.strategy === strategy.name) || {};
+      const closedTrades = performance.closed_trades || 0;
+
+      return {
+        name: strategy.name,
+        enabled: strategy.enabled,
+        capitalBudgetSol: strategy.capitalBudgetSol,
+        deployedCapitalSol: this.getDeployedCapital(strategy.name),
+        ...this.stats[strategy.name],
+        totalTrades: performance.total_trades || 0,
+        activeTrades: performance.active_trades || 0,
+        closedTrades,
+        totalProfitLoss: performance.total_profit_loss || 0,
+        averageProfitLoss: performance.avg_profit_loss_percentage || 0,
+        winRate: closedTrades > 0 ? ((performance.profitable_trades || 0) / closedTrades) * 100 : 0,
+      };
+    });
+  }
+}
+
+module.exports = new StrategyEngine();
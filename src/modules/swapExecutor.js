@@ -12,6 +12,12 @@ const apeJupiterClient = require('../utils/apeJupiterClient');
 const dexScreenerClient = require('../utils/dexScreenerClient');
 const pumpSwapClient = require('../utils/pumpSwapClient');
 const raydiumClient = require('../utils/raydiumDirectClient');
+const paperTradingVenue = require('../utils/paperTradingVenue');
+const priceOracle = require('../utils/priceOracle');
+const transactionTracker = require('../utils/transactionTracker');
+const priorityFeeService = require('../utils/priorityFeeService');
+const tokenProfiles = require('../utils/tokenProfiles');
+const venueRouter = require('./venueRouter');
 
 // DEX compatibility utility functions
 function isJupiterCompatible(dexName) {
@@ -79,6 +85,13 @@ class SwapExecutor {
     // Current token DEX info (set during swap execution)
     this.currentTokenDexInfo = null;
     
+    // How each in-flight sell should be booked, keyed by token address
+    this.sellContexts = new Map();
+    
+    // Token address -> the last sell queued for it; a token's sells run one at a time,
+    // so its booking context and fee escalation always belong to a single order
+    this.sellQueues = new Map();
+    
     // PumpSwap fallback flag
     this.hasPumpSwapFallback = true;
     
@@ -92,15 +105,7 @@ class SwapExecutor {
     logger.info(`ApeJupiter integration: ${this.useApeJupiter ? 'Enabled' : 'Disabled'}`);
     logger.info(`DexScreener integration: ${this.useDexScreener ? 'Enabled' : 'Disabled'}`);
     logger.info(`PumpSwap direct integration: ${this.hasPumpSwapFallback ? 'Enabled' : 'Disabled'} (as fallback when detected)`);
-    logger.info(`Raydium direct integration: ${this.hasRaydiumFallback ? 'Enabled' : 'Disabled'} (as fallback and primary for special tokens)`);
-    
-    // Special token handling
-    const specialTokens = [
-      'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-      'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-      'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-    ];
-    logger.info(`Special tokens configured for direct Raydium execution: ${specialTokens.length} tokens`);
+    logger.info(`Raydium direct integration: ${this.hasRaydiumFallback ? 'Enabled' : 'Disabled'} (as fallback and primary for tokens whose profile forces it)`);
     
     // Ensure Raydium client is properly initialized
     if (!raydiumClient) {
@@ -142,8 +147,24 @@ class SwapExecutor {
   }
 
   async executeSwap(tokenAddress, amountInSol, slippage = null) {
+    // Every swap path prices its compute units from this order, resubmissions pay more
+    priorityFeeService.startOrder(tokenAddress, 'entry');
+    try {
+      return await this.executeSwapOrder(tokenAddress, amountInSol, slippage);
+    } finally {
+      priorityFeeService.endOrder(tokenAddress);
+    }
+  }
+
+  async executeSwapOrder(tokenAddress, amountInSol, slippage = null) {
     try {
-      const slippageToUse = slippage || this.defaultSlippage;
+      if (tokenProfiles.isBlocked(tokenAddress)) {
+        logger.warn(`Token ${tokenAddress} is blocked by its token profile, not buying`);
+        return { success: false, error: 'Token is blocked by its profile' };
+      }
+      
+      // The token's profile bounds the slippage and supplies it when the caller does not
+      const slippageToUse = tokenProfiles.resolveSlippage(tokenAddress, slippage) || this.defaultSlippage;
       logger.info(`Executing swap for token ${tokenAddress} with ${amountInSol} SOL (slippage: ${slippageToUse}%)`);
       
       // Ensure amount is within limits
@@ -152,16 +173,28 @@ class SwapExecutor {
         amountInSol = this.maxTradeSizeSol;
       }
       
-      // Force Raydium direct execution for specific tokens that have issues with Jupiter
-      const forceRaydiumTokens = [
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL - Requires special handling with Raydium
-      ];
+      const profileSize = tokenProfiles.capSize(tokenAddress, amountInSol);
+      if (profileSize < amountInSol) {
+        logger.warn(`Swap amount ${amountInSol} exceeds the token profile maximum ${profileSize}. Limiting to maximum.`);
+        amountInSol = profileSize;
+      }
+      
+      // Paper trading fills against the simulated venue instead of the chain
+      if (paperTradingVenue.isEnabled()) {
+        const swapResult = await paperTradingVenue.buy(tokenAddress, amountInSol, slippageToUse);
+        if (swapResult.success) {
+          await this.logTrade(tokenAddress, swapResult);
+        }
+        return swapResult;
+      }
+      
+      // Live swaps go to the best venue through the router; the paths below are the legacy fallback chain
+      if (venueRouter.isEnabled()) {
+        return await this.executeRoutedSwap(tokenAddress, amountInSol, slippageToUse);
+      }
       
-      // Check if the token is in the force Raydium list or if Raydium client says it should force Raydium
-      if (forceRaydiumTokens.includes(tokenAddress) || 
-          (raydiumClient.shouldForceRaydium && raydiumClient.shouldForceRaydium(tokenAddress))) {
+      // Tokens whose profile forces Raydium skip the aggregators
+      if (tokenProfiles.getForcedVenue(tokenAddress) === 'raydium') {
         logger.info(`Force using Raydium direct integration for ${tokenAddress}`);
         
         // Get the keypair
@@ -178,26 +211,8 @@ class SwapExecutor {
           raydiumClient.setConnection(this.connection);
         }
         
-        // Use token-specific slippage if available
-        let tokenSlippage = slippageToUse;
-        
-        // Token-specific slippage settings
-        if (tokenAddress === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-          // LOL token
-          tokenSlippage = 1.0; // 1% default slippage
-          logger.info(`Using token-specific slippage of ${tokenSlippage}% for LOL token (Raydium)`);
-        } else if (tokenAddress === 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN') {
-          // CAT token
-          tokenSlippage = 2.0; // 2% default slippage
-          logger.info(`Using token-specific slippage of ${tokenSlippage}% for CAT token (Raydium)`);
-        } else if (tokenAddress === 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU') {
-          // DOG token
-          tokenSlippage = 2.0; // 2% default slippage
-          logger.info(`Using token-specific slippage of ${tokenSlippage}% for DOG token (Raydium)`);
-        }
-        
         // Execute Raydium swap directly
-        return await this._executeRaydiumDirectly(tokenAddress, amountInLamports, tokenSlippage, keypair);
+        return await this._executeRaydiumDirectly(tokenAddress, amountInLamports, slippageToUse, keypair);
       }
       
       // Get wallet balance
@@ -300,15 +315,10 @@ class SwapExecutor {
               logger.info(`Token ${tokenAddress} is available on Raydium (non-Jupiter). Will try direct integration if other methods fail.`);
               this.hasRaydiumFallback = true;
             } else {
-              // Check if the token name or symbol contains 'LOL' as a special case
-              const tokenInfo = await dexScreenerClient.getTokenInfo(tokenAddress);
-              if (tokenInfo && 
-                  (tokenInfo.name?.toUpperCase().includes('LOL') || 
-                   tokenInfo.symbol?.toUpperCase().includes('LOL'))) {
-                logger.info(`Special case: LOL token detected. Will try Raydium direct integration.`);
-                this.hasRaydiumFallback = true;
-              } else {
-                this.hasRaydiumFallback = false;
+              // A token profile that forces Raydium vouches for its pool
+              this.hasRaydiumFallback = tokenProfiles.getForcedVenue(tokenAddress) === 'raydium';
+              if (this.hasRaydiumFallback) {
+                logger.info(`Token ${tokenAddress} profile forces Raydium. Will try Raydium direct integration.`);
               }
             }
           }
@@ -491,9 +501,14 @@ class SwapExecutor {
             logger.info(`Found route on retry with output: ${bestRoute.outAmount} tokens`);
             
             // Execute the swap with rate limiting
+            const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+              tokenAddress,
+              accounts: priorityFeeService.getRouteAccounts(bestRoute),
+            });
             const { execute } = await this.jupiterRateLimiter.execute(async () => {
               return await jupiterRetryInstance.exchange({
                 routeInfo: bestRoute,
+                computeUnitPriceMicroLamports,
               });
             }, false);
             
@@ -513,13 +528,13 @@ class SwapExecutor {
             const txHash = result.txid;
             const outputAmount = Number(bestRoute.outAmount);
             
-            // Get approximate USD value
-            const outputAmountUsd = amountInSol * 10; // Placeholder
+            // Valued at the oracle's SOL price
+            const outputAmountUsd = await this.getSolValueUsd(amountInSol);
             
             const swapResult = {
               success: true,
               inputAmount: amountInSol,
-              outputAmount: outputAmount,
+              outputAmountRaw: outputAmount,
               outputAmountUsd: outputAmountUsd,
               txHash: txHash,
               timestamp: Date.now(),
@@ -547,9 +562,14 @@ class SwapExecutor {
         logger.info(`Selected route with output: ${bestRoute.outAmount} tokens`);
         
         // Execute the swap with rate limiting
+        const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+          tokenAddress,
+          accounts: priorityFeeService.getRouteAccounts(bestRoute),
+        });
         const { execute } = await this.jupiterRateLimiter.execute(async () => {
           return await jupiterInstance.exchange({
             routeInfo: bestRoute,
+            computeUnitPriceMicroLamports,
           });
         }, false); // Not a Price API call
         
@@ -569,14 +589,13 @@ class SwapExecutor {
         const txHash = result.txid;
         const outputAmount = Number(bestRoute.outAmount);
         
-        // Get approximate USD value (this is simplified, in a real implementation you'd get the actual price)
-        // For now, we'll estimate based on the input amount
-        const outputAmountUsd = amountInSol * 10; // Placeholder, replace with actual price data
+        // Valued at the oracle's SOL price
+        const outputAmountUsd = await this.getSolValueUsd(amountInSol);
         
         const swapResult = {
           success: true,
           inputAmount: amountInSol,
-          outputAmount: outputAmount,
+          outputAmountRaw: outputAmount,
           outputAmountUsd: outputAmountUsd,
           txHash: txHash,
           timestamp: Date.now(),
@@ -634,9 +653,14 @@ class SwapExecutor {
               logger.info(`Selected route with output: ${bestRoute.outAmount} tokens`);
               
               // Execute the swap with rate limiting
+              const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+                tokenAddress,
+                accounts: priorityFeeService.getRouteAccounts(bestRoute),
+              });
               const { execute } = await this.jupiterRateLimiter.execute(async () => {
                 return await jupiterInstance.exchange({
                   routeInfo: bestRoute,
+                  computeUnitPriceMicroLamports,
                 });
               }, false);
               
@@ -652,13 +676,13 @@ class SwapExecutor {
                 const txHash = result.txid;
                 const outputAmount = Number(bestRoute.outAmount);
                 
-                // Get approximate USD value
-                const outputAmountUsd = amountInSol * 10; // Placeholder
+                // Valued at the oracle's SOL price
+                const outputAmountUsd = await this.getSolValueUsd(amountInSol);
                 
                 const swapResult = {
                   success: true,
                   inputAmount: amountInSol,
-                  outputAmount: outputAmount,
+                  outputAmountRaw: outputAmount,
                   outputAmountUsd: outputAmountUsd,
                   txHash: txHash,
                   timestamp: Date.now(),
@@ -701,32 +725,10 @@ class SwapExecutor {
           // If we have a Raydium fallback, try it next (prioritize Raydium over ApeJupiter)
         if (this.hasRaydiumFallback) {
           try {
-            // Check if this is one of our special tokens that need Raydium
-            const forceRaydiumTokens = [
-              'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-              'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-              'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-            ];
-            
-            // Use token-specific slippage if available, otherwise use higher slippage
-            let adjustedSlippage = slippageToUse;
-            
-            // Token-specific fallback slippage settings
-            if (tokenAddress === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-              // LOL token - use higher slippage for fallback
-              adjustedSlippage = 10.0; // 10% max slippage for fallback
-              logger.info(`Using token-specific fallback slippage of ${adjustedSlippage}% for LOL token (Raydium)`);
-            } else if (tokenAddress === 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN') {
-              // CAT token
-              adjustedSlippage = 15.0; // 15% max slippage for fallback
-              logger.info(`Using token-specific fallback slippage of ${adjustedSlippage}% for CAT token (Raydium)`);
-            } else if (tokenAddress === 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU') {
-              // DOG token
-              adjustedSlippage = 15.0; // 15% max slippage for fallback
-              logger.info(`Using token-specific fallback slippage of ${adjustedSlippage}% for DOG token (Raydium)`);
-            } else if (forceRaydiumTokens.includes(tokenAddress)) {
-              adjustedSlippage = Math.max(slippageToUse, 10.0); // At least 10% slippage for special tokens
-              logger.info(`Using higher slippage (${adjustedSlippage}%) for special token ${tokenAddress} with Raydium`);
+            // A fallback swap goes out at the token profile's maximum slippage, if it has one
+            const adjustedSlippage = tokenProfiles.getMaxSlippage(tokenAddress) || slippageToUse;
+            if (adjustedSlippage !== slippageToUse) {
+              logger.info(`Using token profile fallback slippage of ${adjustedSlippage}% for ${tokenAddress} (Raydium)`);
             }
             
             logger.info(`Trying Raydium direct integration as fallback for swap: ${tokenAddress}`);
@@ -804,9 +806,14 @@ class SwapExecutor {
             logger.info(`Found route with high slippage, output: ${bestRoute.outAmount} tokens`);
             
             // Execute the swap with rate limiting
+            const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+              tokenAddress,
+              accounts: priorityFeeService.getRouteAccounts(bestRoute),
+            });
             const { execute } = await this.jupiterRateLimiter.execute(async () => {
               return await jupiterInstance.exchange({
                 routeInfo: bestRoute,
+                computeUnitPriceMicroLamports,
               });
             }, false);
             
@@ -821,13 +828,13 @@ class SwapExecutor {
               const txHash = result.txid;
               const outputAmount = Number(bestRoute.outAmount);
               
-              // Get approximate USD value
-              const outputAmountUsd = amountInSol * 10; // Placeholder
+              // Valued at the oracle's SOL price
+              const outputAmountUsd = await this.getSolValueUsd(amountInSol);
               
               const swapResult = {
                 success: true,
                 inputAmount: amountInSol,
-                outputAmount: outputAmount,
+                outputAmountRaw: outputAmount,
                 outputAmountUsd: outputAmountUsd,
                 txHash: txHash,
                 timestamp: Date.now(),
@@ -876,6 +883,127 @@ class SwapExecutor {
    * Execute a swap using ApeJupiter
    * @private
    */
+  /**
+   * Buy through the venue router
+   * @param {string} tokenAddress - Token to buy
+   * @param {number} amountInSol - SOL to spend
+   * @param {number} slippage - Slippage percentage
+   * @returns {Promise<Object>} - The swap result
+   */
+  async executeRoutedSwap(tokenAddress, amountInSol, slippage) {
+    const walletBalance = await this.getWalletBalance();
+    if (walletBalance < amountInSol) {
+      logger.error(`Insufficient balance: ${walletBalance} SOL, needed ${amountInSol} SOL`);
+      return { success: false, error: 'Insufficient balance' };
+    }
+    
+    if (!this.isTradingEnabled()) {
+      return { success: false, error: 'Trading is disabled' };
+    }
+    
+    const routed = await venueRouter.execute({
+      side: 'buy',
+      tokenAddress,
+      amount: Math.floor(amountInSol * 1e9),
+      slippageBps: Math.floor(slippage * 100),
+      keypair: wallet.getKeypair(),
+      venues: this.getForcedVenues(tokenAddress)
+    });
+    
+    if (!routed.success) {
+      logger.error(`Routed swap for ${tokenAddress} failed: ${routed.error}`);
+      return { success: false, error: routed.error, attempts: routed.attempts };
+    }
+    
+    const swapResult = {
+      success: true,
+      inputAmount: amountInSol,
+      outputAmountRaw: routed.fill.outAmount,
+      outputAmountUsd: await this.getSolValueUsd(amountInSol),
+      txHash: routed.signature,
+      lastValidBlockHeight: routed.lastValidBlockHeight,
+      priceImpactPercent: routed.fill.priceImpactPercent,
+      timestamp: Date.now(),
+      provider: routed.venue,
+      attempts: routed.attempts
+    };
+    
+    await this.logTrade(tokenAddress, swapResult);
+    return swapResult;
+  }
+
+  /**
+   * Sell through the venue router
+   * @param {string} tokenAddress - Token to sell
+   * @param {number} amountIn - Raw token amount, as getTokenBalance reports it
+   * @param {number} slippage - Slippage percentage
+   * @returns {Promise<Object>} - The sell result
+   */
+  async executeRoutedSell(tokenAddress, amountIn, slippage) {
+    if (!this.isTradingEnabled()) {
+      return { success: false, error: 'Trading is disabled' };
+    }
+    
+    const routed = await venueRouter.execute({
+      side: 'sell',
+      tokenAddress,
+      amount: Math.floor(amountIn),
+      slippageBps: Math.floor(slippage * 100),
+      keypair: wallet.getKeypair(),
+      venues: this.getForcedVenues(tokenAddress)
+    });
+    
+    if (!routed.success) {
+      logger.error(`Routed sell for ${tokenAddress} failed: ${routed.error}`);
+      return { success: false, error: routed.error, attempts: routed.attempts };
+    }
+    
+    const outputAmountSol = routed.fill.outAmount / 1e9;
+    const sellResult = {
+      success: true,
+      inputAmount: amountIn,
+      outputAmountSol,
+      outputAmountUsd: await this.getSolValueUsd(outputAmountSol),
+      txHash: routed.signature,
+      lastValidBlockHeight: routed.lastValidBlockHeight,
+      priceImpactPercent: routed.fill.priceImpactPercent,
+      timestamp: Date.now(),
+      provider: routed.venue,
+      attempts: routed.attempts
+    };
+    
+    await this.updateTradeOnSell(tokenAddress, sellResult);
+    return sellResult;
+  }
+
+  /**
+   * USD value of a SOL amount at the oracle's SOL price
+   * @param {number} amountSol - Amount in SOL
+   * @returns {Promise<number|null>} - Value in USD, null if the SOL price is unavailable
+   */
+  async getSolValueUsd(amountSol) {
+    const solPrice = await priceOracle.getSolPriceUsd();
+    return solPrice ? amountSol * solPrice.price : null;
+  }
+
+  /**
+   * Venues a token is restricted to, null if any venue may take it
+   * @param {string} tokenAddress - Token address
+   * @returns {Array<string>|null}
+   */
+  getForcedVenues(tokenAddress) {
+    const forcedVenue = tokenProfiles.getForcedVenue(tokenAddress);
+    return forcedVenue ? [forcedVenue] : null;
+  }
+
+  isTradingEnabled() {
+    if (!process.env.TRADING_ENABLED || process.env.TRADING_ENABLED.toLowerCase() !== 'true') {
+      logger.warn('Trading is disabled. Set TRADING_ENABLED=true to enable real trading.');
+      return false;
+    }
+    return true;
+  }
+
   async _executeApeJupiterSwap(tokenAddress, amountInLamports, slippagePercentage, keypair) {
     try {
       logger.info(`Executing ApeJupiter swap for ${tokenAddress} with ${amountInLamports / 1e9} SOL`);
@@ -999,13 +1127,13 @@ class SwapExecutor {
       // Extract output amount from quote
       const outputAmount = Number(quote.outAmount);
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = (amountInLamports / 1e9) * 10; // Placeholder
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(amountInLamports / 1e9);
       
       const swapResult = {
         success: true,
         inputAmount: amountInLamports / 1e9, // Convert back to SOL
-        outputAmount: outputAmount,
+        outputAmountRaw: outputAmount,
         outputAmountUsd: outputAmountUsd,
         txHash: txid,
         timestamp: Date.now(),
@@ -1035,100 +1163,81 @@ class SwapExecutor {
   }
 
   /**
-   * Execute a swap for LOL token specifically
-   * This method is optimized for the LOL token based on transaction analysis
-   * @param {number} amountInSol - Amount of SOL to swap
-   * @param {number} slippage - Slippage percentage
-   * @returns {Promise<Object>} - Swap result
+   * Sell tokens for SOL
+   * @param {string} tokenAddress - The token address to sell
+   * @param {number} amountIn - The amount of tokens to sell
+   * @param {number} slippage - The slippage percentage to use
+   * @param {Object} options - How the fill is booked against the trade
+   * @param {boolean} options.partial - Leave the trade open and reduce its remaining size
+   * @param {number} options.amount - Size of the fill in the trade's own units (defaults to amountIn)
+   * @param {string} options.fillType - Fill type recorded in trade_fills, e.g. PARTIAL_TP, TP, SL
+   * @param {number} options.levelPercent - Profit target the fill was taken at, if any
+   * @param {string} options.urgency - Priority fee urgency, defaults to one derived from fillType
+   * @param {string} options.exitReason - Why the trade was closed, stored on a full close (defaults to fillType)
+   * @returns {Promise<Object>} - The sell result, once every sell of the token queued before it has finished
    */
-  async executeLolTokenSwap(amountInSol, slippage = null) {
-    const LOL_TOKEN_ADDRESS = 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv';
+  async executeSell(tokenAddress, amountIn, slippage = null, options = {}) {
+    const previous = this.sellQueues.get(tokenAddress) || Promise.resolve();
+    const sell = previous.then(async () => {
+      // Every sell path books its fill through updateTradeOnSell, which reads this context
+      this.sellContexts.set(tokenAddress, options);
+      priorityFeeService.startOrder(tokenAddress, options.urgency || priorityFeeService.getSellUrgency(options.fillType));
+      try {
+        return await this.executeSellOrder(tokenAddress, amountIn, slippage);
+      } finally {
+        this.sellContexts.delete(tokenAddress);
+        priorityFeeService.endOrder(tokenAddress);
+      }
+    });
     
+    const settled = sell.catch(() => {});
+    this.sellQueues.set(tokenAddress, settled);
     try {
-      logger.info(`Executing optimized LOL token swap with ${amountInSol} SOL`);
-      
-      // Define LOL-specific slippage settings
-      const lolSettings = {
-        defaultSlippage: 1.0,
-        minSlippage: 1.0,
-        maxSlippage: 10.0,
-        preferredDex: 'Raydium'
-      };
-      
-      // Use provided slippage or default from settings
-      const slippageToUse = slippage || lolSettings.defaultSlippage;
-      logger.info(`Using ${slippageToUse}% slippage for LOL token swap`);
-      
-      // Check if trading is enabled
-      if (!config.trading.enabled) {
-        logger.info(`Trading is disabled, skipping LOL token swap`);
-        return { success: false, error: 'Trading is disabled' };
+      return await sell;
+    } finally {
+      if (this.sellQueues.get(tokenAddress) === settled) {
+        this.sellQueues.delete(tokenAddress);
       }
-      
-      // Get wallet balance
-      const walletBalance = await this.getWalletBalance();
-      if (walletBalance < amountInSol) {
-        logger.error(`Insufficient balance: ${walletBalance} SOL, needed ${amountInSol} SOL`);
-        return {
-          success: false,
-          error: 'Insufficient balance',
-        };
-      }
-      
-      // Get the keypair
-      const keypair = wallet.getKeypair();
-      
-      // Convert SOL to lamports
-      const amountInLamports = Math.floor(amountInSol * 1e9);
-      
-      // Always get the latest connection from the RPC manager
-      this.connection = this.rpcManager.getCurrentConnection();
-      
-      // Make sure Raydium client has the connection
-      if (raydiumClient.setConnection) {
-        raydiumClient.setConnection(this.connection);
-      }
-      
-      // Execute Raydium swap directly
-      logger.info(`Executing direct Raydium swap for LOL token with ${amountInSol} SOL (${slippageToUse}% slippage)`);
-      return await this._executeRaydiumDirectly(LOL_TOKEN_ADDRESS, amountInLamports, slippageToUse, keypair);
-    } catch (error) {
-      logger.error(`Error executing LOL token swap: ${error.message}`);
-      return { success: false, error: `LOL token swap failed: ${error.message}` };
     }
   }
   
-  async executeSell(tokenAddress, amountIn, slippage = null) {
+  /**
+   * Wait for every sell of a token queued so far to finish
+   * @param {string} tokenAddress - Token address
+   * @returns {Promise<void>}
+   */
+  waitForSells(tokenAddress) {
+    return this.sellQueues.get(tokenAddress) || Promise.resolve();
+  }
+
+  async executeSellOrder(tokenAddress, amountIn, slippage = null) {
     try {
-      const slippageToUse = slippage || this.defaultSlippage;
+      const slippageToUse = tokenProfiles.resolveSlippage(tokenAddress, slippage) || this.defaultSlippage;
       logger.info(`Executing sell for token ${tokenAddress} with amount ${amountIn} (slippage: ${slippageToUse}%)`);
       
-      // Special tokens that need direct Raydium execution
-      const forceRaydiumTokens = [
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT  
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-      ];
+      // Paper trading fills against the simulated venue instead of the chain
+      if (paperTradingVenue.isEnabled()) {
+        const sellResult = await paperTradingVenue.sell(tokenAddress, amountIn, slippageToUse);
+        if (sellResult.success) {
+          await this.updateTradeOnSell(tokenAddress, sellResult);
+        }
+        return sellResult;
+      }
+      
+      if (venueRouter.isEnabled()) {
+        return await this.executeRoutedSell(tokenAddress, amountIn, slippageToUse);
+      }
       
-      // Check if this is a special token that needs Raydium
-      if (forceRaydiumTokens.includes(tokenAddress) || 
-          (raydiumClient.shouldForceRaydium && raydiumClient.shouldForceRaydium(tokenAddress))) {
+      // Tokens whose profile forces Raydium sell on their pool
+      if (tokenProfiles.getForcedVenue(tokenAddress) === 'raydium') {
         logger.info(`Force using Raydium direct integration for selling ${tokenAddress}`);
         
         // Get the keypair
         const keypair = wallet.getKeypair();
         
-        // Use token-specific slippage if available, otherwise use higher slippage
-        let adjustedSlippage = slippageToUse;
-        if (tokenSlippageSettings[tokenAddress]) {
-          const settings = tokenSlippageSettings[tokenAddress];
-          // Use max slippage for selling to ensure execution
-          adjustedSlippage = settings.maxSlippage;
-          logger.info(`Using token-specific slippage of ${adjustedSlippage}% for selling ${tokenAddress}`);
-        } else {
-          adjustedSlippage = Math.max(slippageToUse, 10.0); // At least 10% slippage
-          logger.info(`Using higher slippage (${adjustedSlippage}%) for special token ${tokenAddress} with Raydium`);
-        }
+        // Use the profile's maximum slippage for selling to ensure execution
+        const adjustedSlippage = tokenProfiles.getMaxSlippage(tokenAddress) || slippageToUse;
+        logger.info(`Using token profile slippage of ${adjustedSlippage}% for selling ${tokenAddress}`);
         
         try {
           // Try to execute a direct Raydium sell
@@ -1306,9 +1415,14 @@ class SwapExecutor {
         logger.info(`Selected route with output: ${bestRoute.outAmount} lamports`);
         
         // Execute the swap with rate limiting
+        const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+          tokenAddress,
+          accounts: priorityFeeService.getRouteAccounts(bestRoute),
+        });
         const { execute } = await this.jupiterRateLimiter.execute(async () => {
           return await jupiterInstance.exchange({
             routeInfo: bestRoute,
+            computeUnitPriceMicroLamports,
           });
         }, false); // Not a Price API call
         
@@ -1329,8 +1443,8 @@ class SwapExecutor {
         const outputAmountLamports = Number(bestRoute.outAmount);
         const outputAmountSol = outputAmountLamports / 1e9; // Convert lamports to SOL
         
-        // Get approximate USD value (this is simplified, in a real implementation you'd get the actual price)
-        const outputAmountUsd = outputAmountSol * 100; // Placeholder, replace with actual price data
+        // Valued at the oracle's SOL price
+        const outputAmountUsd = await this.getSolValueUsd(outputAmountSol);
         
         const sellResult = {
           success: true,
@@ -1465,8 +1579,8 @@ class SwapExecutor {
       const outputAmountLamports = Number(quote.outAmount);
       const outputAmountSol = outputAmountLamports / 1e9; // Convert lamports to SOL
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = outputAmountSol * 100; // Placeholder
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(outputAmountSol);
       
       const sellResult = {
         success: true,
@@ -1502,6 +1616,11 @@ class SwapExecutor {
 
   async getWalletBalance() {
     try {
+      if (paperTradingVenue.isEnabled()) {
+        await paperTradingVenue.initialize();
+        return paperTradingVenue.getSolBalance();
+      }
+      
       const publicKey = wallet.getKeypair().publicKey;
       // Always get the latest connection from the RPC manager
       this.connection = this.rpcManager.getCurrentConnection();
@@ -1558,15 +1677,8 @@ class SwapExecutor {
         raydiumClient.setConnection(this.connection);
       }
       
-      // Special handling for LOL token - use higher slippage
-      let adjustedSlippageBps = slippageBps;
-      if (tokenAddress === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-        adjustedSlippageBps = Math.max(slippageBps, 1000); // At least 10% slippage for LOL token
-        logger.info(`Using higher slippage (${adjustedSlippageBps / 100}%) for LOL token`);
-      }
-      
       // Execute the swap using the Raydium client
-      const result = await raydiumClient.executeSwap(tokenAddress, amountInLamports, adjustedSlippageBps / 100, keypair);
+      const result = await raydiumClient.executeSwap(tokenAddress, amountInLamports, slippageBps / 100, keypair);
       
       if (!result.success) {
         throw new Error(result.error || 'Raydium swap failed');
@@ -1577,7 +1689,7 @@ class SwapExecutor {
         success: true,
         inputAmount: amountInLamports / 1e9, // Convert back to SOL
         outputAmount: result.outputAmount,
-        outputAmountUsd: (amountInLamports / 1e9) * 10, // Simplified USD calculation
+        outputAmountUsd: await this.getSolValueUsd(amountInLamports / 1e9),
         txHash: result.signature,
         timestamp: Date.now(),
         provider: 'raydium-direct'
@@ -1614,15 +1726,8 @@ class SwapExecutor {
         try {
           logger.info(`Retrying Raydium swap with new RPC endpoint...`);
           
-          // Special handling for LOL token - use higher slippage
-          let adjustedSlippageBps = Math.floor(slippagePercentage * 100);
-          if (tokenAddress === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-            adjustedSlippageBps = Math.max(adjustedSlippageBps, 1000); // At least 10% slippage for LOL token
-            logger.info(`Using higher slippage (${adjustedSlippageBps / 100}%) for LOL token on retry`);
-          }
-          
           // Execute the swap using the Raydium client with new connection
-          const result = await raydiumClient.executeSwap(tokenAddress, amountInLamports, adjustedSlippageBps / 100, keypair);
+          const result = await raydiumClient.executeSwap(tokenAddress, amountInLamports, slippagePercentage, keypair);
           
           if (!result.success) {
             throw new Error(result.error || 'Raydium swap failed on retry');
@@ -1633,7 +1738,7 @@ class SwapExecutor {
             success: true,
             inputAmount: amountInLamports / 1e9, // Convert back to SOL
             outputAmount: result.outputAmount,
-            outputAmountUsd: (amountInLamports / 1e9) * 10, // Simplified USD calculation
+            outputAmountUsd: await this.getSolValueUsd(amountInLamports / 1e9),
             txHash: result.signature,
             timestamp: Date.now(),
             provider: 'raydium-direct-retry'
@@ -1771,8 +1876,8 @@ class SwapExecutor {
       const swapResult = {
         success: true,
         inputAmount: amountInLamports / 1e9, // Convert back to SOL
-        outputAmount: result.expectedOutput,
-        outputAmountUsd: (amountInLamports / 1e9) * 10, // Simplified USD calculation
+        outputAmountRaw: result.expectedOutput,
+        outputAmountUsd: await this.getSolValueUsd(amountInLamports / 1e9),
         txHash: result.transaction?.signature || result.signature,
         timestamp: Date.now(),
         provider: 'pumpswap-direct'
@@ -1816,8 +1921,8 @@ class SwapExecutor {
           const swapResult = {
             success: true,
             inputAmount: amountInLamports / 1e9, // Convert back to SOL
-            outputAmount: result.expectedOutput,
-            outputAmountUsd: (amountInLamports / 1e9) * 10, // Simplified USD calculation
+            outputAmountRaw: result.expectedOutput,
+            outputAmountUsd: await this.getSolValueUsd(amountInLamports / 1e9),
             txHash: result.transaction?.signature || result.signature,
             timestamp: Date.now(),
             provider: 'pumpswap-direct-retry'
@@ -1842,6 +1947,11 @@ class SwapExecutor {
 
   async getTokenBalance(tokenAddress) {
     try {
+      if (paperTradingVenue.isEnabled()) {
+        await paperTradingVenue.initialize();
+        return paperTradingVenue.getTokenBalance(tokenAddress);
+      }
+      
       const publicKey = wallet.getKeypair().publicKey;
       const tokenPublicKey = new PublicKey(tokenAddress);
       
@@ -1875,6 +1985,13 @@ class SwapExecutor {
     }
   }
 
+  /**
+   * Record a buy in the trades table and start following its transaction
+   * Venues that report raw token amounts put them in outputAmountRaw; they are converted to
+   * whole tokens here, the unit of the price oracle and of paper and Raydium direct fills.
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} swapResult - Swap result, given outputAmount, tradeId and confirmation in place
+   */
   async logTrade(tokenAddress, swapResult) {
     try {
       // Get token info from database
@@ -1922,25 +2039,70 @@ class SwapExecutor {
         };
       }
       
-      // Save trade to database
-      await database.saveTrade({
+      let buyAmount = swapResult.outputAmount;
+      let notes = `Auto-buy by trading bot via ${swapResult.provider || 'Jupiter'}`;
+      if (swapResult.outputAmount === undefined && swapResult.outputAmountRaw !== undefined) {
+        const converted = await this.convertOutputToUi(tokenAddress, swapResult, tokenInfo.decimals);
+        if (!converted) {
+          // Recorded raw until the landed fill replaces it (see recordExecution)
+          buyAmount = swapResult.outputAmountRaw;
+          notes += ', amount in raw units until the fill lands';
+        }
+      }
+      
+      // Save trade to database; the ID lets callers attach strategy and exit details
+      swapResult.tradeId = await database.saveTrade({
         tokenAddress: tokenAddress,
         tokenName: tokenInfo.name || 'Unknown',
         tokenSymbol: tokenInfo.symbol || 'UNKNOWN',
-        buyPrice: swapResult.outputAmountUsd / swapResult.outputAmount,
-        buyAmount: swapResult.outputAmount,
+        buyPrice: swapResult.outputAmountUsd / buyAmount,
+        buyAmount,
         txHashBuy: swapResult.txHash,
         score: 0, // Will be updated later
-        notes: `Auto-buy by trading bot via ${swapResult.provider || 'Jupiter'}`,
-        provider: swapResult.provider || 'Jupiter'
+        notes,
+        provider: swapResult.provider || 'Jupiter',
+        buyFeesSol: swapResult.feesSol,
+        buySlippagePercent: swapResult.slippagePercent
       });
       
       logger.info(`Trade logged in database for token ${tokenInfo.symbol} (${tokenAddress}) via ${swapResult.provider || 'Jupiter'}`);
+      
+      // Settles once the transaction lands (with the actual fill recorded) or expires
+      swapResult.confirmation = this.trackExecution(swapResult, {
+        side: 'buy',
+        tokenAddress,
+        tradeId: swapResult.tradeId
+      });
     } catch (error) {
       logger.error(`Error logging trade: ${error.message}`);
     }
   }
 
+  /**
+   * Set a swap's outputAmount in whole tokens from its raw outputAmountRaw
+   * Leaves outputAmount null when the mint's decimals are unknown, so no price is derived from the raw amount
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} swapResult - Swap result, updated in place
+   * @param {number|null} storedDecimals - Decimals from the token record, used when the mint cannot be read
+   * @returns {Promise<boolean>} - Whether the amount was converted
+   */
+  async convertOutputToUi(tokenAddress, swapResult, storedDecimals = null) {
+    let decimals = null;
+    try {
+      decimals = await priceOracle.getTokenDecimals(tokenAddress);
+    } catch (error) {
+      logger.warn(`Could not read decimals of ${tokenAddress}: ${error.message}`);
+      decimals = Number.isInteger(storedDecimals) ? storedDecimals : null;
+    }
+    
+    if (decimals === null) {
+      swapResult.outputAmount = null;
+      return false;
+    }
+    swapResult.outputAmount = swapResult.outputAmountRaw / Math.pow(10, decimals);
+    return true;
+  }
+
   async updateTradeOnSell(tokenAddress, sellResult) {
     try {
       // Get active trades for this token
@@ -1952,30 +2114,229 @@ class SwapExecutor {
         return;
       }
       
-      // Calculate profit/loss
+      const context = this.sellContexts.get(tokenAddress) || {};
+      const remainingBefore = trade.remaining_amount !== null && trade.remaining_amount !== undefined ?
+        trade.remaining_amount : trade.buy_amount;
+      const realizedBefore = trade.realized_profit_loss || 0;
+      
+      // A full close sells whatever is left; a partial fill sells the requested leg
+      const fillAmount = context.partial ? (context.amount || sellResult.inputAmount) : remainingBefore;
+      const remainingAfter = context.partial ? Math.max(0, remainingBefore - fillAmount) : 0;
+      
+      // Calculate profit/loss for this fill against its share of the cost basis;
+      // without a USD value for the sell it is recorded as unknown rather than guessed
+      const costBasisUsd = trade.buy_price * fillAmount;
+      const sellValueUsd = await this.resolveSellValueUsd(tokenAddress, sellResult, fillAmount);
+      const fillProfitLoss = sellValueUsd !== null ? sellValueUsd - costBasisUsd : null;
+      
+      sellResult.tradeId = trade.id;
+      sellResult.outputAmountUsd = sellValueUsd;
+      sellResult.realizedProfitLoss = fillProfitLoss;
+      sellResult.remainingAmount = remainingAfter;
+      
+      const fillId = await database.saveTradeFill({
+        tradeId: trade.id,
+        tokenAddress,
+        fillType: context.fillType || (context.partial ? 'PARTIAL' : 'CLOSE'),
+        levelPercent: context.levelPercent,
+        amount: fillAmount,
+        price: sellValueUsd !== null && fillAmount > 0 ? sellValueUsd / fillAmount : null,
+        valueUsd: sellValueUsd,
+        costBasisUsd,
+        realizedProfitLoss: fillProfitLoss,
+        realizedProfitLossPercentage: fillProfitLoss === null ? null :
+          (costBasisUsd > 0 ? (fillProfitLoss / costBasisUsd) * 100 : 0),
+        remainingAmount: remainingAfter,
+        txHash: sellResult.txHash,
+        provider: sellResult.provider || 'Jupiter',
+        feesSol: sellResult.feesSol,
+        slippagePercent: sellResult.slippagePercent
+      });
+      
+      sellResult.confirmation = this.trackExecution(sellResult, {
+        side: 'sell',
+        tokenAddress,
+        tradeId: trade.id,
+        fillId
+      });
+      
+      if (context.partial) {
+        // A leg of unknown value leaves the realized total as it was; its fill row carries the null
+        await database.updateTradeRiskParameters(trade.id, {
+          remainingAmount: remainingAfter,
+          realizedProfitLoss: realizedBefore + (fillProfitLoss || 0)
+        });
+        
+        logger.info(`Partial sell booked for ${tokenAddress}: ${fillAmount} sold, ${remainingAfter} remaining, leg P/L: ${fillProfitLoss !== null ? `$${fillProfitLoss.toFixed(4)}` : 'unknown'}`);
+        return;
+      }
+      
+      // The trade's result includes every earlier leg, so it is unknown if any of them is
+      const earlierFills = await database.getTradeFills(trade.id);
+      const profitLossKnown = fillProfitLoss !== null &&
+        earlierFills.every(fill => fill.id === fillId || fill.realized_profit_loss !== null);
       const buyValueUsd = trade.buy_price * trade.buy_amount;
-      const sellValueUsd = sellResult.outputAmountUsd;
-      const profitLoss = sellValueUsd - buyValueUsd;
-      const profitLossPercentage = (profitLoss / buyValueUsd) * 100;
+      const profitLoss = profitLossKnown ? realizedBefore + fillProfitLoss : null;
+      const profitLossPercentage = profitLossKnown ? (profitLoss / buyValueUsd) * 100 : null;
+      const exitReason = context.exitReason || context.fillType || 'CLOSE';
       
-      // Update trade in database
+      // Priced against the trade's own units; the sell's input amount is the raw wallet balance on live venues
       await database.updateTradeOnSell(trade.id, {
-        sellPrice: sellResult.outputAmountUsd / sellResult.inputAmount,
-        sellAmount: sellResult.inputAmount,
+        sellPrice: sellValueUsd !== null && fillAmount > 0 ? sellValueUsd / fillAmount : null,
+        sellAmount: fillAmount,
         profitLoss: profitLoss,
         profitLossPercentage: profitLossPercentage,
         txHashSell: sellResult.txHash,
-        sellProvider: sellResult.provider || 'Jupiter'
+        sellProvider: sellResult.provider || 'Jupiter',
+        exitReason: profitLossKnown ? exitReason : `${exitReason} (P/L unknown: no USD value for a sell)`
       });
       
-      logger.info(`Trade updated on sell: ${tokenAddress}, P/L: ${profitLossPercentage.toFixed(2)}%, via ${sellResult.provider || 'Jupiter'}`);
+      logger.info(`Trade updated on sell: ${tokenAddress}, P/L: ${profitLossKnown ? `${profitLossPercentage.toFixed(2)}%` : 'unknown'}, via ${sellResult.provider || 'Jupiter'}`);
     } catch (error) {
       logger.error(`Error updating trade on sell: ${error.message}`);
     }
   }
 
+  /**
+   * USD value of a sell, from its result or else from the oracle's price of the token
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} sellResult - Sell result
+   * @param {number} fillAmount - Tokens sold, in the trade's units
+   * @returns {Promise<number|null>} - Value in USD, null if neither the result nor the oracle has one
+   */
+  async resolveSellValueUsd(tokenAddress, sellResult, fillAmount) {
+    if (Number.isFinite(sellResult.outputAmountUsd)) {
+      return sellResult.outputAmountUsd;
+    }
+    
+    try {
+      const quote = await priceOracle.getQuote(tokenAddress);
+      if (quote) {
+        logger.warn(`Sell of ${tokenAddress} has no USD value, valuing it at the ${quote.source} price $${quote.price}`);
+        return quote.price * fillAmount;
+      }
+    } catch (error) {
+      logger.warn(`Could not price sell of ${tokenAddress}: ${error.message}`);
+    }
+    
+    logger.warn(`Sell of ${tokenAddress} has no USD value and no oracle price, its P/L is recorded as unknown`);
+    return null;
+  }
+
+  /**
+   * Hand a sent swap to the transaction tracker
+   * Not awaited by the callers: the swap returns as soon as it is sent and the fill is recorded in the background
+   * @param {Object} result - Swap or sell result
+   * @param {Object} context - { side, tokenAddress, tradeId, fillId }
+   * @returns {Promise<Object|null>|null} - Promise of the tracking record once the fill is recorded,
+   *   null for paper and simulated fills that have no transaction to follow
+   */
+  trackExecution(result, context) {
+    if (!transactionTracker.isTrackableSignature(result.txHash)) {
+      return null;
+    }
+    
+    return Promise.resolve()
+      .then(() => transactionTracker.track(result.txHash, {
+        ...context,
+        owner: wallet.getKeypair().publicKey
+      }))
+      .then(record => record ? transactionTracker.waitForConfirmation(record.signature) : null)
+      .then(settled => settled ? this.recordExecution(settled, result) : null)
+      .catch(error => {
+        logger.error(`Error recording execution of ${result.txHash}: ${error.message}`);
+        return transactionTracker.getTransaction(result.txHash);
+      });
+  }
+
+  /**
+   * Replace a swap's quoted amounts with what the landed transaction actually did
+   * Token amounts are whole tokens, the units trades are recorded in
+   * @param {Object} record - Settled tracking record
+   * @param {Object} result - The swap or sell result the record belongs to
+   * @returns {Promise<Object>} - The record, with a fill attached when one could be parsed
+   */
+  async recordExecution(record, result) {
+    if (!record || !transactionTracker.isLanded(record)) {
+      if (record) {
+        logger.warn(`${record.side} ${record.signature} did not land (${record.status}); position reconciliation will correct the trade`);
+      }
+      return record;
+    }
+    
+    const execution = record.execution;
+    const solPrice = await priceOracle.getSolPriceUsd();
+    if (!execution || !solPrice) {
+      logger.warn(`Could not read the fill of ${record.signature}, keeping quoted amounts`);
+      return record;
+    }
+    
+    const feesSol = execution.feeLamports / 1e9;
+    const priorityFeeSol = execution.priorityFeeLamports / 1e9;
+    
+    if (record.side === 'buy') {
+      const received = execution.tokenDelta ? execution.tokenDelta.ui : 0;
+      const spentSol = -execution.solDeltaLamports / 1e9;
+      if (!(received > 0) || !(spentSol > 0)) {
+        logger.warn(`Buy ${record.signature} landed without a token delta, keeping quoted amounts`);
+        return record;
+      }
+      
+      const valueUsd = spentSol * solPrice.price;
+      const expected = result.outputAmount;
+      record.fill = {
+        amount: received,
+        amountRaw: execution.tokenDelta.raw,
+        solAmount: spentSol,
+        valueUsd,
+        price: valueUsd / received,
+        feesSol,
+        priorityFeeSol,
+        slippagePercent: expected > 0 ? ((expected - received) / expected) * 100 : null
+      };
+      
+      if (record.tradeId) {
+        await database.updateTradeExecution(record.tradeId, {
+          buyPrice: record.fill.price,
+          buyAmount: received,
+          buyFeesSol: feesSol,
+          buyPriorityFeeSol: priorityFeeSol,
+          buySlippagePercent: record.fill.slippagePercent
+        });
+      }
+      
+      logger.info(`Buy fill for ${record.tokenAddress}: ${received} for ${spentSol.toFixed(6)} SOL, fee ${feesSol} SOL (priority ${priorityFeeSol} SOL)`);
+    } else if (record.side === 'sell') {
+      const receivedSol = execution.solDeltaLamports / 1e9;
+      const valueUsd = Math.max(0, receivedSol) * solPrice.price;
+      const expected = result.outputAmountSol;
+      record.fill = {
+        solAmount: receivedSol,
+        valueUsd,
+        feesSol,
+        priorityFeeSol,
+        slippagePercent: expected > 0 ? ((expected - receivedSol) / expected) * 100 : null
+      };
+      
+      if (record.fillId) {
+        record.fill.profitLossCorrection = await database.updateTradeFillExecution(record.fillId, record.fill);
+      }
+      
+      logger.info(`Sell fill for ${record.tokenAddress}: ${receivedSol.toFixed(6)} SOL, fee ${feesSol} SOL (priority ${priorityFeeSol} SOL)`);
+    }
+    
+    return record;
+  }
+
   async getOptimalSlippage(tokenAddress) {
     try {
+      // A token profile's default slippage wins over the heuristics below
+      const profileSlippage = tokenProfiles.resolveSlippage(tokenAddress);
+      if (profileSlippage) {
+        logger.info(`Using token profile slippage of ${profileSlippage}% for ${tokenAddress}`);
+        return profileSlippage;
+      }
+      
       // Check DexScreener first if enabled
       if (this.useDexScreener && this.currentTokenDexInfo) {
         try {
@@ -1994,14 +2355,8 @@ class SwapExecutor {
             highSlippageDexes.includes(dex.toLowerCase())
           );
           
-          // Special case for LOL token
-          const tokenInfo = await dexScreenerClient.getTokenInfo(tokenAddress);
-          const isLolToken = tokenInfo && 
-                            (tokenInfo.name?.toUpperCase().includes('LOL') || 
-                             tokenInfo.symbol?.toUpperCase().includes('LOL'));
-          
-          if (isOnHighSlippageDex || isLolToken) {
-            logger.info(`Token ${tokenAddress} is on a high-slippage DEX or is a special case token. Using higher slippage.`);
+          if (isOnHighSlippageDex) {
+            logger.info(`Token ${tokenAddress} is on a high-slippage DEX. Using higher slippage.`);
             return 5.0; // 5% slippage for high-slippage DEXes
           }
         } catch (dexScreenerError) {
@@ -2331,13 +2686,13 @@ class SwapExecutor {
       // Extract output amount from quote
       const outputAmount = Number(quoteResponse.outAmount);
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = amountInSol * 10; // Placeholder, replace with actual price data
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(amountInSol);
       
       const swapResult = {
         success: true,
         inputAmount: amountInSol,
-        outputAmount: outputAmount,
+        outputAmountRaw: outputAmount,
         outputAmountUsd: outputAmountUsd,
         txHash: txid,
         timestamp: Date.now(),
@@ -2420,17 +2775,16 @@ class SwapExecutor {
       logger.info(`Creating swap transaction using quote...`);
       
       // Add priority fee to improve chances of inclusion
-      const priorityFee = 10000; // 0.00001 SOL fee
+      const priorityFee = await priorityFeeService.getPriorityFee({
+        tokenAddress,
+        accounts: priorityFeeService.getRouteAccounts(quote),
+      });
       
       // Create the swap transaction
       const swapResponse = await jupiterQuoteApi.swapPost({
         quoteResponse: quote,
         userPublicKey: keypair.publicKey.toString(),
         wrapUnwrapSOL: true,
-        priorityFee: {
-          priorityLevel: 'HIGH',
-          useSmartFee: true,
-        },
         computeUnitPriceMicroLamports: priorityFee,
         dynamicComputeUnitLimit: true, // Automatically calculate CU limit
       });
@@ -2480,8 +2834,8 @@ class SwapExecutor {
       // Extract output amount from the quote
       const outputAmount = Number(quote.outAmount) / Math.pow(10, quote.outputDecimals || 9);
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = outputAmount * 100; // Placeholder, replace with actual price data
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(outputAmount);
       
       const sellResult = {
         success: true,
@@ -2790,9 +3144,14 @@ class SwapExecutor {
       logger.info(`Selected route with output: ${bestRoute.outAmount} lamports`);
       
       // Execute the swap with rate limiting
+      const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+        tokenAddress,
+        accounts: priorityFeeService.getRouteAccounts(bestRoute),
+      });
       const { execute } = await this.jupiterRateLimiter.execute(async () => {
         return await jupiterInstance.exchange({
           routeInfo: bestRoute,
+          computeUnitPriceMicroLamports,
         });
       }, false); // Not a Price API call
       
@@ -2813,8 +3172,8 @@ class SwapExecutor {
       const outputAmountLamports = Number(bestRoute.outAmount);
       const outputAmountSol = outputAmountLamports / 1e9; // Convert lamports to SOL
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = outputAmountSol * 100; // Placeholder, replace with actual price data
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(outputAmountSol);
       
       const sellResult = {
         success: true,
@@ -2927,9 +3286,14 @@ class SwapExecutor {
       logger.info(`Selected route with output: ${bestRoute.outAmount} tokens`);
       
       // Execute the swap with rate limiting
+      const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+        tokenAddress,
+        accounts: priorityFeeService.getRouteAccounts(bestRoute),
+      });
       const { execute } = await this.jupiterRateLimiter.execute(async () => {
         return await jupiterInstance.exchange({
           routeInfo: bestRoute,
+          computeUnitPriceMicroLamports,
         });
       }, false); // Not a Price API call
       
@@ -2949,13 +3313,13 @@ class SwapExecutor {
       const txHash = result.txid;
       const outputAmount = Number(bestRoute.outAmount);
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = amountInSol * 10; // Placeholder, replace with actual price data
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(amountInSol);
       
       const swapResult = {
         success: true,
         inputAmount: amountInSol,
-        outputAmount: outputAmount,
+        outputAmountRaw: outputAmount,
         outputAmountUsd: outputAmountUsd,
         txHash: txHash,
         timestamp: Date.now(),
@@ -3011,8 +3375,8 @@ class SwapExecutor {
       const txHash = result.txHash;
       const outputAmount = result.outputAmount;
       
-      // Get approximate USD value (this is simplified)
-      const outputAmountUsd = (amountInLamports / 1e9) * 100; // Placeholder, replace with actual price data
+      // Valued at the oracle's SOL price
+      const outputAmountUsd = await this.getSolValueUsd(amountInLamports / 1e9);
       
       const swapResult = {
         success: true,
@@ -3048,27 +3412,6 @@ class SwapExecutor {
       };
     }
   }
-
-  /**
-   * Log a trade to the database
-   * @param {string} tokenAddress - The token address
-   * @param {Object} swapResult - The swap result
-   * @returns {Promise<boolean>} - Whether the logging was successful
-   */
-  async logTrade(tokenAddress, swapResult) {
-    try {
-      logger.info(`Logging trade for ${tokenAddress}: ${JSON.stringify(swapResult)}`);
-      
-      // Here you would implement the actual database logging
-      // For example, using a database client to insert the trade record
-      
-      // For now, we'll just log it and return success
-      return true;
-    } catch (error) {
-      logger.error(`Error logging trade: ${error.message}`);
-      return false;
-    }
-  }
 }
 
 module.exports = new SwapExecutor();
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Token Features
+ *
+ * Reads the pair data, on-chain analysis and stored score inputs that the
+ * position sizer and the exit planner turn into their factors. Both modules
+ * judge a token on the same numbers and only differ in which thresholds they
+ * apply to them.
+ */
+
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+
+class TokenFeatures {
+  /**
+   * Measure a token from its pair data and on-chain analysis
+   * @param {Object} token - Pair data
+   * @param {Object|null} onChainData - onChainAnalyzer.analyzeToken result, if available
+   * @returns {Object} - { liquidityUsd, marketCapUsd, volumeH24Usd, ageHours, buysH1, sellsH1, priceChangeM5,
+   *   priceChangeH1, onChain }; ageHours is null when the pair's creation time is unknown and onChain is null
+   *   without a usable analysis
+   */
+  getMetrics(token, onChainData = null) {
+    const liquidityUsd = token.liquidity?.usd;
+
+    return {
+      liquidityUsd: liquidityUsd === undefined ? null : liquidityUsd,
+      marketCapUsd: token.marketCap || token.fdv || null,
+      volumeH24Usd: token.volume?.h24 || 0,
+      ageHours: token.pairCreatedAt ? (Date.now() - new Date(token.pairCreatedAt).getTime()) / (60 * 60 * 1000) : null,
+      buysH1: token.txns?.h1?.buys || 0,
+      sellsH1: token.txns?.h1?.sells || 0,
+      priceChangeM5: token.priceChange?.m5 || 0,
+      priceChangeH1: token.priceChange?.h1 || 0,
+      onChain: onChainData && !onChainData.error ? onChainData : null,
+    };
+  }
+
+  /**
+   * Sentiment score from the token's last stored score
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<number|null>} - Score (0 to 1), null if the token has none
+   */
+  async getSentimentScore(tokenAddress) {
+    try {
+      const lastScore = await database.getLastTokenScore(tokenAddress);
+      return lastScore && typeof lastScore.sentiment_score === 'number' ? lastScore.sentiment_score : null;
+    } catch (error) {
+      logger.warn(`Could not read sentiment score for ${tokenAddress}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = new TokenFeatures();
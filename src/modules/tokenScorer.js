@@ -2,6 +2,7 @@ const config = require('../../config/config');
 const logger = require('../utils/logger');
 const database = require('../utils/database');
 const sentimentDetector = require('./sentimentDetector');
+const deployerReputation = require('./deployerReputation');
 
 class TokenScorer {
   constructor() {
@@ -89,36 +90,26 @@ class TokenScorer {
     try {
       logger.info(`Scoring token: ${tokenData.baseToken.symbol} (${tokenData.baseToken.address})`);
       
-      // Get various scores
-      const volumeScore = this.calculateVolumeScore(tokenData);
-      const liquidityScore = this.calculateLiquidityScore(tokenData);
-      const priceChangeScore = this.calculatePriceChangeScore(tokenData);
-      
       // Get sentiment score
       const sentimentScore = await sentimentDetector.calculateSentimentScore(
         tokenData.baseToken.address,
         tokenData.baseToken.symbol
       );
       
-      // Calculate weighted score
-      const weightedScore = (
-        volumeScore * this.weights.volumeWeight +
-        liquidityScore * this.weights.liquidityWeight +
-        priceChangeScore * this.weights.priceChangeWeight +
-        sentimentScore * this.weights.holdersWeight
-      );
+      const scores = this.calculateScores(tokenData, sentimentScore);
       
-      logger.info(`Token score for ${tokenData.baseToken.symbol}: ${weightedScore.toFixed(2)}`);
+      // Scale the score by the creator's track record
+      const reputation = await deployerReputation.getReputationForToken(tokenData.baseToken.address);
+      scores.deployerScore = reputation ? reputation.reputationScore : null;
+      scores.score *= this.getReputationMultiplier(scores.deployerScore);
+      
+      logger.info(`Token score for ${tokenData.baseToken.symbol}: ${scores.score.toFixed(2)}`);
       
       const scoreResult = {
         tokenAddress: tokenData.baseToken.address,
         tokenSymbol: tokenData.baseToken.symbol,
-        score: weightedScore,
-        volumeScore,
-        liquidityScore,
-        priceChangeScore,
-        sentimentScore,
-        isGoodBuy: weightedScore >= this.minScore,
+        ...scores,
+        isGoodBuy: scores.score >= this.minScore,
       };
       
       // Save score to database for future reference
@@ -136,6 +127,49 @@ class TokenScorer {
     }
   }
 
+  /**
+   * Combine the component scores into the weighted token score
+   * Depends only on the pair data and sentiment, so backtests can replay it offline
+   * @param {Object} tokenData - DexScreener pair data
+   * @param {number} sentimentScore - Sentiment score (0 to 1)
+   * @returns {Object} - Component scores and the weighted score
+   */
+  calculateScores(tokenData, sentimentScore = 0) {
+    const volumeScore = this.calculateVolumeScore(tokenData);
+    const liquidityScore = this.calculateLiquidityScore(tokenData);
+    const priceChangeScore = this.calculatePriceChangeScore(tokenData);
+    
+    // Calculate weighted score
+    const weightedScore = (
+      volumeScore * this.weights.volumeWeight +
+      liquidityScore * this.weights.liquidityWeight +
+      priceChangeScore * this.weights.priceChangeWeight +
+      sentimentScore * this.weights.holdersWeight
+    );
+    
+    return {
+      score: weightedScore,
+      volumeScore,
+      liquidityScore,
+      priceChangeScore,
+      sentimentScore,
+    };
+  }
+
+  /**
+   * Factor a token's score is multiplied by for its creator's reputation
+   * Neutral (1) for an unknown creator or a reputation of 0.5, 1 ± scoreImpact at the extremes
+   * @param {number|null} reputationScore - Creator reputation (0 to 1)
+   * @returns {number}
+   */
+  getReputationMultiplier(reputationScore) {
+    if (reputationScore === null || reputationScore === undefined) {
+      return 1;
+    }
+    const impact = (config.deployerReputation && config.deployerReputation.scoreImpact) || 0;
+    return 1 + impact * (reputationScore - 0.5) * 2;
+  }
+
   calculateVolumeScore(tokenData) {
     try {
       const volume24h = parseFloat(tokenData.volume?.h24 || 0);
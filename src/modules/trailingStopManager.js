@@ -0,0 +1,193 @@
+/**
+ * Trailing Stop Manager
+ *
+ * Ratchets a stop loss up behind each open position once it is far enough in
+ * profit (config.trading.tradingStrategies.trailingStopLoss). The distance
+ * starts at the configured initial distance, widens for volatile tokens,
+ * tightens once a position is deep in profit and always stays between the
+ * configured minimum and maximum. The stop only ever moves up, in steps of at
+ * least stepSizePercent. Each price observation is applied once, and only while
+ * it is within config.priceOracle.maxStalenessMs.
+ *
+ * State lives on the trade (trailing_stop_active, trailing_stop_distance,
+ * trailing_stop_activation_price, max_price_reached, current_stop_loss) so a
+ * restart resumes where it left off. The stop is enforced by
+ * exitRules.evaluateExit through the trade's stopLossPrice.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const database = require('../utils/database');
+
+class TrailingStopManager {
+  constructor() {
+    this.settings = config.trading.tradingStrategies?.trailingStopLoss || { enabled: false };
+
+    // Recent prices per trade, used to measure volatility
+    this.priceSamples = new Map();
+    this.maxSamples = 30;
+
+    // Trade id -> priceTimestamp of the last price applied, so each observation counts once
+    this.lastPriceTimestamps = new Map();
+    // Older prices neither move the stop nor count towards volatility
+    this.maxStalenessMs = (config.priceOracle && config.priceOracle.maxStalenessMs) || 60000;
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Record a price observation for a trade
+   * @param {Object} trade - Active trade
+   * @param {number} price - Observed price
+   */
+  recordPrice(trade, price) {
+    if (!this.priceSamples.has(trade.id)) {
+      this.priceSamples.set(trade.id, []);
+    }
+
+    const samples = this.priceSamples.get(trade.id);
+    samples.push(price);
+    if (samples.length > this.maxSamples) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Volatility of a trade's recent prices: the high-low range as a percentage of the low
+   * @param {Object} trade - Active trade
+   * @returns {number|null} - Volatility in percent, null until enough prices are seen
+   */
+  getVolatility(trade) {
+    const samples = this.priceSamples.get(trade.id) || [];
+    if (samples.length < 5) {
+      return null;
+    }
+
+    const high = Math.max(...samples);
+    const low = Math.min(...samples);
+    return low > 0 ? ((high - low) / low) * 100 : null;
+  }
+
+  /**
+   * Trailing distance for a trade given its volatility and profit
+   * @param {Object} trade - Active trade
+   * @param {number} maxProfitPercent - Profit at the highest price reached
+   * @returns {number} - Distance below the high, in percent
+   */
+  calculateDistance(trade, maxProfitPercent) {
+    const settings = this.settings;
+    let distance = settings.initialTrailingDistancePercent;
+
+    // Volatile tokens get more room so normal swings do not stop them out
+    const dynamic = settings.dynamicAdjustment;
+    const volatility = this.getVolatility(trade);
+    if (dynamic && dynamic.enabled && volatility !== null && volatility >= dynamic.minVolatilityPercent) {
+      const cappedVolatility = Math.min(volatility, dynamic.maxVolatilityPercent);
+      distance = Math.max(distance, cappedVolatility * dynamic.volatilityMultiplier);
+    }
+
+    // Deep in profit, trail tighter to protect the gain
+    const accelerated = settings.acceleratedTrailing;
+    if (accelerated && accelerated.enabled && maxProfitPercent >= accelerated.activationThresholdPercent) {
+      distance *= accelerated.accelerationFactor;
+    }
+
+    return Math.min(settings.maxTrailingDistancePercent, Math.max(settings.minTrailingDistancePercent, distance));
+  }
+
+  /**
+   * Whether a trade's current price is a fresh observation not applied yet
+   * @param {Object} trade - Active trade
+   * @returns {boolean}
+   */
+  hasNewPrice(trade) {
+    if (!trade.priceTimestamp || Date.now() - trade.priceTimestamp > this.maxStalenessMs) {
+      return false;
+    }
+    const last = this.lastPriceTimestamps.get(trade.id);
+    return last === undefined || trade.priceTimestamp > last;
+  }
+
+  /**
+   * Update a trade's trailing stop after a price change
+   * Does nothing unless the trade's price was observed since the last update and is not stale
+   * @param {Object} trade - Active trade from pnlTracker (mutated in place)
+   * @returns {Promise<boolean>} - Whether the stop moved
+   */
+  async updateTrade(trade) {
+    if (!this.isEnabled() || !trade.currentPrice || !trade.buyPrice || !this.hasNewPrice(trade)) {
+      return false;
+    }
+
+    try {
+      this.lastPriceTimestamps.set(trade.id, trade.priceTimestamp);
+      this.recordPrice(trade, trade.currentPrice);
+
+      const updates = {};
+      if (!trade.maxPriceReached || trade.currentPrice > trade.maxPriceReached) {
+        trade.maxPriceReached = trade.currentPrice;
+        updates.maxPriceReached = trade.maxPriceReached;
+      }
+
+      const maxProfitPercent = ((trade.maxPriceReached - trade.buyPrice) / trade.buyPrice) * 100;
+
+      if (!trade.trailingStopActive && maxProfitPercent >= this.settings.activationThresholdPercent) {
+        trade.trailingStopActive = true;
+        trade.trailingStopActivationPrice = trade.currentPrice;
+        updates.trailingStopActive = 1;
+        updates.trailingStopActivationPrice = trade.currentPrice;
+        logger.info(`Trailing stop activated for ${trade.tokenSymbol} at ${maxProfitPercent.toFixed(2)}% profit`);
+      }
+
+      let stopMoved = false;
+      if (trade.trailingStopActive) {
+        const distance = this.calculateDistance(trade, maxProfitPercent);
+        const candidateStop = trade.maxPriceReached * (1 - distance / 100);
+        const currentStop = trade.stopLossPrice || 0;
+
+        // Ratchet up only, and after the first placement only by at least one step
+        const firstPlacement = updates.trailingStopActive === 1;
+        const minimumStep = currentStop * (this.settings.stepSizePercent / 100);
+        if (candidateStop > currentStop && (firstPlacement || candidateStop - currentStop >= minimumStep)) {
+          trade.stopLossPrice = candidateStop;
+          updates.currentStopLoss = candidateStop;
+          stopMoved = true;
+          logger.info(`Trailing stop for ${trade.tokenSymbol} raised to $${candidateStop.toFixed(8)} (${distance.toFixed(1)}% below high)`);
+        }
+
+        if (trade.trailingStopDistance !== distance) {
+          trade.trailingStopDistance = distance;
+          updates.trailingStopDistance = distance;
+        }
+
+        const volatility = this.getVolatility(trade);
+        if (volatility !== null && volatility !== trade.volatilityMeasure) {
+          trade.volatilityMeasure = volatility;
+          updates.volatilityMeasure = volatility;
+        }
+      }
+
+      if (Object.keys(updates).length > 0 && trade.id) {
+        await database.updateTradeRiskParameters(trade.id, updates);
+      }
+
+      return stopMoved;
+    } catch (error) {
+      logger.error(`Error updating trailing stop for ${trade.tokenSymbol}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Forget a closed trade's price samples
+   * @param {Object} trade - Closed trade
+   */
+  removeTrade(trade) {
+    this.priceSamples.delete(trade.id);
+    this.lastPriceTimestamps.delete(trade.id);
+  }
+}
+
+module.exports = new TrailingStopManager();
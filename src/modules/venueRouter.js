@@ -0,0 +1,318 @@
+/**
+ * Venue Router
+ *
+ * Executes live swaps through the venue adapters in src/venues
+ * (config.venueRouter). For every swap the router:
+ *
+ * 1. Asks each eligible venue for a quote in parallel, dropping venues that
+ *    fail or do not answer within quoteTimeoutMs.
+ * 2. Ranks the quotes by output net of the expected network fee. Ties go to
+ *    the venue declared first.
+ * 3. Builds, simulates and sends on the best venue, then waits for the
+ *    transaction to land. It falls through to the next venue in the ranking
+ *    only when the swap is known not to have happened: build or simulation
+ *    failed, or the transaction expired or failed on chain. A send error or
+ *    an unsettled transaction stops the route, so an order is never filled
+ *    twice.
+ *
+ * Amounts are raw units: lamports in and token units out for buys, token
+ * units in and lamports out for sells. Adding a venue means writing an
+ * adapter and registering its type here.
+ */
+
+const config = require('../../config/config');
+const logger = require('../utils/logger');
+const priorityFeeService = require('../utils/priorityFeeService');
+const transactionTracker = require('../utils/transactionTracker');
+const JupiterVenue = require('../venues/jupiterVenue');
+const ApeJupiterVenue = require('../venues/apeJupiterVenue');
+const RaydiumVenue = require('../venues/raydiumVenue');
+const PumpSwapVenue = require('../venues/pumpSwapVenue');
+
+class VenueRouter {
+  constructor() {
+    this.settings = config.venueRouter || { enabled: false, venues: [] };
+
+    // Venue implementations available to config by name
+    this.venueTypes = {
+      jupiter: JupiterVenue,
+      apeJupiter: ApeJupiterVenue,
+      raydium: RaydiumVenue,
+      pumpSwap: PumpSwapVenue,
+    };
+
+    // Declared order is the tie-break and fallback order
+    this.venues = new Map();
+    this.stats = {};
+
+    this.loadVenues(this.settings.venues || []);
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true && this.venues.size > 0;
+  }
+
+  /**
+   * Instantiate the venues declared in config
+   * @param {Array} venueConfigs - Venue settings in declared order
+   */
+  loadVenues(venueConfigs) {
+    for (const settings of venueConfigs) {
+      const VenueType = this.venueTypes[settings.name];
+
+      if (!VenueType) {
+        logger.warn(`Unknown venue "${settings.name}", skipping`);
+        continue;
+      }
+
+      this.registerVenue(new VenueType(settings));
+    }
+
+    logger.info(`Loaded ${this.venues.size} swap venues: ${Array.from(this.venues.keys()).join(', ')}`);
+  }
+
+  /**
+   * Register a venue adapter
+   * @param {Object} venue - Adapter implementing the BaseVenue interface
+   */
+  registerVenue(venue) {
+    this.venues.set(venue.name, venue);
+    this.stats[venue.name] = {
+      quotes: 0,
+      quoteFailures: 0,
+      fills: 0,
+      executionFailures: 0,
+      lastError: null,
+    };
+  }
+
+  /**
+   * Venues that can take a swap
+   * @param {Object} request - { side, tokenAddress, amount, slippageBps, venues }
+   * @returns {Promise<Array>} - Venues in declared order
+   */
+  async getEligibleVenues(request) {
+    const eligible = [];
+
+    for (const venue of this.venues.values()) {
+      if (request.venues && !request.venues.includes(venue.name)) {
+        continue;
+      }
+
+      try {
+        if (await venue.isEligible(request)) {
+          eligible.push(venue);
+        }
+      } catch (error) {
+        logger.debug(`[VenueRouter] Eligibility check failed on ${venue.name}: ${error.message}`);
+      }
+    }
+
+    return eligible;
+  }
+
+  /**
+   * Quote a swap on every venue in parallel
+   * @param {Array} venues - Eligible venues
+   * @param {Object} request - Swap request
+   * @returns {Promise<Array>} - Quotes from the venues that answered in time
+   */
+  async getQuotes(venues, request) {
+    const results = await Promise.allSettled(venues.map(venue => this.withTimeout(
+      venue.quote(request),
+      this.settings.quoteTimeoutMs,
+      `${venue.name} quote timed out`
+    )));
+
+    const quotes = [];
+    results.forEach((result, index) => {
+      const venue = venues[index];
+      if (result.status === 'fulfilled' && result.value && result.value.outAmount > 0) {
+        this.stats[venue.name].quotes++;
+        quotes.push(result.value);
+      } else {
+        this.stats[venue.name].quoteFailures++;
+        const reason = result.status === 'rejected' ? result.reason.message : 'empty quote';
+        logger.debug(`[VenueRouter] No quote from ${venue.name} for ${request.tokenAddress}: ${reason}`);
+      }
+    });
+
+    return quotes;
+  }
+
+  /**
+   * Rank quotes by output net of the expected network fee
+   * A buy's fee is paid on top of the SOL spent, so its output is scaled down by the extra cost;
+   * a sell's fee comes straight off the SOL received
+   * @param {Array} quotes - Venue quotes
+   * @param {Object} request - Swap request
+   * @returns {Promise<Array>} - Quotes, best first, each with feeLamports and netOutAmount
+   */
+  async rankQuotes(quotes, request) {
+    const priorityFee = await priorityFeeService.getPriorityFee({ tokenAddress: request.tokenAddress, estimate: true });
+    const declaredOrder = Array.from(this.venues.keys());
+
+    for (const quote of quotes) {
+      quote.feeLamports = this.venues.get(quote.venue).estimateFeeLamports(priorityFee);
+      quote.netOutAmount = request.side === 'buy'
+        ? quote.outAmount * (request.amount / (request.amount + quote.feeLamports))
+        : quote.outAmount - quote.feeLamports;
+    }
+
+    return quotes.sort((a, b) =>
+      (b.netOutAmount - a.netOutAmount) || (declaredOrder.indexOf(a.venue) - declaredOrder.indexOf(b.venue))
+    );
+  }
+
+  /**
+   * Route a swap to the best venue, falling back through the rest
+   * @param {Object} request - { side, tokenAddress, amount, slippageBps, keypair, venues }
+   * @returns {Promise<Object>} - { success, venue, signature, fill, quote, attempts, error }
+   */
+  async execute(request) {
+    const venues = await this.getEligibleVenues(request);
+    if (venues.length === 0) {
+      return { success: false, error: 'No eligible venue', attempts: [] };
+    }
+
+    const quotes = await this.getQuotes(venues, request);
+    if (quotes.length === 0) {
+      return { success: false, error: `No venue quoted ${request.side} of ${request.tokenAddress}`, attempts: [] };
+    }
+
+    const ranked = await this.rankQuotes(quotes, request);
+    logger.info(`[VenueRouter] ${request.side} ${request.tokenAddress} quotes: ${ranked.map(quote => `${quote.venue}=${Math.floor(quote.netOutAmount)}`).join(', ')}`);
+
+    const attempts = [];
+    for (const quote of ranked) {
+      const venue = this.venues.get(quote.venue);
+
+      try {
+        const execution = await this.executeQuote(venue, quote, request);
+        this.stats[venue.name].fills++;
+
+        logger.info(`[VenueRouter] ${request.side} ${request.tokenAddress} filled on ${venue.name}: ${execution.signature}`);
+        return { success: true, venue: venue.name, quote, attempts, ...execution };
+      } catch (error) {
+        this.stats[venue.name].executionFailures++;
+        this.stats[venue.name].lastError = error.message;
+        attempts.push({ venue: venue.name, error: error.message, signature: error.signature || null });
+
+        // The transaction may still land, so another venue would risk filling the order twice
+        if (error.mayHaveLanded) {
+          logger.error(`[VenueRouter] ${request.side} on ${venue.name} did not settle, not falling back: ${error.message}`);
+          return {
+            success: false,
+            venue: venue.name,
+            signature: error.signature || null,
+            error: `${venue.name} did not settle: ${error.message}`,
+            attempts,
+          };
+        }
+
+        logger.warn(`[VenueRouter] ${request.side} on ${venue.name} failed: ${error.message}`);
+      }
+    }
+
+    return {
+      success: false,
+      error: `All venues failed: ${attempts.map(attempt => `${attempt.venue} (${attempt.error})`).join('; ')}`,
+      attempts,
+    };
+  }
+
+  /**
+   * Build, simulate and send a quote on its venue, and wait for it to land
+   * Throws if the swap did not land. The error carries mayHaveLanded when the
+   * transaction could still land, in which case no other venue may be tried
+   * @param {Object} venue - Venue adapter
+   * @param {Object} quote - Quote from the venue
+   * @param {Object} request - Swap request
+   * @returns {Promise<Object>} - { signature, lastValidBlockHeight, fill, simulation }
+   */
+  async executeQuote(venue, quote, request) {
+    const built = await venue.build(quote, request);
+
+    let simulation = null;
+    if (this.settings.simulate) {
+      simulation = await venue.simulate(built);
+      if (!simulation.success) {
+        throw new Error(`Simulation failed: ${simulation.error}`);
+      }
+    }
+
+    // Known before sending, so a send that errors after broadcast can still be followed
+    let signature = venue.getSignature(built);
+
+    try {
+      signature = await venue.send(built, { skipPreflight: this.settings.simulate });
+    } catch (error) {
+      if (!signature) {
+        throw this.unsettledError(`Send failed: ${error.message}`, null);
+      }
+      logger.warn(`[VenueRouter] Send of ${signature} on ${venue.name} failed, waiting to see if it lands: ${error.message}`);
+    }
+
+    const record = await transactionTracker.track(signature, {
+      side: request.side,
+      tokenAddress: request.tokenAddress,
+      owner: request.keypair.publicKey,
+      lastValidBlockHeight: built.lastValidBlockHeight,
+    });
+    const settled = record ? await transactionTracker.waitForConfirmation(signature) : null;
+
+    if (!settled) {
+      throw this.unsettledError('Transaction could not be tracked', signature);
+    }
+
+    // Only an expired or failed transaction is known not to have swapped
+    if (transactionTracker.isTerminal(settled)) {
+      const error = new Error(`Transaction ${signature} ${settled.status}${settled.error ? `: ${settled.error}` : ''}`);
+      error.signature = signature;
+      throw error;
+    }
+
+    return {
+      signature,
+      lastValidBlockHeight: built.lastValidBlockHeight,
+      fill: venue.parseFill(quote, signature),
+      simulation,
+    };
+  }
+
+  /**
+   * Error for a transaction that may have been broadcast but has not settled
+   * @param {string} message - What went wrong
+   * @param {string|null} signature - Transaction signature, if known
+   * @returns {Error}
+   */
+  unsettledError(message, signature) {
+    const error = new Error(signature ? `${message} (${signature})` : message);
+    error.mayHaveLanded = true;
+    error.signature = signature;
+    return error;
+  }
+
+  withTimeout(promise, timeoutMs, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Venues and their counters
+   * @returns {Array} - Venue status in declared order
+   */
+  getStatus() {
+    return Array.from(this.venues.values()).map(venue => ({
+      name: venue.name,
+      enabled: venue.enabled,
+      sides: venue.sides,
+      ...this.stats[venue.name],
+    }));
+  }
+}
+
+module.exports = new VenueRouter();
@@ -0,0 +1,74 @@
+/**
+ * Base Entry Strategy
+ *
+ * A strategy receives the market scanner's results, picks the candidates it
+ * cares about and turns the ones worth buying into entry intents. An intent
+ * carries everything the bot needs to open the position: size, slippage and
+ * the exit plan the position should be managed with.
+ */
+
+const config = require('../../config/config');
+const tokenScorer = require('../modules/tokenScorer');
+
+class BaseStrategy {
+  /**
+   * Create a strategy
+   * @param {string} name - Unique strategy name, stored on every trade it opens
+   * @param {Object} settings - Strategy settings from config.trading.entryStrategies
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.enabled = settings.enabled !== false;
+    this.capitalBudgetSol = settings.capitalBudgetSol || 0;
+    this.maxPositionSizeSol = settings.maxPositionSizeSol || config.trading.maxTradeSizeSol;
+    this.minScore = settings.minScore !== undefined ? settings.minScore : null;
+    this.maxCandidates = settings.maxCandidates || null;
+    this.slippage = settings.slippage || null;
+    this.exitPlan = {
+      takeProfitPercent: config.trading.tpPercentage,
+      stopLossPercent: config.trading.slPercentage,
+      ...(settings.exitPlan || {})
+    };
+  }
+
+  /**
+   * Pick this strategy's candidates out of the scan results
+   * @param {Array|Object} scanResults - Results from marketScanner.scan()
+   * @returns {Array} - Candidate pairs
+   */
+  selectCandidates(scanResults) {
+    return [];
+  }
+
+  /**
+   * Score candidates and build entry intents for the ones that qualify
+   * @param {Array} candidates - Candidate pairs
+   * @returns {Promise<Array>} - Entry intents
+   */
+  async generateIntents(candidates) {
+    const limit = this.maxCandidates || candidates.length;
+    const scoredTokens = await tokenScorer.getTopScoringTokens(candidates, this.minScore, limit);
+    return scoredTokens.map(scoredToken => this.buildIntent(scoredToken.token, scoredToken.score));
+  }
+
+  /**
+   * Build an entry intent for a token
+   * @param {Object} token - Pair data for the token
+   * @param {number} score - Token score
+   * @returns {Object} - Entry intent
+   */
+  buildIntent(token, score) {
+    return {
+      strategy: this.name,
+      token,
+      tokenAddress: token.baseToken.address,
+      tokenSymbol: token.baseToken.symbol,
+      score,
+      sizeSol: this.maxPositionSizeSol,
+      slippage: this.slippage,
+      exitPlan: { ...this.exitPlan }
+    };
+  }
+}
+
+module.exports = BaseStrategy;
@@ -0,0 +1,45 @@
+const logger = require('../utils/logger');
+const tokenScorer = require('../modules/tokenScorer');
+const reinforcementLearning = require('../modules/reinforcementLearning');
+const BaseStrategy = require('./baseStrategy');
+
+/**
+ * Buys newly detected pairs that clear the minimum token score.
+ * Pairs that fall short are reported to the reinforcement learning module
+ * so missed opportunities can be tracked.
+ */
+class NewPairStrategy extends BaseStrategy {
+  selectCandidates(scanResults) {
+    if (Array.isArray(scanResults)) {
+      return scanResults;
+    }
+    return (scanResults && scanResults.newlyDetectedPairs) || [];
+  }
+
+  async generateIntents(candidates) {
+    const minScore = this.minScore !== null ? this.minScore : tokenScorer.minScore;
+    const scoredPairs = await tokenScorer.scoreBatch(candidates);
+
+    const goodPairs = scoredPairs.filter(pair => pair.score >= minScore);
+    const rejectedPairs = scoredPairs.filter(pair => pair.score < minScore);
+
+    // Track rejected pairs for reinforcement learning
+    for (const pair of rejectedPairs) {
+      try {
+        const detailedScores = await tokenScorer.getDetailedScores(pair.token.baseToken.address);
+        await reinforcementLearning.trackRejectedToken(
+          pair.token,
+          `Score too low: ${pair.score.toFixed(2)} < ${minScore.toFixed(2)}`,
+          detailedScores
+        );
+      } catch (error) {
+        logger.error(`[${this.name}] Error tracking rejected pair: ${error.message}`);
+      }
+    }
+
+    const selected = this.maxCandidates ? goodPairs.slice(0, this.maxCandidates) : goodPairs;
+    return selected.map(pair => this.buildIntent(pair.token, pair.score));
+  }
+}
+
+module.exports = NewPairStrategy;
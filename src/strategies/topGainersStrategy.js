@@ -0,0 +1,23 @@
+const BaseStrategy = require('./baseStrategy');
+
+/**
+ * Buys the highest scoring 1h and 24h top gainers.
+ */
+class TopGainersStrategy extends BaseStrategy {
+  selectCandidates(scanResults) {
+    if (!scanResults || Array.isArray(scanResults)) {
+      return [];
+    }
+
+    const candidates = [];
+    if (Array.isArray(scanResults.topGainers1h)) {
+      candidates.push(...scanResults.topGainers1h);
+    }
+    if (Array.isArray(scanResults.topGainers24h)) {
+      candidates.push(...scanResults.topGainers24h);
+    }
+    return candidates;
+  }
+}
+
+module.exports = TopGainersStrategy;
@@ -0,0 +1,15 @@
+const BaseStrategy = require('./baseStrategy');
+
+/**
+ * Buys the highest scoring tokens showing a volume spike.
+ */
+class VolumeSpikeStrategy extends BaseStrategy {
+  selectCandidates(scanResults) {
+    if (!scanResults || Array.isArray(scanResults)) {
+      return [];
+    }
+    return Array.isArray(scanResults.volumeSpikes) ? scanResults.volumeSpikes : [];
+  }
+}
+
+module.exports = VolumeSpikeStrategy;
@@ -14,6 +14,7 @@ const config = require('../../config/config');
 const logger = require('./logger');
 const wallet = require('./wallet');
 const rpcManager = require('./rpcManager');
+const priorityFeeService = require('./priorityFeeService');
 
 // Import Raydium and PumpSwap clients for direct integration
 let raydiumClient;
@@ -278,17 +279,16 @@ class ApeJupiterClient {
       logger.info(`Creating swap transaction using quote...`);
       
       // Add priority fee to improve chances of inclusion
-      const priorityFee = 10000; // 0.00001 SOL fee
+      const priorityFee = await priorityFeeService.getPriorityFee({
+        tokenAddress,
+        accounts: priorityFeeService.getRouteAccounts(quote),
+      });
       
       // Create the swap transaction
       const swapResponse = await jupiterQuoteApi.swapPost({
         quoteResponse: quote,
         userPublicKey: keypair.publicKey.toString(),
         wrapUnwrapSOL: true,
-        priorityFee: {
-          priorityLevel: 'HIGH',
-          useSmartFee: true,
-        },
         computeUnitPriceMicroLamports: priorityFee,
         dynamicComputeUnitLimit: true, // Automatically calculate CU limit
       });
@@ -95,7 +95,64 @@ class Database {
         risk_level TEXT DEFAULT 'MEDIUM',
         volatility_measure REAL,
         max_price_reached REAL,
-        last_price_check_timestamp INTEGER
+        last_price_check_timestamp INTEGER,
+        strategy TEXT,
+        entry_size_sol REAL,
+        remaining_amount REAL,
+        realized_profit_loss REAL DEFAULT 0,
+        provider TEXT,
+        buy_fees_sol REAL,
+        buy_slippage_percent REAL,
+        buy_priority_fee_sol REAL,
+        position_sizing TEXT,
+        exit_plan TEXT,
+        exit_reason TEXT
+      )
+    `);
+
+    // Individual sell fills; a trade closed in legs has one row per leg
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS trade_fills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL,
+        token_address TEXT NOT NULL,
+        fill_type TEXT NOT NULL,
+        level_percent REAL,
+        amount REAL NOT NULL,
+        price REAL,
+        value_usd REAL,
+        cost_basis_usd REAL,
+        realized_profit_loss REAL,
+        realized_profit_loss_percentage REAL,
+        remaining_amount REAL,
+        tx_hash TEXT,
+        provider TEXT,
+        fees_sol REAL,
+        slippage_percent REAL,
+        priority_fee_sol REAL,
+        timestamp INTEGER NOT NULL
+      )
+    `);
+
+    // Lifecycle of every swap transaction the bot sends
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS transactions (
+        signature TEXT PRIMARY KEY,
+        side TEXT,
+        token_address TEXT,
+        trade_id INTEGER,
+        fill_id INTEGER,
+        status TEXT NOT NULL,
+        submitted_timestamp INTEGER NOT NULL,
+        confirmed_timestamp INTEGER,
+        finalized_timestamp INTEGER,
+        last_valid_block_height INTEGER,
+        slot INTEGER,
+        fee_lamports INTEGER,
+        priority_fee_lamports INTEGER,
+        compute_units_consumed INTEGER,
+        error TEXT,
+        last_updated_timestamp INTEGER NOT NULL
       )
     `);
 
@@ -351,8 +408,98 @@ class Database {
       )
     `);
     
+    // Paper trading ledger: virtual SOL and token balances
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS paper_balances (
+        asset TEXT PRIMARY KEY,
+        amount REAL NOT NULL,
+        last_updated_timestamp INTEGER NOT NULL
+      )
+    `);
+    
+    // Per-token execution profiles: forced venue, slippage bounds, size cap, allow/block status
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS token_profiles (
+        token_address TEXT PRIMARY KEY,
+        symbol TEXT,
+        forced_venue TEXT,
+        default_slippage_percent REAL,
+        min_slippage_percent REAL,
+        max_slippage_percent REAL,
+        max_size_sol REAL,
+        status TEXT NOT NULL DEFAULT 'allowed',
+        notes TEXT,
+        created_timestamp INTEGER NOT NULL,
+        last_updated_timestamp INTEGER NOT NULL
+      )
+    `);
+    
+    // Token creators: launch outcomes, funding source and reputation
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS deployers (
+        address TEXT PRIMARY KEY,
+        funding_source TEXT,
+        funding_checked BOOLEAN DEFAULT 0,
+        launches INTEGER DEFAULT 0,
+        rugs INTEGER DEFAULT 0,
+        lp_pulls INTEGER DEFAULT 0,
+        dev_dumps INTEGER DEFAULT 0,
+        survived INTEGER DEFAULT 0,
+        linked_bad_launches INTEGER DEFAULT 0,
+        reputation_score REAL,
+        is_blacklisted BOOLEAN DEFAULT 0,
+        blacklist_reason TEXT,
+        first_seen_timestamp INTEGER NOT NULL,
+        last_updated_timestamp INTEGER NOT NULL
+      )
+    `);
+    
+    // Each recorded launch and how it ended: pending, rug, lp_pulled, dev_dump or survived
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS deployer_launches (
+        token_address TEXT PRIMARY KEY,
+        creator_address TEXT NOT NULL,
+        launch_timestamp INTEGER NOT NULL,
+        outcome TEXT NOT NULL DEFAULT 'pending',
+        outcome_timestamp INTEGER,
+        peak_liquidity_usd REAL,
+        details TEXT,
+        last_checked_timestamp INTEGER
+      )
+    `);
+
+    // Token blacklist and whitelist; a token is on one list at most
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS token_lists (
+        token_address TEXT PRIMARY KEY,
+        list_type TEXT NOT NULL,
+        reason TEXT,
+        source TEXT NOT NULL,
+        expires_timestamp INTEGER,
+        created_timestamp INTEGER NOT NULL,
+        last_updated_timestamp INTEGER NOT NULL
+      )
+    `);
+
+    // Risk policy decisions: which checks ran, how they ended and which rules fired
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS risk_decisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_address TEXT NOT NULL,
+        decision TEXT NOT NULL,
+        score REAL NOT NULL,
+        reject_score REAL NOT NULL,
+        vetoed_by TEXT,
+        fired_rules TEXT,
+        checks TEXT,
+        policy_version INTEGER,
+        timestamp INTEGER NOT NULL
+      )
+    `);
+
     // Run migrations to add any missing columns
     this.migrateTradesTable();
+    this.migrateTradeFillsTable();
     
     // Initialize default scoring weights if they don't exist
     this.initializeDefaultWeights();
@@ -392,7 +539,18 @@ class Database {
           { name: 'risk_level', type: 'TEXT DEFAULT \'MEDIUM\'' },
           { name: 'volatility_measure', type: 'REAL' },
           { name: 'max_price_reached', type: 'REAL' },
-          { name: 'last_price_check_timestamp', type: 'INTEGER' }
+          { name: 'last_price_check_timestamp', type: 'INTEGER' },
+          { name: 'strategy', type: 'TEXT' },
+          { name: 'entry_size_sol', type: 'REAL' },
+          { name: 'remaining_amount', type: 'REAL' },
+          { name: 'realized_profit_loss', type: 'REAL DEFAULT 0' },
+          { name: 'provider', type: 'TEXT' },
+          { name: 'buy_fees_sol', type: 'REAL' },
+          { name: 'buy_slippage_percent', type: 'REAL' },
+          { name: 'buy_priority_fee_sol', type: 'REAL' },
+          { name: 'position_sizing', type: 'TEXT' },
+          { name: 'exit_plan', type: 'TEXT' },
+          { name: 'exit_reason', type: 'TEXT' }
         ];
         
         // Add each missing column
@@ -414,6 +572,40 @@ class Database {
     }
   }
 
+  /**
+   * Migrate the trade_fills table to add any missing columns
+   */
+  migrateTradeFillsTable() {
+    try {
+      this.db.all("PRAGMA table_info(trade_fills)", (err, rows) => {
+        if (err) {
+          logger.error(`Error checking trade_fills table schema: ${err.message}`);
+          return;
+        }
+        
+        const columnNames = rows.map(col => col.name);
+        const columnsToAdd = [
+          { name: 'fees_sol', type: 'REAL' },
+          { name: 'slippage_percent', type: 'REAL' },
+          { name: 'priority_fee_sol', type: 'REAL' }
+        ];
+        
+        for (const column of columnsToAdd) {
+          if (!columnNames.includes(column.name)) {
+            logger.info(`Adding ${column.name} column to trade_fills table`);
+            this.db.run(`ALTER TABLE trade_fills ADD COLUMN ${column.name} ${column.type}`, (alterErr) => {
+              if (alterErr) {
+                logger.error(`Error adding ${column.name} column: ${alterErr.message}`);
+              }
+            });
+          }
+        }
+      });
+    } catch (error) {
+      logger.error(`Error in migrateTradeFillsTable: ${error.message}`);
+    }
+  }
+
   /**
    * Migrate the token_scores table to add any missing columns
    */
@@ -493,7 +685,15 @@ class Database {
           { name: 'liquidity_depth', type: 'JSON' },
           { name: 'liquidity_concentration', type: 'REAL' },
           { name: 'market_condition', type: 'TEXT' },
-          { name: 'token_age_days', type: 'REAL' }
+          { name: 'token_age_days', type: 'REAL' },
+          { name: 'token_program', type: 'TEXT' },
+          { name: 'freeze_authority', type: 'TEXT' },
+          { name: 'token_extensions', type: 'JSON' },
+          { name: 'extension_risk_score', type: 'REAL' },
+          { name: 'lp_burned_percent', type: 'REAL' },
+          { name: 'lp_locked_percent', type: 'REAL' },
+          { name: 'lp_lock_expires_timestamp', type: 'INTEGER' },
+          { name: 'lp_status', type: 'JSON' }
         ];
         
         // Add each missing column
@@ -603,7 +803,10 @@ class Database {
       'price_check_interval_ms': 'How often to check prices for active trades in milliseconds',
       'enable_dynamic_risk_management': 'Whether to enable dynamic risk management',
       'max_concurrent_trades': 'Maximum number of concurrent trades allowed',
-      'max_portfolio_risk_percentage': 'Maximum percentage of portfolio that can be at risk'
+      'max_portfolio_risk_percentage': 'Maximum percentage of portfolio that can be at risk',
+      'risk_policy': 'JSON risk policy of the risk filter: check error handling, rule weights and vetoes',
+      'portfolio_halt': 'JSON manual halt of new entries (reason, time), empty when entries are allowed',
+      'portfolio_day_marks': 'JSON prices of the positions open at the start of the UTC day, the daily loss baseline'
     };
     
     return descriptions[settingName] || 'No description available';
@@ -778,7 +981,12 @@ class Database {
         positionSizeFactor,
         partialTakeProfits,
         riskLevel,
-        volatilityMeasure
+        volatilityMeasure,
+        strategy,
+        entrySizeSol,
+        provider,
+        buyFeesSol,
+        buySlippagePercent
       } = tradeData;
 
       const stmt = this.db.prepare(`
@@ -787,8 +995,9 @@ class Database {
           buy_timestamp, status, tx_hash_buy, score, notes,
           initial_stop_loss, current_stop_loss, initial_take_profit, current_take_profit,
           trailing_stop_distance, position_size_factor, partial_take_profits,
-          risk_level, volatility_measure, last_price_check_timestamp
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          risk_level, volatility_measure, last_price_check_timestamp,
+          strategy, entry_size_sol, provider, buy_fees_sol, buy_slippage_percent
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const now = Date.now();
@@ -813,6 +1022,11 @@ class Database {
         riskLevel || 'MEDIUM',
         volatilityMeasure || null,
         now,
+        strategy || null,
+        entrySizeSol || null,
+        provider || null,
+        buyFeesSol !== undefined ? buyFeesSol : null,
+        buySlippagePercent !== undefined ? buySlippagePercent : null,
         function (err) {
           if (err) {
             logger.error(`Error saving trade: ${err.message}`);
@@ -843,7 +1057,10 @@ class Database {
         trailingStopActivationPrice: 'trailing_stop_activation_price',
         partialTakeProfitsExecuted: 'partial_take_profits_executed',
         maxPriceReached: 'max_price_reached',
-        lastPriceCheckTimestamp: 'last_price_check_timestamp'
+        lastPriceCheckTimestamp: 'last_price_check_timestamp',
+        remainingAmount: 'remaining_amount',
+        realizedProfitLoss: 'realized_profit_loss',
+        volatilityMeasure: 'volatility_measure'
       };
       
       // Process each field in the update data
@@ -882,6 +1099,59 @@ class Database {
     });
   }
 
+  /**
+   * Record how a trade was entered: the strategy that opened it, the SOL committed,
+   * how that size was chosen and the exit levels from its exit plan
+   * @param {number} tradeId - Trade ID
+   * @param {Object} entryDetails - Entry details (strategy, entrySizeSol, positionSizeFactor, positionSizing,
+   *   exitPlan, volatilityMeasure, initialStopLoss, initialTakeProfit, partialTakeProfits)
+   * @returns {Promise<boolean>} - Whether any field was updated
+   */
+  async updateTradeEntryDetails(tradeId, entryDetails) {
+    return new Promise((resolve, reject) => {
+      const updates = [];
+      const values = [];
+      
+      // Map of field names to column names; exit levels also seed the current levels
+      const fieldMap = {
+        strategy: ['strategy'],
+        entrySizeSol: ['entry_size_sol'],
+        initialStopLoss: ['initial_stop_loss', 'current_stop_loss'],
+        initialTakeProfit: ['initial_take_profit', 'current_take_profit'],
+        partialTakeProfits: ['partial_take_profits'],
+        positionSizeFactor: ['position_size_factor'],
+        positionSizing: ['position_sizing'],
+        exitPlan: ['exit_plan'],
+        volatilityMeasure: ['volatility_measure']
+      };
+      
+      for (const [field, value] of Object.entries(entryDetails)) {
+        if (field in fieldMap && value !== undefined && value !== null) {
+          for (const column of fieldMap[field]) {
+            updates.push(`${column} = ?`);
+            values.push(typeof value === 'object' ? JSON.stringify(value) : value);
+          }
+        }
+      }
+      
+      if (updates.length === 0) {
+        resolve(false);
+        return;
+      }
+      
+      values.push(tradeId);
+      
+      this.db.run(`UPDATE trades SET ${updates.join(', ')} WHERE id = ?`, values, function (err) {
+        if (err) {
+          logger.error(`Error updating trade entry details: ${err.message}`);
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
   async updateTradeOnSell(tradeId, sellData) {
     return new Promise((resolve, reject) => {
       const {
@@ -890,6 +1160,7 @@ class Database {
         profitLoss,
         profitLossPercentage,
         txHashSell,
+        exitReason,
       } = sellData;
 
       const stmt = this.db.prepare(`
@@ -900,7 +1171,9 @@ class Database {
           profit_loss = ?, 
           profit_loss_percentage = ?, 
           status = ?, 
-          tx_hash_sell = ? 
+          tx_hash_sell = ?,
+          exit_reason = ?,
+          remaining_amount = 0
         WHERE id = ?
       `);
 
@@ -912,6 +1185,7 @@ class Database {
         profitLossPercentage,
         'CLOSED',
         txHashSell,
+        exitReason || null,
         tradeId,
         function (err) {
           if (err) {
@@ -929,306 +1203,138 @@ class Database {
   }
 
   /**
-   * Check and update trade risk parameters based on current prices
+   * Close a trade that was not closed by one of the bot's own sells
+   * Used by position reconciliation for dust and for positions that left the wallet
    * @param {number} tradeId - The trade ID
-   * @param {number} currentPrice - Current token price
-   * @returns {Promise<Object>} - Updated trade status and actions taken
+   * @param {Object} closeData - { status, sellPrice, sellAmount, profitLoss, profitLossPercentage, note }
+   * @returns {Promise<boolean>}
    */
-  async checkAndUpdateTradeRiskParameters(tradeId, currentPrice) {
-    try {
-      // Get trade data
-      const trade = await this.getTradeById(tradeId);
-      if (!trade || trade.status !== 'ACTIVE') {
-        return { success: false, message: 'Trade not found or not active' };
-      }
-      
-      // Get risk settings
-      const riskSettings = await this.getRiskSettings();
-      
-      const result = {
+  async closeTradeExternally(tradeId, closeData) {
+    return new Promise((resolve, reject) => {
+      const {
+        status,
+        sellPrice,
+        sellAmount,
+        profitLoss,
+        profitLossPercentage,
+        note,
+      } = closeData;
+
+      const stmt = this.db.prepare(`
+        UPDATE trades SET
+          sell_price = ?,
+          sell_amount = ?,
+          sell_timestamp = ?,
+          profit_loss = ?,
+          profit_loss_percentage = ?,
+          status = ?,
+          remaining_amount = 0,
+          notes = CASE WHEN notes IS NULL OR notes = '' THEN ? ELSE notes || '; ' || ? END
+        WHERE id = ? AND status = 'ACTIVE'
+      `);
+
+      stmt.run(
+        sellPrice !== undefined ? sellPrice : null,
+        sellAmount !== undefined ? sellAmount : null,
+        Date.now(),
+        profitLoss !== undefined ? profitLoss : null,
+        profitLossPercentage !== undefined ? profitLossPercentage : null,
+        status,
+        note || null,
+        note || null,
         tradeId,
-        tokenAddress: trade.token_address,
-        currentPrice,
-        buyPrice: trade.buy_price,
-        priceChange: ((currentPrice - trade.buy_price) / trade.buy_price) * 100, // percentage
-        actions: [],
-        stopLossTriggered: false,
-        takeProfitTriggered: false,
-        partialTakeProfitTriggered: false,
-        trailingStopUpdated: false
-      };
-      
-      // Update max price reached if current price is higher
-      let maxPriceReached = trade.max_price_reached || trade.buy_price;
-      if (currentPrice > maxPriceReached) {
-        maxPriceReached = currentPrice;
-        await this.updateTradeRiskParameters(tradeId, { maxPriceReached });
-        result.actions.push('Updated max price reached');
-      }
-      
-      // Check for stop loss
-      if (trade.current_stop_loss && currentPrice <= trade.current_stop_loss) {
-        result.stopLossTriggered = true;
-        result.actions.push(`Stop-loss triggered at ${trade.current_stop_loss}`);
-        return result;
-      }
-      
-      // Check for take profit
-      if (trade.current_take_profit && currentPrice >= trade.current_take_profit) {
-        result.takeProfitTriggered = true;
-        result.actions.push(`Take-profit triggered at ${trade.current_take_profit}`);
-        return result;
-      }
-      
-      // Check for partial take profits
-      if (trade.partial_take_profits) {
-        try {
-          const partialTakeProfits = JSON.parse(trade.partial_take_profits);
-          const executedLevels = trade.partial_take_profits_executed ? 
-            JSON.parse(trade.partial_take_profits_executed) : [];
-          
-          let updatedExecutedLevels = false;
-          
-          for (const level of partialTakeProfits) {
-            // Calculate price at this take-profit level
-            const takeProfitPrice = trade.buy_price * (1 + (level.percentage / 100));
-            
-            // Check if this level is already executed
-            const alreadyExecuted = executedLevels.some(exec => exec.percentage === level.percentage);
-            
-            // If price reached this level and not already executed, mark it for execution
-            if (!alreadyExecuted && currentPrice >= takeProfitPrice) {
-              executedLevels.push({
-                percentage: level.percentage,
-                portion: level.portion,
-                price: currentPrice,
-                timestamp: Date.now()
-              });
-              
-              updatedExecutedLevels = true;
-              result.partialTakeProfitTriggered = true;
-              result.actions.push(`Partial take-profit triggered at ${level.percentage}% (${level.portion * 100}% of position)`);
-            }
-          }
-          
-          if (updatedExecutedLevels) {
-            await this.updateTradeRiskParameters(tradeId, { 
-              partialTakeProfitsExecuted: JSON.stringify(executedLevels) 
-            });
+        function (err) {
+          if (err) {
+            logger.error(`Error closing trade externally: ${err.message}`);
+            reject(err);
+          } else {
+            logger.info(`Trade ${tradeId} closed as ${status}`);
+            resolve(this.changes > 0);
           }
-        } catch (error) {
-          logger.error(`Error processing partial take-profits: ${error.message}`);
-        }
-      }
-      
-      // Check for trailing stop activation and updates
-      if (trade.trailing_stop_distance && !trade.trailing_stop_active) {
-        // Calculate activation threshold
-        const activationThreshold = trade.buy_price * (1 + (riskSettings.trailing_stop_activation_percentage / 100));
-        
-        // If price reached activation threshold, activate trailing stop
-        if (currentPrice >= activationThreshold) {
-          // Calculate initial trailing stop price
-          const trailingStopPrice = currentPrice * (1 - (trade.trailing_stop_distance / 100));
-          
-          await this.updateTradeRiskParameters(tradeId, { 
-            trailingStopActive: true,
-            trailingStopActivationPrice: currentPrice,
-            currentStopLoss: trailingStopPrice
-          });
-          
-          result.trailingStopUpdated = true;
-          result.actions.push(`Trailing stop activated at ${trailingStopPrice}`);
-        }
-      } 
-      // Update trailing stop if already active
-      else if (trade.trailing_stop_active && trade.trailing_stop_distance) {
-        // Calculate potential new stop loss based on current price
-        const potentialStopLoss = currentPrice * (1 - (trade.trailing_stop_distance / 100));
-        
-        // Only move stop loss up, never down
-        if (potentialStopLoss > trade.current_stop_loss) {
-          await this.updateTradeRiskParameters(tradeId, { currentStopLoss: potentialStopLoss });
-          
-          result.trailingStopUpdated = true;
-          result.actions.push(`Trailing stop updated to ${potentialStopLoss}`);
         }
-      }
-      
-      // Update last price check timestamp
-      await this.updateTradeRiskParameters(tradeId, { lastPriceCheckTimestamp: Date.now() });
-      
-      return result;
-    } catch (error) {
-      logger.error(`Error checking trade risk parameters: ${error.message}`);
-      return { success: false, message: error.message };
-    }
+      );
+
+      stmt.finalize();
+    });
   }
 
   /**
-   * Get trade by ID
-   * @param {number} tradeId - The trade ID
-   * @returns {Promise<Object>} - Trade data
+   * Record a sell fill against a trade
+   * @param {Object} fillData - Fill details
+   * @returns {Promise<number>} - The ID of the inserted fill
    */
-  async getTradeById(tradeId) {
+  async saveTradeFill(fillData) {
     return new Promise((resolve, reject) => {
-      this.db.get(
-        'SELECT * FROM trades WHERE id = ?',
-        [tradeId],
-        (err, row) => {
+      const {
+        tradeId,
+        tokenAddress,
+        fillType,
+        levelPercent,
+        amount,
+        price,
+        valueUsd,
+        costBasisUsd,
+        realizedProfitLoss,
+        realizedProfitLossPercentage,
+        remainingAmount,
+        txHash,
+        provider,
+        feesSol,
+        slippagePercent
+      } = fillData;
+
+      const stmt = this.db.prepare(`
+        INSERT INTO trade_fills (
+          trade_id, token_address, fill_type, level_percent, amount, price, value_usd,
+          cost_basis_usd, realized_profit_loss, realized_profit_loss_percentage,
+          remaining_amount, tx_hash, provider, fees_sol, slippage_percent, timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        tradeId,
+        tokenAddress,
+        fillType,
+        levelPercent !== undefined ? levelPercent : null,
+        amount,
+        price || null,
+        valueUsd || null,
+        costBasisUsd || null,
+        realizedProfitLoss || 0,
+        realizedProfitLossPercentage || 0,
+        remainingAmount !== undefined ? remainingAmount : null,
+        txHash || null,
+        provider || null,
+        feesSol !== undefined ? feesSol : null,
+        slippagePercent !== undefined ? slippagePercent : null,
+        Date.now(),
+        function (err) {
           if (err) {
-            logger.error(`Error fetching trade by ID: ${err.message}`);
+            logger.error(`Error saving trade fill: ${err.message}`);
             reject(err);
           } else {
-            resolve(row);
+            resolve(this.lastID);
           }
         }
       );
-    });
-  }
 
-  /**
-   * Calculate optimal position size based on risk parameters
-   * @param {string} tokenAddress - The token address
-   * @param {Object} riskParams - Risk parameters (optional, will be calculated if not provided)
-   * @returns {Promise<Object>} - Position sizing recommendations
-   */
-  async calculateOptimalPositionSize(tokenAddress, riskParams = null) {
-    try {
-      // Get risk settings
-      const riskSettings = await this.getRiskSettings();
-      
-      // Get or calculate risk parameters
-      const params = riskParams || await this.calculateDynamicRiskParameters(tokenAddress);
-      
-      // Get portfolio stats
-      const portfolioStats = await this.getPortfolioStats();
-      const portfolioValue = portfolioStats.totalValue || 1000; // Default if not available
-      
-      // Calculate base position size
-      let positionSize = parseFloat(riskSettings.base_position_size);
-      
-      // Adjust based on risk level and position size factor
-      positionSize *= params.positionSizeFactor;
-      
-      // Ensure position size is within limits
-      positionSize = Math.min(positionSize, parseFloat(riskSettings.max_position_size));
-      positionSize = Math.max(positionSize, parseFloat(riskSettings.min_position_size));
-      
-      // Check portfolio risk limits
-      const activeTradesValue = portfolioStats.activeTradesValue || 0;
-      const maxRiskAmount = portfolioValue * (parseFloat(riskSettings.max_portfolio_risk_percentage) / 100);
-      const availableRiskAmount = maxRiskAmount - activeTradesValue;
-      
-      if (availableRiskAmount < positionSize) {
-        // Reduce position size to fit within risk limits
-        positionSize = Math.max(availableRiskAmount, parseFloat(riskSettings.min_position_size));
-      }
-      
-      // Calculate dollar risk (amount that would be lost if stop loss is hit)
-      const dollarRisk = positionSize * (params.stopLossPercentage / 100);
-      
-      // Calculate risk-to-reward ratio
-      const riskRewardRatio = params.takeProfitPercentage / params.stopLossPercentage;
-      
-      return {
-        recommendedPositionSize: positionSize,
-        positionSizeFactor: params.positionSizeFactor,
-        dollarRisk,
-        riskRewardRatio,
-        portfolioRiskPercentage: (dollarRisk / portfolioValue) * 100,
-        riskLevel: params.riskLevel
-      };
-    } catch (error) {
-      logger.error(`Error calculating optimal position size: ${error.message}`);
-      // Return default values
-      return {
-        recommendedPositionSize: parseFloat(await this.getRiskSetting('base_position_size') || 100),
-        positionSizeFactor: 1.0,
-        dollarRisk: 5.0, // 5% of position
-        riskRewardRatio: 4.0, // 4:1 reward to risk
-        portfolioRiskPercentage: 1.0,
-        riskLevel: 'MEDIUM'
-      };
-    }
+      stmt.finalize();
+    });
   }
 
   /**
-   * Get portfolio statistics
-   * @returns {Promise<Object>} - Portfolio statistics
+   * Get the sell fills recorded against a trade
+   * @param {number} tradeId - Trade ID
+   * @returns {Promise<Array>} - Fill rows in execution order
    */
-  async getPortfolioStats() {
-    try {
-      // Get active trades
-      const activeTrades = await this.getActiveTrades();
-      
-      // Calculate active trades value
-      const activeTradesValue = activeTrades.reduce((sum, trade) => {
-        return sum + (trade.buy_amount || 0);
-      }, 0);
-      
-      // Get closed trades
-      const closedTrades = await new Promise((resolve, reject) => {
-        this.db.all(
-          'SELECT * FROM trades WHERE status = "CLOSED"',
-          (err, rows) => {
-            if (err) {
-              reject(err);
-            } else {
-              resolve(rows);
-            }
-          }
-        );
-      });
-      
-      // Calculate total profit/loss
-      const totalProfitLoss = closedTrades.reduce((sum, trade) => {
-        return sum + (trade.profit_loss || 0);
-      }, 0);
-      
-      // Calculate win rate
-      const winningTrades = closedTrades.filter(trade => (trade.profit_loss || 0) > 0).length;
-      const winRate = closedTrades.length > 0 ? (winningTrades / closedTrades.length) * 100 : 0;
-      
-      // Calculate average profit/loss percentage
-      const avgProfitLossPercentage = closedTrades.length > 0 ?
-        closedTrades.reduce((sum, trade) => sum + (trade.profit_loss_percentage || 0), 0) / closedTrades.length :
-        0;
-      
-      // Estimate total portfolio value (this would typically come from wallet balance)
-      // For now, we'll use a simple estimate based on active trades and total profit/loss
-      const totalValue = activeTradesValue + totalProfitLoss + 1000; // Adding 1000 as base capital
-      
-      return {
-        totalValue,
-        activeTradesValue,
-        totalProfitLoss,
-        winRate,
-        avgProfitLossPercentage,
-        activeTrades: activeTrades.length,
-        closedTrades: closedTrades.length
-      };
-    } catch (error) {
-      logger.error(`Error calculating portfolio stats: ${error.message}`);
-      return {
-        totalValue: 1000,
-        activeTradesValue: 0,
-        totalProfitLoss: 0,
-        winRate: 0,
-        avgProfitLossPercentage: 0,
-        activeTrades: 0,
-        closedTrades: 0
-      };
-    }
-  }
-
-  async getActiveTrades() {
+  async getTradeFills(tradeId) {
     return new Promise((resolve, reject) => {
       this.db.all(
-        'SELECT * FROM trades WHERE status = "ACTIVE"',
+        `SELECT * FROM trade_fills WHERE trade_id = ? ORDER BY timestamp ASC, id ASC`,
+        [tradeId],
         (err, rows) => {
           if (err) {
-            logger.error(`Error fetching active trades: ${err.message}`);
+            logger.error(`Error fetching trade fills: ${err.message}`);
             reject(err);
           } else {
             resolve(rows);
@@ -1237,24 +1343,22 @@ class Database {
       );
     });
   }
-  
+
   /**
-   * Get trades that need risk management checks
-   * @param {number} checkIntervalMs - Time interval in milliseconds
-   * @returns {Promise<Array>} - Array of trades needing checks
+   * Get the realized P/L of every sell fill since a time
+   * @param {number} since - Earliest fill time in ms
+   * @returns {Promise<Array>} - { timestamp, trade_id, amount, realized_profit_loss } rows in execution order, P/L in USD
    */
-  async getTradesNeedingRiskChecks(checkIntervalMs = 60000) {
+  async getRealizedProfitLossSince(since) {
     return new Promise((resolve, reject) => {
-      const cutoffTime = Date.now() - checkIntervalMs;
-      
       this.db.all(
-        `SELECT * FROM trades 
-         WHERE status = "ACTIVE" AND 
-         (last_price_check_timestamp IS NULL OR last_price_check_timestamp < ?)`,
-        [cutoffTime],
+        `SELECT timestamp, trade_id, amount, realized_profit_loss FROM trade_fills
+         WHERE timestamp >= ? AND realized_profit_loss IS NOT NULL
+         ORDER BY timestamp ASC, id ASC`,
+        [since],
         (err, rows) => {
           if (err) {
-            logger.error(`Error fetching trades needing risk checks: ${err.message}`);
+            logger.error(`Error fetching realized P/L: ${err.message}`);
             reject(err);
           } else {
             resolve(rows);
@@ -1264,348 +1368,1600 @@ class Database {
     });
   }
 
-  // Token operations
   /**
-   * Update risk parameters for all active trades
-   * @returns {Promise<Object>} - Summary of updates
+   * Record the confirmed execution of a buy: the actual fill price, size and fees
+   * The remaining size is only replaced while no sell leg has been taken
+   * @param {number} tradeId - The trade ID
+   * @param {Object} execution - { buyPrice, buyAmount, buyFeesSol, buyPriorityFeeSol, buySlippagePercent }
+   * @returns {Promise<boolean>}
    */
-  async updateAllTradeRiskParameters() {
-    try {
-      // Get all active trades
-      const activeTrades = await this.getActiveTrades();
-      
-      const result = {
-        totalTrades: activeTrades.length,
-        updatedTrades: 0,
-        stopLossTriggered: 0,
-        takeProfitTriggered: 0,
-        partialTakeProfitTriggered: 0,
-        trailingStopUpdated: 0,
-        errors: 0,
-        details: []
-      };
-      
-      // Process each trade
-      for (const trade of activeTrades) {
-        try {
-          // Get current price (in a real implementation, this would come from an API)
-          const tokenData = await this.getToken(trade.token_address);
-          if (!tokenData) {
-            result.errors++;
-            result.details.push({
-              tradeId: trade.id,
-              status: 'error',
-              message: 'Token not found'
-            });
-            continue;
+  async updateTradeExecution(tradeId, execution) {
+    return new Promise((resolve, reject) => {
+      const { buyPrice, buyAmount, buyFeesSol, buyPriorityFeeSol, buySlippagePercent } = execution;
+
+      this.db.run(
+        `UPDATE trades SET
+          remaining_amount = CASE WHEN remaining_amount IS NULL OR remaining_amount = buy_amount THEN ? ELSE remaining_amount END,
+          buy_price = ?,
+          buy_amount = ?,
+          buy_fees_sol = ?,
+          buy_priority_fee_sol = ?,
+          buy_slippage_percent = ?
+        WHERE id = ?`,
+        [
+          buyAmount,
+          buyPrice,
+          buyAmount,
+          buyFeesSol !== undefined ? buyFeesSol : null,
+          buyPriorityFeeSol !== undefined ? buyPriorityFeeSol : null,
+          buySlippagePercent !== undefined ? buySlippagePercent : null,
+          tradeId,
+        ],
+        function (err) {
+          if (err) {
+            logger.error(`Error updating trade execution: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
           }
-          
-          const currentPrice = tokenData.price_usd || trade.buy_price;
-          
-          // Check and update risk parameters
-          const updateResult = await this.checkAndUpdateTradeRiskParameters(trade.id, currentPrice);
-          
-          // Update summary
-          if (updateResult.stopLossTriggered) {
-            result.stopLossTriggered++;
+        }
+      );
+    });
+  }
+
+  /**
+   * Record the confirmed execution of a sell fill and correct the trade's P/L by the difference
+   * @param {number} fillId - The fill ID
+   * @param {Object} execution - { valueUsd, feesSol, priorityFeeSol, slippagePercent }
+   * @returns {Promise<number|null>} - Change in realized P/L, null if the fill does not exist
+   */
+  async updateTradeFillExecution(fillId, execution) {
+    const fill = await new Promise((resolve, reject) => {
+      this.db.get('SELECT * FROM trade_fills WHERE id = ?', [fillId], (err, row) => {
+        if (err) {
+          logger.error(`Error fetching trade fill: ${err.message}`);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      });
+    });
+
+    if (!fill) {
+      return null;
+    }
+
+    const { valueUsd, feesSol, priorityFeeSol, slippagePercent } = execution;
+    const profitLoss = valueUsd - (fill.cost_basis_usd || 0);
+    const delta = profitLoss - (fill.realized_profit_loss || 0);
+
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE trade_fills SET
+          value_usd = ?,
+          price = ?,
+          realized_profit_loss = ?,
+          realized_profit_loss_percentage = ?,
+          fees_sol = ?,
+          priority_fee_sol = ?,
+          slippage_percent = ?
+        WHERE id = ?`,
+        [
+          valueUsd,
+          fill.amount > 0 ? valueUsd / fill.amount : null,
+          profitLoss,
+          fill.cost_basis_usd > 0 ? (profitLoss / fill.cost_basis_usd) * 100 : 0,
+          feesSol !== undefined ? feesSol : null,
+          priorityFeeSol !== undefined ? priorityFeeSol : null,
+          slippagePercent !== undefined ? slippagePercent : null,
+          fillId,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating trade fill execution: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
           }
-          
-          if (updateResult.takeProfitTriggered) {
-            result.takeProfitTriggered++;
+        }
+      );
+    });
+
+    // Open trades carry the correction in realized P/L, closed trades in their final P/L
+    await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE trades SET
+          realized_profit_loss = COALESCE(realized_profit_loss, 0) + ?,
+          profit_loss = CASE WHEN status = 'ACTIVE' THEN profit_loss ELSE profit_loss + ? END,
+          profit_loss_percentage = CASE
+            WHEN status = 'ACTIVE' OR buy_price * buy_amount <= 0 THEN profit_loss_percentage
+            ELSE ((profit_loss + ?) / (buy_price * buy_amount)) * 100
+          END
+        WHERE id = ?`,
+        [delta, delta, delta, fill.trade_id],
+        (err) => {
+          if (err) {
+            logger.error(`Error correcting trade P/L: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
           }
-          
-          if (updateResult.partialTakeProfitTriggered) {
-            result.partialTakeProfitTriggered++;
-          }
-          
-          if (updateResult.trailingStopUpdated) {
-            result.trailingStopUpdated++;
-          }
-          
-          if (updateResult.actions && updateResult.actions.length > 0) {
-            result.updatedTrades++;
+        }
+      );
+    });
+
+    return delta;
+  }
+
+  /**
+   * Insert or update a tracked transaction
+   * @param {Object} record - Transaction record from transactionTracker
+   * @returns {Promise<boolean>}
+   */
+  async saveTransaction(record) {
+    return new Promise((resolve, reject) => {
+      const execution = record.execution || {};
+
+      this.db.run(
+        `INSERT INTO transactions (
+          signature, side, token_address, trade_id, fill_id, status, submitted_timestamp,
+          confirmed_timestamp, finalized_timestamp, last_valid_block_height, slot,
+          fee_lamports, priority_fee_lamports, compute_units_consumed, error, last_updated_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(signature) DO UPDATE SET
+          trade_id = COALESCE(transactions.trade_id, excluded.trade_id),
+          fill_id = COALESCE(transactions.fill_id, excluded.fill_id),
+          status = excluded.status,
+          confirmed_timestamp = excluded.confirmed_timestamp,
+          finalized_timestamp = excluded.finalized_timestamp,
+          last_valid_block_height = excluded.last_valid_block_height,
+          slot = excluded.slot,
+          fee_lamports = excluded.fee_lamports,
+          priority_fee_lamports = excluded.priority_fee_lamports,
+          compute_units_consumed = excluded.compute_units_consumed,
+          error = excluded.error,
+          last_updated_timestamp = excluded.last_updated_timestamp`,
+        [
+          record.signature,
+          record.side || null,
+          record.tokenAddress || null,
+          record.tradeId || null,
+          record.fillId || null,
+          record.status,
+          record.submittedAt,
+          record.confirmedAt || null,
+          record.finalizedAt || null,
+          record.lastValidBlockHeight || null,
+          record.slot || null,
+          execution.feeLamports !== undefined ? execution.feeLamports : null,
+          execution.priorityFeeLamports !== undefined ? execution.priorityFeeLamports : null,
+          execution.computeUnitsConsumed !== undefined ? execution.computeUnitsConsumed : null,
+          record.error || null,
+          Date.now(),
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving transaction ${record.signature}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(true);
           }
-          
-          result.details.push({
-            tradeId: trade.id,
-            tokenSymbol: trade.token_symbol,
-            currentPrice,
-            priceChange: updateResult.priceChange,
-            actions: updateResult.actions,
-            status: 'success'
-          });
-        } catch (error) {
-          logger.error(`Error updating risk parameters for trade ${trade.id}: ${error.message}`);
-          result.errors++;
-          result.details.push({
-            tradeId: trade.id,
-            status: 'error',
-            message: error.message
-          });
         }
-      }
-      
-      return result;
-    } catch (error) {
-      logger.error(`Error in updateAllTradeRiskParameters: ${error.message}`);
-      return {
-        totalTrades: 0,
-        updatedTrades: 0,
-        stopLossTriggered: 0,
-        takeProfitTriggered: 0,
-        partialTakeProfitTriggered: 0,
-        trailingStopUpdated: 0,
-        errors: 1,
-        details: [{ status: 'error', message: error.message }]
-      };
+      );
+    });
+  }
+
+  /**
+   * Query trades with their sell fees, slippage and hold time
+   * @param {Object} filters - Query options
+   * @param {string|Array} filters.status - Status or list of statuses
+   * @param {string} filters.tokenAddress - Token mint address
+   * @param {string} filters.strategy - Strategy that opened the trade
+   * @param {string} filters.provider - DEX provider of the buy or any sell fill (substring match)
+   * @param {number} filters.from - Earliest buy time in ms
+   * @param {number} filters.to - Latest buy time in ms
+   * @param {string} filters.sortBy - 'buy_timestamp', 'sell_timestamp', 'profit_loss', 'profit_loss_percentage' or 'hold_time'
+   * @param {string} filters.sortOrder - 'asc' or 'desc'
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Rows to skip
+   * @returns {Promise<Object>} - { rows, total, limit, offset }
+   */
+  async queryTrades(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.status) {
+      const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+      conditions.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filters.tokenAddress) {
+      conditions.push('t.token_address = ?');
+      params.push(filters.tokenAddress);
+    }
+    if (filters.strategy) {
+      conditions.push('t.strategy = ?');
+      params.push(filters.strategy);
     }
+    if (filters.provider) {
+      conditions.push(`(t.provider LIKE ? OR EXISTS (
+        SELECT 1 FROM trade_fills pf WHERE pf.trade_id = t.id AND pf.provider LIKE ?
+      ))`);
+      params.push(`%${filters.provider}%`, `%${filters.provider}%`);
+    }
+    if (filters.from) {
+      conditions.push('t.buy_timestamp >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('t.buy_timestamp <= ?');
+      params.push(filters.to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    // Column names cannot be bound, so the sort key is mapped from a fixed list
+    const sortColumns = {
+      buy_timestamp: 't.buy_timestamp',
+      sell_timestamp: 't.sell_timestamp',
+      profit_loss: 't.profit_loss',
+      profit_loss_percentage: 't.profit_loss_percentage',
+      hold_time: 'hold_time_ms',
+    };
+    const sortColumn = sortColumns[filters.sortBy] || 't.buy_timestamp';
+    const sortOrder = String(filters.sortOrder).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    const limit = Math.max(1, Math.min(parseInt(filters.limit) || 20, 500));
+    const offset = Math.max(0, parseInt(filters.offset) || 0);
+
+    const total = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) as count FROM trades t ${where}`, params, (err, row) => {
+        if (err) {
+          logger.error(`Error counting trades: ${err.message}`);
+          reject(err);
+        } else {
+          resolve(row.count);
+        }
+      });
+    });
+
+    const rows = await new Promise((resolve, reject) => {
+      this.db.all(
+        `
+        SELECT
+          t.*,
+          COALESCE(t.sell_timestamp, ?) - t.buy_timestamp as hold_time_ms,
+          f.fill_count,
+          f.sell_fees_sol,
+          f.sell_slippage_percent,
+          f.sell_providers
+        FROM trades t
+        LEFT JOIN (
+          SELECT
+            trade_id,
+            COUNT(*) as fill_count,
+            SUM(fees_sol) as sell_fees_sol,
+            AVG(slippage_percent) as sell_slippage_percent,
+            GROUP_CONCAT(DISTINCT provider) as sell_providers
+          FROM trade_fills
+          GROUP BY trade_id
+        ) f ON f.trade_id = t.id
+        ${where}
+        ORDER BY ${sortColumn} IS NULL, ${sortColumn} ${sortOrder}, t.id DESC
+        LIMIT ? OFFSET ?
+        `,
+        [Date.now(), ...params, limit, offset],
+        (err, resultRows) => {
+          if (err) {
+            logger.error(`Error querying trades: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(resultRows);
+          }
+        }
+      );
+    });
+
+    return { rows, total, limit, offset };
   }
+
   /**
-   * Generate a risk management report for a specific trade
+   * Check and update trade risk parameters based on current prices
    * @param {number} tradeId - The trade ID
-   * @returns {Promise<Object>} - Risk management report
+   * @param {number} currentPrice - Current token price
+   * @returns {Promise<Object>} - Updated trade status and actions taken
    */
-  async generateTradeRiskReport(tradeId) {
+  async checkAndUpdateTradeRiskParameters(tradeId, currentPrice) {
     try {
       // Get trade data
       const trade = await this.getTradeById(tradeId);
-      if (!trade) {
-        throw new Error('Trade not found');
+      if (!trade || trade.status !== 'ACTIVE') {
+        return { success: false, message: 'Trade not found or not active' };
       }
       
-      // Get token data
-      const tokenData = await this.getToken(trade.token_address);
-      if (!tokenData) {
-        throw new Error('Token not found');
-      }
+      // Get risk settings
+      const riskSettings = await this.getRiskSettings();
       
-      // Get current price (in a real implementation, this would come from an API)
-      const currentPrice = tokenData.price_usd || trade.buy_price;
+      const result = {
+        tradeId,
+        tokenAddress: trade.token_address,
+        currentPrice,
+        buyPrice: trade.buy_price,
+        priceChange: ((currentPrice - trade.buy_price) / trade.buy_price) * 100, // percentage
+        actions: [],
+        stopLossTriggered: false,
+        takeProfitTriggered: false,
+        partialTakeProfitTriggered: false,
+        trailingStopUpdated: false
+      };
       
-      // Calculate profit/loss
-      const profitLossPercentage = ((currentPrice - trade.buy_price) / trade.buy_price) * 100;
-      const profitLoss = (trade.buy_amount / trade.buy_price) * (currentPrice - trade.buy_price);
+      // Update max price reached if current price is higher
+      let maxPriceReached = trade.max_price_reached || trade.buy_price;
+      if (currentPrice > maxPriceReached) {
+        maxPriceReached = currentPrice;
+        await this.updateTradeRiskParameters(tradeId, { maxPriceReached });
+        result.actions.push('Updated max price reached');
+      }
       
-      // Get risk settings
-      const riskSettings = await this.getRiskSettings();
+      // Check for stop loss
+      if (trade.current_stop_loss && currentPrice <= trade.current_stop_loss) {
+        result.stopLossTriggered = true;
+        result.actions.push(`Stop-loss triggered at ${trade.current_stop_loss}`);
+        return result;
+      }
       
-      // Parse partial take profits if available
-      let partialTakeProfits = [];
+      // Check for take profit
+      if (trade.current_take_profit && currentPrice >= trade.current_take_profit) {
+        result.takeProfitTriggered = true;
+        result.actions.push(`Take-profit triggered at ${trade.current_take_profit}`);
+        return result;
+      }
+      
+      // Check for partial take profits
       if (trade.partial_take_profits) {
         try {
-          partialTakeProfits = JSON.parse(trade.partial_take_profits);
-        } catch (e) {
-          logger.warn(`Error parsing partial take profits: ${e.message}`);
+          const partialTakeProfits = JSON.parse(trade.partial_take_profits);
+          const executedLevels = trade.partial_take_profits_executed ? 
+            JSON.parse(trade.partial_take_profits_executed) : [];
+          
+          let updatedExecutedLevels = false;
+          
+          for (const level of partialTakeProfits) {
+            // Calculate price at this take-profit level
+            const takeProfitPrice = trade.buy_price * (1 + (level.percentage / 100));
+            
+            // Check if this level is already executed
+            const alreadyExecuted = executedLevels.some(exec => exec.percentage === level.percentage);
+            
+            // If price reached this level and not already executed, mark it for execution
+            if (!alreadyExecuted && currentPrice >= takeProfitPrice) {
+              executedLevels.push({
+                percentage: level.percentage,
+                portion: level.portion,
+                price: currentPrice,
+                timestamp: Date.now()
+              });
+              
+              updatedExecutedLevels = true;
+              result.partialTakeProfitTriggered = true;
+              result.actions.push(`Partial take-profit triggered at ${level.percentage}% (${level.portion * 100}% of position)`);
+            }
+          }
+          
+          if (updatedExecutedLevels) {
+            await this.updateTradeRiskParameters(tradeId, { 
+              partialTakeProfitsExecuted: JSON.stringify(executedLevels) 
+            });
+          }
+        } catch (error) {
+          logger.error(`Error processing partial take-profits: ${error.message}`);
         }
       }
       
-      // Parse executed partial take profits if available
-      let executedPartialTakeProfits = [];
-      if (trade.partial_take_profits_executed) {
-        try {
-          executedPartialTakeProfits = JSON.parse(trade.partial_take_profits_executed);
-        } catch (e) {
-          logger.warn(`Error parsing executed partial take profits: ${e.message}`);
+      // Check for trailing stop activation and updates
+      if (trade.trailing_stop_distance && !trade.trailing_stop_active) {
+        // Calculate activation threshold
+        const activationThreshold = trade.buy_price * (1 + (riskSettings.trailing_stop_activation_percentage / 100));
+        
+        // If price reached activation threshold, activate trailing stop
+        if (currentPrice >= activationThreshold) {
+          // Calculate initial trailing stop price
+          const trailingStopPrice = currentPrice * (1 - (trade.trailing_stop_distance / 100));
+          
+          await this.updateTradeRiskParameters(tradeId, { 
+            trailingStopActive: true,
+            trailingStopActivationPrice: currentPrice,
+            currentStopLoss: trailingStopPrice
+          });
+          
+          result.trailingStopUpdated = true;
+          result.actions.push(`Trailing stop activated at ${trailingStopPrice}`);
+        }
+      } 
+      // Update trailing stop if already active
+      else if (trade.trailing_stop_active && trade.trailing_stop_distance) {
+        // Calculate potential new stop loss based on current price
+        const potentialStopLoss = currentPrice * (1 - (trade.trailing_stop_distance / 100));
+        
+        // Only move stop loss up, never down
+        if (potentialStopLoss > trade.current_stop_loss) {
+          await this.updateTradeRiskParameters(tradeId, { currentStopLoss: potentialStopLoss });
+          
+          result.trailingStopUpdated = true;
+          result.actions.push(`Trailing stop updated to ${potentialStopLoss}`);
         }
       }
       
-      // Calculate distance to stop loss and take profit
-      const stopLossDistance = trade.current_stop_loss ? 
-        ((trade.current_stop_loss - currentPrice) / currentPrice) * 100 : null;
-      
-      const takeProfitDistance = trade.current_take_profit ? 
-        ((trade.current_take_profit - currentPrice) / currentPrice) * 100 : null;
-      
-      // Calculate risk-to-reward ratio
-      const riskToReward = (trade.current_stop_loss && trade.current_take_profit) ?
-        Math.abs((trade.current_take_profit - currentPrice) / (currentPrice - trade.current_stop_loss)) : null;
+      // Update last price check timestamp
+      await this.updateTradeRiskParameters(tradeId, { lastPriceCheckTimestamp: Date.now() });
       
-      // Generate report
-      return {
-        tradeId,
-        tokenAddress: trade.token_address,
-        tokenSymbol: trade.token_symbol,
-        tokenName: trade.token_name,
-        buyPrice: trade.buy_price,
-        buyAmount: trade.buy_amount,
-        buyTimestamp: trade.buy_timestamp,
-        currentPrice,
-        profitLoss,
-        profitLossPercentage,
-        status: trade.status,
-        riskLevel: trade.risk_level,
-        volatilityMeasure: trade.volatility_measure,
-        initialStopLoss: trade.initial_stop_loss,
-        currentStopLoss: trade.current_stop_loss,
-        stopLossDistance,
-        initialTakeProfit: trade.initial_take_profit,
-        currentTakeProfit: trade.current_take_profit,
-        takeProfitDistance,
-        trailingStopActive: Boolean(trade.trailing_stop_active),
-        trailingStopDistance: trade.trailing_stop_distance,
-        trailingStopActivationPrice: trade.trailing_stop_activation_price,
-        maxPriceReached: trade.max_price_reached,
-        riskToReward,
-        partialTakeProfits,
-        executedPartialTakeProfits,
-        positionSizeFactor: trade.position_size_factor,
-        lastPriceCheck: trade.last_price_check_timestamp,
-        recommendations: []
+      return result;
+    } catch (error) {
+      logger.error(`Error checking trade risk parameters: ${error.message}`);
+      return { success: false, message: error.message };
+    }
+  }
+
+  /**
+   * Get trade by ID
+   * @param {number} tradeId - The trade ID
+   * @returns {Promise<Object>} - Trade data
+   */
+  async getTradeById(tradeId) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM trades WHERE id = ?',
+        [tradeId],
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching trade by ID: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Calculate optimal position size based on risk parameters
+   * @param {string} tokenAddress - The token address
+   * @param {Object} riskParams - Risk parameters (optional, will be calculated if not provided)
+   * @returns {Promise<Object>} - Position sizing recommendations
+   */
+  async calculateOptimalPositionSize(tokenAddress, riskParams = null) {
+    try {
+      // Get risk settings
+      const riskSettings = await this.getRiskSettings();
+      
+      // Get or calculate risk parameters
+      const params = riskParams || await this.calculateDynamicRiskParameters(tokenAddress);
+      
+      // Get portfolio stats
+      const portfolioStats = await this.getPortfolioStats();
+      const portfolioValue = portfolioStats.totalValue || 1000; // Default if not available
+      
+      // Calculate base position size
+      let positionSize = parseFloat(riskSettings.base_position_size);
+      
+      // Adjust based on risk level and position size factor
+      positionSize *= params.positionSizeFactor;
+      
+      // Ensure position size is within limits
+      positionSize = Math.min(positionSize, parseFloat(riskSettings.max_position_size));
+      positionSize = Math.max(positionSize, parseFloat(riskSettings.min_position_size));
+      
+      // Check portfolio risk limits
+      const activeTradesValue = portfolioStats.activeTradesValue || 0;
+      const maxRiskAmount = portfolioValue * (parseFloat(riskSettings.max_portfolio_risk_percentage) / 100);
+      const availableRiskAmount = maxRiskAmount - activeTradesValue;
+      
+      if (availableRiskAmount < positionSize) {
+        // Reduce position size to fit within risk limits
+        positionSize = Math.max(availableRiskAmount, parseFloat(riskSettings.min_position_size));
+      }
+      
+      // Calculate dollar risk (amount that would be lost if stop loss is hit)
+      const dollarRisk = positionSize * (params.stopLossPercentage / 100);
+      
+      // Calculate risk-to-reward ratio
+      const riskRewardRatio = params.takeProfitPercentage / params.stopLossPercentage;
+      
+      return {
+        recommendedPositionSize: positionSize,
+        positionSizeFactor: params.positionSizeFactor,
+        dollarRisk,
+        riskRewardRatio,
+        portfolioRiskPercentage: (dollarRisk / portfolioValue) * 100,
+        riskLevel: params.riskLevel
       };
     } catch (error) {
-      logger.error(`Error generating trade risk report: ${error.message}`);
+      logger.error(`Error calculating optimal position size: ${error.message}`);
+      // Return default values
       return {
-        tradeId,
-        error: error.message,
-        recommendations: ['Unable to generate risk report due to an error']
+        recommendedPositionSize: parseFloat(await this.getRiskSetting('base_position_size') || 100),
+        positionSizeFactor: 1.0,
+        dollarRisk: 5.0, // 5% of position
+        riskRewardRatio: 4.0, // 4:1 reward to risk
+        portfolioRiskPercentage: 1.0,
+        riskLevel: 'MEDIUM'
       };
     }
   }
 
-  async saveToken(tokenData) {
-    return new Promise((resolve, reject) => {
-      const {
-        address,
-        name,
-        symbol,
-        decimals,
-        liquidity,
-        volume24h,
-        priceUsd,
-        priceChange24h,
-        holders,
-        isVerified,
-        isMintable,
-        isBlacklisted,
-        sourceCodeVerified,
-        contractAuditStatus,
-        feeStructure,
-        ownershipRenounced,
-        hasMintFunction,
-        hasBlacklistFunction,
-        hasFeeChangeFunction,
-        liquidityDepth,
-        liquidityConcentration,
-        marketCondition
-      } = tokenData;
+  /**
+   * Get portfolio statistics
+   * @returns {Promise<Object>} - Portfolio statistics
+   */
+  async getPortfolioStats() {
+    try {
+      // Get active trades
+      const activeTrades = await this.getActiveTrades();
+      
+      // Calculate active trades value
+      const activeTradesValue = activeTrades.reduce((sum, trade) => {
+        return sum + (trade.buy_amount || 0);
+      }, 0);
+      
+      // Get closed trades
+      const closedTrades = await new Promise((resolve, reject) => {
+        this.db.all(
+          'SELECT * FROM trades WHERE status = "CLOSED"',
+          (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(rows);
+            }
+          }
+        );
+      });
+      
+      // Calculate total profit/loss
+      const totalProfitLoss = closedTrades.reduce((sum, trade) => {
+        return sum + (trade.profit_loss || 0);
+      }, 0);
+      
+      // Calculate win rate
+      const winningTrades = closedTrades.filter(trade => (trade.profit_loss || 0) > 0).length;
+      const winRate = closedTrades.length > 0 ? (winningTrades / closedTrades.length) * 100 : 0;
+      
+      // Calculate average profit/loss percentage
+      const avgProfitLossPercentage = closedTrades.length > 0 ?
+        closedTrades.reduce((sum, trade) => sum + (trade.profit_loss_percentage || 0), 0) / closedTrades.length :
+        0;
+      
+      // Estimate total portfolio value (this would typically come from wallet balance)
+      // For now, we'll use a simple estimate based on active trades and total profit/loss
+      const totalValue = activeTradesValue + totalProfitLoss + 1000; // Adding 1000 as base capital
+      
+      return {
+        totalValue,
+        activeTradesValue,
+        totalProfitLoss,
+        winRate,
+        avgProfitLossPercentage,
+        activeTrades: activeTrades.length,
+        closedTrades: closedTrades.length
+      };
+    } catch (error) {
+      logger.error(`Error calculating portfolio stats: ${error.message}`);
+      return {
+        totalValue: 1000,
+        activeTradesValue: 0,
+        totalProfitLoss: 0,
+        winRate: 0,
+        avgProfitLossPercentage: 0,
+        activeTrades: 0,
+        closedTrades: 0
+      };
+    }
+  }
 
-      // First check if the table has all required columns
-      this.db.all("PRAGMA table_info(tokens)", (err, rows) => {
-        if (err) {
-          logger.error(`Error checking tokens table schema: ${err.message}`);
-          reject(err);
-          return;
+  async getActiveTrades() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        'SELECT * FROM trades WHERE status = "ACTIVE"',
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching active trades: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
         }
-        
-        // Get column names
-        const columnNames = rows.map(col => col.name);
-        
-        // Build a dynamic query based on available columns
-        let columns = [
-          'address', 'name', 'symbol', 'decimals', 'liquidity', 'volume_24h', 'price_usd',
-          'price_change_24h', 'holders', 'is_verified', 'is_mintable', 'is_blacklisted',
-          'first_seen_timestamp', 'last_updated_timestamp'
-        ];
-        
-        let placeholders = ['?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?', 
-                           'COALESCE((SELECT first_seen_timestamp FROM tokens WHERE address = ?), ?)',
-                           '?'];
-        
-        let values = [
-          address,
-          name,
-          symbol,
-          decimals,
-          liquidity,
-          volume24h,
-          priceUsd,
-          priceChange24h,
-          holders,
-          isVerified ? 1 : 0,
-          isMintable ? 1 : 0,
-          isBlacklisted ? 1 : 0,
-          address,
-          Date.now(), // firstSeen
-          Date.now()  // lastUpdated
-        ];
-        
-        // Add optional columns if they exist in the table
-        const optionalColumns = [
-          { name: 'token_age_days', value: this.calculateTokenAge(address) },
-          { name: 'source_code_verified', value: sourceCodeVerified ? 1 : 0 },
-          { name: 'contract_audit_status', value: contractAuditStatus || null },
-          { name: 'fee_structure', value: feeStructure ? JSON.stringify(feeStructure) : null },
+      );
+    });
+  }
+  
+  /**
+   * Get trades that need risk management checks
+   * @param {number} checkIntervalMs - Time interval in milliseconds
+   * @returns {Promise<Array>} - Array of trades needing checks
+   */
+  async getTradesNeedingRiskChecks(checkIntervalMs = 60000) {
+    return new Promise((resolve, reject) => {
+      const cutoffTime = Date.now() - checkIntervalMs;
+      
+      this.db.all(
+        `SELECT * FROM trades 
+         WHERE status = "ACTIVE" AND 
+         (last_price_check_timestamp IS NULL OR last_price_check_timestamp < ?)`,
+        [cutoffTime],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching trades needing risk checks: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  // Token operations
+  /**
+   * Update risk parameters for all active trades
+   * @returns {Promise<Object>} - Summary of updates
+   */
+  async updateAllTradeRiskParameters() {
+    try {
+      // Get all active trades
+      const activeTrades = await this.getActiveTrades();
+      
+      const result = {
+        totalTrades: activeTrades.length,
+        updatedTrades: 0,
+        stopLossTriggered: 0,
+        takeProfitTriggered: 0,
+        partialTakeProfitTriggered: 0,
+        trailingStopUpdated: 0,
+        errors: 0,
+        details: []
+      };
+      
+      // Process each trade
+      for (const trade of activeTrades) {
+        try {
+          // Get current price (in a real implementation, this would come from an API)
+          const tokenData = await this.getToken(trade.token_address);
+          if (!tokenData) {
+            result.errors++;
+            result.details.push({
+              tradeId: trade.id,
+              status: 'error',
+              message: 'Token not found'
+            });
+            continue;
+          }
+          
+          const currentPrice = tokenData.price_usd || trade.buy_price;
+          
+          // Check and update risk parameters
+          const updateResult = await this.checkAndUpdateTradeRiskParameters(trade.id, currentPrice);
+          
+          // Update summary
+          if (updateResult.stopLossTriggered) {
+            result.stopLossTriggered++;
+          }
+          
+          if (updateResult.takeProfitTriggered) {
+            result.takeProfitTriggered++;
+          }
+          
+          if (updateResult.partialTakeProfitTriggered) {
+            result.partialTakeProfitTriggered++;
+          }
+          
+          if (updateResult.trailingStopUpdated) {
+            result.trailingStopUpdated++;
+          }
+          
+          if (updateResult.actions && updateResult.actions.length > 0) {
+            result.updatedTrades++;
+          }
+          
+          result.details.push({
+            tradeId: trade.id,
+            tokenSymbol: trade.token_symbol,
+            currentPrice,
+            priceChange: updateResult.priceChange,
+            actions: updateResult.actions,
+            status: 'success'
+          });
+        } catch (error) {
+          logger.error(`Error updating risk parameters for trade ${trade.id}: ${error.message}`);
+          result.errors++;
+          result.details.push({
+            tradeId: trade.id,
+            status: 'error',
+            message: error.message
+          });
+        }
+      }
+      
+      return result;
+    } catch (error) {
+      logger.error(`Error in updateAllTradeRiskParameters: ${error.message}`);
+      return {
+        totalTrades: 0,
+        updatedTrades: 0,
+        stopLossTriggered: 0,
+        takeProfitTriggered: 0,
+        partialTakeProfitTriggered: 0,
+        trailingStopUpdated: 0,
+        errors: 1,
+        details: [{ status: 'error', message: error.message }]
+      };
+    }
+  }
+  /**
+   * Generate a risk management report for a specific trade
+   * @param {number} tradeId - The trade ID
+   * @returns {Promise<Object>} - Risk management report
+   */
+  async generateTradeRiskReport(tradeId) {
+    try {
+      // Get trade data
+      const trade = await this.getTradeById(tradeId);
+      if (!trade) {
+        throw new Error('Trade not found');
+      }
+      
+      // Get token data
+      const tokenData = await this.getToken(trade.token_address);
+      if (!tokenData) {
+        throw new Error('Token not found');
+      }
+      
+      // Get current price (in a real implementation, this would come from an API)
+      const currentPrice = tokenData.price_usd || trade.buy_price;
+      
+      // Calculate profit/loss
+      const profitLossPercentage = ((currentPrice - trade.buy_price) / trade.buy_price) * 100;
+      const profitLoss = (trade.buy_amount / trade.buy_price) * (currentPrice - trade.buy_price);
+      
+      // Get risk settings
+      const riskSettings = await this.getRiskSettings();
+      
+      // Parse partial take profits if available
+      let partialTakeProfits = [];
+      if (trade.partial_take_profits) {
+        try {
+          partialTakeProfits = JSON.parse(trade.partial_take_profits);
+        } catch (e) {
+          logger.warn(`Error parsing partial take profits: ${e.message}`);
+        }
+      }
+      
+      // Parse executed partial take profits if available
+      let executedPartialTakeProfits = [];
+      if (trade.partial_take_profits_executed) {
+        try {
+          executedPartialTakeProfits = JSON.parse(trade.partial_take_profits_executed);
+        } catch (e) {
+          logger.warn(`Error parsing executed partial take profits: ${e.message}`);
+        }
+      }
+      
+      // Calculate distance to stop loss and take profit
+      const stopLossDistance = trade.current_stop_loss ? 
+        ((trade.current_stop_loss - currentPrice) / currentPrice) * 100 : null;
+      
+      const takeProfitDistance = trade.current_take_profit ? 
+        ((trade.current_take_profit - currentPrice) / currentPrice) * 100 : null;
+      
+      // Calculate risk-to-reward ratio
+      const riskToReward = (trade.current_stop_loss && trade.current_take_profit) ?
+        Math.abs((trade.current_take_profit - currentPrice) / (currentPrice - trade.current_stop_loss)) : null;
+      
+      // Generate report
+      return {
+        tradeId,
+        tokenAddress: trade.token_address,
+        tokenSymbol: trade.token_symbol,
+        tokenName: trade.token_name,
+        buyPrice: trade.buy_price,
+        buyAmount: trade.buy_amount,
+        buyTimestamp: trade.buy_timestamp,
+        currentPrice,
+        profitLoss,
+        profitLossPercentage,
+        status: trade.status,
+        riskLevel: trade.risk_level,
+        volatilityMeasure: trade.volatility_measure,
+        initialStopLoss: trade.initial_stop_loss,
+        currentStopLoss: trade.current_stop_loss,
+        stopLossDistance,
+        initialTakeProfit: trade.initial_take_profit,
+        currentTakeProfit: trade.current_take_profit,
+        takeProfitDistance,
+        trailingStopActive: Boolean(trade.trailing_stop_active),
+        trailingStopDistance: trade.trailing_stop_distance,
+        trailingStopActivationPrice: trade.trailing_stop_activation_price,
+        maxPriceReached: trade.max_price_reached,
+        riskToReward,
+        partialTakeProfits,
+        executedPartialTakeProfits,
+        positionSizeFactor: trade.position_size_factor,
+        lastPriceCheck: trade.last_price_check_timestamp,
+        recommendations: []
+      };
+    } catch (error) {
+      logger.error(`Error generating trade risk report: ${error.message}`);
+      return {
+        tradeId,
+        error: error.message,
+        recommendations: ['Unable to generate risk report due to an error']
+      };
+    }
+  }
+
+  async saveToken(tokenData) {
+    return new Promise((resolve, reject) => {
+      const {
+        address,
+        name,
+        symbol,
+        decimals,
+        liquidity,
+        volume24h,
+        priceUsd,
+        priceChange24h,
+        holders,
+        isVerified,
+        isMintable,
+        isBlacklisted,
+        sourceCodeVerified,
+        contractAuditStatus,
+        feeStructure,
+        ownershipRenounced,
+        hasMintFunction,
+        hasBlacklistFunction,
+        hasFeeChangeFunction,
+        liquidityDepth,
+        liquidityConcentration,
+        marketCondition,
+        tokenProgram,
+        freezeAuthority,
+        extensions,
+        extensionRiskScore
+      } = tokenData;
+
+      // First check if the table has all required columns
+      this.db.all("PRAGMA table_info(tokens)", (err, rows) => {
+        if (err) {
+          logger.error(`Error checking tokens table schema: ${err.message}`);
+          reject(err);
+          return;
+        }
+        
+        // Get column names
+        const columnNames = rows.map(col => col.name);
+        
+        // Build a dynamic query based on available columns
+        let columns = [
+          'address', 'name', 'symbol', 'decimals', 'liquidity', 'volume_24h', 'price_usd',
+          'price_change_24h', 'holders', 'is_verified', 'is_mintable', 'is_blacklisted',
+          'first_seen_timestamp', 'last_updated_timestamp'
+        ];
+        
+        // is_blacklisted is kept unless the caller says otherwise; tokenLists keeps it in step with the blacklist
+        let placeholders = ['?', '?', '?', '?', '?', '?', '?', '?', '?', '?', '?',
+                           'COALESCE(?, (SELECT is_blacklisted FROM tokens WHERE address = ?), 0)',
+                           'COALESCE((SELECT first_seen_timestamp FROM tokens WHERE address = ?), ?)',
+                           '?'];
+        
+        let values = [
+          address,
+          name,
+          symbol,
+          decimals,
+          liquidity,
+          volume24h,
+          priceUsd,
+          priceChange24h,
+          holders,
+          isVerified ? 1 : 0,
+          isMintable ? 1 : 0,
+          isBlacklisted === undefined ? null : (isBlacklisted ? 1 : 0),
+          address,
+          address,
+          Date.now(), // firstSeen
+          Date.now()  // lastUpdated
+        ];
+        
+        // Add optional columns if they exist in the table
+        const optionalColumns = [
+          { name: 'token_age_days', value: this.calculateTokenAge(address) },
+          { name: 'source_code_verified', value: sourceCodeVerified ? 1 : 0 },
+          { name: 'contract_audit_status', value: contractAuditStatus || null },
+          { name: 'fee_structure', value: feeStructure ? JSON.stringify(feeStructure) : null },
           { name: 'ownership_renounced', value: ownershipRenounced ? 1 : 0 },
           { name: 'has_mint_function', value: hasMintFunction ? 1 : 0 },
           { name: 'has_blacklist_function', value: hasBlacklistFunction ? 1 : 0 },
           { name: 'has_fee_change_function', value: hasFeeChangeFunction ? 1 : 0 },
           { name: 'liquidity_depth', value: liquidityDepth ? JSON.stringify(liquidityDepth) : null },
           { name: 'liquidity_concentration', value: liquidityConcentration || 0 },
-          { name: 'market_condition', value: marketCondition || 'UNKNOWN' }
+          { name: 'market_condition', value: marketCondition || 'UNKNOWN' },
+          // Written by saveTokenExtensions; kept when the caller has nothing newer
+          { name: 'token_program', value: tokenProgram || null, preserve: true },
+          { name: 'freeze_authority', value: freezeAuthority || null, preserve: true },
+          { name: 'token_extensions', value: extensions ? JSON.stringify(extensions) : null, preserve: true },
+          { name: 'extension_risk_score', value: extensionRiskScore !== undefined ? extensionRiskScore : null, preserve: true },
+          // Written by saveTokenLpStatus
+          { name: 'lp_burned_percent', value: null, preserve: true },
+          { name: 'lp_locked_percent', value: null, preserve: true },
+          { name: 'lp_lock_expires_timestamp', value: null, preserve: true },
+          { name: 'lp_status', value: null, preserve: true }
         ];
         
         for (const col of optionalColumns) {
           if (columnNames.includes(col.name)) {
             columns.push(col.name);
-            placeholders.push('?');
-            values.push(col.value);
+            if (col.preserve) {
+              placeholders.push(`COALESCE(?, (SELECT ${col.name} FROM tokens WHERE address = ?))`);
+              values.push(col.value, address);
+            } else {
+              placeholders.push('?');
+              values.push(col.value);
+            }
+          }
+        }
+        
+        // Build and execute the query
+        const query = `
+          INSERT OR REPLACE INTO tokens (
+            ${columns.join(', ')}
+          ) VALUES (
+            ${placeholders.join(', ')}
+          )
+        `;
+        
+        this.db.run(query, values, function (err) {
+          if (err) {
+            logger.error(`Error saving token: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(true);
+          }
+        });
+      });
+    });
+  }
+  
+  /**
+   * Calculate token age in days
+   * @param {string} tokenAddress - The token address
+   * @returns {number} - Token age in days
+   */
+  calculateTokenAge(tokenAddress) {
+    try {
+      // Default to 0 for new tokens
+      let tokenAgeDays = 0;
+      
+      // Try to get the existing first_seen_timestamp
+      this.db.get('SELECT first_seen_timestamp FROM tokens WHERE address = ?', [tokenAddress], (err, row) => {
+        if (!err && row && row.first_seen_timestamp) {
+          // Calculate age based on existing timestamp
+          tokenAgeDays = (Date.now() - row.first_seen_timestamp) / (1000 * 60 * 60 * 24);
+        }
+      });
+      
+      return tokenAgeDays;
+    } catch (error) {
+      logger.warn(`Error calculating token age: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async getToken(address) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        'SELECT * FROM tokens WHERE address = ?',
+        [address],
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching token: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Record a token's mint program, freeze authority and Token-2022 extensions
+   * Creates the token's row if the scanner has not saved it yet
+   * @param {string} address - Token mint address
+   * @param {Object} analysis - { tokenProgram, freezeAuthority, extensions, extensionRiskScore }
+   */
+  async saveTokenExtensions(address, analysis) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+
+      this.db.run(
+        `INSERT INTO tokens (
+          address, token_program, freeze_authority, token_extensions, extension_risk_score,
+          first_seen_timestamp, last_updated_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(address) DO UPDATE SET
+          token_program = excluded.token_program,
+          freeze_authority = excluded.freeze_authority,
+          token_extensions = excluded.token_extensions,
+          extension_risk_score = excluded.extension_risk_score`,
+        [
+          address,
+          analysis.tokenProgram || null,
+          analysis.freezeAuthority || null,
+          JSON.stringify(analysis.extensions || []),
+          analysis.extensionRiskScore,
+          now,
+          now,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving token extensions for ${address}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Record the burned and locked shares of a token's LP
+   * Creates the token's row if the scanner has not saved it yet
+   * @param {string} address - Token mint address
+   * @param {Object} lpStatus - Result of lpLockAnalyzer.analyze
+   */
+  async saveTokenLpStatus(address, lpStatus) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+
+      this.db.run(
+        `INSERT INTO tokens (
+          address, lp_burned_percent, lp_locked_percent, lp_lock_expires_timestamp, lp_status,
+          first_seen_timestamp, last_updated_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(address) DO UPDATE SET
+          lp_burned_percent = excluded.lp_burned_percent,
+          lp_locked_percent = excluded.lp_locked_percent,
+          lp_lock_expires_timestamp = excluded.lp_lock_expires_timestamp,
+          lp_status = excluded.lp_status`,
+        [
+          address,
+          lpStatus.burnedPercent !== undefined ? lpStatus.burnedPercent : null,
+          lpStatus.lockedPercent !== undefined ? lpStatus.lockedPercent : null,
+          lpStatus.lockExpiresTimestamp || null,
+          JSON.stringify({
+            poolAddress: lpStatus.poolAddress,
+            lpMint: lpStatus.lpMint,
+            passes: lpStatus.passes,
+            securePercent: lpStatus.securePercent,
+            locks: lpStatus.locks,
+            reasons: lpStatus.reasons,
+          }),
+          now,
+          now,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving LP status for ${address}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  // Event logging
+  async logEvent(eventType, description, data = null) {
+    return new Promise((resolve, reject) => {
+      const stmt = this.db.prepare(`
+        INSERT INTO events (event_type, description, timestamp, data)
+        VALUES (?, ?, ?, ?)
+      `);
+
+      stmt.run(
+        eventType,
+        description,
+        Date.now(),
+        data ? JSON.stringify(data) : null,
+        function (err) {
+          if (err) {
+            logger.error(`Error logging event: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(this.lastID);
+          }
+        }
+      );
+
+      stmt.finalize();
+    });
+  }
+
+  // Performance metrics
+  async getTradingStats() {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `
+        SELECT 
+          COUNT(*) as total_trades,
+          SUM(CASE WHEN status = 'ACTIVE' THEN 1 ELSE 0 END) as active_trades,
+          SUM(CASE WHEN status = 'CLOSED' THEN 1 ELSE 0 END) as closed_trades,
+          SUM(profit_loss) as total_profit_loss,
+          AVG(CASE WHEN profit_loss IS NOT NULL THEN profit_loss_percentage ELSE NULL END) as avg_profit_loss_percentage,
+          SUM(CASE WHEN profit_loss > 0 THEN 1 ELSE 0 END) as profitable_trades,
+          SUM(CASE WHEN profit_loss < 0 THEN 1 ELSE 0 END) as unprofitable_trades
+        FROM trades
+        `,
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching trading stats: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get all paper trading ledger balances
+   * @returns {Promise<Array>} - Rows of { asset, amount, last_updated_timestamp }
+   */
+  async getPaperBalances() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM paper_balances`,
+        [],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching paper balances: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Set a paper trading ledger balance
+   * @param {string} asset - 'SOL' or a token mint address
+   * @param {number} amount - New balance
+   * @returns {Promise<void>}
+   */
+  async setPaperBalance(asset, amount) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO paper_balances (asset, amount, last_updated_timestamp)
+         VALUES (?, ?, ?)
+         ON CONFLICT(asset) DO UPDATE SET amount = excluded.amount, last_updated_timestamp = excluded.last_updated_timestamp`,
+        [asset, amount, Date.now()],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving paper balance: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get every token execution profile
+   * @returns {Promise<Array>} - Profile rows
+   */
+  async getTokenProfiles() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM token_profiles ORDER BY token_address`,
+        [],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching token profiles: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Insert or replace a token execution profile
+   * @param {Object} profile - Profile in registry shape (camelCase)
+   * @returns {Promise<void>}
+   */
+  async saveTokenProfile(profile) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+
+      this.db.run(
+        `INSERT INTO token_profiles (
+          token_address, symbol, forced_venue, default_slippage_percent, min_slippage_percent,
+          max_slippage_percent, max_size_sol, status, notes, created_timestamp, last_updated_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(token_address) DO UPDATE SET
+          symbol = excluded.symbol,
+          forced_venue = excluded.forced_venue,
+          default_slippage_percent = excluded.default_slippage_percent,
+          min_slippage_percent = excluded.min_slippage_percent,
+          max_slippage_percent = excluded.max_slippage_percent,
+          max_size_sol = excluded.max_size_sol,
+          status = excluded.status,
+          notes = excluded.notes,
+          last_updated_timestamp = excluded.last_updated_timestamp`,
+        [
+          profile.tokenAddress,
+          profile.symbol || null,
+          profile.forcedVenue || null,
+          profile.defaultSlippagePercent !== undefined ? profile.defaultSlippagePercent : null,
+          profile.minSlippagePercent !== undefined ? profile.minSlippagePercent : null,
+          profile.maxSlippagePercent !== undefined ? profile.maxSlippagePercent : null,
+          profile.maxSizeSol !== undefined ? profile.maxSizeSol : null,
+          profile.status || 'allowed',
+          profile.notes || null,
+          now,
+          now,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving token profile ${profile.tokenAddress}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get the entries of the token blacklist and whitelist
+   * @param {string|null} listType - 'blacklist', 'whitelist' or null for both
+   * @returns {Promise<Array>} - token_lists rows
+   */
+  async getTokenListEntries(listType = null) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM token_lists ${listType ? 'WHERE list_type = ?' : ''} ORDER BY list_type, created_timestamp`,
+        listType ? [listType] : [],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching token list entries: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Put a token on the blacklist or whitelist, taking it off the other one
+   * @param {Object} entry - { tokenAddress, list, reason, source, expiresTimestamp, createdTimestamp }
+   * @returns {Promise<void>}
+   */
+  async saveTokenListEntry(entry) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+
+      this.db.run(
+        `INSERT INTO token_lists (
+          token_address, list_type, reason, source, expires_timestamp, created_timestamp, last_updated_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(token_address) DO UPDATE SET
+          list_type = excluded.list_type,
+          reason = excluded.reason,
+          source = excluded.source,
+          expires_timestamp = excluded.expires_timestamp,
+          last_updated_timestamp = excluded.last_updated_timestamp`,
+        [
+          entry.tokenAddress,
+          entry.list,
+          entry.reason || null,
+          entry.source,
+          entry.expiresTimestamp || null,
+          entry.createdTimestamp || now,
+          now,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving token list entry ${entry.tokenAddress}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Take a token off the blacklist or whitelist
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<boolean>} - Whether an entry was deleted
+   */
+  async deleteTokenListEntry(tokenAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM token_lists WHERE token_address = ?`,
+        [tokenAddress],
+        function(err) {
+          if (err) {
+            logger.error(`Error deleting token list entry ${tokenAddress}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Set a stored token's is_blacklisted flag; tokens not in the tokens table are left alone
+   * @param {string} tokenAddress - Token mint address
+   * @param {boolean} isBlacklisted - Flag value
+   * @returns {Promise<void>}
+   */
+  async setTokenBlacklisted(tokenAddress, isBlacklisted) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE tokens SET is_blacklisted = ? WHERE address = ?`,
+        [isBlacklisted ? 1 : 0, tokenAddress],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating blacklist flag of ${tokenAddress}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Delete a token execution profile
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<boolean>} - Whether a profile was deleted
+   */
+  async deleteTokenProfile(tokenAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM token_profiles WHERE token_address = ?`,
+        [tokenAddress],
+        function(err) {
+          if (err) {
+            logger.error(`Error deleting token profile ${tokenAddress}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Record a launch for every recorded PumpFun token creation not yet tracked
+   * @returns {Promise<number>} - Number of launches added
+   */
+  async syncDeployerLaunches() {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT OR IGNORE INTO deployer_launches (token_address, creator_address, launch_timestamp, outcome)
+         SELECT token_address, creator_address, MIN(timestamp), 'pending'
+         FROM pumpfun_new_tokens
+         WHERE creator_address IS NOT NULL
+         GROUP BY token_address`,
+        [],
+        function(err) {
+          if (err) {
+            logger.error(`Error syncing deployer launches: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(this.changes);
           }
         }
-        
-        // Build and execute the query
-        const query = `
-          INSERT OR REPLACE INTO tokens (
-            ${columns.join(', ')}
-          ) VALUES (
-            ${placeholders.join(', ')}
-          )
-        `;
-        
-        this.db.run(query, values, function (err) {
+      );
+    });
+  }
+
+  /**
+   * Get launches still waiting for an outcome, least recently checked first
+   * @param {number} launchedBefore - Only launches at or before this time (ms)
+   * @param {number} limit - Maximum number of launches
+   * @returns {Promise<Array>} - deployer_launches rows
+   */
+  async getPendingLaunches(launchedBefore, limit) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM deployer_launches
+         WHERE outcome = 'pending' AND launch_timestamp <= ?
+         ORDER BY COALESCE(last_checked_timestamp, 0) ASC
+         LIMIT ?`,
+        [launchedBefore, limit],
+        (err, rows) => {
           if (err) {
-            logger.error(`Error saving token: ${err.message}`);
+            logger.error(`Error fetching pending launches: ${err.message}`);
             reject(err);
           } else {
-            resolve(true);
+            resolve(rows || []);
           }
-        });
-      });
+        }
+      );
     });
   }
-  
+
   /**
-   * Calculate token age in days
-   * @param {string} tokenAddress - The token address
-   * @returns {number} - Token age in days
+   * Record the state of a launch after a check
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} update - { outcome, peakLiquidityUsd, details }
    */
-  calculateTokenAge(tokenAddress) {
-    try {
-      // Default to 0 for new tokens
-      let tokenAgeDays = 0;
-      
-      // Try to get the existing first_seen_timestamp
-      this.db.get('SELECT first_seen_timestamp FROM tokens WHERE address = ?', [tokenAddress], (err, row) => {
-        if (!err && row && row.first_seen_timestamp) {
-          // Calculate age based on existing timestamp
-          tokenAgeDays = (Date.now() - row.first_seen_timestamp) / (1000 * 60 * 60 * 24);
+  async updateLaunch(tokenAddress, update) {
+    return new Promise((resolve, reject) => {
+      const now = Date.now();
+
+      this.db.run(
+        `UPDATE deployer_launches SET
+           outcome = ?,
+           outcome_timestamp = CASE WHEN ? = 'pending' THEN NULL ELSE ? END,
+           peak_liquidity_usd = ?,
+           details = ?,
+           last_checked_timestamp = ?
+         WHERE token_address = ?`,
+        [
+          update.outcome,
+          update.outcome,
+          now,
+          update.peakLiquidityUsd || null,
+          update.details ? JSON.stringify(update.details) : null,
+          now,
+          tokenAddress,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error updating launch ${tokenAddress}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Sum a trader's recorded PumpFun buys and sells of a token
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} traderAddress - Trader wallet
+   * @returns {Promise<Object>} - { bought, sold } in token units
+   */
+  async getTraderTokenFlow(tokenAddress, traderAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT
+           COALESCE(SUM(CASE WHEN is_buy = 1 THEN amount ELSE 0 END), 0) AS bought,
+           COALESCE(SUM(CASE WHEN is_buy = 0 THEN amount ELSE 0 END), 0) AS sold
+         FROM pumpfun_token_trades
+         WHERE token_address = ? AND trader_address = ?`,
+        [tokenAddress, traderAddress],
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching trader token flow: ${err.message}`);
+            reject(err);
+          } else {
+            resolve({ bought: row.bought, sold: row.sold });
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Highest and latest recorded PumpFun trade price of a token
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { peakPrice, lastPrice }, null when no trades were recorded
+   */
+  async getTokenTradePriceRange(tokenAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT
+           MAX(price) AS peak_price,
+           (SELECT price FROM pumpfun_token_trades WHERE token_address = ? AND price > 0
+            ORDER BY timestamp DESC LIMIT 1) AS last_price
+         FROM pumpfun_token_trades
+         WHERE token_address = ? AND price > 0`,
+        [tokenAddress, tokenAddress],
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching trade price range: ${err.message}`);
+            reject(err);
+          } else {
+            resolve({ peakPrice: row ? row.peak_price : null, lastPrice: row ? row.last_price : null });
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Count a creator's launches by outcome
+   * @param {string} creatorAddress - Creator wallet
+   * @returns {Promise<Object>} - outcome -> count
+   */
+  async getLaunchOutcomes(creatorAddress) {
+    return this.countLaunchOutcomes(
+      `SELECT outcome, COUNT(*) AS count FROM deployer_launches WHERE creator_address = ? GROUP BY outcome`,
+      [creatorAddress]
+    );
+  }
+
+  /**
+   * Count the launches of the other creators funded from the same source, by outcome
+   * @param {string} fundingSource - Wallet that funded the creator
+   * @param {string} creatorAddress - Creator to leave out
+   * @returns {Promise<Object>} - outcome -> count
+   */
+  async getLinkedLaunchOutcomes(fundingSource, creatorAddress) {
+    return this.countLaunchOutcomes(
+      `SELECT l.outcome, COUNT(*) AS count
+       FROM deployer_launches l
+       JOIN deployers d ON d.address = l.creator_address
+       WHERE d.funding_source = ? AND l.creator_address != ?
+       GROUP BY l.outcome`,
+      [fundingSource, creatorAddress]
+    );
+  }
+
+  countLaunchOutcomes(query, params) {
+    return new Promise((resolve, reject) => {
+      this.db.all(query, params, (err, rows) => {
+        if (err) {
+          logger.error(`Error counting launch outcomes: ${err.message}`);
+          reject(err);
+        } else {
+          const counts = {};
+          for (const row of rows || []) {
+            counts[row.outcome] = row.count;
+          }
+          resolve(counts);
         }
       });
-      
-      return tokenAgeDays;
-    } catch (error) {
-      logger.warn(`Error calculating token age: ${error.message}`);
-      return 0;
-    }
+    });
   }
 
-  async getToken(address) {
+  /**
+   * @param {string} address - Creator wallet
+   * @returns {Promise<Object|undefined>} - deployers row
+   */
+  async getDeployer(address) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        'SELECT * FROM tokens WHERE address = ?',
+        `SELECT * FROM deployers WHERE address = ?`,
         [address],
         (err, row) => {
           if (err) {
-            logger.error(`Error fetching token: ${err.message}`);
+            logger.error(`Error fetching deployer: ${err.message}`);
             reject(err);
           } else {
             resolve(row);
@@ -1615,54 +2971,269 @@ class Database {
     });
   }
 
-  // Event logging
-  async logEvent(eventType, description, data = null) {
+  /**
+   * Create or update a deployer
+   * @param {Object} deployer - { address, fundingSource, fundingChecked, launches, rugs, lpPulls, devDumps,
+   *   survived, linkedBadLaunches, reputationScore, isBlacklisted, blacklistReason }
+   */
+  async saveDeployer(deployer) {
     return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(`
-        INSERT INTO events (event_type, description, timestamp, data)
-        VALUES (?, ?, ?, ?)
-      `);
+      const now = Date.now();
 
-      stmt.run(
-        eventType,
-        description,
-        Date.now(),
-        data ? JSON.stringify(data) : null,
+      this.db.run(
+        `INSERT INTO deployers (
+          address, funding_source, funding_checked, launches, rugs, lp_pulls, dev_dumps, survived,
+          linked_bad_launches, reputation_score, is_blacklisted, blacklist_reason,
+          first_seen_timestamp, last_updated_timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(address) DO UPDATE SET
+          funding_source = excluded.funding_source,
+          funding_checked = excluded.funding_checked,
+          launches = excluded.launches,
+          rugs = excluded.rugs,
+          lp_pulls = excluded.lp_pulls,
+          dev_dumps = excluded.dev_dumps,
+          survived = excluded.survived,
+          linked_bad_launches = excluded.linked_bad_launches,
+          reputation_score = excluded.reputation_score,
+          is_blacklisted = excluded.is_blacklisted,
+          blacklist_reason = excluded.blacklist_reason,
+          last_updated_timestamp = excluded.last_updated_timestamp`,
+        [
+          deployer.address,
+          deployer.fundingSource || null,
+          deployer.fundingChecked ? 1 : 0,
+          deployer.launches || 0,
+          deployer.rugs || 0,
+          deployer.lpPulls || 0,
+          deployer.devDumps || 0,
+          deployer.survived || 0,
+          deployer.linkedBadLaunches || 0,
+          deployer.reputationScore,
+          deployer.isBlacklisted ? 1 : 0,
+          deployer.blacklistReason || null,
+          now,
+          now,
+        ],
+        (err) => {
+          if (err) {
+            logger.error(`Error saving deployer ${deployer.address}: ${err.message}`);
+            reject(err);
+          } else {
+            resolve();
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Record a risk policy decision
+   * @param {Object} decision - { tokenAddress, decision, score, rejectScore, vetoedBy, firedRules, checks,
+   *   policyVersion, timestamp }
+   * @returns {Promise<number>} - Decision id
+   */
+  async saveRiskDecision(decision) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO risk_decisions (
+          token_address, decision, score, reject_score, vetoed_by, fired_rules, checks, policy_version, timestamp
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          decision.tokenAddress,
+          decision.decision,
+          decision.score,
+          decision.rejectScore,
+          JSON.stringify(decision.vetoedBy || []),
+          JSON.stringify(decision.firedRules || []),
+          JSON.stringify(decision.checks || {}),
+          decision.policyVersion || null,
+          decision.timestamp || Date.now(),
+        ],
         function (err) {
           if (err) {
-            logger.error(`Error logging event: ${err.message}`);
+            logger.error(`Error saving risk decision for ${decision.tokenAddress}: ${err.message}`);
             reject(err);
           } else {
             resolve(this.lastID);
           }
         }
       );
+    });
+  }
 
-      stmt.finalize();
+  /**
+   * Get the latest risk policy decisions, newest first
+   * @param {string|null} tokenAddress - Only this token's decisions, or null for all
+   * @param {number} limit - Maximum number of decisions
+   * @returns {Promise<Array>} - Decisions with their JSON columns parsed
+   */
+  async getRiskDecisions(tokenAddress = null, limit = 50) {
+    return new Promise((resolve, reject) => {
+      const where = tokenAddress ? 'WHERE token_address = ?' : '';
+      const params = tokenAddress ? [tokenAddress, limit] : [limit];
+
+      this.db.all(
+        `SELECT * FROM risk_decisions ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+        params,
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching risk decisions: ${err.message}`);
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({
+              ...row,
+              vetoed_by: JSON.parse(row.vetoed_by || '[]'),
+              fired_rules: JSON.parse(row.fired_rules || '[]'),
+              checks: JSON.parse(row.checks || '{}'),
+            })));
+          }
+        }
+      );
     });
   }
 
-  // Performance metrics
-  async getTradingStats() {
+  /**
+   * Get every stored token
+   * @returns {Promise<Array>} - Token rows
+   */
+  async getAllTokens() {
     return new Promise((resolve, reject) => {
-      this.db.get(
+      this.db.all(
+        `SELECT * FROM tokens`,
+        [],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching tokens: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get events of one type recorded within a time range
+   * @param {string} eventType - Event type, e.g. NEW_PAIR_DETECTED
+   * @param {number} from - Start of the range (ms timestamp)
+   * @param {number} to - End of the range (ms timestamp)
+   * @returns {Promise<Array>} - Event rows in timestamp order
+   */
+  async getEventsInRange(eventType, from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM events WHERE event_type = ? AND timestamp BETWEEN ? AND ? ORDER BY timestamp ASC`,
+        [eventType, from, to],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching events in range: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get token scores recorded within a time range
+   * @param {number} from - Start of the range (ms timestamp)
+   * @param {number} to - End of the range (ms timestamp)
+   * @returns {Promise<Array>} - Score rows in timestamp order
+   */
+  async getTokenScoresInRange(from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM token_scores WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp ASC`,
+        [from, to],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching token scores in range: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get PumpFun token launches recorded within a time range
+   * @param {number} from - Start of the range (ms timestamp)
+   * @param {number} to - End of the range (ms timestamp)
+   * @returns {Promise<Array>} - Launch rows in timestamp order
+   */
+  async getPumpFunNewTokensInRange(from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM pumpfun_new_tokens WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp ASC`,
+        [from, to],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching PumpFun tokens in range: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get PumpFun token trades recorded within a time range
+   * @param {number} from - Start of the range (ms timestamp)
+   * @param {number} to - End of the range (ms timestamp)
+   * @returns {Promise<Array>} - Trade rows in timestamp order
+   */
+  async getPumpFunTradesInRange(from, to) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM pumpfun_token_trades WHERE timestamp BETWEEN ? AND ? ORDER BY timestamp ASC`,
+        [from, to],
+        (err, rows) => {
+          if (err) {
+            logger.error(`Error fetching PumpFun trades in range: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Get trade performance grouped by the strategy that opened each trade
+   * @returns {Promise<Array>} - One row per strategy
+   */
+  async getStrategyStats() {
+    return new Promise((resolve, reject) => {
+      this.db.all(
         `
         SELECT 
+          COALESCE(strategy, 'untagged') as strategy,
           COUNT(*) as total_trades,
           SUM(CASE WHEN status = 'ACTIVE' THEN 1 ELSE 0 END) as active_trades,
           SUM(CASE WHEN status = 'CLOSED' THEN 1 ELSE 0 END) as closed_trades,
+          SUM(CASE WHEN status = 'ACTIVE' THEN COALESCE(entry_size_sol, 0) ELSE 0 END) as deployed_sol,
           SUM(profit_loss) as total_profit_loss,
           AVG(CASE WHEN profit_loss IS NOT NULL THEN profit_loss_percentage ELSE NULL END) as avg_profit_loss_percentage,
           SUM(CASE WHEN profit_loss > 0 THEN 1 ELSE 0 END) as profitable_trades,
           SUM(CASE WHEN profit_loss < 0 THEN 1 ELSE 0 END) as unprofitable_trades
         FROM trades
+        GROUP BY COALESCE(strategy, 'untagged')
         `,
-        (err, row) => {
+        (err, rows) => {
           if (err) {
-            logger.error(`Error fetching trading stats: ${err.message}`);
+            logger.error(`Error fetching strategy stats: ${err.message}`);
             reject(err);
           } else {
-            resolve(row);
+            resolve(rows);
           }
         }
       );
@@ -2237,6 +3808,30 @@ class Database {
     });
   }
 
+  /**
+   * Get the wallet that created a token, from its PumpFun creation event
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<string|null>} - Creator address, or null if the creation was not recorded
+   */
+  async getTokenCreator(tokenAddress) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT creator_address FROM pumpfun_new_tokens
+         WHERE token_address = ? AND creator_address IS NOT NULL
+         ORDER BY timestamp ASC LIMIT 1`,
+        [tokenAddress],
+        (err, row) => {
+          if (err) {
+            logger.error(`Error fetching token creator: ${err.message}`);
+            reject(err);
+          } else {
+            resolve(row ? row.creator_address : null);
+          }
+        }
+      );
+    });
+  }
+
   /**
    * Save a token trade event to the database
    * @param {Object} eventData - The token trade event data
@@ -526,6 +526,8 @@ class DexScreenerClient {
           pairAddress: pair.pairAddress,
           liquidity: pair.liquidity,
           volume24h: pair.volume?.h24,
+          volume: pair.volume,
+          txns: pair.txns,
           priceUsd: isBaseToken ? pair.priceUsd : (1 / parseFloat(pair.priceUsd)),
           verified: pair.verified
         }))
@@ -0,0 +1,279 @@
+/**
+ * Holder Distribution
+ *
+ * Works out who actually holds a token. The largest token accounts are
+ * classified by their owner:
+ *
+ * - pool: vaults of AMM pools (owned by a pool account or an AMM authority)
+ * - bondingCurve: PumpFun bonding curve accounts
+ * - burn: the incinerator
+ * - program: other accounts owned by a program rather than a wallet
+ * - known: exchange and other custodial wallets from config.holderDistribution.knownWallets
+ * - creator: the wallet that created the token, when its creation was recorded
+ * - wallet: everyone else
+ *
+ * Concentration and the Gini coefficient are computed over the creator and
+ * plain wallets only, as percentages of the supply outside the incinerator.
+ * Only the largest accounts are known, so the Gini coefficient describes
+ * inequality among the top holders, not across every holder.
+ *
+ * The holder count is the number of distinct owners with a balance, read from
+ * the RPC's token account index, less the pool, curve, burn and program owners.
+ * RPCs that refuse the query leave it at the number of qualifying owners among
+ * the largest accounts, marked inexact.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const rpcManager = require('./rpcManager');
+const database = require('./database');
+const priceOracle = require('./priceOracle');
+const { TOKEN_PROGRAM_ID } = require('./mintDecoder');
+
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const BURN_ADDRESSES = new Set(['1nc1nerator11111111111111111111111111111111']);
+const PUMPFUN_PROGRAM_ID = priceOracle.PUMP_FUN_PROGRAM_ID.toString();
+
+// Programs whose accounts own pool vaults
+const AMM_PROGRAM_IDS = new Set([
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8', // Raydium AMM v4
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C', // Raydium CPMM
+  'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK', // Raydium CLMM
+  'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc', // Orca Whirlpool
+  'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA', // PumpSwap
+  'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo', // Meteora DLMM
+  'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB', // Meteora pools
+]);
+
+// AMM authorities are PDAs with no account of their own, so they are recognized by address
+const AMM_AUTHORITIES = new Set([
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1', // Raydium AMM v4
+  'GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL', // Raydium CPMM
+]);
+
+// Holders counted in concentration, and holders that count as holders at all
+const CONCENTRATION_CATEGORIES = ['wallet', 'creator'];
+const HOLDER_CATEGORIES = ['wallet', 'creator', 'known'];
+
+class HolderDistribution {
+  constructor() {
+    const settings = config.holderDistribution || {};
+
+    this.countAllHolders = settings.countAllHolders !== false;
+    this.knownWallets = settings.knownWallets || {};
+    this.cacheTtlMs = settings.cacheTtlMs || 5 * 60 * 1000;
+
+    // Token mint -> { distribution, timestamp }
+    this.cache = new Map();
+  }
+
+  /**
+   * Analyze a token's holders
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} mint - Decoded mint (see mintDecoder.decodeMint)
+   * @returns {Promise<Object>} - { holderCount, holderCountExact, topHolderPercent, top10Percent, gini,
+   *   creatorAddress, creatorPercent, excludedPercent, holders }
+   */
+  async analyze(tokenAddress, mint) {
+    const cached = this.cache.get(tokenAddress);
+    if (cached && Date.now() - cached.timestamp < this.cacheTtlMs) {
+      return cached.distribution;
+    }
+
+    const mintKey = new PublicKey(tokenAddress);
+    const largest = await rpcManager.getTokenLargestAccounts(mintKey);
+    const accounts = (largest?.value || []).filter(account => Number(account.amount) > 0);
+
+    const creatorAddress = await this.getCreator(tokenAddress);
+    const holders = await this.classifyAccounts(accounts, creatorAddress);
+
+    const supply = Number(mint.supply);
+    const burned = this.sumAmounts(holders.filter(holder => holder.category === 'burn'));
+    const circulating = Math.max(0, supply - burned);
+    const percentOf = amount => (circulating > 0 ? (amount / circulating) * 100 : 0);
+
+    for (const holder of holders) {
+      holder.percent = percentOf(holder.amount);
+    }
+
+    const concentrated = holders.filter(holder => CONCENTRATION_CATEGORIES.includes(holder.category));
+    const excluded = holders.filter(holder => !HOLDER_CATEGORIES.includes(holder.category) && holder.category !== 'burn');
+
+    const { holderCount, holderCountExact } = await this.countHolders(tokenAddress, mint, holders);
+
+    const distribution = {
+      holderCount,
+      holderCountExact,
+      topHolderPercent: concentrated.length > 0 ? concentrated[0].percent : 0,
+      top10Percent: percentOf(this.sumAmounts(concentrated.slice(0, 10))),
+      gini: this.gini(concentrated.map(holder => holder.amount)),
+      creatorAddress,
+      creatorPercent: percentOf(this.sumAmounts(holders.filter(holder => holder.category === 'creator'))),
+      excludedPercent: percentOf(this.sumAmounts(excluded)),
+      holders,
+    };
+
+    this.cache.set(tokenAddress, { distribution, timestamp: Date.now() });
+
+    if (holderCountExact) {
+      await database.updateTokenHolderCount(tokenAddress, holderCount);
+    }
+
+    logger.info(`[Holders] ${tokenAddress}: ${holderCount}${holderCountExact ? '' : '+'} holders, ` +
+      `top holder ${distribution.topHolderPercent.toFixed(1)}%, top 10 ${distribution.top10Percent.toFixed(1)}%, ` +
+      `Gini ${distribution.gini.toFixed(2)}, ${distribution.excludedPercent.toFixed(1)}% in pools and programs`);
+    return distribution;
+  }
+
+  /**
+   * Classify token accounts by the kind of owner behind them
+   * @param {Array} accounts - Largest accounts {address, amount} from getTokenLargestAccounts, largest first
+   * @param {string|null} creatorAddress - Token creator
+   * @returns {Promise<Array>} - Holders {tokenAccount, owner, amount, category, label}
+   */
+  async classifyAccounts(accounts, creatorAddress) {
+    if (accounts.length === 0) {
+      return [];
+    }
+
+    const { value: tokenAccounts } = await rpcManager.getMultipleAccountsInfoAndContext(
+      accounts.map(account => new PublicKey(account.address))
+    );
+    const owners = tokenAccounts.map(accountInfo =>
+      accountInfo && accountInfo.data.length >= 64 ? new PublicKey(accountInfo.data.slice(32, 64)).toString() : null
+    );
+
+    // The program that owns each owner tells pools and curves apart from wallets
+    const uniqueOwners = [...new Set(owners.filter(Boolean))];
+    const ownerPrograms = new Map();
+    if (uniqueOwners.length > 0) {
+      const { value: ownerAccounts } = await rpcManager.getMultipleAccountsInfoAndContext(
+        uniqueOwners.map(owner => new PublicKey(owner))
+      );
+      ownerAccounts.forEach((accountInfo, index) => {
+        ownerPrograms.set(uniqueOwners[index], accountInfo ? accountInfo.owner.toString() : null);
+      });
+    }
+
+    return accounts.map((account, index) => {
+      const owner = owners[index];
+      return {
+        tokenAccount: account.address.toString(),
+        owner,
+        amount: Number(account.amount),
+        ...this.classifyOwner(owner, ownerPrograms.get(owner), creatorAddress),
+      };
+    });
+  }
+
+  /**
+   * @param {string|null} owner - Owner of the token account
+   * @param {string|null} ownerProgram - Program that owns the owner's account, null if it has none
+   * @param {string|null} creatorAddress - Token creator
+   * @returns {Object} - { category, label }
+   */
+  classifyOwner(owner, ownerProgram, creatorAddress) {
+    if (!owner) {
+      return { category: 'program', label: 'Unreadable token account' };
+    }
+    if (BURN_ADDRESSES.has(owner)) {
+      return { category: 'burn', label: 'Incinerator' };
+    }
+    if (AMM_AUTHORITIES.has(owner) || AMM_PROGRAM_IDS.has(ownerProgram)) {
+      return { category: 'pool', label: 'AMM pool vault' };
+    }
+    if (ownerProgram === PUMPFUN_PROGRAM_ID) {
+      return { category: 'bondingCurve', label: 'PumpFun bonding curve' };
+    }
+    if (ownerProgram && ownerProgram !== SYSTEM_PROGRAM_ID) {
+      return { category: 'program', label: `Owned by program ${ownerProgram}` };
+    }
+    if (this.knownWallets[owner]) {
+      return { category: 'known', label: this.knownWallets[owner] };
+    }
+    if (creatorAddress && owner === creatorAddress) {
+      return { category: 'creator', label: 'Token creator' };
+    }
+    return { category: 'wallet', label: null };
+  }
+
+  /**
+   * Count the token's holders
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} mint - Decoded mint
+   * @param {Array} holders - Classified largest holders
+   * @returns {Promise<Object>} - { holderCount, holderCountExact }
+   */
+  async countHolders(tokenAddress, mint, holders) {
+    const excludedOwners = new Set(holders
+      .filter(holder => !HOLDER_CATEGORIES.includes(holder.category))
+      .map(holder => holder.owner));
+
+    if (this.countAllHolders) {
+      try {
+        // Only the owner and amount of each account are needed
+        const filters = [{ memcmp: { offset: 0, bytes: tokenAddress } }];
+        if (mint.programId === TOKEN_PROGRAM_ID) {
+          filters.push({ dataSize: 165 });
+        }
+
+        const accounts = await rpcManager.getProgramAccounts(new PublicKey(mint.programId), {
+          commitment: 'confirmed',
+          dataSlice: { offset: 32, length: 40 },
+          filters,
+        });
+
+        const owners = new Set();
+        for (const { account } of accounts) {
+          if (account.data.length < 40 || account.data.readBigUInt64LE(32) === 0n) {
+            continue;
+          }
+          const owner = new PublicKey(account.data.slice(0, 32)).toString();
+          if (!excludedOwners.has(owner)) {
+            owners.add(owner);
+          }
+        }
+
+        return { holderCount: owners.size, holderCountExact: true };
+      } catch (error) {
+        logger.warn(`[Holders] Could not count every holder of ${tokenAddress}: ${error.message}`);
+      }
+    }
+
+    const owners = new Set(holders
+      .filter(holder => HOLDER_CATEGORIES.includes(holder.category))
+      .map(holder => holder.owner));
+    return { holderCount: owners.size, holderCountExact: false };
+  }
+
+  /**
+   * Gini coefficient of a set of balances: 0 when equal, approaching 1 when one holds everything
+   * @param {Array<number>} amounts - Balances
+   * @returns {number}
+   */
+  gini(amounts) {
+    const sorted = amounts.filter(amount => amount > 0).sort((a, b) => a - b);
+    const total = sorted.reduce((sum, amount) => sum + amount, 0);
+    if (sorted.length < 2 || total === 0) {
+      return 0;
+    }
+
+    const weighted = sorted.reduce((sum, amount, index) => sum + (index + 1) * amount, 0);
+    return (2 * weighted) / (sorted.length * total) - (sorted.length + 1) / sorted.length;
+  }
+
+  sumAmounts(holders) {
+    return holders.reduce((sum, holder) => sum + holder.amount, 0);
+  }
+
+  async getCreator(tokenAddress) {
+    try {
+      return await database.getTokenCreator(tokenAddress);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new HolderDistribution();
@@ -12,6 +12,7 @@ const { Token, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solan
 const JupiterRateLimiter = require('./jupiterRateLimiter');
 const logger = require('./logger');
 const config = require('../../config/config');
+const priorityFeeService = require('./priorityFeeService');
 
 class JupiterApiClient {
   /**
@@ -57,11 +58,6 @@ class JupiterApiClient {
     // Failed trade tracking
     this.failedTrades = new Map();
     this.failedTradeTimeout = 10 * 60 * 1000; // 10 minutes
-      apiKey: options.apiKey || jupiterConfig.apiKey || null,
-      maxConcurrentRequests: options.maxConcurrentRequests || jupiterConfig.maxConcurrentRequests || 2,
-      maxRetries: options.maxRetries || jupiterConfig.maxRetries || 3,
-      debug: options.debug || jupiterConfig.debug || false
-    });
     
     // Cache for token info
     this.tokenInfoCache = new Map();
@@ -954,6 +950,12 @@ class JupiterApiClient {
       const outAmountWithSlippage = quote.data?.outAmountWithSlippage || quote.outAmountWithSlippage;
       logger.info(`Got quote with output amount: ${outAmount} (${outAmountWithSlippage} with slippage)`);
       
+      // Priority fee for the pools the route goes through
+      const prioritizationFeeLamports = await priorityFeeService.getPriorityFeeLamports({
+        tokenAddress: normalizedOutputMint === this.WSOL_ADDRESS ? normalizedInputMint : normalizedOutputMint,
+        accounts: priorityFeeService.getRouteAccounts(quote.data || quote),
+      });
+      
       // 2. Execute the swap using the quote
       return await this.rateLimiter.execute(
         async () => {
@@ -964,7 +966,7 @@ class JupiterApiClient {
               userPublicKey,
               wrapAndUnwrapSol: true, // Automatically wrap/unwrap SOL
               dynamicComputeUnitLimit: true, // Optimize compute units
-              prioritizationFeeLamports: 1000 // Add a small priority fee
+              prioritizationFeeLamports
             });
             
             return swapResponse.data;
@@ -1299,7 +1301,10 @@ class JupiterApiClient {
           userPublicKey: typeof userWallet === 'string' ? userWallet : userWallet.toString(),
           wrapUnwrapSOL: true,
           dynamicComputeUnitLimit: true,
-          prioritizationFeeLamports: 1000
+          prioritizationFeeLamports: await priorityFeeService.getPriorityFeeLamports({
+            tokenAddress: normalizedTokenAddress,
+            accounts: priorityFeeService.getRouteAccounts(response.data),
+          })
         });
         
         return {
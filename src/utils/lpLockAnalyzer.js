@@ -0,0 +1,224 @@
+/**
+ * LP Lock Analyzer
+ *
+ * Checks how much of a token's Raydium LP supply can no longer be withdrawn.
+ * The token's deepest Raydium pool with an LP mint (AMM v4 or CPMM) is used;
+ * concentrated liquidity pools have position NFTs instead and are skipped.
+ *
+ * - Burned: the LP supply the pool has issued minus the LP mint's current
+ *   supply, plus LP tokens sitting in the incinerator
+ * - Locked: LP tokens held by accounts of the locker programs in
+ *   config.lpLock.lockerPrograms. Permanent lockers never release them. For
+ *   Jupiter Lock escrows the unlock time (the cliff) is read from the escrow,
+ *   and an escrow its creator can cancel is not a lock. Other lockers' unlock
+ *   times are unknown.
+ *
+ * The token passes when its burned share, plus with lock checking on the share
+ * locked permanently or for at least the minimum lock period, reaches the
+ * minimum burn percentage. See config.lpLock for where the thresholds live.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const rpcManager = require('./rpcManager');
+const poolDiscovery = require('./poolDiscovery');
+const mintDecoder = require('./mintDecoder');
+
+const INCINERATOR = '1nc1nerator11111111111111111111111111111111';
+const JUPITER_LOCK_PROGRAM_ID = 'LocpQgucEQHbqNABEYvBvwoxCPsSbG91A1QaQhQQqjn';
+
+// Jupiter Lock VestingEscrow, after the 8-byte discriminator: four keys, four flag bytes, padding, then the schedule
+const JUPITER_LOCK_LAYOUT = {
+  cancelMode: 138,
+  cliffTime: 144,
+  size: 152,
+};
+// Cancel modes in which the escrow's creator can take the tokens back
+const CREATOR_CANCEL_MODES = [1, 3];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LpLockAnalyzer {
+  constructor() {
+    const settings = config.lpLock || {};
+
+    this.lockerPrograms = settings.lockerPrograms || {};
+    this.cacheTtlMs = settings.cacheTtlMs || 10 * 60 * 1000;
+
+    // Token mint -> { result, timestamp }
+    this.cache = new Map();
+  }
+
+  getThresholds() {
+    const advancedFiltering = config.trading.pairFiltering?.advancedFiltering || {};
+    const advancedDetection = config.scanner?.newPairDetection?.advancedDetection || {};
+    const liquidityAnalysis = config.scanner?.liquidityAnalysis?.advancedLiquidityAnalysis || {};
+
+    return {
+      minBurnPercent: advancedFiltering.minLpTokenBurnPercent !== undefined ? advancedFiltering.minLpTokenBurnPercent : 80,
+      checkLocking: advancedDetection.checkLiquidityLocking === true,
+      minLockDays: liquidityAnalysis.minLiquidityLockDays || 0,
+    };
+  }
+
+  /**
+   * Analyze the LP of a token's deepest Raydium pool
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { applicable, passes, reasons, poolAddress, poolType, lpMint, burnedPercent,
+   *   lockedPercent, securePercent, lockExpiresTimestamp, locks }
+   */
+  async analyze(tokenAddress) {
+    const cached = this.cache.get(tokenAddress);
+    if (cached && Date.now() - cached.timestamp < this.cacheTtlMs) {
+      return cached.result;
+    }
+
+    const pools = await poolDiscovery.getPools(tokenAddress, 'raydium');
+    const pool = pools.find(candidate => candidate.lpMint && candidate.lpIssued > 0);
+
+    let result;
+    if (!pool) {
+      result = {
+        applicable: false,
+        passes: true,
+        reasons: [pools.length > 0 ? 'Raydium pools have no LP mint to check' : 'No Raydium pool to check LP for'],
+      };
+    } else {
+      const status = await this.analyzePool(pool);
+      result = { applicable: true, ...status, ...this.evaluate(status) };
+      logger.info(`[LpLock] ${tokenAddress}: ${result.reasons.join('; ')}`);
+    }
+
+    this.cache.set(tokenAddress, { result, timestamp: Date.now() });
+    return result;
+  }
+
+  /**
+   * Work out the burned and locked shares of a pool's LP supply
+   * @param {Object} pool - Pool from poolDiscovery with lpMint and lpIssued
+   * @returns {Promise<Object>} - { poolAddress, poolType, lpMint, lpIssued, lpSupply, burnedPercent, locks }
+   */
+  async analyzePool(pool) {
+    const lpMintKey = new PublicKey(pool.lpMint);
+    const mintInfo = await rpcManager.getAccountInfo(lpMintKey);
+    if (!mintInfo) {
+      throw new Error(`LP mint ${pool.lpMint} not found`);
+    }
+
+    const lpSupply = Number(mintDecoder.decodeMint(mintInfo).supply);
+    const percentOfIssued = amount => (amount / pool.lpIssued) * 100;
+    let burned = Math.max(0, pool.lpIssued - lpSupply);
+    const locks = [];
+
+    const largest = await rpcManager.getTokenLargestAccounts(lpMintKey);
+    const accounts = (largest?.value || []).filter(account => Number(account.amount) > 0);
+
+    if (accounts.length > 0) {
+      const { value: tokenAccounts } = await rpcManager.getMultipleAccountsInfoAndContext(
+        accounts.map(account => new PublicKey(account.address))
+      );
+      const owners = tokenAccounts.map(accountInfo =>
+        accountInfo && accountInfo.data.length >= 64 ? new PublicKey(accountInfo.data.slice(32, 64)).toString() : null
+      );
+
+      const uniqueOwners = [...new Set(owners.filter(Boolean))];
+      const ownerInfos = new Map();
+      if (uniqueOwners.length > 0) {
+        const { value: ownerAccounts } = await rpcManager.getMultipleAccountsInfoAndContext(
+          uniqueOwners.map(owner => new PublicKey(owner))
+        );
+        uniqueOwners.forEach((owner, index) => ownerInfos.set(owner, ownerAccounts[index]));
+      }
+
+      accounts.forEach((account, index) => {
+        const owner = owners[index];
+        const amount = Number(account.amount);
+        const ownerInfo = owner ? ownerInfos.get(owner) : null;
+        const ownerProgram = ownerInfo ? ownerInfo.owner.toString() : null;
+
+        if (owner === INCINERATOR) {
+          burned += amount;
+        } else if (ownerProgram && this.lockerPrograms[ownerProgram]) {
+          const locker = this.lockerPrograms[ownerProgram];
+          locks.push({
+            locker: ownerProgram,
+            name: locker.name,
+            escrow: owner,
+            percent: percentOfIssued(amount),
+            permanent: locker.permanent === true,
+            ...this.readLockTerms(ownerProgram, ownerInfo),
+          });
+        }
+      });
+    }
+
+    return {
+      poolAddress: pool.address,
+      poolType: pool.type,
+      lpMint: pool.lpMint,
+      lpIssued: pool.lpIssued,
+      lpSupply,
+      burnedPercent: Math.min(100, percentOfIssued(burned)),
+      locks,
+    };
+  }
+
+  /**
+   * Read when a locker account releases its tokens, where the locker's layout is known
+   * @param {string} program - Locker program
+   * @param {Object} accountInfo - The locker account
+   * @returns {Object} - { unlockTimestamp (ms, null if unknown), cancellable }
+   */
+  readLockTerms(program, accountInfo) {
+    if (program === JUPITER_LOCK_PROGRAM_ID && accountInfo.data.length >= JUPITER_LOCK_LAYOUT.size) {
+      return {
+        unlockTimestamp: Number(accountInfo.data.readBigUInt64LE(JUPITER_LOCK_LAYOUT.cliffTime)) * 1000,
+        cancellable: CREATOR_CANCEL_MODES.includes(accountInfo.data.readUInt8(JUPITER_LOCK_LAYOUT.cancelMode)),
+      };
+    }
+    return { unlockTimestamp: null, cancellable: false };
+  }
+
+  /**
+   * Decide whether enough of the LP is out of the deployer's reach
+   * @param {Object} status - Result of analyzePool
+   * @returns {Object} - { passes, reasons, lockedPercent, securePercent, lockExpiresTimestamp }
+   */
+  evaluate(status) {
+    const { minBurnPercent, checkLocking, minLockDays } = this.getThresholds();
+    const now = Date.now();
+
+    const isSecure = lock => !lock.cancellable &&
+      (lock.permanent || (lock.unlockTimestamp !== null && lock.unlockTimestamp - now >= minLockDays * DAY_MS));
+    const secureLocks = checkLocking ? status.locks.filter(isSecure) : [];
+    const timedLocks = secureLocks.filter(lock => !lock.permanent);
+
+    const lockedPercent = status.locks.reduce((sum, lock) => sum + lock.percent, 0);
+    const securePercent = Math.min(100, status.burnedPercent + secureLocks.reduce((sum, lock) => sum + lock.percent, 0));
+    const lockExpiresTimestamp = timedLocks.length > 0 ? Math.min(...timedLocks.map(lock => lock.unlockTimestamp)) : null;
+    const passes = securePercent >= minBurnPercent;
+
+    const reasons = [];
+    let summary = `${status.burnedPercent.toFixed(1)}% of LP burned`;
+    if (lockedPercent > 0) {
+      summary += `, ${lockedPercent.toFixed(1)}% locked (${status.locks.map(lock => lock.name).join(', ')})`;
+    }
+    reasons.push(passes ? summary : `${summary}: only ${securePercent.toFixed(1)}% secured, need ${minBurnPercent}%`);
+
+    for (const lock of checkLocking ? status.locks.filter(candidate => !isSecure(candidate)) : []) {
+      if (lock.cancellable) {
+        reasons.push(`${lock.name} lock of ${lock.percent.toFixed(1)}% can be cancelled by its creator`);
+      } else if (lock.unlockTimestamp === null) {
+        reasons.push(`${lock.name} lock of ${lock.percent.toFixed(1)}% has an unknown unlock time`);
+      } else {
+        reasons.push(`${lock.name} lock of ${lock.percent.toFixed(1)}% unlocks ${new Date(lock.unlockTimestamp).toISOString()}, ` +
+          `under ${minLockDays} days away`);
+      }
+    }
+
+    return { passes, reasons, lockedPercent, securePercent, lockExpiresTimestamp };
+  }
+}
+
+module.exports = new LpLockAnalyzer();
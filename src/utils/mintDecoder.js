@@ -0,0 +1,171 @@
+/**
+ * Mint Decoder
+ *
+ * Decodes a token mint account as returned by getAccountInfo: the program that
+ * owns it, the mint and freeze authorities, and for Token-2022 mints the TLV
+ * extensions that follow the base mint. Only the extensions that bear on
+ * whether a token can be held and sold are decoded field by field; the others
+ * are reported by name.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+// Base mint: mint authority, supply, decimals, initialized flag, freeze authority
+const MINT_SIZE = 82;
+// Token-2022 pads the base mint to the size of a token account, then writes the account type
+const ACCOUNT_TYPE_OFFSET = 165;
+const EXTENSIONS_OFFSET = 166;
+
+const EXTENSION_TYPES = {
+  1: 'transferFeeConfig',
+  3: 'mintCloseAuthority',
+  4: 'confidentialTransferMint',
+  6: 'defaultAccountState',
+  9: 'nonTransferable',
+  10: 'interestBearingConfig',
+  12: 'permanentDelegate',
+  14: 'transferHook',
+  16: 'confidentialTransferFeeConfig',
+  18: 'metadataPointer',
+  19: 'tokenMetadata',
+  20: 'groupPointer',
+  21: 'tokenGroup',
+  22: 'groupMemberPointer',
+  23: 'tokenGroupMember',
+  24: 'confidentialMintBurn',
+  25: 'scaledUiAmount',
+  26: 'pausable',
+};
+
+const ACCOUNT_STATES = ['uninitialized', 'initialized', 'frozen'];
+
+/**
+ * Read a COption<Pubkey>: a u32 tag, then the key
+ */
+function readOptionalKey(data, offset) {
+  return data.readUInt32LE(offset) === 1 ? new PublicKey(data.slice(offset + 4, offset + 36)).toString() : null;
+}
+
+/**
+ * Read an OptionalNonZeroPubkey: 32 bytes, all zero when unset
+ */
+function readNonZeroKey(data, offset) {
+  const bytes = data.slice(offset, offset + 32);
+  return bytes.every(byte => byte === 0) ? null : new PublicKey(bytes).toString();
+}
+
+/**
+ * Decode the fields of one extension
+ * @param {number} type - Extension type
+ * @param {Buffer} value - Extension data
+ * @returns {Object} - { type, name, ...fields }
+ */
+function decodeExtension(type, value) {
+  const extension = { type, name: EXTENSION_TYPES[type] || `unknown(${type})` };
+
+  switch (type) {
+    case 1:
+      // Two authorities, the withheld amount, then the older and newer fees (epoch, maximum fee, bps)
+      extension.transferFeeConfigAuthority = readNonZeroKey(value, 0);
+      extension.withdrawWithheldAuthority = readNonZeroKey(value, 32);
+      extension.olderTransferFeeBps = value.readUInt16LE(88);
+      extension.newerTransferFeeBps = value.readUInt16LE(106);
+      extension.transferFeeBps = Math.max(extension.olderTransferFeeBps, extension.newerTransferFeeBps);
+      break;
+    case 3:
+      extension.closeAuthority = readNonZeroKey(value, 0);
+      break;
+    case 6:
+      extension.state = ACCOUNT_STATES[value.readUInt8(0)] || 'unknown';
+      break;
+    case 12:
+      extension.delegate = readNonZeroKey(value, 0);
+      break;
+    case 14:
+      extension.authority = readNonZeroKey(value, 0);
+      extension.programId = readNonZeroKey(value, 32);
+      break;
+    case 18:
+      extension.authority = readNonZeroKey(value, 0);
+      extension.metadataAddress = readNonZeroKey(value, 32);
+      break;
+    case 19:
+      extension.updateAuthority = readNonZeroKey(value, 0);
+      break;
+    case 26:
+      extension.authority = readNonZeroKey(value, 0);
+      extension.paused = value.readUInt8(32) === 1;
+      break;
+    default:
+      break;
+  }
+
+  return extension;
+}
+
+/**
+ * Decode a mint account
+ * @param {Object} accountInfo - Account from getAccountInfo, with a raw data Buffer
+ * @returns {Object} - { programId, tokenProgram ('spl-token' or 'token-2022'), mintAuthority, freezeAuthority,
+ *   supply (raw, as a string), decimals, extensions }
+ */
+function decodeMint(accountInfo) {
+  const programId = accountInfo.owner.toString();
+  if (programId !== TOKEN_PROGRAM_ID && programId !== TOKEN_2022_PROGRAM_ID) {
+    throw new Error(`Account is owned by ${programId}, not a token program`);
+  }
+
+  const data = accountInfo.data;
+  if (data.length < MINT_SIZE) {
+    throw new Error(`Account is ${data.length} bytes, too small for a mint`);
+  }
+
+  const mint = {
+    programId,
+    tokenProgram: programId === TOKEN_2022_PROGRAM_ID ? 'token-2022' : 'spl-token',
+    mintAuthority: readOptionalKey(data, 0),
+    supply: data.readBigUInt64LE(36).toString(),
+    decimals: data.readUInt8(44),
+    freezeAuthority: readOptionalKey(data, 46),
+    extensions: [],
+  };
+
+  if (mint.tokenProgram === 'token-2022' && data.length > ACCOUNT_TYPE_OFFSET) {
+    let offset = EXTENSIONS_OFFSET;
+
+    while (offset + 4 <= data.length) {
+      const type = data.readUInt16LE(offset);
+      const length = data.readUInt16LE(offset + 2);
+
+      // Type 0 marks the unused space at the end of the account
+      if (type === 0 || offset + 4 + length > data.length) {
+        break;
+      }
+
+      mint.extensions.push(decodeExtension(type, data.slice(offset + 4, offset + 4 + length)));
+      offset += 4 + length;
+    }
+  }
+
+  return mint;
+}
+
+/**
+ * @param {Object} mint - Decoded mint
+ * @param {string} name - Extension name, e.g. 'transferHook'
+ * @returns {Object|null} - The extension, if the mint has it
+ */
+function getExtension(mint, name) {
+  return (mint.extensions || []).find(extension => extension.name === name) || null;
+}
+
+module.exports = {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  EXTENSION_TYPES,
+  decodeMint,
+  getExtension,
+};
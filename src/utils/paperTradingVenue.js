@@ -0,0 +1,287 @@
+/**
+ * Paper Trading Venue
+ *
+ * Simulated venue behind swapExecutor when config.trading.paperTrading is
+ * enabled. Orders are priced from a live Jupiter quote (or the Raydium pool
+ * price when Jupiter has no route), then charged the configured slippage,
+ * swap fee and network fee. Balances live in a virtual SOL/token ledger that
+ * is persisted in the paper_balances table of the paper trading database.
+ *
+ * Results have the same shape as real swap results, so trade logging, the
+ * PnL tracker and the dashboard work unchanged.
+ */
+
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+const priceOracle = require('./priceOracle');
+
+class PaperTradingVenue {
+  constructor() {
+    const settings = config.trading.paperTrading || {};
+
+    this.enabled = settings.enabled === true;
+    this.initialBalanceSol = settings.initialBalanceSol || 1;
+    this.quoteSources = settings.quoteSources || ['jupiter', 'raydium'];
+    this.slippagePercent = settings.slippagePercent || 0;
+    this.feePercent = settings.feePercent || 0;
+    this.networkFeeSol = settings.networkFeeSol || 0;
+
+    this.WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+    this.SOL_ASSET = 'SOL';
+
+    // Virtual ledger: 'SOL' or token mint -> balance (UI units)
+    this.balances = new Map();
+    this.initialized = false;
+
+    this.fillCount = 0;
+
+    if (this.enabled) {
+      logger.info(`Paper trading enabled (fills from ${this.quoteSources.join(' > ')}, slippage ${this.slippagePercent}%, fee ${this.feePercent}%)`);
+    }
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Load the ledger from the database, seeding the starting SOL balance on first run
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      const rows = await database.getPaperBalances();
+      for (const row of rows) {
+        this.balances.set(row.asset, row.amount);
+      }
+
+      if (!this.balances.has(this.SOL_ASSET)) {
+        await this.setBalance(this.SOL_ASSET, this.initialBalanceSol);
+        logger.info(`Paper trading ledger seeded with ${this.initialBalanceSol} SOL`);
+      }
+
+      this.initialized = true;
+      logger.info(`Paper trading ledger loaded: ${this.getSolBalance().toFixed(4)} SOL, ${this.balances.size - 1} token balances`);
+    } catch (error) {
+      logger.error(`Error loading paper trading ledger: ${error.message}`);
+      throw error;
+    }
+  }
+
+  getSolBalance() {
+    return this.balances.get(this.SOL_ASSET) || 0;
+  }
+
+  getTokenBalance(tokenAddress) {
+    return this.balances.get(tokenAddress) || 0;
+  }
+
+  /**
+   * Get all ledger balances
+   * @returns {Object} - { sol, tokens: { mint: amount } }
+   */
+  getBalances() {
+    const tokens = {};
+    for (const [asset, amount] of this.balances.entries()) {
+      if (asset !== this.SOL_ASSET && amount > 0) {
+        tokens[asset] = amount;
+      }
+    }
+    return { sol: this.getSolBalance(), tokens };
+  }
+
+  async setBalance(asset, amount) {
+    // Float residue from partial fills is not a position
+    const balance = amount > 1e-12 ? amount : 0;
+    this.balances.set(asset, balance);
+    await database.setPaperBalance(asset, balance);
+  }
+
+  /**
+   * Simulate buying a token with SOL
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} amountInSol - SOL to spend
+   * @param {number} slippage - Order slippage tolerance in percent
+   * @returns {Promise<Object>} - Swap result in the same shape as a live swap
+   */
+  async buy(tokenAddress, amountInSol, slippage) {
+    try {
+      await this.initialize();
+
+      const requiredSol = amountInSol + this.networkFeeSol;
+      if (this.getSolBalance() < requiredSol) {
+        logger.error(`Insufficient paper balance: ${this.getSolBalance()} SOL, needed ${requiredSol} SOL`);
+        return { success: false, error: 'Insufficient balance' };
+      }
+
+      if (slippage !== null && slippage !== undefined && this.slippagePercent > slippage) {
+        return { success: false, error: `Simulated slippage ${this.slippagePercent}% exceeds tolerance ${slippage}%` };
+      }
+
+      const quote = await this.getBuyQuote(tokenAddress, amountInSol);
+      if (!quote) {
+        return { success: false, error: 'No quote available for paper fill' };
+      }
+
+      const solPrice = await priceOracle.getSolPriceUsd();
+      if (!solPrice) {
+        return { success: false, error: 'SOL price unavailable for paper fill' };
+      }
+
+      const outputAmount = quote.outputAmount * (1 - this.feePercent / 100) * (1 - this.slippagePercent / 100);
+
+      await this.setBalance(this.SOL_ASSET, this.getSolBalance() - requiredSol);
+      await this.setBalance(tokenAddress, this.getTokenBalance(tokenAddress) + outputAmount);
+
+      const result = this.buildResult(quote.source, {
+        inputAmount: amountInSol,
+        outputAmount,
+        outputAmountUsd: amountInSol * solPrice.price,
+        feesSol: amountInSol * (this.feePercent / 100) + this.networkFeeSol,
+      });
+
+      logger.info(`[Paper] Bought ${outputAmount} of ${tokenAddress} for ${amountInSol} SOL (quote: ${quote.source})`);
+      return result;
+    } catch (error) {
+      logger.error(`Error executing paper buy: ${error.message}`);
+      return { success: false, error: `Paper buy failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Simulate selling a token for SOL
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} amountIn - Tokens to sell (capped at the ledger balance)
+   * @param {number} slippage - Order slippage tolerance in percent
+   * @returns {Promise<Object>} - Sell result in the same shape as a live sell
+   */
+  async sell(tokenAddress, amountIn, slippage) {
+    try {
+      await this.initialize();
+
+      const amount = Math.min(amountIn, this.getTokenBalance(tokenAddress));
+      if (!(amount > 0)) {
+        return { success: false, error: 'No paper balance for token' };
+      }
+
+      if (slippage !== null && slippage !== undefined && this.slippagePercent > slippage) {
+        return { success: false, error: `Simulated slippage ${this.slippagePercent}% exceeds tolerance ${slippage}%` };
+      }
+
+      const quote = await this.getSellQuote(tokenAddress, amount);
+      if (!quote) {
+        return { success: false, error: 'No quote available for paper fill' };
+      }
+
+      const solPrice = await priceOracle.getSolPriceUsd();
+      if (!solPrice) {
+        return { success: false, error: 'SOL price unavailable for paper fill' };
+      }
+
+      const grossSol = quote.outputAmountSol * (1 - this.slippagePercent / 100);
+      const swapFeeSol = grossSol * (this.feePercent / 100);
+      const outputAmountSol = Math.max(0, grossSol - swapFeeSol - this.networkFeeSol);
+
+      await this.setBalance(tokenAddress, this.getTokenBalance(tokenAddress) - amount);
+      await this.setBalance(this.SOL_ASSET, this.getSolBalance() + outputAmountSol);
+
+      const result = this.buildResult(quote.source, {
+        inputAmount: amount,
+        outputAmountSol,
+        outputAmountUsd: outputAmountSol * solPrice.price,
+        feesSol: swapFeeSol + this.networkFeeSol,
+      });
+
+      logger.info(`[Paper] Sold ${amount} of ${tokenAddress} for ${outputAmountSol.toFixed(6)} SOL (quote: ${quote.source})`);
+      return result;
+    } catch (error) {
+      logger.error(`Error executing paper sell: ${error.message}`);
+      return { success: false, error: `Paper sell failed: ${error.message}` };
+    }
+  }
+
+  buildResult(source, fields) {
+    this.fillCount++;
+    return {
+      success: true,
+      ...fields,
+      slippagePercent: this.slippagePercent,
+      txHash: `paper-${Date.now()}-${this.fillCount}`,
+      timestamp: Date.now(),
+      provider: `paper:${source}`,
+      paper: true,
+    };
+  }
+
+  /**
+   * Tokens received for an amount of SOL, from the first source that can quote it
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} amountInSol - SOL to spend
+   * @returns {Promise<Object|null>} - { outputAmount, source } or null
+   */
+  async getBuyQuote(tokenAddress, amountInSol) {
+    for (const source of this.quoteSources) {
+      try {
+        if (source === 'jupiter') {
+          const quote = await priceOracle.jupiterClient.getQuote({
+            inputMint: this.WSOL_ADDRESS,
+            outputMint: tokenAddress,
+            amount: Math.floor(amountInSol * 1e9),
+            slippageBps: 0,
+          });
+          if (quote && quote.outAmount) {
+            const decimals = await priceOracle.getTokenDecimals(tokenAddress);
+            return { outputAmount: Number(quote.outAmount) / Math.pow(10, decimals), source };
+          }
+        } else if (source === 'raydium') {
+          const quote = await priceOracle.getRaydiumQuote(tokenAddress);
+          if (quote && quote.priceSol > 0) {
+            return { outputAmount: amountInSol / quote.priceSol, source };
+          }
+        }
+      } catch (error) {
+        logger.debug(`[Paper] ${source} buy quote failed for ${tokenAddress}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * SOL received for an amount of tokens, from the first source that can quote it
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} tokenAmount - Tokens to sell (UI units)
+   * @returns {Promise<Object|null>} - { outputAmountSol, source } or null
+   */
+  async getSellQuote(tokenAddress, tokenAmount) {
+    for (const source of this.quoteSources) {
+      try {
+        if (source === 'jupiter') {
+          const decimals = await priceOracle.getTokenDecimals(tokenAddress);
+          const quote = await priceOracle.jupiterClient.getQuote({
+            inputMint: tokenAddress,
+            outputMint: this.WSOL_ADDRESS,
+            amount: Math.floor(tokenAmount * Math.pow(10, decimals)),
+            slippageBps: 0,
+          });
+          if (quote && quote.outAmount) {
+            return { outputAmountSol: Number(quote.outAmount) / 1e9, source };
+          }
+        } else if (source === 'raydium') {
+          const quote = await priceOracle.getRaydiumQuote(tokenAddress);
+          if (quote && quote.priceSol > 0) {
+            return { outputAmountSol: tokenAmount * quote.priceSol, source };
+          }
+        }
+      } catch (error) {
+        logger.debug(`[Paper] ${source} sell quote failed for ${tokenAddress}: ${error.message}`);
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new PaperTradingVenue();
@@ -0,0 +1,399 @@
+/**
+ * Pool Discovery
+ *
+ * Finds the on-chain pools a token trades in: Raydium AMM v4, CPMM and CLMM
+ * pools and Orca Whirlpools. Each pool program is searched with
+ * getProgramAccounts, filtered by account size and by the token's mint at the
+ * offset of either side of the pair. The pools' vault balances are then read
+ * to value their liquidity.
+ *
+ * Liquidity is twice the value of the quote side when the quote is SOL, USDC
+ * or USDT, and unknown (null) otherwise. For concentrated liquidity pools the
+ * vaults hold every position's tokens, not just the liquidity at the current
+ * price.
+ *
+ * Results are cached per mint for config.poolDiscovery.cacheTtlMs. A search
+ * where a pool program, a vault or the SOL price could not be read is
+ * incomplete: it may miss pools or undervalue them, so it is not cached, and
+ * findPools reports it to callers that must not mistake it for no liquidity.
+ *
+ * getSwapAccounts reads the accounts a swap against an AMM v4 pool needs from
+ * the pool and its OpenBook market, so swap paths never hardcode them.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const rpcManager = require('./rpcManager');
+const priceOracle = require('./priceOracle');
+
+// Account size and the offsets of each side's mint and vault, per pool program
+const POOL_LAYOUTS = {
+  'raydium-amm-v4': {
+    dex: 'raydium',
+    programId: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+    dataSize: 752,
+    mintA: 400,
+    mintB: 432,
+    vaultA: 336,
+    vaultB: 368,
+    // LP mint and the LP supply the pool has issued, which burns do not reduce
+    lpMint: 464,
+    lpIssued: 720,
+    // Decimals of each side, and the accounts a swap against the pool needs
+    decimalsA: 32,
+    decimalsB: 40,
+    openOrders: 496,
+    marketId: 528,
+    marketProgramId: 560,
+    targetOrders: 592,
+  },
+  'raydium-cpmm': {
+    dex: 'raydium',
+    programId: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+    dataSize: 637,
+    mintA: 168,
+    mintB: 200,
+    vaultA: 72,
+    vaultB: 104,
+    lpMint: 136,
+    lpIssued: 333,
+    // Protocol and fund fees sit in the vaults until collected and are not swappable
+    feesA: [341, 357],
+    feesB: [349, 365],
+  },
+  'raydium-clmm': {
+    dex: 'raydium',
+    programId: 'CAMMCzo5YL8w4VFF8KVHrK22GGUsp5VTaW7grrKgrWqK',
+    dataSize: 1544,
+    mintA: 73,
+    mintB: 105,
+    vaultA: 137,
+    vaultB: 169,
+  },
+  'orca-whirlpool': {
+    dex: 'orca',
+    programId: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+    dataSize: 653,
+    mintA: 101,
+    mintB: 181,
+    vaultA: 133,
+    vaultB: 213,
+    feesA: [85],
+    feesB: [93],
+  },
+};
+
+// Offsets in the OpenBook (Serum v3) market an AMM v4 pool is attached to
+const MARKET_LAYOUT = {
+  vaultSignerNonce: 45,
+  baseVault: 117,
+  quoteVault: 165,
+  eventQueue: 253,
+  bids: 285,
+  asks: 317,
+};
+
+// Seed of the PDA that owns every AMM v4 pool's vaults
+const AMM_AUTHORITY_SEED = 'amm authority';
+
+// Quote mints liquidity can be valued in, with their decimals
+const WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+const STABLE_MINTS = {
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: 6, // USDC
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: 6, // USDT
+};
+
+// getMultipleAccounts takes at most this many keys per call
+const MAX_ACCOUNTS_PER_CALL = 100;
+
+class PoolDiscovery {
+  constructor() {
+    const settings = config.poolDiscovery || {};
+
+    this.cacheTtlMs = settings.cacheTtlMs || 60000;
+    this.poolTypes = (settings.poolTypes || Object.keys(POOL_LAYOUTS)).filter(type => POOL_LAYOUTS[type]);
+
+    // Token mint -> { pools, timestamp }
+    this.cache = new Map();
+    // Token mint -> discovery in progress, so concurrent callers share one search
+    this.pending = new Map();
+  }
+
+  /**
+   * Find a token's pools, deepest first
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<Array>} - Pools {dex, type, address, tokenMint, quoteMint, tokenVault, quoteVault,
+   *   lpMint, lpIssued, tokenReserve, quoteReserve, liquidityUsd}
+   */
+  async discoverPools(tokenAddress, options = {}) {
+    const { pools } = await this.findPools(tokenAddress, options);
+    return pools;
+  }
+
+  /**
+   * Find a token's pools and whether the search could read everything it needed
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} options - { forceRefresh }
+   * @returns {Promise<Object>} - { pools, complete }; pools as discoverPools returns them
+   */
+  async findPools(tokenAddress, options = {}) {
+    const cached = this.cache.get(tokenAddress);
+    if (!options.forceRefresh && cached && Date.now() - cached.timestamp < this.cacheTtlMs) {
+      return { pools: cached.pools, complete: true };
+    }
+
+    if (this.pending.has(tokenAddress)) {
+      return this.pending.get(tokenAddress);
+    }
+
+    const discovery = this.searchPools(tokenAddress).finally(() => this.pending.delete(tokenAddress));
+    this.pending.set(tokenAddress, discovery);
+    return discovery;
+  }
+
+  /**
+   * A token's pools on one DEX
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} dex - 'raydium' or 'orca'
+   * @returns {Promise<Array>} - Pools, deepest first
+   */
+  async getPools(tokenAddress, dex) {
+    const pools = await this.discoverPools(tokenAddress);
+    return pools.filter(pool => pool.dex === dex);
+  }
+
+  /**
+   * Liquidity of a token's deepest pool on one DEX
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} dex - 'raydium' or 'orca'
+   * @returns {Promise<number>} - Liquidity in USD, 0 if no pool can be valued
+   */
+  async getLiquidityUsd(tokenAddress, dex) {
+    const pools = await this.getPools(tokenAddress, dex);
+    return pools.length > 0 && pools[0].liquidityUsd ? pools[0].liquidityUsd : 0;
+  }
+
+  /**
+   * Search every pool program for the token and value what is found
+   * An incomplete search is returned but not cached
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { pools, complete }; pools deepest first
+   */
+  async searchPools(tokenAddress) {
+    const searches = await Promise.allSettled(this.poolTypes.map(type => this.searchPoolType(type, tokenAddress)));
+
+    let complete = true;
+    const pools = [];
+    searches.forEach((search, index) => {
+      if (search.status === 'fulfilled') {
+        pools.push(...search.value);
+      } else {
+        complete = false;
+        logger.warn(`[PoolDiscovery] ${this.poolTypes[index]} search failed for ${tokenAddress}: ${search.reason.message}`);
+      }
+    });
+
+    const reservesRead = await this.readReserves(pools);
+    const liquidityValued = await this.valueLiquidity(pools);
+    complete = complete && reservesRead && liquidityValued;
+    pools.sort((a, b) => (b.liquidityUsd || 0) - (a.liquidityUsd || 0));
+
+    if (complete) {
+      this.cache.set(tokenAddress, { pools, timestamp: Date.now() });
+    }
+
+    logger.info(`[PoolDiscovery] Found ${pools.length} pools for ${tokenAddress}${pools.length > 0 ? `: ${pools.map(pool => pool.type).join(', ')}` : ''}${complete ? '' : ' (incomplete)'}`);
+    return { pools, complete };
+  }
+
+  /**
+   * Find the pools of one program that hold the token on either side
+   * @param {string} type - Key of POOL_LAYOUTS
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Array>} - Pools without reserves
+   */
+  async searchPoolType(type, tokenAddress) {
+    const layout = POOL_LAYOUTS[type];
+    const programId = new PublicKey(layout.programId);
+
+    const [asMintA, asMintB] = await Promise.all([layout.mintA, layout.mintB].map(offset =>
+      rpcManager.getProgramAccounts(programId, {
+        commitment: 'confirmed',
+        filters: [
+          { dataSize: layout.dataSize },
+          { memcmp: { offset, bytes: tokenAddress } },
+        ],
+      })
+    ));
+
+    return [
+      ...asMintA.map(account => this.decodePool(type, account, 'A')),
+      ...asMintB.map(account => this.decodePool(type, account, 'B')),
+    ];
+  }
+
+  /**
+   * Read a pool's mints and vaults, oriented so the token is the first side
+   * @param {string} type - Key of POOL_LAYOUTS
+   * @param {Object} account - { pubkey, account } from getProgramAccounts
+   * @param {string} tokenSide - 'A' or 'B', the side the token mint was found on
+   * @returns {Object} - Pool
+   */
+  decodePool(type, account, tokenSide) {
+    const layout = POOL_LAYOUTS[type];
+    const data = account.account.data;
+    const readKey = offset => new PublicKey(data.slice(offset, offset + 32)).toString();
+    const readFees = offsets => (offsets || []).reduce((sum, offset) => sum + Number(data.readBigUInt64LE(offset)), 0);
+    const quoteSide = tokenSide === 'A' ? 'B' : 'A';
+
+    return {
+      dex: layout.dex,
+      type,
+      address: account.pubkey.toString(),
+      tokenMint: readKey(layout[`mint${tokenSide}`]),
+      quoteMint: readKey(layout[`mint${quoteSide}`]),
+      tokenVault: readKey(layout[`vault${tokenSide}`]),
+      quoteVault: readKey(layout[`vault${quoteSide}`]),
+      tokenFees: readFees(layout[`fees${tokenSide}`]),
+      quoteFees: readFees(layout[`fees${quoteSide}`]),
+      // Concentrated liquidity pools have position NFTs instead of an LP mint
+      lpMint: layout.lpMint !== undefined ? readKey(layout.lpMint) : null,
+      lpIssued: layout.lpIssued !== undefined ? Number(data.readBigUInt64LE(layout.lpIssued)) : null,
+      tokenReserve: null,
+      quoteReserve: null,
+      liquidityUsd: null,
+    };
+  }
+
+  /**
+   * Fill in each pool's reserves from its vault balances, net of uncollected fees
+   * @param {Array} pools - Pools to update in place
+   * @returns {Promise<boolean>} - Whether every vault could be fetched; reserves not fetched stay null
+   */
+  async readReserves(pools) {
+    const vaults = pools.flatMap(pool => [pool.tokenVault, pool.quoteVault]);
+    let complete = true;
+
+    for (let start = 0; start < vaults.length; start += MAX_ACCOUNTS_PER_CALL) {
+      const chunk = vaults.slice(start, start + MAX_ACCOUNTS_PER_CALL);
+
+      try {
+        const { value } = await rpcManager.getMultipleAccountsInfoAndContext(chunk.map(vault => new PublicKey(vault)));
+
+        value.forEach((accountInfo, index) => {
+          const vaultIndex = start + index;
+          const pool = pools[Math.floor(vaultIndex / 2)];
+          const vault = priceOracle.decodeTokenAccount(accountInfo);
+          if (!vault) {
+            return;
+          }
+
+          if (vaultIndex % 2 === 0) {
+            pool.tokenReserve = Math.max(0, vault.amount - pool.tokenFees);
+          } else {
+            pool.quoteReserve = Math.max(0, vault.amount - pool.quoteFees);
+          }
+        });
+      } catch (error) {
+        complete = false;
+        logger.warn(`[PoolDiscovery] Error reading pool vaults: ${error.message}`);
+      }
+    }
+
+    return complete;
+  }
+
+  /**
+   * Value each pool with a SOL or stablecoin quote side at twice that side's balance
+   * @param {Array} pools - Pools to update in place
+   * @returns {Promise<boolean>} - Whether the SOL price was available for the SOL pools
+   */
+  async valueLiquidity(pools) {
+    const solPools = pools.filter(pool => pool.quoteMint === WSOL_ADDRESS && pool.quoteReserve !== null);
+    const solPrice = solPools.length > 0 ? await priceOracle.getSolPriceUsd() : null;
+
+    for (const pool of pools) {
+      if (pool.quoteReserve === null) {
+        continue;
+      }
+
+      if (pool.quoteMint === WSOL_ADDRESS && solPrice) {
+        pool.liquidityUsd = 2 * (pool.quoteReserve / 1e9) * solPrice.price;
+      } else if (STABLE_MINTS[pool.quoteMint] !== undefined) {
+        pool.liquidityUsd = 2 * pool.quoteReserve / Math.pow(10, STABLE_MINTS[pool.quoteMint]);
+      }
+    }
+
+    return solPools.length === 0 || Boolean(solPrice);
+  }
+
+  /**
+   * Accounts a swap against a Raydium AMM v4 pool needs, read from the pool and its market
+   * The program is the pool account's owner, so pools of older AMM versions resolve the same way
+   * @param {string} poolAddress - Pool (AMM) address
+   * @returns {Promise<Object>} - { programId, authority, openOrders, targetOrders, baseMint, quoteMint,
+   *   baseDecimals, quoteDecimals, baseVault, quoteVault, lpMint, marketProgramId, marketId, marketBids,
+   *   marketAsks, marketEventQueue, marketBaseVault, marketQuoteVault, marketAuthority }, as base58 strings
+   *   apart from the decimals
+   */
+  async getSwapAccounts(poolAddress) {
+    const layout = POOL_LAYOUTS['raydium-amm-v4'];
+    const poolAccount = await rpcManager.getAccountInfo(new PublicKey(poolAddress));
+    if (!poolAccount || poolAccount.data.length < layout.dataSize) {
+      throw new Error(`Raydium pool ${poolAddress} not found`);
+    }
+
+    const pool = poolAccount.data;
+    const readPoolKey = offset => new PublicKey(pool.slice(offset, offset + 32));
+    const programId = poolAccount.owner;
+    const marketId = readPoolKey(layout.marketId);
+    const marketProgramId = readPoolKey(layout.marketProgramId);
+
+    const marketAccount = await rpcManager.getAccountInfo(marketId);
+    if (!marketAccount) {
+      throw new Error(`Market ${marketId.toString()} of Raydium pool ${poolAddress} not found`);
+    }
+
+    const market = marketAccount.data;
+    const readMarketKey = offset => new PublicKey(market.slice(offset, offset + 32)).toString();
+    const nonce = Buffer.alloc(8);
+    nonce.writeBigUInt64LE(market.readBigUInt64LE(MARKET_LAYOUT.vaultSignerNonce));
+
+    const [authority] = await PublicKey.findProgramAddress([Buffer.from(AMM_AUTHORITY_SEED)], programId);
+    const marketAuthority = await PublicKey.createProgramAddress([marketId.toBuffer(), nonce], marketProgramId);
+
+    return {
+      programId: programId.toString(),
+      authority: authority.toString(),
+      openOrders: readPoolKey(layout.openOrders).toString(),
+      targetOrders: readPoolKey(layout.targetOrders).toString(),
+      baseMint: readPoolKey(layout.mintA).toString(),
+      quoteMint: readPoolKey(layout.mintB).toString(),
+      baseDecimals: Number(pool.readBigUInt64LE(layout.decimalsA)),
+      quoteDecimals: Number(pool.readBigUInt64LE(layout.decimalsB)),
+      baseVault: readPoolKey(layout.vaultA).toString(),
+      quoteVault: readPoolKey(layout.vaultB).toString(),
+      lpMint: readPoolKey(layout.lpMint).toString(),
+      marketProgramId: marketProgramId.toString(),
+      marketId: marketId.toString(),
+      marketBids: readMarketKey(MARKET_LAYOUT.bids),
+      marketAsks: readMarketKey(MARKET_LAYOUT.asks),
+      marketEventQueue: readMarketKey(MARKET_LAYOUT.eventQueue),
+      marketBaseVault: readMarketKey(MARKET_LAYOUT.baseVault),
+      marketQuoteVault: readMarketKey(MARKET_LAYOUT.quoteVault),
+      marketAuthority: marketAuthority.toString(),
+    };
+  }
+
+  /**
+   * Drop a token's cached pools, e.g. after liquidity is known to have moved
+   * @param {string} tokenAddress - Token mint address
+   */
+  invalidate(tokenAddress) {
+    this.cache.delete(tokenAddress);
+  }
+}
+
+module.exports = new PoolDiscovery();
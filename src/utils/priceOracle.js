@@ -0,0 +1,390 @@
+/**
+ * Price Oracle
+ *
+ * Marks open positions to market. Raydium AMM vault reserves and pump.fun
+ * bonding curves are read directly from chain; Jupiter's price API and
+ * DexScreener are used as ranked fallbacks when no pool can be read.
+ * Every quote reports the source it came from, the slot it was read at
+ * (on-chain sources only) and how stale it is.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const rpcManager = require('./rpcManager');
+const raydiumClient = require('./raydiumDirectClient');
+const dexScreenerClient = require('./dexScreenerClient');
+const JupiterApiClient = require('./jupiterApiClient');
+
+class PriceOracle {
+  constructor() {
+    const oracleConfig = config.priceOracle || {};
+
+    this.WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+    this.USDC_ADDRESS = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+    // pump.fun bonding curve program and the decimals it mints tokens with
+    this.PUMP_FUN_PROGRAM_ID = new PublicKey('6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P');
+    this.PUMP_FUN_TOKEN_DECIMALS = 6;
+
+    this.sourceOrder = oracleConfig.sourceOrder || ['raydium', 'pumpfun', 'jupiter', 'dexscreener'];
+    this.maxStalenessMs = oracleConfig.maxStalenessMs || 60000;
+    this.solPriceCacheMs = oracleConfig.solPriceCacheMs || 60000;
+
+    this.jupiterClient = new JupiterApiClient();
+
+    // Cached SOL/USD price used to convert on-chain SOL prices
+    this.solPrice = null;
+
+    // Token mint -> decimals, which never change once a mint is created
+    this.decimalsCache = new Map();
+
+    // Last quote per token and per-source hit/miss counters
+    this.lastQuotes = new Map();
+    this.sourceStats = {};
+    this.sourceOrder.forEach(source => {
+      this.sourceStats[source] = { hits: 0, misses: 0, errors: 0 };
+    });
+
+    logger.info(`Price oracle initialized (sources: ${this.sourceOrder.join(' > ')})`);
+  }
+
+  /**
+   * Get the best available price for a token, walking the sources in priority order
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - Quote {tokenAddress, price, priceSol, source, slot, stalenessMs, timestamp} or null
+   */
+  async getQuote(tokenAddress) {
+    for (const source of this.sourceOrder) {
+      try {
+        const quote = await this.getQuoteFromSource(source, tokenAddress);
+
+        if (!quote || !Number.isFinite(quote.price) || quote.price <= 0) {
+          this.recordSourceResult(source, 'misses');
+          continue;
+        }
+
+        if (quote.stalenessMs > this.maxStalenessMs) {
+          logger.debug(`[PriceOracle] Discarding stale ${source} quote for ${tokenAddress} (${quote.stalenessMs}ms old)`);
+          this.recordSourceResult(source, 'misses');
+          continue;
+        }
+
+        this.recordSourceResult(source, 'hits');
+        this.lastQuotes.set(tokenAddress, quote);
+        return quote;
+      } catch (error) {
+        this.recordSourceResult(source, 'errors');
+        logger.debug(`[PriceOracle] ${source} quote failed for ${tokenAddress}: ${error.message}`);
+      }
+    }
+
+    logger.warn(`[PriceOracle] No price source available for ${tokenAddress}`);
+    return null;
+  }
+
+  /**
+   * Dispatch a quote request to a single named source
+   * @param {string} source - Source name
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - Quote or null if the source has no price
+   */
+  async getQuoteFromSource(source, tokenAddress) {
+    switch (source) {
+      case 'raydium':
+        return this.getRaydiumQuote(tokenAddress);
+      case 'pumpfun':
+        return this.getPumpFunQuote(tokenAddress);
+      case 'jupiter':
+        return this.getJupiterQuote(tokenAddress);
+      case 'dexscreener':
+        return this.getDexScreenerQuote(tokenAddress);
+      default:
+        logger.warn(`[PriceOracle] Unknown price source: ${source}`);
+        return null;
+    }
+  }
+
+  /**
+   * Price a token from its Raydium AMM vault balances
+   * The price is what one whole token would sell for against the current reserves,
+   * fee included, so it reflects what the position could actually be exited at
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - Quote or null if no SOL or USDC pool is readable
+   */
+  async getRaydiumQuote(tokenAddress) {
+    if (!raydiumClient.connection) {
+      raydiumClient.setConnection(rpcManager.getCurrentConnection());
+    }
+
+    const pool = await raydiumClient.findPoolForToken(tokenAddress, this.WSOL_ADDRESS);
+    if (!pool || (pool.quoteMint !== this.WSOL_ADDRESS && pool.quoteMint !== this.USDC_ADDRESS)) {
+      return null;
+    }
+
+    const poolAccounts = await raydiumClient.getPoolAccounts(pool);
+    const { context, value } = await rpcManager.getMultipleAccountsInfoAndContext([
+      poolAccounts.baseVault,
+      poolAccounts.quoteVault
+    ]);
+    const observedAt = Date.now();
+
+    let baseVault = this.decodeTokenAccount(value[0]);
+    let quoteVault = this.decodeTokenAccount(value[1]);
+    if (!baseVault || !quoteVault) {
+      return null;
+    }
+
+    // Vault order is not guaranteed to follow our normalized base/quote order
+    if (baseVault.mint === pool.quoteMint && quoteVault.mint === tokenAddress) {
+      [baseVault, quoteVault] = [quoteVault, baseVault];
+    }
+
+    if (baseVault.mint !== tokenAddress || quoteVault.mint !== pool.quoteMint) {
+      logger.debug(`[PriceOracle] Raydium vaults for pool ${pool.ammId} do not match ${tokenAddress}`);
+      return null;
+    }
+
+    if (baseVault.amount <= 0 || quoteVault.amount <= 0) {
+      return null;
+    }
+
+    const baseDecimals = pool.baseDecimals || 9;
+    const quoteDecimals = pool.quoteDecimals || 9;
+    const quoteOut = raydiumClient.calculateOutputBasedOnReserves(
+      Math.pow(10, baseDecimals),
+      baseVault.amount,
+      quoteVault.amount,
+      quoteDecimals,
+      baseDecimals
+    );
+
+    if (pool.quoteMint === this.USDC_ADDRESS) {
+      return this.buildQuote(tokenAddress, 'raydium', quoteOut, null, context.slot, observedAt, 0);
+    }
+
+    const solPrice = await this.getSolPriceUsd();
+    if (!solPrice) {
+      return null;
+    }
+
+    return this.buildQuote(
+      tokenAddress,
+      'raydium',
+      quoteOut * solPrice.price,
+      quoteOut,
+      context.slot,
+      observedAt,
+      observedAt - solPrice.timestamp
+    );
+  }
+
+  /**
+   * Price a token from its pump.fun bonding curve virtual reserves
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - Quote or null if there is no live curve
+   */
+  async getPumpFunQuote(tokenAddress) {
+    const [bondingCurve] = PublicKey.findProgramAddressSync(
+      [Buffer.from('bonding-curve'), new PublicKey(tokenAddress).toBuffer()],
+      this.PUMP_FUN_PROGRAM_ID
+    );
+
+    const { context, value } = await rpcManager.getAccountInfoAndContext(bondingCurve);
+    const observedAt = Date.now();
+
+    // Layout: 8-byte discriminator, five u64 reserves/supply fields, then the `complete` flag
+    if (!value || !value.data || value.data.length < 49) {
+      return null;
+    }
+
+    const data = value.data;
+    const virtualTokenReserves = Number(data.readBigUInt64LE(8));
+    const virtualSolReserves = Number(data.readBigUInt64LE(16));
+    const complete = data[48] === 1;
+
+    // Once the curve completes, liquidity has migrated and the curve price is frozen
+    if (complete || virtualTokenReserves === 0) {
+      return null;
+    }
+
+    const priceSol = (virtualSolReserves / 1e9) / (virtualTokenReserves / Math.pow(10, this.PUMP_FUN_TOKEN_DECIMALS));
+
+    const solPrice = await this.getSolPriceUsd();
+    if (!solPrice) {
+      return null;
+    }
+
+    return this.buildQuote(
+      tokenAddress,
+      'pumpfun',
+      priceSol * solPrice.price,
+      priceSol,
+      context.slot,
+      observedAt,
+      observedAt - solPrice.timestamp
+    );
+  }
+
+  /**
+   * Price a token from Jupiter's price API
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - Quote or null if Jupiter has no price
+   */
+  async getJupiterQuote(tokenAddress) {
+    const response = await this.jupiterClient.getTokenPrices(tokenAddress);
+    const entry = response && response.data ? response.data[tokenAddress] : null;
+
+    if (!entry || !entry.price) {
+      return null;
+    }
+
+    return this.buildQuote(tokenAddress, 'jupiter', parseFloat(entry.price), null, null, Date.now(), 0);
+  }
+
+  /**
+   * Price a token from its most liquid DexScreener pair
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object|null>} - Quote or null if DexScreener has no pairs
+   */
+  async getDexScreenerQuote(tokenAddress) {
+    const tokenInfo = await dexScreenerClient.getTokenInfo(tokenAddress);
+    if (!tokenInfo || !Array.isArray(tokenInfo.pairs) || tokenInfo.pairs.length === 0) {
+      return null;
+    }
+
+    const bestPair = [...tokenInfo.pairs].sort(
+      (a, b) => parseFloat(b.liquidity?.usd || 0) - parseFloat(a.liquidity?.usd || 0)
+    )[0];
+
+    // DexScreener responses are cached by the client, so age the quote from the cache entry
+    const cached = dexScreenerClient.pairCache.get(`token-info-${tokenAddress}`);
+    const observedAt = cached ? cached.timestamp : Date.now();
+
+    return this.buildQuote(tokenAddress, 'dexscreener', parseFloat(bestPair.priceUsd), null, null, observedAt, 0);
+  }
+
+  /**
+   * Get the SOL/USD price used to convert on-chain SOL prices, cached for solPriceCacheMs
+   * @returns {Promise<Object|null>} - {price, timestamp} or null if unavailable
+   */
+  async getSolPriceUsd() {
+    if (this.solPrice && Date.now() - this.solPrice.timestamp < this.solPriceCacheMs) {
+      return this.solPrice;
+    }
+
+    try {
+      const response = await this.jupiterClient.getTokenPrices(this.WSOL_ADDRESS);
+      const entry = response && response.data ? response.data[this.WSOL_ADDRESS] : null;
+      if (entry && entry.price) {
+        this.solPrice = { price: parseFloat(entry.price), timestamp: Date.now() };
+        return this.solPrice;
+      }
+    } catch (error) {
+      logger.debug(`[PriceOracle] Jupiter SOL price failed: ${error.message}`);
+    }
+
+    try {
+      const quote = await this.getDexScreenerQuote(this.WSOL_ADDRESS);
+      if (quote && quote.price > 0) {
+        this.solPrice = { price: quote.price, timestamp: quote.timestamp };
+        return this.solPrice;
+      }
+    } catch (error) {
+      logger.debug(`[PriceOracle] DexScreener SOL price failed: ${error.message}`);
+    }
+
+    // Fall back to the last known price; staleness accounting will reject it if it is too old
+    if (this.solPrice) {
+      logger.warn(`[PriceOracle] Using cached SOL price from ${new Date(this.solPrice.timestamp).toISOString()}`);
+    }
+    return this.solPrice;
+  }
+
+  /**
+   * Decimals of a token mint, to convert raw amounts to whole tokens
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<number>} - Decimals
+   */
+  async getTokenDecimals(tokenAddress) {
+    if (this.decimalsCache.has(tokenAddress)) {
+      return this.decimalsCache.get(tokenAddress);
+    }
+
+    const supply = await rpcManager.getTokenSupply(new PublicKey(tokenAddress));
+    const decimals = supply.value.decimals;
+    this.decimalsCache.set(tokenAddress, decimals);
+    return decimals;
+  }
+
+  /**
+   * Decode the mint and raw amount from an SPL token account
+   * @param {Object} accountInfo - Account info returned by the RPC
+   * @returns {Object|null} - {mint, amount} or null if the account is not a token account
+   */
+  decodeTokenAccount(accountInfo) {
+    if (!accountInfo || !accountInfo.data || accountInfo.data.length < 72) {
+      return null;
+    }
+
+    return {
+      mint: new PublicKey(accountInfo.data.slice(0, 32)).toString(),
+      amount: Number(accountInfo.data.readBigUInt64LE(64))
+    };
+  }
+
+  /**
+   * Assemble a quote object
+   * @param {string} tokenAddress - Token mint address
+   * @param {string} source - Source name
+   * @param {number} price - Price in USD
+   * @param {number|null} priceSol - Price in SOL, when known
+   * @param {number|null} slot - Slot the data was read at, for on-chain sources
+   * @param {number} observedAt - When the underlying data was observed (ms)
+   * @param {number} extraStalenessMs - Additional staleness from inputs such as the SOL price
+   * @returns {Object} - Quote
+   */
+  buildQuote(tokenAddress, source, price, priceSol, slot, observedAt, extraStalenessMs) {
+    const now = Date.now();
+    return {
+      tokenAddress,
+      price,
+      priceSol,
+      source,
+      slot,
+      stalenessMs: Math.max(now - observedAt, extraStalenessMs || 0),
+      timestamp: observedAt
+    };
+  }
+
+  /**
+   * Increment a per-source counter
+   * @param {string} source - Source name
+   * @param {string} field - Counter name (hits, misses or errors)
+   */
+  recordSourceResult(source, field) {
+    if (!this.sourceStats[source]) {
+      this.sourceStats[source] = { hits: 0, misses: 0, errors: 0 };
+    }
+    this.sourceStats[source][field]++;
+  }
+
+  /**
+   * Get the last quote seen for a token
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Object|null} - Last quote or null
+   */
+  getLastQuote(tokenAddress) {
+    return this.lastQuotes.get(tokenAddress) || null;
+  }
+
+  /**
+   * Get per-source hit/miss/error counters
+   * @returns {Object} - Source statistics
+   */
+  getSourceStats() {
+    return this.sourceStats;
+  }
+}
+
+module.exports = new PriceOracle();
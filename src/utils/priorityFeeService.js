@@ -0,0 +1,182 @@
+/**
+ * Priority Fee Service
+ *
+ * Prices the compute units of every swap (config.priorityFees). Recent
+ * prioritization fees are sampled for the accounts a swap write-locks (its
+ * pools, falling back to the token mint) and a percentile is picked by how
+ * urgent the order is: entries pay the median, take profits more, stop losses
+ * and emergency exits close to the top of the market. When most recent slots
+ * were paying above the default fee the price is raised by the congestion
+ * multiplier.
+ *
+ * swapExecutor opens an order per buy or sell with startOrder(). Every fee
+ * asked for while an order is open counts as a (re)submission of it, so
+ * retries on any swap path pay progressively more without the path having to
+ * know it is retrying.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const rpcManager = require('./rpcManager');
+
+const URGENCIES = ['entry', 'takeProfit', 'stopLoss', 'emergency'];
+
+class PriorityFeeService {
+  constructor() {
+    this.settings = config.priorityFees || { enabled: false };
+
+    // Accounts key -> { fees, timestamp }
+    this.sampleCache = new Map();
+
+    // Token address -> { urgency, submissions }
+    // One sell order per token at a time: swapExecutor queues a token's sells behind each other
+    this.orders = new Map();
+  }
+
+  isEnabled() {
+    return this.settings.enabled === true;
+  }
+
+  /**
+   * Open an order for a token so its fee requests share an urgency and count resubmissions
+   * @param {string} tokenAddress - Token being bought or sold
+   * @param {string} urgency - 'entry', 'takeProfit', 'stopLoss' or 'emergency'
+   */
+  startOrder(tokenAddress, urgency = 'entry') {
+    this.orders.set(tokenAddress, {
+      urgency: URGENCIES.includes(urgency) ? urgency : 'entry',
+      submissions: 0,
+    });
+  }
+
+  endOrder(tokenAddress) {
+    this.orders.delete(tokenAddress);
+  }
+
+  /**
+   * Urgency of a sell from the reason it was triggered
+   * @param {string} fillType - Fill type passed to swapExecutor.executeSell
+   * @returns {string} - Urgency level
+   */
+  getSellUrgency(fillType) {
+    switch (fillType) {
+      case 'SL':
+      case 'TRAILING_STOP':
+        return 'stopLoss';
+      case 'EMERGENCY':
+        return 'emergency';
+      default:
+        return 'takeProfit';
+    }
+  }
+
+  /**
+   * Compute unit price for the next submission of a swap
+   * @param {Object} options - { tokenAddress, accounts, urgency, estimate }; urgency defaults to the open order's,
+   *   estimate prices the next submission without counting as one
+   * @returns {Promise<number>} - Price in micro-lamports per compute unit
+   */
+  async getPriorityFee(options = {}) {
+    const settings = this.settings;
+    if (!this.isEnabled()) {
+      return 0;
+    }
+
+    const order = options.tokenAddress ? this.orders.get(options.tokenAddress) : null;
+    const urgency = options.urgency || (order ? order.urgency : 'entry');
+    const submission = order ? (options.estimate ? order.submissions : order.submissions++) : 0;
+
+    let fee = settings.defaultMicroLamports;
+    try {
+      const accounts = this.normalizeAccounts(options.accounts, options.tokenAddress);
+      const fees = await this.sampleFees(accounts);
+
+      if (fees.length > 0) {
+        const percentile = settings.percentiles[urgency] || settings.percentiles.entry;
+        fee = Math.max(this.percentile(fees, percentile), settings.minMicroLamports);
+
+        const congestedSlots = fees.filter(sample => sample > settings.defaultMicroLamports).length;
+        if (congestedSlots / fees.length >= settings.congestedSlotRatio) {
+          fee *= settings.congestionMultiplier;
+        }
+      }
+    } catch (error) {
+      logger.debug(`[PriorityFee] Could not sample recent fees: ${error.message}`);
+    }
+
+    if (submission > 0) {
+      fee *= Math.min(Math.pow(settings.retryMultiplier, submission), settings.maxIncreaseFactor);
+    }
+
+    const price = Math.round(Math.min(settings.maxMicroLamports, Math.max(settings.minMicroLamports, fee)));
+    logger.debug(`[PriorityFee] ${urgency} fee for ${options.tokenAddress || 'swap'}: ${price} micro-lamports/CU (submission ${submission + 1})`);
+    return price;
+  }
+
+  /**
+   * Priority fee as a total in lamports, for APIs that take prioritizationFeeLamports
+   * @param {Object} options - Same as getPriorityFee, plus computeUnits
+   * @returns {Promise<number>} - Lamports
+   */
+  async getPriorityFeeLamports(options = {}) {
+    const microLamports = await this.getPriorityFee(options);
+    const computeUnits = options.computeUnits || this.settings.defaultComputeUnits;
+    return Math.ceil((microLamports * computeUnits) / 1e6);
+  }
+
+  /**
+   * Pool accounts of a Jupiter route, which are what the swap write-locks
+   * @param {Object} route - Jupiter SDK routeInfo or v6 quote
+   * @returns {Array<string>} - Account addresses
+   */
+  getRouteAccounts(route) {
+    if (!route) {
+      return [];
+    }
+    if (Array.isArray(route.routePlan)) {
+      return route.routePlan.map(step => step.swapInfo && step.swapInfo.ammKey).filter(Boolean);
+    }
+    if (Array.isArray(route.marketInfos)) {
+      return route.marketInfos.map(market => market.id || (market.amm && market.amm.id)).filter(Boolean).map(String);
+    }
+    return [];
+  }
+
+  normalizeAccounts(accounts, tokenAddress) {
+    const list = accounts && accounts.length > 0 ? accounts : (tokenAddress ? [tokenAddress] : []);
+    // The RPC accepts at most 128 accounts
+    return list.slice(0, 128).map(account => account.toString());
+  }
+
+  /**
+   * Recent per-slot prioritization fees for transactions locking the accounts
+   * @param {Array<string>} accounts - Account addresses
+   * @returns {Promise<Array<number>>} - Fees in micro-lamports per compute unit
+   */
+  async sampleFees(accounts) {
+    const key = accounts.slice().sort().join(',');
+    const cached = this.sampleCache.get(key);
+    if (cached && Date.now() - cached.timestamp < this.settings.sampleCacheMs) {
+      return cached.fees;
+    }
+
+    const samples = await rpcManager.getRecentPrioritizationFees(accounts.map(account => new PublicKey(account)));
+    const fees = (samples || []).map(sample => sample.prioritizationFee);
+
+    this.sampleCache.set(key, { fees, timestamp: Date.now() });
+    if (this.sampleCache.size > 200) {
+      this.sampleCache.delete(this.sampleCache.keys().next().value);
+    }
+
+    return fees;
+  }
+
+  percentile(values, percentile) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.floor((percentile / 100) * sorted.length));
+    return sorted[index];
+  }
+}
+
+module.exports = new PriorityFeeService();
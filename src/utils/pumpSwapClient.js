@@ -5,9 +5,10 @@
  * without relying on Jupiter aggregator.
  */
 
-const { Connection, PublicKey, Transaction, sendAndConfirmTransaction } = require('@solana/web3.js');
+const { Connection, PublicKey, Transaction, ComputeBudgetProgram, sendAndConfirmTransaction } = require('@solana/web3.js');
 const { Token, TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-token');
 const logger = require('./logger');
+const priorityFeeService = require('./priorityFeeService');
 const fetch = require('node-fetch');
 
 class PumpSwapClient {
@@ -80,6 +81,7 @@ class PumpSwapClient {
       // Step 2: Build the swap transaction
       const transaction = await this.buildSwapTransaction({
         quote: quoteResponse,
+        tokenAddress: normalizedAddress,
         userWallet,
         connection
       });
@@ -175,13 +177,14 @@ class PumpSwapClient {
    * Build a swap transaction using PumpSwap
    * @param {Object} params - Transaction parameters
    * @param {Object} params.quote - Swap quote from getSwapQuote
+   * @param {string} params.tokenAddress - Token being swapped, used to price the priority fee
    * @param {string|Object} params.userWallet - User wallet address or keypair
    * @param {Object} params.connection - Solana connection object
    * @returns {Promise<Transaction>} - Swap transaction
    */
   async buildSwapTransaction(params) {
     try {
-      const { quote, userWallet, connection } = params;
+      const { quote, tokenAddress, userWallet, connection } = params;
       
       // Get the user's public key
       const userPublicKey = typeof userWallet === 'string' 
@@ -221,6 +224,9 @@ class PumpSwapClient {
       const serializedTx = Buffer.from(data.encodedTransaction, 'base64');
       const transaction = Transaction.from(serializedTx);
       
+      // Price compute units ourselves instead of using the API's fee
+      await this.setPriorityFee(transaction, tokenAddress);
+      
       // Get a recent blockhash
       const { blockhash } = await connection.getRecentBlockhash();
       transaction.recentBlockhash = blockhash;
@@ -232,6 +238,37 @@ class PumpSwapClient {
       throw error;
     }
   }
+  
+  /**
+   * Replace the transaction's compute unit price with one from the priority fee service
+   * @param {Transaction} transaction - Swap transaction
+   * @param {string} tokenAddress - Token being swapped
+   */
+  async setPriorityFee(transaction, tokenAddress) {
+    // Accounts the swap write-locks, other than the wallet's own
+    const accounts = [];
+    for (const instruction of transaction.instructions) {
+      for (const key of instruction.keys) {
+        if (key.isWritable && !key.isSigner && !accounts.includes(key.pubkey.toString())) {
+          accounts.push(key.pubkey.toString());
+        }
+      }
+    }
+    
+    const microLamports = await priorityFeeService.getPriorityFee({ tokenAddress, accounts });
+    const priceInstruction = ComputeBudgetProgram.setComputeUnitPrice({ microLamports });
+    
+    // SetComputeUnitPrice is instruction 3 of the compute budget program
+    const existing = transaction.instructions.findIndex(instruction =>
+      instruction.programId.equals(ComputeBudgetProgram.programId) && instruction.data[0] === 3
+    );
+    
+    if (existing >= 0) {
+      transaction.instructions[existing] = priceInstruction;
+    } else {
+      transaction.instructions.unshift(priceInstruction);
+    }
+  }
 }
 
 module.exports = new PumpSwapClient();
\ No newline at end of file
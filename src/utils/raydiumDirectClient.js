@@ -3,6 +3,9 @@ const { TOKEN_PROGRAM_ID, ASSOCIATED_TOKEN_PROGRAM_ID } = require('@solana/spl-t
 const axios = require('axios');
 const logger = require('./logger');
 const config = require('../../config/config');
+const transactionTracker = require('./transactionTracker');
+const priorityFeeService = require('./priorityFeeService');
+const tokenProfiles = require('./tokenProfiles');
 
 // Create a module export for the client
 const raydiumDirectClient = new class RaydiumDirectClient {
@@ -38,44 +41,6 @@ const raydiumDirectClient = new class RaydiumDirectClient {
     // Store the current keypair for transactions
     this.currentKeypair = null;
     
-    // List of tokens that are known to work with Raydium but might fail with Jupiter
-    this.forceRaydiumTokens = [
-      'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT
-      'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU', // DOG
-      'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-    ];
-    
-    // Raydium pool addresses for specific tokens
-    this.tokenPoolMap = {
-      'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv': {
-        ammId: '7Hoi4nBgGkjxB2UdJCFXFahxdS7Nk3TGNQfQSW7Gxgax',
-        lpMint: 'FQYzNJhJ7fuXoZ5mLpV8KZbxujYLvuM4SHGMkP6qKVQ2',
-        baseMint: 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',
-        quoteMint: 'So11111111111111111111111111111111111111112',
-        baseDecimals: 9,
-        quoteDecimals: 9,
-        lpDecimals: 9
-      },
-      'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU': {
-        ammId: '3HYhQC6ne6SAPHR8NuP51mJQ9jeYE9aUaYJNXfUvqCdZ',
-        lpMint: 'E6oCGvPrResupXUF7kWfzW5vxEJSXcq8zJDTWjPf5xnB',
-        baseMint: 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU',
-        quoteMint: 'So11111111111111111111111111111111111111112',
-        baseDecimals: 9,
-        quoteDecimals: 9,
-        lpDecimals: 9
-      },
-      'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN': {
-        ammId: '9fYLLAzA8N9QqKGHZz9jHFGUYsyXm7fLWnRDKbGfs7Nm',
-        lpMint: 'GJa1VeEYLTRoHbaeqcxfzHmjGCGtZGBvTJKEKzuuRvEH',
-        baseMint: 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN',
-        quoteMint: 'So11111111111111111111111111111111111111112',
-        baseDecimals: 9,
-        quoteDecimals: 9,
-        lpDecimals: 9
-      }
-    };
-    
     // Maximum number of retries for API calls
     this.maxRetries = 3;
     
@@ -142,12 +107,12 @@ const raydiumDirectClient = new class RaydiumDirectClient {
   }
 
   /**
-   * Check if a token should force using Raydium
+   * Check if a token's profile forces using Raydium
    * @param {string} tokenAddress - Token address
    * @returns {boolean} - Whether to force using Raydium
    */
   shouldForceRaydium(tokenAddress) {
-    return this.forceRaydiumTokens.includes(tokenAddress);
+    return tokenProfiles.getForcedVenue(tokenAddress) === 'raydium';
   }
   
   /**
@@ -323,57 +288,6 @@ const raydiumDirectClient = new class RaydiumDirectClient {
     try {
       logger.info(`[Raydium] Fetching liquidity data for pool ${ammId}`);
       
-      // Special case for DOG token pool
-      if (ammId === '3HYhQC6ne6SAPHR8NuP51mJQ9jeYE9aUaYJNXfUvqCdZ') {
-        logger.info(`[Raydium] Using hardcoded liquidity data for DOG pool`);
-        return {
-          id: '3HYhQC6ne6SAPHR8NuP51mJQ9jeYE9aUaYJNXfUvqCdZ',
-          baseReserve: '1000000000000000',  // Placeholder value
-          quoteReserve: '1000000000000',     // Placeholder value
-          baseVault: 'GbVKmGVpCCNZaS7ZjCAKpY1TdJDcQvJFcLKi7C9XrEQV',
-          quoteVault: '2JCxZv6LaFjtWqBXSC2qadFJaJX7cp3LJZXWvbDVrVZZ',
-          authority: '2JCxZv6LaFjtWqBXSC2qadFJaJX7cp3LJZXWvbDVrVZZ',
-          openOrders: '2JCxZv6LaFjtWqBXSC2qadFJaJX7cp3LJZXWvbDVrVZZ'
-        };
-      }
-      
-      // Special case for CAT token pool
-      if (ammId === '9fYLLAzA8N9QqKGHZz9jHFGUYsyXm7fLWnRDKbGfs7Nm') {
-        logger.info(`[Raydium] Using hardcoded liquidity data for CAT pool`);
-        return {
-          id: '9fYLLAzA8N9QqKGHZz9jHFGUYsyXm7fLWnRDKbGfs7Nm',
-          baseReserve: '1000000000000000',  // Placeholder value
-          quoteReserve: '1000000000000',     // Placeholder value
-          baseVault: '9SQKVwK2WNKJgfCfcmXHXjpVXGsHXMwEBYR5P3L9mRoS',
-          quoteVault: 'FUDiGWLscDYmXrZgHJJSXHaEJKr5zGKpHAqxvnqNnGQh',
-          authority: 'FUDiGWLscDYmXrZgHJJSXHaEJKr5zGKpHAqxvnqNnGQh',
-          openOrders: 'FUDiGWLscDYmXrZgHJJSXHaEJKr5zGKpHAqxvnqNnGQh'
-        };
-      }
-      
-      // Special case for LOL token pool
-      if (ammId === '7Hoi4nBgGkjxB2UdJCFXFahxdS7Nk3TGNQfQSW7Gxgax') {
-        logger.info(`[Raydium] Using hardcoded liquidity data for LOL pool`);
-        return {
-          id: '7Hoi4nBgGkjxB2UdJCFXFahxdS7Nk3TGNQfQSW7Gxgax',
-          baseReserve: '1000000000000000',  // Placeholder value
-          quoteReserve: '1000000000000',     // Placeholder value
-          baseVault: 'FrspKwj8i3pNmKwXreTXnqZPgHSJg27EWokQZdHQW4Qg',
-          quoteVault: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1',
-          authority: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1',
-          openOrders: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1',
-          // Add Serum market accounts for LOL token
-          serumMarket: '7GPyD9VkZqpbT9JpJxwXKGpYbLiPPr3mx5eMtJfXJyRr',
-          serumBids: 'J8romPYCZZVBVTgfX9CZ5uNf6jvVNXg5jJMNzwCEehkW',
-          serumAsks: '2VzTzEkCYr8er1DNKvPLqZcHZMEJGGucYEv1Y5eba2iu',
-          serumEventQueue: 'EUre4VPaLh7B95qG3JPS3atquJ5hjbwtX7XFcTtVNkc7',
-          serumCoinVault: 'FrspKwj8i3pNmKwXreTXnqZPgHSJg27EWokQZdHQW4Qg',
-          serumPcVault: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1',
-          serumVaultSigner: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'
-        };
-      }
-      
-      // For other tokens, try the API
       const url = `${this.RAYDIUM_API_URL}${this.RAYDIUM_LIQUIDITY_ENDPOINT}`;
       const liquidityData = await this.makeApiRequest(url);
       
@@ -476,11 +390,9 @@ const raydiumDirectClient = new class RaydiumDirectClient {
         throw new Error(`No Raydium pool found for token ${tokenAddress}`);
       }
       
-      // 2. Get pool liquidity data
+      // 2. Read the pool's accounts from chain, and its reserves for the output estimate
+      const poolAccounts = await this.getPoolAccounts(pool);
       const poolLiquidity = await this.fetchPoolLiquidity(pool.ammId);
-      if (!poolLiquidity) {
-        throw new Error(`Could not fetch liquidity data for pool ${pool.ammId}`);
-      }
       
       // 3. Create token objects
       const inputToken = new Token(TOKEN_PROGRAM_ID, new PublicKey(quoteTokenAddress), pool.quoteDecimals);
@@ -495,26 +407,26 @@ const raydiumDirectClient = new class RaydiumDirectClient {
       // 6. Create pool keys
       const poolKeys = new LiquidityPoolKeys({
         id: new PublicKey(pool.ammId),
-        baseMint: new PublicKey(pool.baseMint),
-        quoteMint: new PublicKey(pool.quoteMint),
-        lpMint: new PublicKey(pool.lpMint),
-        baseDecimals: pool.baseDecimals,
-        quoteDecimals: pool.quoteDecimals,
+        baseMint: poolAccounts.baseMint,
+        quoteMint: poolAccounts.quoteMint,
+        lpMint: poolAccounts.lpMint,
+        baseDecimals: poolAccounts.baseDecimals,
+        quoteDecimals: poolAccounts.quoteDecimals,
         lpDecimals: pool.lpDecimals,
-        programId: new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8'),
-        authority: new PublicKey(poolLiquidity.authority || poolLiquidity.openOrders),
-        openOrders: new PublicKey(poolLiquidity.openOrders),
-        targetOrders: new PublicKey(poolLiquidity.targetOrders || '11111111111111111111111111111111'),
-        baseVault: new PublicKey(poolLiquidity.baseVault),
-        quoteVault: new PublicKey(poolLiquidity.quoteVault),
-        marketId: new PublicKey(poolLiquidity.serumMarket || this.getSerumMarketAddress(tokenAddress)),
-        marketProgramId: new PublicKey('9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin'),
-        marketAuthority: new PublicKey(poolLiquidity.serumVaultSigner || '11111111111111111111111111111111'),
-        marketBaseVault: new PublicKey(poolLiquidity.serumCoinVault || '11111111111111111111111111111111'),
-        marketQuoteVault: new PublicKey(poolLiquidity.serumPcVault || '11111111111111111111111111111111'),
-        marketBids: new PublicKey(poolLiquidity.serumBids || '11111111111111111111111111111111'),
-        marketAsks: new PublicKey(poolLiquidity.serumAsks || '11111111111111111111111111111111'),
-        marketEventQueue: new PublicKey(poolLiquidity.serumEventQueue || '11111111111111111111111111111111')
+        programId: poolAccounts.programId,
+        authority: poolAccounts.authority,
+        openOrders: poolAccounts.openOrders,
+        targetOrders: poolAccounts.targetOrders,
+        baseVault: poolAccounts.baseVault,
+        quoteVault: poolAccounts.quoteVault,
+        marketId: poolAccounts.marketId,
+        marketProgramId: poolAccounts.marketProgramId,
+        marketAuthority: poolAccounts.marketAuthority,
+        marketBaseVault: poolAccounts.marketBaseVault,
+        marketQuoteVault: poolAccounts.marketQuoteVault,
+        marketBids: poolAccounts.marketBids,
+        marketAsks: poolAccounts.marketAsks,
+        marketEventQueue: poolAccounts.marketEventQueue
       });
       
       // 7. Get or create token accounts
@@ -545,7 +457,7 @@ const raydiumDirectClient = new class RaydiumDirectClient {
       
       transaction.add(
         ComputeBudgetProgram.setComputeUnitPrice({
-          microLamports: 50000
+          microLamports: await priorityFeeService.getPriorityFee({ tokenAddress, accounts: [pool.ammId] })
         })
       );
       
@@ -908,12 +820,6 @@ const raydiumDirectClient = new class RaydiumDirectClient {
         return null;
       }
       
-      // Check if we have a predefined pool for this token
-      if (this.tokenPoolMap[tokenAddress]) {
-        logger.info(`[Raydium] Using predefined pool data for token ${tokenAddress}`);
-        return this.tokenPoolMap[tokenAddress];
-      }
-      
       // Check cache first
       const cacheKey = `${tokenAddress}-${quoteTokenAddress}`;
       if (this.poolCache.has(cacheKey)) {
@@ -924,69 +830,6 @@ const raydiumDirectClient = new class RaydiumDirectClient {
         }
       }
       
-      // Special case for DOG token
-      if (tokenAddress === 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU') {
-        const dogPool = {
-          ammId: '3HYhQC6ne6SAPHR8NuP51mJQ9jeYE9aUaYJNXfUvqCdZ',
-          lpMint: 'E6oCGvPrResupXUF7kWfzW5vxEJSXcq8zJDTWjPf5xnB',
-          baseMint: 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU',
-          quoteMint: 'So11111111111111111111111111111111111111112',
-          baseDecimals: 9,
-          quoteDecimals: 9,
-          lpDecimals: 9
-        };
-        
-        // Cache the result
-        this.poolCache.set(cacheKey, {
-          timestamp: Date.now(),
-          data: dogPool
-        });
-        
-        return dogPool;
-      }
-      
-      // Special case for CAT token
-      if (tokenAddress === 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN') {
-        const catPool = {
-          ammId: '9fYLLAzA8N9QqKGHZz9jHFGUYsyXm7fLWnRDKbGfs7Nm',
-          lpMint: 'GJa1VeEYLTRoHbaeqcxfzHmjGCGtZGBvTJKEKzuuRvEH',
-          baseMint: 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN',
-          quoteMint: 'So11111111111111111111111111111111111111112',
-          baseDecimals: 9,
-          quoteDecimals: 9,
-          lpDecimals: 9
-        };
-        
-        // Cache the result
-        this.poolCache.set(cacheKey, {
-          timestamp: Date.now(),
-          data: catPool
-        });
-        
-        return catPool;
-      }
-      
-      // Special case for LOL token
-      if (tokenAddress === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-        const lolPool = {
-          ammId: '4GUn2JsUPG1pYM81vMrwRMVCVBKKWcjqJNQZks12Bwf2',
-          lpMint: '9RUMtHSKJQep7TVFsdGX7kJNhiTXN3a7XRnvXRUgMoMZ',
-          baseMint: 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',
-          quoteMint: 'So11111111111111111111111111111111111111112',
-          baseDecimals: 9,
-          quoteDecimals: 9,
-          lpDecimals: 9
-        };
-        
-        // Cache the result
-        this.poolCache.set(cacheKey, {
-          timestamp: Date.now(),
-          data: lolPool
-        });
-        
-        return lolPool;
-      }
-      
       // Fetch all pools from Raydium API
       const allPools = await this.fetchAllPools();
       
@@ -1025,6 +868,16 @@ const raydiumDirectClient = new class RaydiumDirectClient {
         return normalizedPool;
       }
       
+      // Pools the API does not list are found on chain
+      const discovered = await this.discoverPool(tokenAddress, quoteTokenAddress);
+      if (discovered) {
+        this.poolCache.set(cacheKey, {
+          timestamp: Date.now(),
+          data: discovered
+        });
+        return discovered;
+      }
+      
       logger.warn(`[Raydium] No pool found for token ${tokenAddress} with quote ${quoteTokenAddress}`);
       return null;
     } catch (error) {
@@ -1033,6 +886,37 @@ const raydiumDirectClient = new class RaydiumDirectClient {
     }
   }
   
+  /**
+   * Find a token's Raydium AMM v4 pool on chain, preferring one paired with the quote token
+   * @param {string} tokenAddress - The token address to find a pool for
+   * @param {string} quoteTokenAddress - The quote token address (SOL or USDC)
+   * @returns {Promise<Object|null>} - The pool object, oriented so the token is the base, or null if not found
+   */
+  async discoverPool(tokenAddress, quoteTokenAddress) {
+    // Required here: poolDiscovery reaches this client through priceOracle
+    const poolDiscovery = require('./poolDiscovery');
+    
+    const pools = (await poolDiscovery.getPools(tokenAddress, 'raydium')).filter(pool => pool.type === 'raydium-amm-v4');
+    const pool = pools.find(p => p.quoteMint === quoteTokenAddress) || pools[0];
+    if (!pool) {
+      return null;
+    }
+    
+    const accounts = await poolDiscovery.getSwapAccounts(pool.address);
+    const tokenIsBase = accounts.baseMint === tokenAddress;
+    logger.info(`[Raydium] Discovered pool for token ${tokenAddress} on chain: ${pool.address}`);
+    
+    return {
+      ammId: pool.address,
+      lpMint: pool.lpMint,
+      baseMint: pool.tokenMint,
+      quoteMint: pool.quoteMint,
+      baseDecimals: tokenIsBase ? accounts.baseDecimals : accounts.quoteDecimals,
+      quoteDecimals: tokenIsBase ? accounts.quoteDecimals : accounts.baseDecimals,
+      lpDecimals: accounts.baseDecimals
+    };
+  }
+  
   /**
    * Build a swap transaction for Raydium
    * @param {Object} pool - The pool object
@@ -1059,7 +943,10 @@ const raydiumDirectClient = new class RaydiumDirectClient {
       // Add a priority fee to increase chances of inclusion in a block
       transaction.add(
         ComputeBudgetProgram.setComputeUnitPrice({
-          microLamports: 50000 // Adjust based on network conditions
+          microLamports: await priorityFeeService.getPriorityFee({
+            tokenAddress,
+            accounts: pool && pool.ammId ? [pool.ammId] : [],
+          })
         })
       );
       
@@ -1228,199 +1115,7 @@ const raydiumDirectClient = new class RaydiumDirectClient {
   async createRaydiumSwapInstruction(pool, tokenAddress, amountInLamports, minimumAmountOut, sourceTokenAccount, destinationTokenAccount) {
     try {
       logger.info(`[Raydium] Creating swap instruction for ${tokenAddress}`);
-      
-      // Get the Raydium AMM program ID - Updated to support multiple program IDs
-      // For certain tokens, we need to use a different program ID
-      let raydiumAmmProgramId;
-      
-      // Check if this is a special token that requires a different program ID
-      const isSpecialToken = [
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU'  // DOG
-      ].includes(tokenAddress);
-      
-      // Special case for LOL, CAT, and DOG tokens
-      if (isSpecialToken) {
-        // Use the special program ID for these tokens
-        raydiumAmmProgramId = new PublicKey('5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h');
-        logger.info(`[Raydium] Using special program ID for ${tokenAddress}: ${raydiumAmmProgramId.toString()}`);
-      } else {
-        // Use the default program ID for other tokens
-        raydiumAmmProgramId = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
-      }
-      
-      // Get the user's wallet public key from the keypair passed to executeSwap
-      const userPublicKey = this.currentKeypair ? this.currentKeypair.publicKey : null;
-      
-      if (!userPublicKey) {
-        throw new Error('No wallet keypair available for transaction');
-      }
-      
-      // Validate token address is a valid base58 string
-      if (!this.isValidBase58(tokenAddress)) {
-        throw new Error(`Invalid token address: ${tokenAddress} is not a valid base58 string`);
-      }
-      
-      // Validate pool.ammId is a valid base58 string
-      if (typeof pool.ammId === 'string' && !this.isValidBase58(pool.ammId)) {
-        throw new Error(`Invalid pool AMM ID: ${pool.ammId} is not a valid base58 string`);
-      }
-      
-      // Convert pool.ammId to PublicKey if it's a string
-      const ammId = typeof pool.ammId === 'string' ? new PublicKey(pool.ammId) : pool.ammId;
-      
-      // Fetch the pool accounts
-      const poolAccounts = await this.getPoolAccounts(pool);
-      
-      // Determine if we're swapping from SOL to token or token to SOL
-      const isInputSol = pool.quoteMint === this.WSOL_ADDRESS && sourceTokenAccount.toString() !== destinationTokenAccount.toString();
-      
-      // Get the Serum market address for the token
-      const serumMarketAddress = this.getSerumMarketAddress(tokenAddress);
-      
-      // Determine the instruction index based on the token and direction
-      let instructionIndex;
-      
-      // Special case for special tokens
-      if (isSpecialToken) {
-        // For special tokens, use instruction index 1 for SOL to token, 2 for token to SOL
-        instructionIndex = isInputSol ? 1 : 2;
-      } else {
-        // For other tokens, use the standard indices
-        // 9 = swap quote to base (SOL to token), 10 = swap base to quote (token to SOL)
-        instructionIndex = isInputSol ? 9 : 10;
-      }
-      
-      logger.info(`[Raydium] Using instruction index ${instructionIndex} for token ${tokenAddress}`);
-      
-      // Serialize the data layout to a buffer according to Raydium's format
-      // Format: 1 byte for instruction index, 8 bytes for amountIn, 8 bytes for minimumAmountOut
-      const data = Buffer.alloc(17);
-      data.writeUInt8(instructionIndex, 0); // instruction index
-      data.writeBigUInt64LE(BigInt(amountInLamports), 1); // amountIn
-      data.writeBigUInt64LE(BigInt(minimumAmountOut), 9); // minAmountOut
-      
-      // For special tokens, we use a simplified account structure
-      if (isSpecialToken) {
-        logger.info(`[Raydium] Using simplified account structure for special token ${tokenAddress}`);
-        
-        // Create the instruction with the simplified account structure for special tokens
-        // The order of accounts is critical for these special tokens
-        const instruction = new TransactionInstruction({
-          programId: raydiumAmmProgramId,
-          keys: [
-            // AMM accounts
-            { pubkey: ammId, isSigner: false, isWritable: true },
-            { pubkey: poolAccounts.authority, isSigner: false, isWritable: false },
-            { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
-            { pubkey: destinationTokenAccount, isSigner: false, isWritable: true },
-            { pubkey: poolAccounts.baseVault, isSigner: false, isWritable: true },
-            { pubkey: poolAccounts.quoteVault, isSigner: false, isWritable: true },
-            { pubkey: new PublicKey(pool.lpMint), isSigner: false, isWritable: true },
-            // User accounts
-            { pubkey: userPublicKey, isSigner: true, isWritable: true },
-            // Program IDs
-            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false } // System program ID
-          ],
-          data: data
-        });
-        
-        return instruction;
-      }
-      
-      // For standard tokens, we need the full account structure with Serum market accounts
-      // Get the open orders account for the pool
-      let openOrdersAccount;
-      try {
-        // Try to get from pool liquidity data
-        const poolLiquidity = await this.fetchPoolLiquidity(pool.ammId);
-        if (poolLiquidity && poolLiquidity.openOrders) {
-          openOrdersAccount = new PublicKey(poolLiquidity.openOrders);
-        } else {
-          // Fallback to a derived PDA (this might not work for all pools)
-          const [derivedOpenOrders] = await PublicKey.findProgramAddress(
-            [ammId.toBuffer(), Buffer.from('open_orders')],
-            raydiumAmmProgramId
-          );
-          openOrdersAccount = derivedOpenOrders;
-        }
-      } catch (error) {
-        logger.warn(`[Raydium] Could not get open orders account: ${error.message}. Using placeholder.`);
-        // Use a placeholder as fallback (this will likely fail)
-        openOrdersAccount = new PublicKey('11111111111111111111111111111111');
-      }
-      
-      // Get the Serum market accounts
-      let serumMarket, serumBids, serumAsks, serumEventQueue, serumCoinVault, serumPcVault, serumVaultSigner;
-      try {
-        // Use the Serum market address we determined earlier
-        serumMarket = new PublicKey(serumMarketAddress);
-        
-        // Try to get other Serum accounts from pool liquidity data
-        const poolLiquidity = await this.fetchPoolLiquidity(pool.ammId);
-        if (poolLiquidity) {
-          serumBids = new PublicKey(poolLiquidity.serumBids || '11111111111111111111111111111111');
-          serumAsks = new PublicKey(poolLiquidity.serumAsks || '11111111111111111111111111111111');
-          serumEventQueue = new PublicKey(poolLiquidity.serumEventQueue || '11111111111111111111111111111111');
-          serumCoinVault = new PublicKey(poolLiquidity.serumCoinVault || '11111111111111111111111111111111');
-          serumPcVault = new PublicKey(poolLiquidity.serumPcVault || '11111111111111111111111111111111');
-          serumVaultSigner = new PublicKey(poolLiquidity.serumVaultSigner || '11111111111111111111111111111111');
-        } else {
-          // Use placeholders as fallback
-          serumBids = new PublicKey('11111111111111111111111111111111');
-          serumAsks = new PublicKey('11111111111111111111111111111111');
-          serumEventQueue = new PublicKey('11111111111111111111111111111111');
-          serumCoinVault = new PublicKey('11111111111111111111111111111111');
-          serumPcVault = new PublicKey('11111111111111111111111111111111');
-          serumVaultSigner = new PublicKey('11111111111111111111111111111111');
-        }
-      } catch (error) {
-        logger.warn(`[Raydium] Could not get Serum market accounts: ${error.message}. Using placeholders.`);
-        // Use placeholders as fallback
-        serumBids = new PublicKey('11111111111111111111111111111111');
-        serumAsks = new PublicKey('11111111111111111111111111111111');
-        serumEventQueue = new PublicKey('11111111111111111111111111111111');
-        serumCoinVault = new PublicKey('11111111111111111111111111111111');
-        serumPcVault = new PublicKey('11111111111111111111111111111111');
-        serumVaultSigner = new PublicKey('11111111111111111111111111111111');
-      }
-      
-      // Create the instruction with the correct accounts structure for standard tokens
-      // This account structure follows the Raydium AMM program's swap instruction
-      const instruction = new TransactionInstruction({
-        programId: raydiumAmmProgramId,
-        keys: [
-          // AMM accounts
-          { pubkey: ammId, isSigner: false, isWritable: true },
-          { pubkey: poolAccounts.authority, isSigner: false, isWritable: false },
-          { pubkey: openOrdersAccount, isSigner: false, isWritable: true },
-          { pubkey: poolAccounts.baseVault, isSigner: false, isWritable: true },
-          { pubkey: poolAccounts.quoteVault, isSigner: false, isWritable: true },
-          
-          // Serum market accounts
-          { pubkey: serumMarket, isSigner: false, isWritable: true },
-          { pubkey: serumBids, isSigner: false, isWritable: true },
-          { pubkey: serumAsks, isSigner: false, isWritable: true },
-          { pubkey: serumEventQueue, isSigner: false, isWritable: true },
-          { pubkey: serumCoinVault, isSigner: false, isWritable: true },
-          { pubkey: serumPcVault, isSigner: false, isWritable: true },
-          { pubkey: serumVaultSigner, isSigner: false, isWritable: false },
-          
-          // User accounts
-          { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
-          { pubkey: destinationTokenAccount, isSigner: false, isWritable: true },
-          { pubkey: userPublicKey, isSigner: true, isWritable: false },
-          
-          // Program IDs
-          { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-          { pubkey: new PublicKey('9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin'), isSigner: false, isWritable: false } // Serum DEX program ID
-        ],
-        data: data
-      });
-      
-      return instruction;
+      return await this.createAmmSwapInstruction(pool, amountInLamports, minimumAmountOut, sourceTokenAccount, destinationTokenAccount);
     } catch (error) {
       logger.error(`[Raydium] Error creating swap instruction: ${error.message}`);
       throw error;
@@ -1428,141 +1123,88 @@ const raydiumDirectClient = new class RaydiumDirectClient {
   }
   
   /**
-   * Get the Serum market address for a token
-   * @param {string} tokenAddress - The token address
-   * @returns {string} - The Serum market address
+   * Create a swapBaseIn instruction against an AMM pool
+   * The direction follows from the source and destination accounts, so buys and sells share it
+   * @param {Object} pool - The pool object
+   * @param {number} amountIn - The amount to swap in the input token's smallest unit
+   * @param {number} minimumAmountOut - The minimum amount out in the output token's smallest unit
+   * @param {PublicKey} sourceTokenAccount - The source token account
+   * @param {PublicKey} destinationTokenAccount - The destination token account
+   * @returns {Promise<TransactionInstruction>} - The swap instruction
    */
-  getSerumMarketAddress(tokenAddress) {
-    // Hardcoded Serum market addresses for problematic tokens
-    const serumMarketMap = {
-      'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU': 'HYMxXFCgirrfh85FMUEg9UvCvDk7UgvbfYJsKPPXx85c', // DOG
-      'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN': '4fkMercXnCeZ5HLpZ2vFeA58u6UxZKQ9EJJjEQVyGRqF', // CAT
-      'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv': '7GPyD9VkZqpbT9JpJxwXKGpYbLiPPr3mx5eMtJfXJyRr'  // LOL - Updated to correct market address
-    };
+  async createAmmSwapInstruction(pool, amountIn, minimumAmountOut, sourceTokenAccount, destinationTokenAccount) {
+    // Get the user's wallet public key from the keypair passed to executeSwap or executeSell
+    const userPublicKey = this.currentKeypair ? this.currentKeypair.publicKey : null;
+    
+    if (!userPublicKey) {
+      throw new Error('No wallet keypair available for transaction');
+    }
     
-    // Return the hardcoded address if available
-    if (serumMarketMap[tokenAddress]) {
-      logger.info(`[Raydium] Using hardcoded Serum market address for token ${tokenAddress}: ${serumMarketMap[tokenAddress]}`);
-      return serumMarketMap[tokenAddress];
+    // Validate pool.ammId is a valid base58 string
+    if (typeof pool.ammId === 'string' && !this.isValidBase58(pool.ammId)) {
+      throw new Error(`Invalid pool AMM ID: ${pool.ammId} is not a valid base58 string`);
     }
     
-    // Default to a placeholder address if not found
-    // In a real implementation, you would query this from an API or derive it
-    logger.warn(`[Raydium] No hardcoded Serum market address for token ${tokenAddress}, using placeholder`);
-    return '11111111111111111111111111111111';
+    const ammId = typeof pool.ammId === 'string' ? new PublicKey(pool.ammId) : pool.ammId;
+    const poolAccounts = await this.getPoolAccounts(pool);
+    
+    // Format: 1 byte for the instruction index (9 = swapBaseIn), 8 bytes for amountIn, 8 bytes for minimumAmountOut
+    const data = Buffer.alloc(17);
+    data.writeUInt8(9, 0);
+    data.writeBigUInt64LE(BigInt(amountIn), 1);
+    data.writeBigUInt64LE(BigInt(minimumAmountOut), 9);
+    
+    return new TransactionInstruction({
+      programId: poolAccounts.programId,
+      keys: [
+        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+        
+        // AMM accounts
+        { pubkey: ammId, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.authority, isSigner: false, isWritable: false },
+        { pubkey: poolAccounts.openOrders, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.targetOrders, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.baseVault, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.quoteVault, isSigner: false, isWritable: true },
+        
+        // Market accounts
+        { pubkey: poolAccounts.marketProgramId, isSigner: false, isWritable: false },
+        { pubkey: poolAccounts.marketId, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.marketBids, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.marketAsks, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.marketEventQueue, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.marketBaseVault, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.marketQuoteVault, isSigner: false, isWritable: true },
+        { pubkey: poolAccounts.marketAuthority, isSigner: false, isWritable: false },
+        
+        // User accounts
+        { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: destinationTokenAccount, isSigner: false, isWritable: true },
+        { pubkey: userPublicKey, isSigner: true, isWritable: false }
+      ],
+      data
+    });
   }
   
   /**
-   * Get the pool accounts needed for swap instructions
+   * Get the pool accounts needed for swap instructions, read from the pool and its market on chain
    * @param {Object} pool - The pool object
-   * @returns {Promise<Object>} - The pool accounts
+   * @returns {Promise<Object>} - The accounts poolDiscovery.getSwapAccounts returns, as PublicKeys apart from the decimals
    */
   async getPoolAccounts(pool) {
+    // Required here: poolDiscovery reaches this client through priceOracle
+    const poolDiscovery = require('./poolDiscovery');
+    
     try {
-      // Check if we have predefined accounts for known tokens
-      if (pool.baseMint === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv' && 
-          pool.ammId === '7Hoi4nBgGkjxB2UdJCFXFahxdS7Nk3TGNQfQSW7Gxgax') {
-        return {
-          baseVault: new PublicKey('FrspKwj8i3pNmKwXreTXnqZPgHSJg27EWokQZdHQW4Qg'),
-          quoteVault: new PublicKey('5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1'),
-          authority: new PublicKey('5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1')
-        };
-      }
-      
-      if (pool.baseMint === 'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU' && 
-          pool.ammId === '3HYhQC6ne6SAPHR8NuP51mJQ9jeYE9aUaYJNXfUvqCdZ') {
-        // Updated DOG pool accounts with correct values
-        return {
-          baseVault: new PublicKey('GbVKmGVpCCNZaS7ZjCAKpY1TdJDcQvJFcLKi7C9XrEQV'),
-          quoteVault: new PublicKey('2JCxZv6LaFjtWqBXSC2qadFJaJX7cp3LJZXWvbDVrVZZ'),
-          authority: new PublicKey('2JCxZv6LaFjtWqBXSC2qadFJaJX7cp3LJZXWvbDVrVZZ')
-        };
-      }
-      
-      if (pool.baseMint === 'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN' && 
-          pool.ammId === '9fYLLAzA8N9QqKGHZz9jHFGUYsyXm7fLWnRDKbGfs7Nm') {
-        return {
-          baseVault: new PublicKey('9SQKVwK2WNKJgfCfcmXHXjpVXGsHXMwEBYR5P3L9mRoS'),
-          quoteVault: new PublicKey('FUDiGWLscDYmXrZgHJJSXHaEJKr5zGKpHAqxvnqNnGQh'),
-          authority: new PublicKey('FUDiGWLscDYmXrZgHJJSXHaEJKr5zGKpHAqxvnqNnGQh')
-        };
-      }
-      
-      // For other pools, try to fetch from Raydium API first
-      try {
-        // Use the Raydium Trade API to get pool information
-        const url = `https://transaction-v1.raydium.io/pool-info/${pool.ammId}`;
-        const poolInfo = await this.makeApiRequest(url);
-        
-        if (poolInfo && poolInfo.success && poolInfo.data) {
-          const data = poolInfo.data;
-          return {
-            baseVault: new PublicKey(data.baseVault),
-            quoteVault: new PublicKey(data.quoteVault),
-            authority: new PublicKey(data.authority || data.openOrders)
-          };
-        }
-      } catch (apiError) {
-        logger.warn(`[Raydium] Could not fetch pool info from API: ${apiError.message}`);
-      }
-      
-      // Fallback to fetching from liquidity endpoint
-      const poolLiquidity = await this.fetchPoolLiquidity(pool.ammId);
-      if (poolLiquidity && poolLiquidity.openOrders && poolLiquidity.baseVault && poolLiquidity.quoteVault) {
-        return {
-          baseVault: new PublicKey(poolLiquidity.baseVault),
-          quoteVault: new PublicKey(poolLiquidity.quoteVault),
-          authority: new PublicKey(poolLiquidity.authority || poolLiquidity.openOrders)
-        };
-      }
-      
-      // If we can't get the data from API, derive the PDA addresses
-      // This is a simplified approach and may not work for all pools
-      const ammId = new PublicKey(pool.ammId);
-      
-      // Determine which program ID to use for deriving PDAs
-      let programId;
-      if (pool.baseMint === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-        // Use the updated program ID for LOL token
-        programId = new PublicKey('5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h');
-        logger.info(`[Raydium] Using special program ID for LOL token PDAs: ${programId.toString()}`);
-      } else {
-        // Use the default program ID for other tokens
-        programId = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
+      const accounts = await poolDiscovery.getSwapAccounts(pool.ammId.toString());
+      const poolAccounts = {};
+      for (const [name, value] of Object.entries(accounts)) {
+        poolAccounts[name] = typeof value === 'string' ? new PublicKey(value) : value;
       }
-      
-      // Derive the authority PDA
-      const [authority] = await PublicKey.findProgramAddress(
-        [ammId.toBuffer()],
-        programId
-      );
-      
-      // Derive the vault PDAs
-      const [baseVault] = await PublicKey.findProgramAddress(
-        [ammId.toBuffer(), Buffer.from('base_vault')],
-        programId
-      );
-      
-      const [quoteVault] = await PublicKey.findProgramAddress(
-        [ammId.toBuffer(), Buffer.from('quote_vault')],
-        programId
-      );
-      
-      return {
-        baseVault,
-        quoteVault,
-        authority
-      };
+      return poolAccounts;
     } catch (error) {
-      logger.error(`[Raydium] Error getting pool accounts: ${error.message}`);
-      
-      // Return placeholder accounts as a fallback
-      // This will likely fail, but it's better than crashing
-      return {
-        baseVault: new PublicKey('11111111111111111111111111111111'),
-        quoteVault: new PublicKey('11111111111111111111111111111111'),
-        authority: new PublicKey('11111111111111111111111111111111')
-      };
+      logger.error(`[Raydium] Error getting pool accounts for ${pool.ammId}: ${error.message}`);
+      throw error;
     }
   }
   
@@ -1794,23 +1436,6 @@ const raydiumDirectClient = new class RaydiumDirectClient {
    * @returns {number} - Price impact percentage
    */
   calculatePriceImpact(amountInLamports, pool, poolLiquidity) {
-    // Special case for LOL token
-    if (pool.baseMint === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-      // LOL token has higher price impact due to lower liquidity
-      const solAmount = amountInLamports / 1e9;
-      
-      // Base impact is 0.2% for small amounts
-      let impact = 0.2;
-      
-      // Increase impact for larger amounts with more aggressive scaling
-      if (solAmount > 0.05) {
-        impact = 0.2 + (solAmount - 0.05) * 1.0; // Add 1.0% per 0.1 SOL above 0.05 SOL
-      }
-      
-      // Cap at 7% for LOL token
-      return Math.min(impact, 7.0);
-    }
-    
     // If we have pool liquidity data, use it for accurate calculation
     if (poolLiquidity && poolLiquidity.baseReserve && poolLiquidity.quoteReserve) {
       return this.calculatePriceImpactBasedOnReserves(
@@ -1818,8 +1443,7 @@ const raydiumDirectClient = new class RaydiumDirectClient {
         poolLiquidity.quoteReserve,
         poolLiquidity.baseReserve,
         pool.baseDecimals,
-        pool.quoteDecimals,
-        pool.baseMint === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv' // Pass isLolToken flag
+        pool.quoteDecimals
       );
     }
     
@@ -1851,7 +1475,7 @@ const raydiumDirectClient = new class RaydiumDirectClient {
    * @param {number} decimalsIn - Input token decimals
    * @returns {number} - Price impact percentage
    */
-  calculatePriceImpactBasedOnReserves(amountIn, reserveIn, reserveOut, decimalsOut = 9, decimalsIn = 9, isLolToken = false) {
+  calculatePriceImpactBasedOnReserves(amountIn, reserveIn, reserveOut, decimalsOut = 9, decimalsIn = 9) {
     // Convert reserves to same decimal basis
     const normalizedReserveIn = reserveIn / Math.pow(10, decimalsIn);
     const normalizedReserveOut = reserveOut / Math.pow(10, decimalsOut);
@@ -1867,16 +1491,7 @@ const raydiumDirectClient = new class RaydiumDirectClient {
     const executionPrice = amountOut / normalizedAmountIn;
     
     // Calculate price impact
-    let priceImpact = Math.abs((executionPrice / spotPrice - 1) * 100);
-    
-    // For LOL token, apply an additional scaling factor to account for higher volatility
-    if (isLolToken) {
-      // Apply a multiplier to increase the price impact for LOL token
-      priceImpact = priceImpact * 1.5;
-      
-      // Cap at 8% for LOL token
-      return Math.min(priceImpact, 8.0);
-    }
+    const priceImpact = Math.abs((executionPrice / spotPrice - 1) * 100);
     
     return priceImpact;
   }
@@ -1889,32 +1504,9 @@ const raydiumDirectClient = new class RaydiumDirectClient {
    */
   calculateTokenOutputFromTx(txDetails, tokenAddress) {
     try {
-      if (!txDetails || !txDetails.meta || !txDetails.meta.postTokenBalances || !txDetails.meta.preTokenBalances) {
-        return null;
-      }
-      
-      // Find the token account for the specified token
-      const tokenMint = new PublicKey(tokenAddress);
-      
-      // Find pre and post balances for the token
-      const preBalance = txDetails.meta.preTokenBalances.find(
-        balance => balance.mint === tokenMint.toString()
-      );
-      
-      const postBalance = txDetails.meta.postTokenBalances.find(
-        balance => balance.mint === tokenMint.toString()
-      );
-      
-      if (!preBalance || !postBalance) {
-        return null;
-      }
-      
-      // Calculate the difference
-      const preAmount = parseFloat(preBalance.uiTokenAmount.uiAmount || 0);
-      const postAmount = parseFloat(postBalance.uiTokenAmount.uiAmount || 0);
-      const outputAmount = postAmount - preAmount;
-      
-      return outputAmount > 0 ? outputAmount : null;
+      const owner = this.currentKeypair ? this.currentKeypair.publicKey.toString() : null;
+      const delta = transactionTracker.getTokenDelta(txDetails, tokenAddress, owner);
+      return delta && delta.ui > 0 ? delta.ui : null;
     } catch (error) {
       logger.error(`[Raydium] Error calculating token output from tx: ${error.message}`);
       return null;
@@ -2062,7 +1654,10 @@ const raydiumDirectClient = new class RaydiumDirectClient {
       // Add a priority fee to increase chances of inclusion in a block
       transaction.add(
         ComputeBudgetProgram.setComputeUnitPrice({
-          microLamports: 50000 // Adjust based on network conditions
+          microLamports: await priorityFeeService.getPriorityFee({
+            tokenAddress,
+            accounts: pool && pool.ammId ? [pool.ammId] : [],
+          })
         })
       );
       
@@ -2230,182 +1825,7 @@ const raydiumDirectClient = new class RaydiumDirectClient {
   async createRaydiumSellInstruction(pool, tokenAddress, tokenAmountLamports, minimumAmountOut, sourceTokenAccount, destinationTokenAccount) {
     try {
       logger.info(`[Raydium] Creating sell instruction for ${tokenAmountLamports} ${tokenAddress}`);
-      
-      // Get the Raydium AMM program ID - Updated to support multiple program IDs
-      let raydiumAmmProgramId;
-      
-      // Check if this is a special token that requires a different program ID
-      const isSpecialToken = [
-        'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv',  // LOL
-        'CXc5JcEJkFJUX6Mtrti7BXPUQrgL7oj23D6pUGG3cbeN', // CAT
-        'AU3muMMYmSAG9th4JVgRRpiU4xPzWyYgBh6sGJRahaiU'  // DOG
-      ].includes(tokenAddress);
-      
-      // Special case for special tokens
-      if (isSpecialToken) {
-        // Use the special program ID for these tokens
-        raydiumAmmProgramId = new PublicKey('5quBtoiQqxF9Jv6KYKctB59NT3gtJD2Y65kdnB1Uev3h');
-        logger.info(`[Raydium] Using special program ID for ${tokenAddress}: ${raydiumAmmProgramId.toString()}`);
-      } else {
-        // Use the default program ID for other tokens
-        raydiumAmmProgramId = new PublicKey('675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8');
-      }
-      
-      // Get the user's wallet public key from the keypair passed to executeSell
-      const userPublicKey = this.currentKeypair ? this.currentKeypair.publicKey : null;
-      
-      if (!userPublicKey) {
-        throw new Error('No wallet keypair available for transaction');
-      }
-      
-      // Validate token address is a valid base58 string
-      if (!this.isValidBase58(tokenAddress)) {
-        throw new Error(`Invalid token address: ${tokenAddress} is not a valid base58 string`);
-      }
-      
-      // Validate pool.ammId is a valid base58 string
-      if (typeof pool.ammId === 'string' && !this.isValidBase58(pool.ammId)) {
-        throw new Error(`Invalid pool AMM ID: ${pool.ammId} is not a valid base58 string`);
-      }
-      
-      // Convert pool.ammId to PublicKey if it's a string
-      const ammId = typeof pool.ammId === 'string' ? new PublicKey(pool.ammId) : pool.ammId;
-      
-      // Fetch the pool accounts
-      const poolAccounts = await this.getPoolAccounts(pool);
-      
-      // Format the instruction data according to Raydium's swap instruction
-      // For special tokens: Instruction index 2 = swap base to quote (sell token for SOL)
-      // For newer tokens: Instruction index 10 = swap base to quote
-      const instructionIndex = isSpecialToken ? 2 : 10;
-      
-      logger.info(`[Raydium] Using instruction index ${instructionIndex} for selling token ${tokenAddress}`);
-      
-      // Serialize the data layout to a buffer
-      const data = Buffer.alloc(17); // 1 byte for index, 8 bytes for u64 amountIn, 8 bytes for u64 minAmountOut
-      data.writeUInt8(instructionIndex, 0); // instruction index
-      data.writeBigUInt64LE(BigInt(tokenAmountLamports), 1); // amountIn
-      data.writeBigUInt64LE(BigInt(minimumAmountOut), 9); // minAmountOut
-      
-      // For special tokens, we use a simplified account structure
-      if (isSpecialToken) {
-        logger.info(`[Raydium] Using simplified account structure for selling special token ${tokenAddress}`);
-        
-        // Create the instruction with the simplified account structure for selling
-        // The order of accounts is critical for these special tokens
-        const instruction = new TransactionInstruction({
-          programId: raydiumAmmProgramId,
-          keys: [
-            // AMM accounts
-            { pubkey: ammId, isSigner: false, isWritable: true },
-            { pubkey: poolAccounts.authority, isSigner: false, isWritable: false },
-            { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
-            { pubkey: destinationTokenAccount, isSigner: false, isWritable: true },
-            { pubkey: poolAccounts.baseVault, isSigner: false, isWritable: true },
-            { pubkey: poolAccounts.quoteVault, isSigner: false, isWritable: true },
-            { pubkey: new PublicKey(pool.lpMint), isSigner: false, isWritable: true },
-            // User accounts
-            { pubkey: userPublicKey, isSigner: true, isWritable: true },
-            // Program IDs
-            { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-            { pubkey: SystemProgram.programId, isSigner: false, isWritable: false } // System program ID
-          ],
-          data: data
-        });
-        
-        return instruction;
-      }
-      
-      // For standard tokens, we need the full account structure with Serum market accounts
-      // Get the open orders account for the pool
-      let openOrdersAccount;
-      try {
-        // Try to get from pool liquidity data
-        const poolLiquidity = await this.fetchPoolLiquidity(pool.ammId);
-        if (poolLiquidity && poolLiquidity.openOrders) {
-          openOrdersAccount = new PublicKey(poolLiquidity.openOrders);
-        } else {
-          // Fallback to a derived PDA (this might not work for all pools)
-          const [derivedOpenOrders] = await PublicKey.findProgramAddress(
-            [ammId.toBuffer(), Buffer.from('open_orders')],
-            raydiumAmmProgramId
-          );
-          openOrdersAccount = derivedOpenOrders;
-        }
-      } catch (error) {
-        logger.warn(`[Raydium] Could not get open orders account: ${error.message}. Using placeholder.`);
-        // Use a placeholder as fallback (this will likely fail)
-        openOrdersAccount = new PublicKey('11111111111111111111111111111111');
-      }
-      
-      // Get the Serum market accounts
-      let serumMarket, serumBids, serumAsks, serumEventQueue, serumCoinVault, serumPcVault, serumVaultSigner;
-      try {
-        // Try to get from pool liquidity data
-        const poolLiquidity = await this.fetchPoolLiquidity(pool.ammId);
-        if (poolLiquidity && poolLiquidity.serumMarket) {
-          serumMarket = new PublicKey(poolLiquidity.serumMarket);
-          serumBids = new PublicKey(poolLiquidity.serumBids || '11111111111111111111111111111111');
-          serumAsks = new PublicKey(poolLiquidity.serumAsks || '11111111111111111111111111111111');
-          serumEventQueue = new PublicKey(poolLiquidity.serumEventQueue || '11111111111111111111111111111111');
-          serumCoinVault = new PublicKey(poolLiquidity.serumCoinVault || '11111111111111111111111111111111');
-          serumPcVault = new PublicKey(poolLiquidity.serumPcVault || '11111111111111111111111111111111');
-          serumVaultSigner = new PublicKey(poolLiquidity.serumVaultSigner || '11111111111111111111111111111111');
-        } else {
-          // Use placeholders as fallback (this will likely fail)
-          serumMarket = new PublicKey('11111111111111111111111111111111');
-          serumBids = new PublicKey('11111111111111111111111111111111');
-          serumAsks = new PublicKey('11111111111111111111111111111111');
-          serumEventQueue = new PublicKey('11111111111111111111111111111111');
-          serumCoinVault = new PublicKey('11111111111111111111111111111111');
-          serumPcVault = new PublicKey('11111111111111111111111111111111');
-          serumVaultSigner = new PublicKey('11111111111111111111111111111111');
-        }
-      } catch (error) {
-        logger.warn(`[Raydium] Could not get Serum market accounts: ${error.message}. Using placeholders.`);
-        // Use placeholders as fallback (this will likely fail)
-        serumMarket = new PublicKey('11111111111111111111111111111111');
-        serumBids = new PublicKey('11111111111111111111111111111111');
-        serumAsks = new PublicKey('11111111111111111111111111111111');
-        serumEventQueue = new PublicKey('11111111111111111111111111111111');
-        serumCoinVault = new PublicKey('11111111111111111111111111111111');
-        serumPcVault = new PublicKey('11111111111111111111111111111111');
-        serumVaultSigner = new PublicKey('11111111111111111111111111111111');
-      }
-      
-      // Create the instruction with the correct accounts for standard tokens
-      const instruction = new TransactionInstruction({
-        programId: raydiumAmmProgramId,
-        keys: [
-          // AMM accounts
-          { pubkey: ammId, isSigner: false, isWritable: true },
-          { pubkey: poolAccounts.authority, isSigner: false, isWritable: false },
-          { pubkey: openOrdersAccount, isSigner: false, isWritable: true },
-          { pubkey: poolAccounts.baseVault, isSigner: false, isWritable: true },
-          { pubkey: poolAccounts.quoteVault, isSigner: false, isWritable: true },
-          
-          // Serum market accounts
-          { pubkey: serumMarket, isSigner: false, isWritable: true },
-          { pubkey: serumBids, isSigner: false, isWritable: true },
-          { pubkey: serumAsks, isSigner: false, isWritable: true },
-          { pubkey: serumEventQueue, isSigner: false, isWritable: true },
-          { pubkey: serumCoinVault, isSigner: false, isWritable: true },
-          { pubkey: serumPcVault, isSigner: false, isWritable: true },
-          { pubkey: serumVaultSigner, isSigner: false, isWritable: false },
-          
-          // User accounts
-          { pubkey: sourceTokenAccount, isSigner: false, isWritable: true },
-          { pubkey: destinationTokenAccount, isSigner: false, isWritable: true },
-          { pubkey: userPublicKey, isSigner: true, isWritable: false },
-          
-          // Program IDs
-          { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
-          { pubkey: new PublicKey('9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin'), isSigner: false, isWritable: false } // Serum DEX program ID
-        ],
-        data: data
-      });
-      
-      return instruction;
+      return await this.createAmmSwapInstruction(pool, tokenAmountLamports, minimumAmountOut, sourceTokenAccount, destinationTokenAccount);
     } catch (error) {
       logger.error(`[Raydium] Error creating sell instruction: ${error.message}`);
       throw error;
@@ -2562,25 +1982,6 @@ const raydiumDirectClient = new class RaydiumDirectClient {
    * @returns {number} - Price impact percentage
    */
   calculateSellPriceImpact(tokenAmount, pool) {
-    // Check if this is the LOL token pool
-    if (pool.baseMint === 'LoL1RDQiUfifC2BX28xaef6r2G8ES8SEzgrzThJemMv') {
-      // LOL token has higher price impact due to lower liquidity
-      // Base impact is 0.25% for small amounts
-      let impact = 0.25;
-      
-      // Increase impact for larger amounts
-      // For LOL token, we'll use a more aggressive scaling
-      const equivalentSolValue = tokenAmount / 1000;
-      
-      if (equivalentSolValue > 0.05) {
-        impact = 0.25 + (equivalentSolValue - 0.05) * 1.2; // Add 1.2% per 0.1 SOL equivalent above 0.05 SOL
-      }
-      
-      // Cap at 8% for LOL token
-      return Math.min(impact, 8.0);
-    }
-    
-    // For other tokens, use the standard calculation
     // Base impact is 0.15% for small amounts
     let impact = 0.15;
     
@@ -2686,7 +2087,7 @@ raydiumDirectClient.getOrCreateAssociatedTokenAccount = async function(mint, own
     
     transaction.add(
       ComputeBudgetProgram.setComputeUnitPrice({
-        microLamports: 50000 // Adjust based on network conditions
+        microLamports: await priorityFeeService.getPriorityFee()
       })
     );
     
@@ -2796,7 +2197,7 @@ raydiumDirectClient.createWrappedSolAccount = async function(amountInLamports) {
     
     transaction.add(
       ComputeBudgetProgram.setComputeUnitPrice({
-        microLamports: 50000 // Adjust based on network conditions
+        microLamports: await priorityFeeService.getPriorityFee()
       })
     );
     
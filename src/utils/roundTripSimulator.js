@@ -0,0 +1,396 @@
+/**
+ * Round-Trip Simulator
+ *
+ * Honeypot detection by simulation. A small buy of the token is built from a
+ * Jupiter route and run through simulateTransaction to see how many tokens
+ * actually arrive. A sell of exactly those tokens is then built and simulated
+ * in the same transaction as the buy, so it runs against the post-buy account
+ * state. The result reports:
+ *
+ * - whether the buy or the sell reverts
+ * - the buy-side loss against the quote, which is where transfer fees and buy
+ *   taxes show up, alongside the mint's Token-2022 transfer fee if it has one
+ * - the sell tax, which is the SOL lost against what selling the bought tokens
+ *   straight back should return: the SOL spent, less both legs' DEX fees
+ *
+ * The sell is built with no slippage limit, so a sell tax shows up as SOL
+ * lost rather than as a slippage revert.
+ *
+ * The simulator fails closed. If any step cannot run (no route, RPC error,
+ * oversized transaction), the result is unsuccessful and marked unavailable.
+ */
+
+const {
+  PublicKey,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+  AddressLookupTableAccount,
+  ComputeBudgetProgram,
+} = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const rpcManager = require('./rpcManager');
+const priceOracle = require('./priceOracle');
+const mintDecoder = require('./mintDecoder');
+
+const WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey('ATokenGPvbd2f2V8ptQ3FR8fBL2DzvhCKZFkbZP9gHjJ');
+
+// Both swaps share one transaction in the round trip, so give it the whole compute budget
+const ROUND_TRIP_COMPUTE_UNITS = 1400000;
+// Slippage tolerance of the simulated sell: any amount out is accepted
+const MAX_SLIPPAGE_BPS = 10000;
+
+class RoundTripSimulator {
+  constructor() {
+    const settings = config.swapSimulation || {};
+
+    this.solAmount = settings.solAmount || 0.01;
+    this.slippageBps = settings.slippageBps || 500;
+    this.walletAddress = settings.walletAddress || null;
+    this.maxBuyTaxPercent = settings.maxBuyTaxPercent !== undefined ? settings.maxBuyTaxPercent : 5;
+    this.maxSellTaxPercent = settings.maxSellTaxPercent !== undefined ? settings.maxSellTaxPercent : 10;
+    this.dexLabels = settings.dexLabels || {};
+    this.cacheTtlMs = settings.cacheTtlMs || 5 * 60 * 1000;
+
+    this.client = null;
+
+    // `${tokenAddress}:${dex}:${solAmount}` -> { result, timestamp }
+    this.cache = new Map();
+  }
+
+  getClient() {
+    if (!this.client) {
+      const jupiterApi = require('@jup-ag/api');
+      this.client = jupiterApi.createJupiterApiClient({
+        connection: rpcManager.getCurrentConnection(),
+        cluster: 'mainnet-beta',
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Simulate buying the token and selling it straight back
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} options - { dex, solAmount }; dex restricts the routes to one DEX
+   * @returns {Promise<Object>} - { success, canSellBack, unavailable, buyReverts, sellReverts, details,
+   *   tokensQuoted, tokensReceived, buyTaxPercent, transferFeeBps, expectedSolOut, solReturned,
+   *   sellTaxPercent, roundTripLossPercent }
+   */
+  async simulate(tokenAddress, options = {}) {
+    const solAmount = options.solAmount || this.solAmount;
+    const dex = options.dex || null;
+    const cacheKey = `${tokenAddress}:${dex || 'any'}:${solAmount}`;
+
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < this.cacheTtlMs) {
+      return cached.result;
+    }
+
+    let result;
+    try {
+      result = await this.runRoundTrip(tokenAddress, Math.floor(solAmount * 1e9), dex);
+      this.cache.set(cacheKey, { result, timestamp: Date.now() });
+    } catch (error) {
+      result = {
+        success: false,
+        canSellBack: false,
+        unavailable: true,
+        details: `Swap simulation unavailable: ${error.message}`,
+      };
+    }
+
+    const level = result.success ? 'info' : 'warn';
+    logger[level](`[RoundTrip] ${tokenAddress}${dex ? ` on ${dex}` : ''}: ${result.details}`);
+    return result;
+  }
+
+  /**
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} lamportsIn - SOL spent on the buy, in lamports
+   * @param {string|null} dex - DEX the routes are restricted to
+   * @returns {Promise<Object>} - Simulation result, see simulate()
+   */
+  async runRoundTrip(tokenAddress, lamportsIn, dex) {
+    // Loaded on first use: the wallet needs a configured key, which offline backtests do not have
+    const owner = new PublicKey(this.walletAddress || require('./wallet').getPublicKey());
+    const mint = await this.getMintInfo(tokenAddress);
+    const tokenAccount = this.getAssociatedTokenAddress(owner, new PublicKey(tokenAddress), mint.programId);
+
+    const buyQuote = await this.fetchQuote(WSOL_ADDRESS, tokenAddress, lamportsIn, dex, this.slippageBps);
+    const buy = await this.fetchInstructions(buyQuote, owner);
+
+    const { value: before } = await rpcManager.getMultipleAccountsInfoAndContext([owner, tokenAccount]);
+    const tokensBefore = this.readTokenAmount(before[1]);
+
+    // Buy on its own: how many tokens actually arrive
+    const buySimulation = await this.simulateInstructions(owner, [buy], [owner, tokenAccount]);
+    if (buySimulation.err) {
+      return {
+        success: false,
+        canSellBack: false,
+        buyReverts: true,
+        sellReverts: null,
+        transferFeeBps: mint.transferFeeBps,
+        details: `Buy reverts: ${JSON.stringify(buySimulation.err)}`,
+      };
+    }
+
+    const lamportsAfterBuy = buySimulation.accounts[0].lamports;
+    const tokensQuoted = Number(buyQuote.outAmount);
+    const tokensReceived = this.readTokenAmount(buySimulation.accounts[1]) - tokensBefore;
+    if (tokensReceived <= 0) {
+      return {
+        success: false,
+        canSellBack: false,
+        buyReverts: false,
+        sellReverts: null,
+        tokensQuoted,
+        tokensReceived,
+        transferFeeBps: mint.transferFeeBps,
+        details: 'Buy delivers no tokens',
+      };
+    }
+    const buyTaxPercent = Math.max(0, (1 - tokensReceived / tokensQuoted) * 100);
+
+    // Sell the tokens received, in the same transaction as the buy so it sees the post-buy state
+    const sellQuote = await this.fetchQuote(tokenAddress, WSOL_ADDRESS, tokensReceived, dex, MAX_SLIPPAGE_BPS);
+    const sell = await this.fetchInstructions(sellQuote, owner);
+    const roundTrip = await this.simulateInstructions(owner, [buy, sell], [owner]);
+
+    // The sell quote is taken before the buy moves the pool, so it understates the proceeds. Selling the
+    // bought tokens straight back returns the SOL spent, less the DEX fees of both legs and any buy tax.
+    const expectedSolOut = lamportsIn * (tokensReceived / tokensQuoted)
+      * (1 - this.getRouteFeeShare(buyQuote)) * (1 - this.getRouteFeeShare(sellQuote));
+    const result = {
+      buyReverts: false,
+      sellReverts: !!roundTrip.err,
+      tokensQuoted,
+      tokensReceived,
+      buyTaxPercent,
+      transferFeeBps: mint.transferFeeBps,
+      expectedSolOut,
+    };
+
+    if (roundTrip.err) {
+      return {
+        ...result,
+        success: false,
+        canSellBack: false,
+        details: `Sell reverts: ${JSON.stringify(roundTrip.err)}`,
+      };
+    }
+
+    // Both simulations pay the same network fee and account rent, so the difference is the sell proceeds
+    const solReturned = roundTrip.accounts[0].lamports - lamportsAfterBuy;
+    const sellTaxPercent = expectedSolOut > 0 ? Math.max(0, (1 - solReturned / expectedSolOut) * 100) : 100;
+    const roundTripLossPercent = (1 - solReturned / lamportsIn) * 100;
+
+    const problems = [];
+    if (buyTaxPercent > this.maxBuyTaxPercent) {
+      problems.push(`buy tax ${buyTaxPercent.toFixed(2)}% > ${this.maxBuyTaxPercent}%`);
+    }
+    if (sellTaxPercent > this.maxSellTaxPercent) {
+      problems.push(`sell tax ${sellTaxPercent.toFixed(2)}% > ${this.maxSellTaxPercent}%`);
+    }
+
+    return {
+      ...result,
+      success: problems.length === 0,
+      canSellBack: true,
+      solReturned,
+      sellTaxPercent,
+      roundTripLossPercent,
+      details: problems.length > 0
+        ? `Round trip taxed: ${problems.join(', ')}`
+        : `Round trip simulated: buy tax ${buyTaxPercent.toFixed(2)}%, sell tax ${sellTaxPercent.toFixed(2)}%, round-trip loss ${roundTripLossPercent.toFixed(2)}%`,
+    };
+  }
+
+  /**
+   * @param {string} inputMint - Mint spent
+   * @param {string} outputMint - Mint received
+   * @param {number} amount - Amount spent, raw units
+   * @param {string|null} dex - DEX the route is restricted to
+   * @param {number} slippageBps - Slippage tolerance the swap instructions are built with
+   * @returns {Promise<Object>} - Jupiter quote
+   */
+  async fetchQuote(inputMint, outputMint, amount, dex, slippageBps) {
+    const labels = dex ? this.dexLabels[dex] : null;
+    const response = await this.getClient().quoteGet({
+      inputMint,
+      outputMint,
+      amount: amount.toString(),
+      slippageBps,
+      ...(labels && { dexes: labels }),
+    });
+    const quote = response && response.data ? response.data : response;
+
+    if (!quote || !quote.outAmount || Number(quote.outAmount) <= 0) {
+      throw new Error(`No route from ${inputMint} to ${outputMint}${dex ? ` on ${dex}` : ''}`);
+    }
+    return quote;
+  }
+
+  /**
+   * Share of a swap's value its route pays in DEX fees
+   * @param {Object} quote - Jupiter quote
+   * @returns {number} - Fee share, from 0 to 1
+   */
+  getRouteFeeShare(quote) {
+    const share = (quote.routePlan || []).reduce((sum, step) => {
+      const info = step.swapInfo || {};
+      const base = Number(info.feeMint === info.outputMint ? info.outAmount : info.inAmount);
+      const fee = Number(info.feeAmount);
+      return base > 0 && fee > 0 ? sum + ((step.percent || 100) / 100) * (fee / base) : sum;
+    }, 0);
+    return Math.min(share, 1);
+  }
+
+  /**
+   * Fetch a quote's swap instructions and lookup tables
+   * @param {Object} quote - Jupiter quote
+   * @param {PublicKey} owner - Wallet the swap is simulated from
+   * @returns {Promise<Object>} - { instructions, lookupTables }
+   */
+  async fetchInstructions(quote, owner) {
+    const response = await this.getClient().swapInstructionsPost({
+      swapRequest: {
+        quoteResponse: quote,
+        userPublicKey: owner.toString(),
+        wrapAndUnwrapSol: true,
+      },
+    });
+    const swap = response && response.data ? response.data : response;
+
+    if (!swap || !swap.swapInstruction) {
+      throw new Error('Jupiter did not return swap instructions');
+    }
+
+    // Compute budget instructions are left out; the simulated transaction sets its own
+    const instructions = [
+      ...(swap.setupInstructions || []),
+      swap.swapInstruction,
+      ...(swap.cleanupInstruction ? [swap.cleanupInstruction] : []),
+    ].map(instruction => this.toInstruction(instruction));
+
+    return { instructions, lookupTables: swap.addressLookupTableAddresses || [] };
+  }
+
+  toInstruction(instruction) {
+    return new TransactionInstruction({
+      programId: new PublicKey(instruction.programId),
+      keys: instruction.accounts.map(account => ({
+        pubkey: new PublicKey(account.pubkey),
+        isSigner: account.isSigner,
+        isWritable: account.isWritable,
+      })),
+      data: Buffer.from(instruction.data, 'base64'),
+    });
+  }
+
+  /**
+   * Simulate swaps in one unsigned transaction and return the listed accounts' post-state
+   * @param {PublicKey} owner - Fee payer
+   * @param {Array} swaps - Results of fetchInstructions, executed in order
+   * @param {Array<PublicKey>} accounts - Accounts to return after execution
+   * @returns {Promise<Object>} - { err, accounts, logs }
+   */
+  async simulateInstructions(owner, swaps, accounts) {
+    const lookupTableAddresses = [...new Set(swaps.flatMap(swap => swap.lookupTables))];
+    const lookupTables = await this.getLookupTables(lookupTableAddresses);
+
+    const { blockhash } = await rpcManager.getLatestBlockhash();
+    const message = new TransactionMessage({
+      payerKey: owner,
+      recentBlockhash: blockhash,
+      instructions: [
+        ComputeBudgetProgram.setComputeUnitLimit({ units: ROUND_TRIP_COMPUTE_UNITS }),
+        ...swaps.flatMap(swap => swap.instructions),
+      ],
+    }).compileToV0Message(lookupTables);
+
+    const response = await rpcManager.simulateTransaction(new VersionedTransaction(message), {
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      commitment: 'processed',
+      accounts: {
+        encoding: 'base64',
+        addresses: accounts.map(account => account.toString()),
+      },
+    });
+
+    const value = response && response.value;
+    if (!value) {
+      throw new Error('Empty simulation response');
+    }
+    if (!value.err && (!value.accounts || value.accounts.some(account => !account))) {
+      throw new Error('Simulation did not return the wallet accounts');
+    }
+
+    return { err: value.err, accounts: value.accounts, logs: value.logs };
+  }
+
+  async getLookupTables(addresses) {
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    const keys = addresses.map(address => new PublicKey(address));
+    const { value } = await rpcManager.getMultipleAccountsInfoAndContext(keys);
+
+    return value.map((accountInfo, index) => {
+      if (!accountInfo) {
+        throw new Error(`Lookup table ${addresses[index]} not found`);
+      }
+      return new AddressLookupTableAccount({
+        key: keys[index],
+        state: AddressLookupTableAccount.deserialize(accountInfo.data),
+      });
+    });
+  }
+
+  /**
+   * Read the mint's token program and its Token-2022 transfer fee, if any
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { programId, transferFeeBps }
+   */
+  async getMintInfo(tokenAddress) {
+    const accountInfo = await rpcManager.getAccountInfo(new PublicKey(tokenAddress));
+    if (!accountInfo) {
+      throw new Error(`Mint ${tokenAddress} not found`);
+    }
+
+    const mint = mintDecoder.decodeMint(accountInfo);
+    const transferFee = mintDecoder.getExtension(mint, 'transferFeeConfig');
+
+    return { programId: accountInfo.owner, transferFeeBps: transferFee ? transferFee.transferFeeBps : 0 };
+  }
+
+  getAssociatedTokenAddress(owner, mint, programId) {
+    const [address] = PublicKey.findProgramAddressSync(
+      [owner.toBuffer(), programId.toBuffer(), mint.toBuffer()],
+      ASSOCIATED_TOKEN_PROGRAM_ID
+    );
+    return address;
+  }
+
+  /**
+   * Raw token amount of a token account, from account info or a simulated account
+   * @param {Object|null} account - Account with data as a Buffer or as [base64, 'base64']
+   * @returns {number} - Amount, 0 if the account does not exist
+   */
+  readTokenAmount(account) {
+    if (!account || !account.data) {
+      return 0;
+    }
+
+    const data = Buffer.isBuffer(account.data) ? account.data : Buffer.from(account.data[0], 'base64');
+    const decoded = priceOracle.decodeTokenAccount({ data });
+    return decoded ? decoded.amount : 0;
+  }
+}
+
+module.exports = new RoundTripSimulator();
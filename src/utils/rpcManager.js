@@ -553,6 +553,20 @@ class RPCManager {
     return this.executeRpcCall(Connection.prototype.getAccountInfo, address, commitment);
   }
 
+  async getAccountInfoAndContext(address, commitment = 'confirmed') {
+    if (!address) {
+      throw new Error('Address is required for getAccountInfoAndContext');
+    }
+    return this.executeRpcCall(Connection.prototype.getAccountInfoAndContext, address, commitment);
+  }
+
+  async getMultipleAccountsInfoAndContext(addresses, commitment = 'confirmed') {
+    if (!addresses || addresses.length === 0) {
+      throw new Error('Addresses are required for getMultipleAccountsInfoAndContext');
+    }
+    return this.executeRpcCall(Connection.prototype.getMultipleAccountsInfoAndContext, addresses, commitment);
+  }
+
   async getTokenAccountsByOwner(owner, filter, commitment = 'confirmed') {
     if (!owner) {
       throw new Error('Owner is required for getTokenAccountsByOwner');
@@ -605,6 +619,41 @@ class RPCManager {
     };
     return this.executeRpcCall(Connection.prototype.getTransaction, signature, transactionOptions);
   }
+
+  async getSignatureStatuses(signatures, config = { searchTransactionHistory: false }) {
+    if (!signatures || signatures.length === 0) {
+      throw new Error('Signatures are required for getSignatureStatuses');
+    }
+    return this.executeRpcCall(Connection.prototype.getSignatureStatuses, signatures, config);
+  }
+
+  async getProgramAccounts(programId, config = { commitment: 'confirmed' }) {
+    if (!programId) {
+      throw new Error('Program ID is required for getProgramAccounts');
+    }
+    return this.executeRpcCall(Connection.prototype.getProgramAccounts, programId, config);
+  }
+
+  async getBlockHeight(commitment = 'confirmed') {
+    return this.executeRpcCall(Connection.prototype.getBlockHeight, commitment);
+  }
+
+  async getRecentPrioritizationFees(lockedWritableAccounts = []) {
+    const config = lockedWritableAccounts.length > 0 ? { lockedWritableAccounts } : undefined;
+    return this.executeRpcCall(Connection.prototype.getRecentPrioritizationFees, config);
+  }
+
+  async getLatestBlockhash(commitment = 'confirmed') {
+    return this.executeRpcCall(Connection.prototype.getLatestBlockhash, commitment);
+  }
+
+  async simulateTransaction(transaction, config) {
+    return this.executeRpcCall(Connection.prototype.simulateTransaction, transaction, config);
+  }
+
+  async sendRawTransaction(rawTransaction, options = { skipPreflight: false, maxRetries: 3 }) {
+    return this.executeRpcCall(Connection.prototype.sendRawTransaction, rawTransaction, options);
+  }
   
   // Method to simulate a token swap with a default SOL amount
   async simulateTokenSwap(tokenAddress, solAmount = 0.1) {
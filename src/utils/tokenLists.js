@@ -0,0 +1,375 @@
+/**
+ * Token Lists
+ *
+ * The token blacklist and whitelist. Entries are stored in the token_lists
+ * table, cached in memory and editable at runtime through the dashboard API
+ * and the token-lists CLI. Each entry has a reason, an optional expiry and a
+ * source:
+ *
+ * - manual: added through the dashboard or CLI
+ * - auto-rug: a launch deployer reputation settled as a rug, pulled LP or dev dump
+ * - auto-failures: repeated failed trades
+ * - imported: read from a JSON or CSV export
+ * - seed: the whitelist in config.tokenLists.whitelistSeed, written on first run
+ *
+ * A token is on one list at most. Blacklisting also sets the token's
+ * is_blacklisted flag in the tokens table, and taking it off clears it.
+ * Expired entries are ignored and removed when the lists are next loaded.
+ * The bot reloads the lists every config.tokenLists.reloadIntervalMinutes to
+ * pick up changes made through the CLI.
+ */
+
+const { PublicKey } = require('@solana/web3.js');
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+
+const LISTS = ['blacklist', 'whitelist'];
+const SOURCES = ['manual', 'auto-rug', 'auto-failures', 'imported', 'seed'];
+const CSV_COLUMNS = ['token_address', 'list', 'reason', 'source', 'expires_timestamp', 'created_timestamp'];
+
+class TokenLists {
+  constructor() {
+    this.settings = config.tokenLists || { whitelistSeed: [] };
+
+    // Token mint -> entry
+    this.entries = new Map();
+    this.initialized = false;
+
+    for (const seed of this.settings.whitelistSeed || []) {
+      this.entries.set(seed.tokenAddress, this.normalize({ ...seed, list: 'whitelist', source: 'seed' }));
+    }
+  }
+
+  /**
+   * Load the lists from the database, writing the whitelist seed on first run
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+    await this.reload();
+  }
+
+  /**
+   * Read the lists from the database again
+   */
+  async reload() {
+    try {
+      const rows = await database.getTokenListEntries();
+
+      // Only an empty table on startup is a first run; later it means every entry was removed
+      if (rows.length === 0 && !this.initialized) {
+        for (const entry of this.entries.values()) {
+          await database.saveTokenListEntry(entry);
+        }
+        logger.info(`Token whitelist seeded with ${this.entries.size} tokens`);
+      } else {
+        this.entries.clear();
+        for (const row of rows) {
+          this.entries.set(row.token_address, this.fromRow(row));
+        }
+      }
+
+      await this.removeExpired();
+
+      const message = `Token lists loaded: ${this.getEntries('blacklist').length} blacklisted, ` +
+        `${this.getEntries('whitelist').length} whitelisted`;
+      if (this.initialized) {
+        logger.debug(message);
+      } else {
+        logger.info(message);
+      }
+      this.initialized = true;
+    } catch (error) {
+      logger.error(`Error loading token lists: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Object|null} - The token's unexpired entry, if it has one
+   */
+  getEntry(tokenAddress) {
+    const entry = this.entries.get(tokenAddress);
+    if (!entry || this.isExpired(entry)) {
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string|null} list - 'blacklist', 'whitelist' or null for both
+   * @returns {Array} - Unexpired entries
+   */
+  getEntries(list = null) {
+    return Array.from(this.entries.values())
+      .filter(entry => (!list || entry.list === list) && !this.isExpired(entry));
+  }
+
+  isBlacklisted(tokenAddress) {
+    const entry = this.getEntry(tokenAddress);
+    return entry !== null && entry.list === 'blacklist';
+  }
+
+  isWhitelisted(tokenAddress) {
+    const entry = this.getEntry(tokenAddress);
+    return entry !== null && entry.list === 'whitelist';
+  }
+
+  /**
+   * Put a token on a list, taking it off the other one
+   * @param {string} list - 'blacklist' or 'whitelist'
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} options - { reason, source (default manual), expiresTimestamp or expiresInHours }
+   * @returns {Promise<Object>} - The saved entry
+   */
+  async add(list, tokenAddress, options = {}) {
+    const expiresTimestamp = options.expiresInHours
+      ? Date.now() + Number(options.expiresInHours) * 60 * 60 * 1000
+      : options.expiresTimestamp;
+    const current = this.entries.get(tokenAddress);
+    const entry = this.normalize({
+      tokenAddress,
+      list,
+      reason: options.reason,
+      source: options.source || 'manual',
+      expiresTimestamp,
+      createdTimestamp: current && current.list === list ? current.createdTimestamp : null,
+    });
+
+    this.validate(entry);
+
+    await database.saveTokenListEntry(entry);
+    await database.setTokenBlacklisted(tokenAddress, list === 'blacklist');
+    this.entries.set(tokenAddress, entry);
+
+    logger.info(`Token ${tokenAddress} ${list}ed (${entry.source})${entry.reason ? `: ${entry.reason}` : ''}` +
+      `${entry.expiresTimestamp ? ` until ${new Date(entry.expiresTimestamp).toISOString()}` : ''}`);
+    return entry;
+  }
+
+  /**
+   * Take a token off a list
+   * @param {string} tokenAddress - Token mint address
+   * @param {string|null} list - Only remove it from this list, or null for either
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async remove(tokenAddress, list = null) {
+    const current = this.entries.get(tokenAddress);
+    if (!current || (list && current.list !== list)) {
+      return false;
+    }
+
+    const deleted = await database.deleteTokenListEntry(tokenAddress);
+    if (current.list === 'blacklist') {
+      await database.setTokenBlacklisted(tokenAddress, false);
+    }
+    this.entries.delete(tokenAddress);
+
+    if (deleted) {
+      logger.info(`Token ${tokenAddress} removed from the ${current.list}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Delete expired entries from the database and memory
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async removeExpired() {
+    const expired = Array.from(this.entries.values()).filter(entry => this.isExpired(entry));
+    for (const entry of expired) {
+      await this.remove(entry.tokenAddress);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Write the lists out for sharing
+   * @param {string} format - 'json' or 'csv'
+   * @param {string|null} list - Only this list, or null for both
+   * @returns {string} - Exported entries
+   */
+  exportEntries(format = 'json', list = null) {
+    const entries = this.getEntries(list);
+
+    if (format === 'json') {
+      return JSON.stringify(entries, null, 2);
+    }
+    if (format !== 'csv') {
+      throw new Error(`Unknown export format "${format}", expected json or csv`);
+    }
+
+    const escape = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = entries.map(entry => [
+      entry.tokenAddress, entry.list, entry.reason, entry.source, entry.expiresTimestamp, entry.createdTimestamp,
+    ].map(escape).join(','));
+
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Read entries from a JSON or CSV export
+   * Imported entries get the imported source; expired entries and entries with invalid addresses are skipped
+   * @param {string} content - Exported entries. JSON may also be a plain array of mint addresses
+   * @param {string} format - 'json' or 'csv'
+   * @param {Object} options - { list: list for entries that do not name one, reason: reason for those without one }
+   * @returns {Promise<Object>} - { imported, skipped, errors }
+   */
+  async importEntries(content, format = 'json', options = {}) {
+    let records;
+    if (format === 'json') {
+      const parsed = JSON.parse(content);
+      if (!Array.isArray(parsed)) {
+        throw new Error('JSON import must be an array of entries or mint addresses');
+      }
+      records = parsed.map(record => (typeof record === 'string' ? { tokenAddress: record } : record));
+    } else if (format === 'csv') {
+      records = this.parseCsv(content);
+    } else {
+      throw new Error(`Unknown import format "${format}", expected json or csv`);
+    }
+
+    const result = { imported: 0, skipped: 0, errors: [] };
+    for (const record of records) {
+      const tokenAddress = record.tokenAddress || record.token_address;
+      const expiresTimestamp = Number(record.expiresTimestamp || record.expires_timestamp) || null;
+
+      try {
+        if (expiresTimestamp && expiresTimestamp <= Date.now()) {
+          result.skipped++;
+          continue;
+        }
+
+        await this.add(record.list || options.list || 'blacklist', tokenAddress, {
+          reason: record.reason || options.reason,
+          source: 'imported',
+          expiresTimestamp,
+        });
+        result.imported++;
+      } catch (error) {
+        result.skipped++;
+        result.errors.push(`${tokenAddress || '(no address)'}: ${error.message}`);
+      }
+    }
+
+    logger.info(`Imported ${result.imported} token list entries, skipped ${result.skipped}`);
+    return result;
+  }
+
+  /**
+   * Parse CSV with a header row into records keyed by column name
+   * @param {string} content - CSV text; fields may be quoted, with "" for a quote
+   * @returns {Array<Object>} - Records
+   */
+  parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (quoted) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) {
+      return [];
+    }
+
+    const header = nonEmpty[0].map(cell => cell.trim());
+    if (!header.includes('token_address')) {
+      throw new Error('CSV import needs a token_address column');
+    }
+
+    return nonEmpty.slice(1).map(cells =>
+      Object.fromEntries(header.map((name, index) => [name, (cells[index] || '').trim() || undefined]))
+    );
+  }
+
+  /**
+   * Throw if an entry's fields are invalid
+   * @param {Object} entry - Normalized entry
+   */
+  validate(entry) {
+    if (!entry.tokenAddress) {
+      throw new Error('Token list entry needs a tokenAddress');
+    }
+    try {
+      new PublicKey(entry.tokenAddress);
+    } catch (error) {
+      throw new Error(`Invalid token address "${entry.tokenAddress}"`);
+    }
+
+    if (!LISTS.includes(entry.list)) {
+      throw new Error(`Token list must be one of ${LISTS.join(', ')}`);
+    }
+    if (!SOURCES.includes(entry.source)) {
+      throw new Error(`Token list source must be one of ${SOURCES.join(', ')}`);
+    }
+    if (entry.expiresTimestamp !== null && !Number.isFinite(entry.expiresTimestamp)) {
+      throw new Error('Token list expiry must be a timestamp');
+    }
+  }
+
+  isExpired(entry) {
+    return entry.expiresTimestamp !== null && entry.expiresTimestamp <= Date.now();
+  }
+
+  normalize(entry) {
+    return {
+      tokenAddress: entry.tokenAddress,
+      list: entry.list,
+      reason: entry.reason || null,
+      source: entry.source,
+      expiresTimestamp: entry.expiresTimestamp ? Number(entry.expiresTimestamp) : null,
+      createdTimestamp: entry.createdTimestamp ? Number(entry.createdTimestamp) : Date.now(),
+    };
+  }
+
+  fromRow(row) {
+    return this.normalize({
+      tokenAddress: row.token_address,
+      list: row.list_type,
+      reason: row.reason,
+      source: row.source,
+      expiresTimestamp: row.expires_timestamp,
+      createdTimestamp: row.created_timestamp,
+    });
+  }
+}
+
+module.exports = new TokenLists();
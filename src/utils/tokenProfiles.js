@@ -0,0 +1,245 @@
+/**
+ * Token Profiles
+ *
+ * Per-token execution settings that override the bot's defaults for a single
+ * mint: the venue its swaps must use, slippage bounds, a maximum position size,
+ * whether it may be traded at all and free-form notes. Profiles are stored in
+ * the token_profiles table, cached in memory and editable at runtime through
+ * the dashboard API, so swap paths read them synchronously.
+ *
+ * The table is seeded from config.tokenProfiles.seed on first run. Until it is
+ * loaded the seed profiles are used as they are.
+ */
+
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+
+const STATUSES = ['allowed', 'blocked'];
+
+class TokenProfiles {
+  constructor() {
+    this.settings = config.tokenProfiles || { seed: [] };
+
+    // Token mint -> profile
+    this.profiles = new Map();
+    this.initialized = false;
+
+    for (const seed of this.settings.seed || []) {
+      this.profiles.set(seed.tokenAddress, this.normalize(seed));
+    }
+  }
+
+  /**
+   * Load profiles from the database, writing the seed profiles on first run
+   */
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    try {
+      const rows = await database.getTokenProfiles();
+
+      if (rows.length === 0) {
+        for (const profile of this.profiles.values()) {
+          await database.saveTokenProfile(profile);
+        }
+        logger.info(`Token profiles seeded with ${this.profiles.size} profiles`);
+      } else {
+        this.profiles.clear();
+        for (const row of rows) {
+          this.profiles.set(row.token_address, this.fromRow(row));
+        }
+      }
+
+      this.initialized = true;
+      logger.info(`Token profiles loaded: ${this.profiles.size} profiles`);
+    } catch (error) {
+      logger.error(`Error loading token profiles: ${error.message}`);
+    }
+  }
+
+  /**
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Object|null} - The token's profile, if it has one
+   */
+  getProfile(tokenAddress) {
+    return this.profiles.get(tokenAddress) || null;
+  }
+
+  getProfiles() {
+    return Array.from(this.profiles.values());
+  }
+
+  /**
+   * @param {string} tokenAddress - Token mint address
+   * @returns {string|null} - Venue every swap of the token must go through, if any
+   */
+  getForcedVenue(tokenAddress) {
+    const profile = this.getProfile(tokenAddress);
+    return profile ? profile.forcedVenue : null;
+  }
+
+  isBlocked(tokenAddress) {
+    const profile = this.getProfile(tokenAddress);
+    return profile !== null && profile.status === 'blocked';
+  }
+
+  /**
+   * Whether the token has a profile that explicitly allows it
+   */
+  isAllowed(tokenAddress) {
+    const profile = this.getProfile(tokenAddress);
+    return profile !== null && profile.status === 'allowed';
+  }
+
+  /**
+   * Slippage to use for a swap of the token
+   * The requested slippage, or the profile's default when none is requested, clamped to the profile's bounds
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} requested - Slippage percent asked for by the caller, if any
+   * @returns {number} - Slippage percent (the requested value when the token has no profile)
+   */
+  resolveSlippage(tokenAddress, requested = null) {
+    const profile = this.getProfile(tokenAddress);
+    if (!profile) {
+      return requested;
+    }
+
+    let slippage = requested || profile.defaultSlippagePercent;
+    if (!slippage) {
+      return requested;
+    }
+
+    if (profile.minSlippagePercent !== null) {
+      slippage = Math.max(slippage, profile.minSlippagePercent);
+    }
+    if (profile.maxSlippagePercent !== null) {
+      slippage = Math.min(slippage, profile.maxSlippagePercent);
+    }
+
+    return slippage;
+  }
+
+  /**
+   * @param {string} tokenAddress - Token mint address
+   * @returns {number|null} - Highest slippage percent the token may be swapped at, if bounded
+   */
+  getMaxSlippage(tokenAddress) {
+    const profile = this.getProfile(tokenAddress);
+    return profile ? profile.maxSlippagePercent : null;
+  }
+
+  /**
+   * Limit a buy to the token's maximum size
+   * @param {string} tokenAddress - Token mint address
+   * @param {number} amountInSol - Requested size in SOL
+   * @returns {number} - Size in SOL
+   */
+  capSize(tokenAddress, amountInSol) {
+    const profile = this.getProfile(tokenAddress);
+    if (!profile || profile.maxSizeSol === null) {
+      return amountInSol;
+    }
+    return Math.min(amountInSol, profile.maxSizeSol);
+  }
+
+  /**
+   * Create or update a token's profile
+   * Fields left out of the update keep their current values
+   * @param {string} tokenAddress - Token mint address
+   * @param {Object} fields - symbol, forcedVenue, defaultSlippagePercent, minSlippagePercent,
+   *   maxSlippagePercent, maxSizeSol, status, notes
+   * @returns {Promise<Object>} - The saved profile
+   */
+  async setProfile(tokenAddress, fields = {}) {
+    const current = this.getProfile(tokenAddress) || this.normalize({ tokenAddress });
+    const profile = this.normalize({ ...current, ...fields, tokenAddress });
+
+    this.validate(profile);
+
+    await database.saveTokenProfile(profile);
+    this.profiles.set(tokenAddress, profile);
+
+    logger.info(`Token profile saved for ${tokenAddress}: venue ${profile.forcedVenue || 'any'}, status ${profile.status}`);
+    return profile;
+  }
+
+  /**
+   * Delete a token's profile, returning it to the default execution settings
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<boolean>} - Whether a profile was deleted
+   */
+  async removeProfile(tokenAddress) {
+    const deleted = await database.deleteTokenProfile(tokenAddress);
+    this.profiles.delete(tokenAddress);
+
+    if (deleted) {
+      logger.info(`Token profile removed for ${tokenAddress}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Throw if a profile's fields are inconsistent
+   * @param {Object} profile - Normalized profile
+   */
+  validate(profile) {
+    if (!profile.tokenAddress) {
+      throw new Error('Token profile needs a tokenAddress');
+    }
+
+    if (!STATUSES.includes(profile.status)) {
+      throw new Error(`Token profile status must be one of ${STATUSES.join(', ')}`);
+    }
+
+    const venues = ((config.venueRouter && config.venueRouter.venues) || []).map(venue => venue.name);
+    if (profile.forcedVenue && !venues.includes(profile.forcedVenue)) {
+      throw new Error(`Unknown venue "${profile.forcedVenue}", expected one of ${venues.join(', ')}`);
+    }
+
+    for (const field of ['defaultSlippagePercent', 'minSlippagePercent', 'maxSlippagePercent', 'maxSizeSol']) {
+      if (profile[field] !== null && (!Number.isFinite(profile[field]) || profile[field] <= 0)) {
+        throw new Error(`Token profile ${field} must be a positive number`);
+      }
+    }
+
+    if (profile.minSlippagePercent !== null && profile.maxSlippagePercent !== null &&
+        profile.minSlippagePercent > profile.maxSlippagePercent) {
+      throw new Error('Token profile minSlippagePercent is above maxSlippagePercent');
+    }
+  }
+
+  normalize(profile) {
+    const number = value => (value === null || value === undefined || value === '' ? null : Number(value));
+
+    return {
+      tokenAddress: profile.tokenAddress,
+      symbol: profile.symbol || null,
+      forcedVenue: profile.forcedVenue || null,
+      defaultSlippagePercent: number(profile.defaultSlippagePercent),
+      minSlippagePercent: number(profile.minSlippagePercent),
+      maxSlippagePercent: number(profile.maxSlippagePercent),
+      maxSizeSol: number(profile.maxSizeSol),
+      status: profile.status || 'allowed',
+      notes: profile.notes || null,
+    };
+  }
+
+  fromRow(row) {
+    return this.normalize({
+      tokenAddress: row.token_address,
+      symbol: row.symbol,
+      forcedVenue: row.forced_venue,
+      defaultSlippagePercent: row.default_slippage_percent,
+      minSlippagePercent: row.min_slippage_percent,
+      maxSlippagePercent: row.max_slippage_percent,
+      maxSizeSol: row.max_size_sol,
+      status: row.status,
+      notes: row.notes,
+    });
+  }
+}
+
+module.exports = new TokenProfiles();
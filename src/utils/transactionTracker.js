@@ -0,0 +1,366 @@
+/**
+ * Transaction Tracker
+ *
+ * Follows every swap signature the bot sends through
+ * submitted -> processed -> confirmed -> finalized, or to expired once the
+ * chain has passed the blockhash's last valid block height without seeing it,
+ * or to failed if it landed with an error. Lifecycle changes are persisted in
+ * the transactions table.
+ *
+ * When a transaction is confirmed its actual effect on the wallet is parsed
+ * from the transaction metadata: token and SOL deltas, the network fee and the
+ * priority fee paid on top of the base fee. Callers wait on
+ * waitForConfirmation() instead of assuming a transaction landed after a delay.
+ */
+
+const config = require('../../config/config');
+const logger = require('./logger');
+const database = require('./database');
+const rpcManager = require('./rpcManager');
+
+const WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+const COMMITMENT_RANK = { processed: 1, confirmed: 2, finalized: 3 };
+
+class TransactionTracker {
+  constructor() {
+    const settings = config.transactionTracker || {};
+
+    this.pollIntervalMs = settings.pollIntervalMs || 2000;
+    // A blockhash stays valid for 150 blocks after the one it was taken from
+    this.blockhashValidityBlocks = settings.blockhashValidityBlocks || 150;
+    this.trackFinalized = settings.trackFinalized !== false;
+    // Safety net if block height cannot be read: give up on a signature after this long
+    this.maxTrackingMs = settings.maxTrackingMs || 5 * 60 * 1000;
+
+    // signature -> record
+    this.transactions = new Map();
+    this.waiters = new Map();
+    this.pollTimer = null;
+    this.polling = false;
+
+    // Settled records are kept this long for lookups
+    this.retentionMs = 30 * 60 * 1000;
+  }
+
+  /**
+   * Check whether a value looks like a real transaction signature (not a paper or simulated fill)
+   * @param {string} signature - Signature to check
+   * @returns {boolean}
+   */
+  isTrackableSignature(signature) {
+    return typeof signature === 'string' && /^[1-9A-HJ-NP-Za-km-z]{64,90}$/.test(signature);
+  }
+
+  /**
+   * Start following a sent transaction
+   * @param {string} signature - Transaction signature
+   * @param {Object} context - { side, tokenAddress, tradeId, fillId, owner, lastValidBlockHeight }
+   * @returns {Promise<Object|null>} - The tracking record, null if the signature cannot be tracked
+   */
+  async track(signature, context = {}) {
+    if (!this.isTrackableSignature(signature)) {
+      return null;
+    }
+
+    // Already followed since it was sent; attach the trade it was booked as
+    if (this.transactions.has(signature)) {
+      const existing = this.transactions.get(signature);
+      if ((context.tradeId && !existing.tradeId) || (context.fillId && !existing.fillId)) {
+        existing.tradeId = existing.tradeId || context.tradeId;
+        existing.fillId = existing.fillId || context.fillId;
+        await this.persist(existing);
+      }
+      return existing;
+    }
+
+    const record = {
+      signature,
+      side: context.side || null,
+      tokenAddress: context.tokenAddress || null,
+      tradeId: context.tradeId || null,
+      fillId: context.fillId || null,
+      owner: context.owner ? context.owner.toString() : null,
+      status: 'submitted',
+      submittedAt: Date.now(),
+      confirmedAt: null,
+      finalizedAt: null,
+      lastValidBlockHeight: context.lastValidBlockHeight || null,
+      slot: null,
+      error: null,
+      execution: null,
+    };
+
+    // Most swap paths do not expose the blockhash they used. It was fetched before sending,
+    // so the current height plus the validity window is a bound it cannot outlive
+    if (!record.lastValidBlockHeight) {
+      try {
+        const blockHeight = await rpcManager.getBlockHeight('confirmed');
+        record.lastValidBlockHeight = blockHeight + this.blockhashValidityBlocks;
+      } catch (error) {
+        logger.debug(`[TxTracker] Could not read block height for ${signature}: ${error.message}`);
+      }
+    }
+
+    this.transactions.set(signature, record);
+    await this.persist(record);
+    logger.debug(`[TxTracker] Tracking ${record.side || 'transaction'} ${signature}`);
+
+    this.schedulePoll(0);
+    return record;
+  }
+
+  /**
+   * Wait until a transaction is confirmed, or has expired or failed
+   * @param {string} signature - Transaction signature
+   * @returns {Promise<Object|null>} - The record once it reaches one of those states, null if untracked
+   */
+  waitForConfirmation(signature) {
+    const record = this.transactions.get(signature);
+    if (!record) {
+      return Promise.resolve(null);
+    }
+    if (this.isLanded(record) || this.isTerminal(record)) {
+      return Promise.resolve(record);
+    }
+
+    return new Promise(resolve => {
+      if (!this.waiters.has(signature)) {
+        this.waiters.set(signature, []);
+      }
+      this.waiters.get(signature).push(resolve);
+    });
+  }
+
+  getTransaction(signature) {
+    return this.transactions.get(signature) || null;
+  }
+
+  getPendingTransactions() {
+    return Array.from(this.transactions.values()).filter(record => !this.isTerminal(record) && record.status !== 'finalized');
+  }
+
+  isLanded(record) {
+    return record.status === 'confirmed' || record.status === 'finalized';
+  }
+
+  isTerminal(record) {
+    return record.status === 'expired' || record.status === 'failed';
+  }
+
+  schedulePoll(delayMs = this.pollIntervalMs) {
+    if (this.pollTimer) {
+      return;
+    }
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = null;
+      this.poll();
+    }, delayMs);
+  }
+
+  /**
+   * Check the status of every signature that has not settled yet
+   */
+  async poll() {
+    if (this.polling) {
+      return;
+    }
+    this.polling = true;
+
+    try {
+      // Confirmed transactions keep being polled until finalized only if that is wanted
+      const pending = this.getPendingTransactions().filter(record => this.trackFinalized || !this.isLanded(record));
+      if (pending.length === 0) {
+        return;
+      }
+
+      const signatures = pending.map(record => record.signature);
+      const statuses = await rpcManager.getSignatureStatuses(signatures, { searchTransactionHistory: true });
+
+      let blockHeight = null;
+      try {
+        blockHeight = await rpcManager.getBlockHeight('confirmed');
+      } catch (error) {
+        logger.debug(`[TxTracker] Could not read block height: ${error.message}`);
+      }
+
+      for (let i = 0; i < pending.length; i++) {
+        await this.updateRecord(pending[i], statuses.value ? statuses.value[i] : null, blockHeight);
+      }
+    } catch (error) {
+      logger.warn(`[TxTracker] Error polling transaction statuses: ${error.message}`);
+    } finally {
+      this.polling = false;
+      this.prune();
+      if (this.getPendingTransactions().length > 0) {
+        this.schedulePoll();
+      }
+    }
+  }
+
+  /**
+   * Apply a signature status to a record
+   * @param {Object} record - Tracking record
+   * @param {Object|null} status - Result of getSignatureStatuses for the signature
+   * @param {number|null} blockHeight - Current confirmed block height
+   */
+  async updateRecord(record, status, blockHeight) {
+    const previous = record.status;
+
+    if (!status) {
+      const pastBlockhash = blockHeight !== null && record.lastValidBlockHeight && blockHeight > record.lastValidBlockHeight;
+      const timedOut = Date.now() - record.submittedAt > this.maxTrackingMs;
+      if (pastBlockhash || timedOut) {
+        record.status = 'expired';
+        record.error = pastBlockhash ? 'Blockhash expired before the transaction landed' : 'Transaction not seen before tracking timed out';
+      }
+    } else if (status.err) {
+      record.status = 'failed';
+      record.slot = status.slot;
+      record.error = JSON.stringify(status.err);
+    } else {
+      const reached = status.confirmationStatus || (status.confirmations === null ? 'finalized' : 'confirmed');
+      if ((COMMITMENT_RANK[reached] || 0) > (COMMITMENT_RANK[record.status] || 0)) {
+        record.status = reached;
+        record.slot = status.slot;
+      }
+    }
+
+    if (record.status === previous) {
+      return;
+    }
+
+    if (this.isLanded(record) && !record.confirmedAt) {
+      record.confirmedAt = Date.now();
+      record.execution = await this.fetchExecution(record);
+    }
+    if (record.status === 'finalized') {
+      record.finalizedAt = Date.now();
+    }
+
+    if (this.isTerminal(record)) {
+      logger.warn(`[TxTracker] ${record.side || 'Transaction'} ${record.signature} ${record.status}: ${record.error}`);
+    } else {
+      logger.info(`[TxTracker] ${record.side || 'Transaction'} ${record.signature} ${record.status} (slot ${record.slot})`);
+    }
+
+    await this.persist(record);
+
+    if (this.isLanded(record) || this.isTerminal(record)) {
+      const waiters = this.waiters.get(record.signature) || [];
+      this.waiters.delete(record.signature);
+      waiters.forEach(resolve => resolve(record));
+    }
+  }
+
+  /**
+   * Fetch a landed transaction and parse what it did to the owner's wallet
+   * @param {Object} record - Tracking record
+   * @returns {Promise<Object|null>} - Parsed execution, null if the transaction could not be read
+   */
+  async fetchExecution(record) {
+    try {
+      const tx = await rpcManager.getTransaction(record.signature, { commitment: 'confirmed' });
+      if (!tx || !tx.meta) {
+        return null;
+      }
+      return this.parseExecution(tx, { owner: record.owner, tokenAddress: record.tokenAddress });
+    } catch (error) {
+      logger.warn(`[TxTracker] Could not parse execution of ${record.signature}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Parse the wallet effect of a landed transaction
+   * @param {Object} tx - Transaction from getTransaction
+   * @param {Object} options - { owner, tokenAddress }; the owner defaults to the fee payer
+   * @returns {Object} - { tokenDelta, solDeltaLamports, feeLamports, priorityFeeLamports, computeUnitsConsumed, slot, blockTime }
+   */
+  parseExecution(tx, options = {}) {
+    const meta = tx.meta;
+    const accountKeys = this.getAccountKeys(tx);
+    const owner = options.owner || accountKeys[0] || null;
+    const ownerIndex = owner ? Math.max(0, accountKeys.indexOf(owner)) : 0;
+
+    // Native SOL change of the owner, excluding the fee it paid, plus any wrapped SOL it kept
+    const feeLamports = meta.fee || 0;
+    const nativeDelta = (meta.postBalances[ownerIndex] || 0) - (meta.preBalances[ownerIndex] || 0);
+    const feePaidByOwner = ownerIndex === 0 ? feeLamports : 0;
+    const wsolDelta = this.getTokenDelta(tx, WSOL_ADDRESS, owner);
+    const solDeltaLamports = nativeDelta + feePaidByOwner + (wsolDelta ? wsolDelta.raw : 0);
+
+    const signatureCount = tx.transaction && tx.transaction.signatures ? tx.transaction.signatures.length : 1;
+
+    return {
+      tokenDelta: options.tokenAddress ? this.getTokenDelta(tx, options.tokenAddress, owner) : null,
+      solDeltaLamports,
+      feeLamports,
+      priorityFeeLamports: Math.max(0, feeLamports - signatureCount * LAMPORTS_PER_SIGNATURE),
+      computeUnitsConsumed: meta.computeUnitsConsumed !== undefined ? meta.computeUnitsConsumed : null,
+      slot: tx.slot,
+      blockTime: tx.blockTime,
+    };
+  }
+
+  /**
+   * Net change in a token's balance across a transaction
+   * Accounts created or closed in the transaction count from or to zero
+   * @param {Object} tx - Transaction from getTransaction
+   * @param {string} mint - Token mint address
+   * @param {string} owner - Only count accounts owned by this address; all accounts if omitted
+   * @returns {Object|null} - { raw, ui, decimals }, null if no account of the mint was touched
+   */
+  getTokenDelta(tx, mint, owner = null) {
+    if (!tx || !tx.meta) {
+      return null;
+    }
+
+    const matches = balance => balance.mint === mint && (!owner || !balance.owner || balance.owner === owner);
+    const pre = (tx.meta.preTokenBalances || []).filter(matches);
+    const post = (tx.meta.postTokenBalances || []).filter(matches);
+    if (pre.length === 0 && post.length === 0) {
+      return null;
+    }
+
+    const sum = balances => balances.reduce((total, balance) => total + Number(balance.uiTokenAmount.amount), 0);
+    const decimals = (post[0] || pre[0]).uiTokenAmount.decimals;
+    const raw = sum(post) - sum(pre);
+
+    return { raw, ui: raw / Math.pow(10, decimals), decimals };
+  }
+
+  getAccountKeys(tx) {
+    const message = tx.transaction ? tx.transaction.message : null;
+    if (!message) {
+      return [];
+    }
+
+    const keys = message.staticAccountKeys || message.accountKeys || [];
+    const loaded = tx.meta && tx.meta.loadedAddresses ?
+      [...(tx.meta.loadedAddresses.writable || []), ...(tx.meta.loadedAddresses.readonly || [])] :
+      [];
+    return [...keys, ...loaded].map(key => (key.pubkey || key).toString());
+  }
+
+  async persist(record) {
+    try {
+      await database.saveTransaction(record);
+    } catch (error) {
+      logger.debug(`[TxTracker] Could not persist ${record.signature}: ${error.message}`);
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [signature, record] of this.transactions.entries()) {
+      const settled = this.isTerminal(record) || record.status === 'finalized' || (!this.trackFinalized && this.isLanded(record));
+      if (settled && record.submittedAt < cutoff) {
+        this.transactions.delete(signature);
+      }
+    }
+  }
+}
+
+module.exports = new TransactionTracker();
@@ -0,0 +1,33 @@
+/**
+ * ApeJupiter Venue
+ *
+ * Jupiter's swap API through the ApeJupiter endpoint (config.trading.apeJupiter),
+ * which lists fresh memecoin pools the main aggregator may not route yet. The
+ * request and response shapes are Jupiter's, so only the transport differs.
+ */
+
+const JupiterVenue = require('./jupiterVenue');
+const apeJupiterClient = require('../utils/apeJupiterClient').default;
+
+class ApeJupiterVenue extends JupiterVenue {
+  constructor(settings = {}) {
+    super(settings);
+    this.name = 'apeJupiter';
+    this.useMevProtection = apeJupiterClient.useMevProtection;
+  }
+
+  async fetchQuote(params) {
+    const response = await apeJupiterClient.api.get('/quote', { params });
+    return response.data;
+  }
+
+  async fetchSwap(body) {
+    const response = await apeJupiterClient.api.post('/swap', {
+      ...body,
+      ...(this.useMevProtection && { platform: 'jito' })
+    });
+    return response.data;
+  }
+}
+
+module.exports = ApeJupiterVenue;
@@ -0,0 +1,181 @@
+/**
+ * Base Venue Adapter
+ *
+ * A venue is somewhere a swap can be executed. venueRouter takes every swap
+ * through the same five steps, and an adapter only has to provide the first
+ * two for its venue:
+ *
+ *   quote     - expected output for the swap, in raw units
+ *   build     - signed transaction for a quote
+ *   simulate  - dry run of the transaction against the current chain state
+ *   send      - submit the transaction
+ *   parseFill - the fill the swap result is booked with
+ *
+ * Requests and quotes use raw units throughout: lamports for SOL, the mint's
+ * smallest unit for tokens. A buy spends SOL for the token, a sell spends the
+ * token for SOL.
+ */
+
+const { VersionedTransaction } = require('@solana/web3.js');
+const bs58 = require('bs58');
+const rpcManager = require('../utils/rpcManager');
+
+const WSOL_ADDRESS = 'So11111111111111111111111111111111111111112';
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+class BaseVenue {
+  /**
+   * Create a venue
+   * @param {string} name - Unique venue name, recorded as the provider of every trade it fills
+   * @param {Object} settings - Venue settings from config.venueRouter.venues
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.enabled = settings.enabled !== false;
+    this.computeUnits = settings.computeUnits || 200000;
+    this.sides = ['buy', 'sell'];
+  }
+
+  /**
+   * Check whether the venue can take this swap at all
+   * @param {Object} request - { side, tokenAddress, amount, slippageBps }
+   * @returns {Promise<boolean>}
+   */
+  async isEligible(request) {
+    return this.enabled && this.sides.includes(request.side);
+  }
+
+  /**
+   * Quote a swap
+   * @param {Object} request - { side, tokenAddress, amount, slippageBps }
+   * @returns {Promise<Object>} - { venue, inAmount, outAmount, priceImpactPercent, data }
+   */
+  async quote(request) {
+    throw new Error(`${this.name} does not implement quote`);
+  }
+
+  /**
+   * Build and sign the transaction for a quote
+   * @param {Object} quote - Quote from this venue
+   * @param {Object} request - The swap request, with the wallet keypair
+   * @returns {Promise<Object>} - { transaction, lastValidBlockHeight }
+   */
+  async build(quote, request) {
+    throw new Error(`${this.name} does not implement build`);
+  }
+
+  /**
+   * Simulate a built transaction
+   * @param {Object} built - Result of build()
+   * @returns {Promise<Object>} - { success, error, unitsConsumed, logs }
+   */
+  async simulate(built) {
+    const { transaction } = built;
+    const response = transaction instanceof VersionedTransaction
+      ? await rpcManager.simulateTransaction(transaction, { sigVerify: false, commitment: 'processed' })
+      : await rpcManager.simulateTransaction(transaction);
+    const value = response && response.value ? response.value : {};
+
+    return {
+      success: !value.err,
+      error: value.err ? JSON.stringify(value.err) : null,
+      unitsConsumed: value.unitsConsumed || null,
+      logs: value.logs || []
+    };
+  }
+
+  /**
+   * Send a built transaction
+   * @param {Object} built - Result of build()
+   * @param {Object} options - { skipPreflight }
+   * @returns {Promise<string>} - Transaction signature
+   */
+  async send(built, options = {}) {
+    return rpcManager.sendRawTransaction(built.transaction.serialize(), {
+      skipPreflight: options.skipPreflight === true,
+      maxRetries: 3
+    });
+  }
+
+  /**
+   * Signature of a built transaction, known before it is sent
+   * @param {Object} built - Result of build()
+   * @returns {string|null} - Base58 signature, null if the transaction is not signed
+   */
+  getSignature(built) {
+    const { transaction } = built;
+    const signature = transaction instanceof VersionedTransaction
+      ? transaction.signatures[0]
+      : transaction.signature;
+
+    if (!signature || signature.every(byte => byte === 0)) {
+      return null;
+    }
+    return bs58.encode(signature);
+  }
+
+  /**
+   * Fill the swap result is booked with until the landed transaction is parsed
+   * @param {Object} quote - Quote the transaction was built from
+   * @param {string} signature - Transaction signature
+   * @returns {Object} - { inAmount, outAmount, priceImpactPercent }
+   */
+  parseFill(quote, signature) {
+    return {
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      priceImpactPercent: quote.priceImpactPercent
+    };
+  }
+
+  /**
+   * Network fee a swap on this venue is expected to cost
+   * @param {number} priorityFeeMicroLamports - Current compute unit price
+   * @returns {number} - Lamports
+   */
+  estimateFeeLamports(priorityFeeMicroLamports) {
+    return LAMPORTS_PER_SIGNATURE + Math.ceil((priorityFeeMicroLamports * this.computeUnits) / 1e6);
+  }
+
+  /**
+   * Input and output mints of a request
+   * @param {Object} request - Swap request
+   * @returns {Object} - { inputMint, outputMint }
+   */
+  getMints(request) {
+    return request.side === 'buy'
+      ? { inputMint: WSOL_ADDRESS, outputMint: request.tokenAddress }
+      : { inputMint: request.tokenAddress, outputMint: WSOL_ADDRESS };
+  }
+
+  /**
+   * Deserialize a base64 transaction returned by a swap API and sign it
+   * VersionedTransaction reads legacy messages as well as v0 ones
+   * @param {string} serialized - Base64 transaction
+   * @param {Keypair} keypair - Wallet keypair
+   * @returns {VersionedTransaction} - Signed transaction
+   */
+  deserializeAndSign(serialized, keypair) {
+    const transaction = VersionedTransaction.deserialize(Buffer.from(serialized, 'base64'));
+    transaction.sign([keypair]);
+    return transaction;
+  }
+
+  /**
+   * Give a legacy transaction a fresh blockhash and sign it
+   * @param {Transaction} transaction - Unsigned legacy transaction
+   * @param {Keypair} keypair - Wallet keypair
+   * @returns {Promise<Object>} - { transaction, lastValidBlockHeight }
+   */
+  async signLegacy(transaction, keypair) {
+    const { blockhash, lastValidBlockHeight } = await rpcManager.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = keypair.publicKey;
+    transaction.sign(keypair);
+    return { transaction, lastValidBlockHeight };
+  }
+}
+
+BaseVenue.WSOL_ADDRESS = WSOL_ADDRESS;
+
+module.exports = BaseVenue;
@@ -0,0 +1,97 @@
+/**
+ * Jupiter Venue
+ *
+ * Routes through Jupiter's aggregator with the v6 quote and swap API. The
+ * quote's outAmount already has route and platform fees taken out, and the
+ * swap API returns a ready transaction with its lastValidBlockHeight.
+ */
+
+const BaseVenue = require('./baseVenue');
+const priorityFeeService = require('../utils/priorityFeeService');
+const rpcManager = require('../utils/rpcManager');
+
+class JupiterVenue extends BaseVenue {
+  constructor(settings = {}) {
+    super('jupiter', settings);
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const jupiterApi = require('@jup-ag/api');
+      this.client = jupiterApi.createJupiterApiClient({
+        connection: rpcManager.getCurrentConnection(),
+        cluster: 'mainnet-beta',
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Request a quote from the API
+   * @param {Object} params - { inputMint, outputMint, amount, slippageBps }
+   * @returns {Promise<Object>} - Quote response
+   */
+  async fetchQuote(params) {
+    const response = await this.getClient().quoteGet({ ...params, onlyDirectRoutes: false });
+    return response && response.data ? response.data : response;
+  }
+
+  /**
+   * Request a swap transaction from the API
+   * @param {Object} body - Swap request body
+   * @returns {Promise<Object>} - { swapTransaction, lastValidBlockHeight }
+   */
+  async fetchSwap(body) {
+    const response = await this.getClient().swapPost({ swapRequest: body });
+    return response && response.data ? response.data : response;
+  }
+
+  async quote(request) {
+    const { inputMint, outputMint } = this.getMints(request);
+    const quote = await this.fetchQuote({
+      inputMint,
+      outputMint,
+      amount: request.amount.toString(),
+      slippageBps: request.slippageBps,
+    });
+
+    if (!quote || !quote.outAmount) {
+      throw new Error(`No ${this.name} route for ${request.tokenAddress}`);
+    }
+
+    return {
+      venue: this.name,
+      inAmount: Number(quote.inAmount || request.amount),
+      outAmount: Number(quote.outAmount),
+      priceImpactPercent: quote.priceImpactPct !== undefined ? Number(quote.priceImpactPct) * 100 : null,
+      data: quote,
+    };
+  }
+
+  async build(quote, request) {
+    const computeUnitPriceMicroLamports = await priorityFeeService.getPriorityFee({
+      tokenAddress: request.tokenAddress,
+      accounts: priorityFeeService.getRouteAccounts(quote.data),
+    });
+
+    const swap = await this.fetchSwap({
+      quoteResponse: quote.data,
+      userPublicKey: request.keypair.publicKey.toString(),
+      wrapAndUnwrapSol: true,
+      dynamicComputeUnitLimit: true,
+      computeUnitPriceMicroLamports,
+    });
+
+    if (!swap || !swap.swapTransaction) {
+      throw new Error(`${this.name} did not return a swap transaction`);
+    }
+
+    return {
+      transaction: this.deserializeAndSign(swap.swapTransaction, request.keypair),
+      lastValidBlockHeight: swap.lastValidBlockHeight || null,
+    };
+  }
+}
+
+module.exports = JupiterVenue;
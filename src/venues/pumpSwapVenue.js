@@ -0,0 +1,51 @@
+/**
+ * PumpSwap Venue
+ *
+ * Buys through the PumpSwap API, which quotes and builds swaps against
+ * pump.fun pools. The API has no sell route, so the venue only takes buys.
+ */
+
+const BaseVenue = require('./baseVenue');
+const pumpSwapClient = require('../utils/pumpSwapClient');
+const rpcManager = require('../utils/rpcManager');
+
+class PumpSwapVenue extends BaseVenue {
+  constructor(settings = {}) {
+    super('pumpSwap', settings);
+    this.sides = ['buy'];
+  }
+
+  async quote(request) {
+    const quote = await pumpSwapClient.getSwapQuote({
+      inputMint: pumpSwapClient.SOL_ADDRESS,
+      outputMint: pumpSwapClient.normalizeTokenAddress(request.tokenAddress),
+      amount: request.amount,
+      slippageBps: request.slippageBps,
+    });
+
+    if (!quote.success) {
+      throw new Error(quote.error || `No ${this.name} quote for ${request.tokenAddress}`);
+    }
+
+    return {
+      venue: this.name,
+      inAmount: Number(quote.inAmount || request.amount),
+      outAmount: Number(quote.outAmount),
+      priceImpactPercent: quote.priceImpact !== undefined ? Number(quote.priceImpact) : null,
+      data: quote,
+    };
+  }
+
+  async build(quote, request) {
+    const transaction = await pumpSwapClient.buildSwapTransaction({
+      quote: quote.data,
+      tokenAddress: request.tokenAddress,
+      userWallet: request.keypair,
+      connection: rpcManager.getCurrentConnection(),
+    });
+
+    return this.signLegacy(transaction, request.keypair);
+  }
+}
+
+module.exports = PumpSwapVenue;
@@ -0,0 +1,95 @@
+/**
+ * Raydium Venue
+ *
+ * Swaps directly against a token's Raydium AMM pool. Quotes are priced from
+ * the pool's vault balances read on chain with the constant-product formula
+ * and the pool's swap fee, so they are comparable with aggregator quotes.
+ * Transactions are built by raydiumDirectClient.
+ */
+
+const BaseVenue = require('./baseVenue');
+const raydiumClient = require('../utils/raydiumDirectClient');
+const rpcManager = require('../utils/rpcManager');
+const priceOracle = require('../utils/priceOracle');
+
+class RaydiumVenue extends BaseVenue {
+  constructor(settings = {}) {
+    super('raydium', settings);
+    this.swapFeeBps = settings.swapFeeBps !== undefined ? settings.swapFeeBps : 25;
+  }
+
+  /**
+   * Read the token and SOL reserves of the token's SOL pool
+   * @param {string} tokenAddress - Token mint address
+   * @returns {Promise<Object>} - { pool, tokenReserve, solReserve }
+   */
+  async getReserves(tokenAddress) {
+    if (!raydiumClient.connection) {
+      raydiumClient.setConnection(rpcManager.getCurrentConnection());
+    }
+
+    const pool = await raydiumClient.findPoolForToken(tokenAddress, BaseVenue.WSOL_ADDRESS);
+    if (!pool || pool.quoteMint !== BaseVenue.WSOL_ADDRESS) {
+      throw new Error(`No Raydium SOL pool for ${tokenAddress}`);
+    }
+
+    const poolAccounts = await raydiumClient.getPoolAccounts(pool);
+    const { value } = await rpcManager.getMultipleAccountsInfoAndContext([
+      poolAccounts.baseVault,
+      poolAccounts.quoteVault
+    ]);
+
+    const vaults = [priceOracle.decodeTokenAccount(value[0]), priceOracle.decodeTokenAccount(value[1])];
+    const tokenVault = vaults.find(vault => vault && vault.mint === tokenAddress);
+    const solVault = vaults.find(vault => vault && vault.mint === BaseVenue.WSOL_ADDRESS);
+    if (!tokenVault || !solVault || tokenVault.amount <= 0 || solVault.amount <= 0) {
+      throw new Error(`Raydium pool ${pool.ammId} vaults are unreadable or empty`);
+    }
+
+    return { pool, tokenReserve: tokenVault.amount, solReserve: solVault.amount };
+  }
+
+  async quote(request) {
+    const { pool, tokenReserve, solReserve } = await this.getReserves(request.tokenAddress);
+    const [reserveIn, reserveOut] = request.side === 'buy' ? [solReserve, tokenReserve] : [tokenReserve, solReserve];
+
+    const amountInAfterFee = request.amount * (1 - this.swapFeeBps / 10000);
+    const outAmount = Math.floor((reserveOut * amountInAfterFee) / (reserveIn + amountInAfterFee));
+    const spotOut = (amountInAfterFee * reserveOut) / reserveIn;
+
+    return {
+      venue: this.name,
+      inAmount: request.amount,
+      outAmount,
+      priceImpactPercent: spotOut > 0 ? (1 - outAmount / spotOut) * 100 : null,
+      data: { pool, tokenReserve, solReserve },
+    };
+  }
+
+  async build(quote, request) {
+    const { pool, tokenReserve, solReserve } = quote.data;
+    const slippagePercent = request.slippageBps / 100;
+
+    // The client's minimum-output math reads reserves from the liquidity record; give it the on-chain ones
+    const liquidity = {
+      ...(await raydiumClient.fetchPoolLiquidity(pool.ammId) || {}),
+      baseReserve: tokenReserve,
+      quoteReserve: solReserve,
+    };
+
+    // The client signs account setup instructions with the keypair it is handed this way
+    raydiumClient.currentKeypair = request.keypair;
+    let transaction;
+    try {
+      transaction = request.side === 'buy'
+        ? await raydiumClient.buildSwapTransaction(pool, request.tokenAddress, request.amount, slippagePercent, liquidity)
+        : await raydiumClient.buildSellTransaction(pool, request.tokenAddress, request.amount / Math.pow(10, pool.baseDecimals), slippagePercent, liquidity);
+    } finally {
+      raydiumClient.currentKeypair = null;
+    }
+
+    return this.signLegacy(transaction, request.keypair);
+  }
+}
+
+module.exports = RaydiumVenue;